@@ -14,7 +14,7 @@ import { AuthProvider } from './src/context/AuthContext';
 import * as Notifications from 'expo-notifications';
 import * as Updates from 'expo-updates';
 import { Alert, View, Text, Platform, Dimensions, StatusBar, Linking, AppState, Vibration } from 'react-native';
-import { navigationRef } from './src/services/navigationService';
+import { navigationRef, safeNavigate } from './src/services/navigationService';
 import { versionCheckService } from './src/services/versionCheckService.js';
 import { ForceUpdateModal } from './src/components/ForceUpdateModal';
 import { WhatsNewModal } from './src/components/WhatsNewModal';
@@ -36,9 +36,12 @@ import FocusLockTest from './src/screens/FocusLockTest';
 import LoginScreen from './src/screens/LoginScreen';
 import { useAuth } from './src/context/AuthContext';
 import { runMigration } from './src/services/migrationService';
+import { startSync } from './src/services/syncService';
 import { runLocalMigrationsIfNeeded } from './src/services/localMigrationService';
 import { logSessionComplete } from './src/services/analyticsService';
-import { getActiveSession, clearActiveSession } from './src/services/sessionStateService';
+import { getActiveSession, peekActiveSession, sessionEndsAt, clearActiveSession } from './src/services/sessionStateService';
+import { getBlockSessionParams } from './src/services/focusBlockService';
+import { recordBlockingUsed } from './src/services/monetizationService';
 
 try {
   messaging().setBackgroundMessageHandler(async (remoteMessage) => {
@@ -74,6 +77,7 @@ import DeepWorkSession from './src/screens/DeepWorkSession';
 import SessionRatingScreen from './src/features/session-completion/screens/SessionRatingScreen';
 import SessionSummaryScreen from './src/features/session-completion/screens/SessionSummaryScreen';
 import OnboardingScreen from './src/screens/OnboardingScreen';
+import PlannerScreen from './src/screens/PlannerScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -96,11 +100,38 @@ console.log('📦 Updates status:', {
 });
 
 // ─── Migration Handler ────────────────────────────────────────────────────────
-// Stub for now — Session 2 wires this to migrationService
+// Runs on every sign-in: one-time upload of local history, then ongoing
+// two-way sync (syncService) for as long as the user stays signed in.
 const handleMigrationNeeded = async (firebaseUser) => {
   console.log('📦 [App] migration check triggered for uid:', firebaseUser.uid);
   const result = await runMigration(firebaseUser);
   console.log('📦 [App] migration result:', result);
+  startSync();
+};
+
+// ─── Focus Block Handler ──────────────────────────────────────────────────────
+// A planned block's notification opens the session it planned — unless a
+// session is already under way, which is left alone (the user lands wherever
+// the app normally opens, and HomeScreen offers to resume it).
+const openFocusBlock = async (data) => {
+  // Peek rather than getActiveSession(), which would discard a paused countdown
+  const active = await peekActiveSession();
+  if (active && (active.isPaused || sessionEndsAt(active) > Date.now())) {
+    console.log('⚠️ [App] Focus block tapped during a session — not starting another');
+    return;
+  }
+
+  const params = await getBlockSessionParams(data.blockId, data.date);
+  if (!params) {
+    console.log('⚠️ [App] Focus block no longer exists:', data.blockId);
+    return;
+  }
+
+  // Same bookkeeping as starting from Home, so the daily blocking gate counts it
+  if (params.focusLockEnabled) recordBlockingUsed();
+
+  console.log('🗓️ [App] Starting planned focus block:', params.focusBlock);
+  safeNavigate('DeepWorkSession', params);
 };
 
 // ─── Auth-Gated Navigator ─────────────────────────────────────────────────────
@@ -200,6 +231,7 @@ function TabNavigator() {
       }}
     >
       <Tab.Screen name="Home" component={HomeScreen} />
+      <Tab.Screen name="Plan" component={PlannerScreen} />
       <Tab.Screen name="Metrics" component={MetricsScreen} />
       <Tab.Screen name="Settings" component={SettingsScreen} />
     </Tab.Navigator>
@@ -284,7 +316,14 @@ const initializeBackgroundServices = async () => {
           enableLights: true,
           enableVibrate: true,
         });
-        console.log('📱 Android session-completion channel ready');
+        // Same notification inside the user's quiet hours: shown, not heard
+        await Notifications.setNotificationChannelAsync('session-completion-quiet', {
+          name: 'Session Completion (quiet hours)',
+          importance: Notifications.AndroidImportance.LOW,
+          sound: null,
+          enableVibrate: false,
+        });
+        console.log('📱 Android session-completion channels ready');
       } catch (channelError) {
         console.warn('📱 Android channel creation failed (non-critical):', channelError);
       }
@@ -499,6 +538,10 @@ function MainApp() {
         
                 await clearActiveSession();
               }
+
+              if (type === 'focus_block') {
+                await openFocusBlock(data);
+              }
         
             } catch (error) {
               console.error('🚀 Notification response error:', error);
@@ -507,6 +550,16 @@ function MainApp() {
         );
 
         setNotificationSubscription(responseSubscription);
+
+        // A tap that launched the app from killed arrived before the listener
+        // existed. Only focus blocks need routing (every other local type lands
+        // on Home anyway); clear it so it isn't replayed on the next launch.
+        const launchResponse = await Notifications.getLastNotificationResponseAsync();
+        const launchData = launchResponse?.notification.request.content.data;
+        if (launchData?.type === 'focus_block') {
+          await Notifications.clearLastNotificationResponseAsync();
+          await openFocusBlock(launchData);
+        }
         console.log('✅ Notification listener configured successfully');
         setInitializationStatus(prev => ({ ...prev, notifications: 'success' }));
       } catch (error) {
@@ -0,0 +1,338 @@
+// functions/aggregates.js - Daily/weekly focus totals and the streak
+//
+// Derived from users/{uid}/sessions and read by the reminder batches:
+//
+//   users/{uid}/daily_aggregates/{YYYY-MM-DD}
+//     {date, totalSessions, totalMinutes, updatedAt}
+//   users/{uid}/weekly_aggregates/{YYYY-MM-DD of the Monday}
+//     {weekStart, totalSessions, totalMinutes, updatedAt}
+//   users/{uid}
+//     {currentStreak, lastSessionDate, streakUpdatedAt}
+//
+// A session counts toward its `date` field: the local calendar day the app
+// bucketed it under, in the user's time zone. Docs without one fall back to
+// their `timestamp` in the time zone from the user's notification prefs.
+//
+// applySessionWrite() keeps the totals current one session write at a time:
+// it takes the doc's before and after versions, so an edit moves a session
+// between days and a `deleted: true` tombstone takes it out. Firestore
+// triggers are delivered at least once, so the event id is recorded in
+// aggregate_events in the same transaction and a redelivery is a no-op.
+// Give aggregate_events a TTL policy on `expireAt` to clear old markers.
+//
+// rebuildUserAggregates() recomputes everything from scratch for the
+// backfill and is safe to re-run.
+
+const admin = require("firebase-admin");
+const {FieldValue} = require("firebase-admin/firestore");
+const {
+  localDateString,
+  addDays,
+  weekStartOf,
+} = require("./dateHelpers");
+
+const EVENT_MARKER_TTL_DAYS = 30;
+const STREAK_PAGE_SIZE = 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const userRef = (uid) => admin.firestore().collection("users").doc(uid);
+
+/**
+ * The user's IANA time zone from their notification prefs, "UTC" if unset
+ * @param {string} uid
+ * @return {Promise<string>}
+ */
+async function getUserTimezone(uid) {
+  const prefsDoc = await userRef(uid)
+      .collection("preferences")
+      .doc("notifications")
+      .get();
+  return prefsDoc.data()?.dailyReminder?.timezone || "UTC";
+}
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+/**
+ * What one session doc adds to the totals, or null if it adds nothing
+ * (missing, tombstoned, or unusable). Minutes are rounded: finished-early
+ * and stopwatch sessions store fractional durations, and float error would
+ * otherwise build up in totals that are only ever added to and subtracted
+ * from.
+ * @param {Object|undefined} data - Session doc data
+ * @param {string} timeZone - Used only when the doc has no `date`
+ * @return {{date: string, minutes: number}|null}
+ */
+function contributionOf(data, timeZone) {
+  if (!data || data.deleted) return null;
+
+  const minutes = Number(data.duration);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+
+  const rounded = Math.round(minutes);
+  if (DATE_PATTERN.test(data.date || "")) {
+    return {date: data.date, minutes: rounded};
+  }
+  if (data.timestamp) {
+    return {date: localDateString(data.timestamp, timeZone), minutes: rounded};
+  }
+  return null;
+}
+
+/**
+ * Per-day and per-week changes between two versions of a session doc.
+ * Buckets whose change nets out to nothing are left out.
+ * @param {Object|null} before - contributionOf() the old version
+ * @param {Object|null} after - contributionOf() the new version
+ * @return {{days: Object, weeks: Object}} bucket → {sessions, minutes}
+ */
+function diffContributions(before, after) {
+  const days = {};
+  const weeks = {};
+  const add = (buckets, key, sign, minutes) => {
+    const bucket = buckets[key] || (buckets[key] = {sessions: 0, minutes: 0});
+    bucket.sessions += sign;
+    bucket.minutes += sign * minutes;
+  };
+
+  [[before, -1], [after, 1]].forEach(([contribution, sign]) => {
+    if (!contribution) return;
+    add(days, contribution.date, sign, contribution.minutes);
+    add(weeks, weekStartOf(contribution.date), sign, contribution.minutes);
+  });
+
+  const changed = (buckets) => Object.fromEntries(
+      Object.entries(buckets)
+          .filter(([, b]) => b.sessions !== 0 || b.minutes !== 0),
+  );
+  return {days: changed(days), weeks: changed(weeks)};
+}
+
+/**
+ * Consecutive active days ending today, or yesterday if today has no
+ * session yet — the same rule as the app's streakService, where a streak
+ * survives until a whole day is missed.
+ * @param {Set} activeDates - "YYYY-MM-DD" days with a session
+ * @param {string} today - "YYYY-MM-DD" in the user's time zone
+ * @return {Object} {count, lastSessionDate}; lastSessionDate null at 0
+ */
+function computeStreak(activeDates, today) {
+  let day = activeDates.has(today) ? today : addDays(today, -1);
+  const lastSessionDate = activeDates.has(day) ? day : null;
+
+  let count = 0;
+  while (activeDates.has(day)) {
+    count++;
+    day = addDays(day, -1);
+  }
+  return {count, lastSessionDate};
+}
+
+/**
+ * The stored streak as of `today`: a streak whose last day is before
+ * yesterday has lapsed, even though nothing rewrote the user doc
+ * @param {Object|undefined} userData - users/{uid} doc data
+ * @param {string} today - "YYYY-MM-DD" in the user's time zone
+ * @return {number}
+ */
+function liveStreak(userData, today) {
+  const last = userData?.lastSessionDate;
+  if (!last || last < addDays(today, -1)) return 0;
+  return userData.currentStreak || 0;
+}
+
+// ─── Firestore ───────────────────────────────────────────────────────────────
+
+/**
+ * Recompute the streak from daily_aggregates, walking back from today a
+ * page at a time until a day without sessions
+ * @param {string} uid
+ * @param {string} timeZone
+ * @return {Promise<Object>} See computeStreak
+ */
+async function recomputeStreak(uid, timeZone) {
+  const today = localDateString(new Date(), timeZone);
+  const daily = userRef(uid).collection("daily_aggregates");
+  const activeDates = new Set();
+
+  let cursor = today;
+  let streak = {count: 0, lastSessionDate: null};
+  for (;;) {
+    const page = await daily
+        .orderBy(admin.firestore.FieldPath.documentId(), "desc")
+        .startAt(cursor)
+        .limit(STREAK_PAGE_SIZE)
+        .get();
+
+    page.docs.forEach((doc) => {
+      if (doc.data().totalSessions > 0) activeDates.add(doc.id);
+    });
+    streak = computeStreak(activeDates, today);
+
+    // The chain can only continue past this page if it reached the page's
+    // oldest day and the page was full
+    const oldest = page.docs[page.docs.length - 1]?.id;
+    const chainStart = streak.lastSessionDate &&
+      addDays(streak.lastSessionDate, -(streak.count - 1));
+    if (page.size < STREAK_PAGE_SIZE || chainStart !== oldest) break;
+    cursor = addDays(oldest, -1);
+  }
+
+  await userRef(uid).set({
+    currentStreak: streak.count,
+    lastSessionDate: streak.lastSessionDate,
+    streakUpdatedAt: FieldValue.serverTimestamp(),
+  }, {merge: true});
+  return streak;
+}
+
+/**
+ * Fold one write to users/{uid}/sessions/{sessionId} into the aggregates
+ * @param {string} uid
+ * @param {Object|undefined} beforeData - Doc data before the write
+ * @param {Object|undefined} afterData - Doc data after the write
+ * @param {string} eventId - Trigger event id, for redelivery detection
+ * @return {Promise<Object>} {applied, streak} — streak when recomputed
+ */
+async function applySessionWrite(uid, beforeData, afterData, eventId) {
+  const needsTimezone = [beforeData, afterData]
+      .some((data) => data && !DATE_PATTERN.test(data.date || ""));
+  const storedTimezone = needsTimezone ? await getUserTimezone(uid) : null;
+
+  const {days, weeks} = diffContributions(
+      contributionOf(beforeData, storedTimezone || "UTC"),
+      contributionOf(afterData, storedTimezone || "UTC"),
+  );
+  if (Object.keys(days).length === 0 && Object.keys(weeks).length === 0) {
+    return {applied: false}; // e.g. a re-push that changed only notes
+  }
+
+  const db = admin.firestore();
+  const user = userRef(uid);
+  const markerRef = user.collection("aggregate_events").doc(eventId);
+  const bucketRefs = [
+    ...Object.entries(days).map(([date, delta]) => ({
+      ref: user.collection("daily_aggregates").doc(date),
+      fields: {date},
+      delta,
+    })),
+    ...Object.entries(weeks).map(([weekStart, delta]) => ({
+      ref: user.collection("weekly_aggregates").doc(weekStart),
+      fields: {weekStart},
+      delta,
+    })),
+  ];
+
+  // Whether any day gained its first session or lost its last one — only
+  // then can the streak change
+  const activeDayFlipped = await db.runTransaction(async (tx) => {
+    const marker = await tx.get(markerRef);
+    if (marker.exists) return null;
+
+    const snapshots = await tx.getAll(...bucketRefs.map(({ref}) => ref));
+    let flipped = false;
+
+    bucketRefs.forEach(({ref, fields, delta}, i) => {
+      const current = snapshots[i].data() || {};
+      const sessionsBefore = current.totalSessions || 0;
+      const totalSessions = Math.max(sessionsBefore + delta.sessions, 0);
+      const totalMinutes = Math.max(
+          (current.totalMinutes || 0) + delta.minutes, 0);
+
+      if (fields.date && (sessionsBefore > 0) !== (totalSessions > 0)) {
+        flipped = true;
+      }
+      tx.set(ref, {
+        ...fields,
+        totalSessions,
+        totalMinutes,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    });
+
+    const expireAt = new Date(
+        Date.now() + EVENT_MARKER_TTL_DAYS * 24 * 60 * 60 * 1000);
+    tx.set(markerRef, {processedAt: FieldValue.serverTimestamp(), expireAt});
+    return flipped;
+  });
+
+  if (activeDayFlipped === null) {
+    console.log(`⏭️  Event ${eventId} already applied for ${uid}`);
+    return {applied: false};
+  }
+  if (!activeDayFlipped) return {applied: true};
+
+  const timezone = storedTimezone || await getUserTimezone(uid);
+  return {applied: true, streak: await recomputeStreak(uid, timezone)};
+}
+
+/**
+ * Recompute every aggregate and the streak for one user from their
+ * sessions. Buckets that no longer have sessions are zeroed, not deleted.
+ * @param {string} uid
+ * @return {Promise<{sessions: number, days: number, weeks: number,
+ *   streak: Object}>}
+ */
+async function rebuildUserAggregates(uid) {
+  const user = userRef(uid);
+  const timezone = await getUserTimezone(uid);
+  const [sessions, dailyDocs, weeklyDocs] = await Promise.all([
+    user.collection("sessions").get(),
+    user.collection("daily_aggregates").get(),
+    user.collection("weekly_aggregates").get(),
+  ]);
+
+  const days = {};
+  const weeks = {};
+  const accumulate = (totals, key, minutes) => {
+    const bucket = totals[key] || (totals[key] = {sessions: 0, minutes: 0});
+    bucket.sessions++;
+    bucket.minutes += minutes;
+  };
+
+  let counted = 0;
+  sessions.forEach((doc) => {
+    const contribution = contributionOf(doc.data(), timezone);
+    if (!contribution) return;
+    counted++;
+    accumulate(days, contribution.date, contribution.minutes);
+    accumulate(weeks, weekStartOf(contribution.date), contribution.minutes);
+  });
+
+  const writer = admin.firestore().bulkWriter();
+  const write = (collection, idField, totals, existingDocs) => {
+    const ids = new Set([
+      ...Object.keys(totals),
+      ...existingDocs.docs.map((doc) => doc.id),
+    ]);
+    ids.forEach((id) => {
+      writer.set(user.collection(collection).doc(id), {
+        [idField]: id,
+        totalSessions: totals[id]?.sessions || 0,
+        totalMinutes: totals[id]?.minutes || 0,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, {merge: true});
+    });
+  };
+  write("daily_aggregates", "date", days, dailyDocs);
+  write("weekly_aggregates", "weekStart", weeks, weeklyDocs);
+  await writer.close();
+
+  const streak = await recomputeStreak(uid, timezone);
+  return {
+    sessions: counted,
+    days: Object.keys(days).length,
+    weeks: Object.keys(weeks).length,
+    streak,
+  };
+}
+
+module.exports = {
+  getUserTimezone,
+  contributionOf,
+  diffContributions,
+  computeStreak,
+  liveStreak,
+  recomputeStreak,
+  applySessionWrite,
+  rebuildUserAggregates,
+};
@@ -0,0 +1,112 @@
+// functions/dateHelpers.js - Local calendar dates in a user's time zone
+//
+// Mirrors the local-date helpers in the app's src/utils/dateHelpers.js: a
+// date is "YYYY-MM-DD" in the user's IANA time zone, so aggregate docs keyed
+// by date here line up with the buckets the app stores sessions under.
+// The server clock is always UTC, so never bucket with toISOString() or
+// Date#getDay() here.
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+  }
+  return formatters[timeZone];
+};
+
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({type, value}) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * Calendar date of a moment in a time zone
+ * @param {Date|number} date
+ * @param {string} timeZone - IANA zone, e.g. "America/New_York"
+ * @return {string} "YYYY-MM-DD"
+ */
+function localDateString(date = new Date(), timeZone = "UTC") {
+  const {year, month, day} = zonedParts(new Date(date), timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Hour of the day (0-23) of a moment in a time zone
+ * @param {Date|number} date
+ * @param {string} timeZone
+ * @return {number}
+ */
+function localHour(date = new Date(), timeZone = "UTC") {
+  return parseInt(zonedParts(new Date(date), timeZone).hour, 10);
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in minutes (east positive)
+ * @param {Date|number} date
+ * @param {string} timeZone
+ * @return {number} e.g. -240 for New York in summer, 330 for Kolkata
+ */
+function utcOffsetMinutes(date = new Date(), timeZone = "UTC") {
+  const instant = new Date(date);
+  const {year, month, day, hour, minute} = zonedParts(instant, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const utcMinute = Math.floor(instant.getTime() / 60000) * 60000;
+  return Math.round((wallClock - utcMinute) / 60000);
+}
+
+/**
+ * Move a "YYYY-MM-DD" date by whole calendar days (DST-safe)
+ * @param {string} dateString
+ * @param {number} days
+ * @return {string}
+ */
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-` +
+    pad2(date.getUTCDate());
+}
+
+/**
+ * Monday of the week a "YYYY-MM-DD" date falls in
+ * @param {string} dateString
+ * @return {string} "YYYY-MM-DD"
+ */
+function weekStartOf(dateString) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(dateString, -((dayOfWeek + 6) % 7));
+}
+
+/**
+ * Monday of the week containing `date`, in a time zone
+ * @param {Date|number} date
+ * @param {string} timeZone
+ * @return {string} "YYYY-MM-DD"
+ */
+function localWeekStart(date = new Date(), timeZone = "UTC") {
+  return weekStartOf(localDateString(date, timeZone));
+}
+
+module.exports = {
+  localDateString,
+  localHour,
+  utcOffsetMinutes,
+  addDays,
+  weekStartOf,
+  localWeekStart,
+};
@@ -0,0 +1,241 @@
+// functions/fcmTokens.js - Per-user registry of FCM tokens, one per device
+//
+//   fcm_tokens/{uid}/devices/{deviceKey}
+//     {token, deviceId, platform, osVersion, appVersion, deviceName,
+//      lastSeenAt}
+//
+// deviceKey is the app's persistent device id, so a refreshed token replaces
+// that device's old one and a second device gets a doc of its own. Clients
+// that don't send a device id are keyed by a hash of the token instead.
+//
+// Before the registry, fcm_tokens/{uid} held a single {token, platform} and a
+// second device silently overwrote the first. listUserTokens() still reads
+// that legacy field, and registerDevice() moves it into devices/ the next
+// time the user registers.
+//
+// sendToDevices() fans messages out to every device of many users through
+// sendEach, at most SEND_BATCH_SIZE messages per call, and prunes tokens FCM
+// reports as no longer valid (app uninstalled, token rotated).
+// sendToUserDevices() is the single-user form.
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {FieldValue} = require("firebase-admin/firestore");
+
+// Errors that mean the token will never work again. Anything else (quota,
+// unavailable, a bad payload) says nothing about the token, so it is kept.
+const INVALID_TOKEN_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+// sendEach's per-call limit
+const SEND_BATCH_SIZE = 500;
+
+const tokensRef = (uid) => admin.firestore().collection("fcm_tokens").doc(uid);
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Doc id for a device: its device id when usable, else a hash of the token
+ * @param {string} token - FCM token
+ * @param {string|undefined} deviceId - Persistent app device id
+ * @return {string}
+ */
+function deviceKeyFor(token, deviceId) {
+  if (typeof deviceId === "string" && /^[\w-]{1,128}$/.test(deviceId)) {
+    return deviceId;
+  }
+  const hash = crypto.createHash("sha256").update(token).digest("hex");
+  return `token-${hash.slice(0, 32)}`;
+}
+
+/**
+ * Whether a send error means the token should be dropped
+ * @param {Object|undefined} error - FirebaseMessagingError
+ * @return {boolean}
+ */
+function isInvalidTokenError(error) {
+  return INVALID_TOKEN_CODES.has(error?.code);
+}
+
+/**
+ * Optional device metadata from a registration request, trimmed to strings
+ * @param {Object} body - Request body
+ * @return {Object} {platform, osVersion, appVersion, deviceName}
+ */
+function deviceMetadata(body) {
+  const text = (value) => (value === undefined || value === null ?
+    null :
+    String(value).slice(0, 100));
+  return {
+    platform: text(body.platform),
+    osVersion: text(body.osVersion),
+    appVersion: text(body.appVersion),
+    deviceName: text(body.deviceName),
+  };
+}
+
+// ─── Firestore ───────────────────────────────────────────────────────────────
+
+/**
+ * Record a device's token for a user and refresh its lastSeenAt
+ * @param {string} uid - Verified auth uid
+ * @param {string} token - FCM token
+ * @param {string|undefined} deviceId - Persistent app device id
+ * @param {Object} metadata - See deviceMetadata
+ * @return {Promise<string>} The device key
+ */
+async function registerDevice(uid, token, deviceId, metadata) {
+  const userTokens = tokensRef(uid);
+  const devices = userTokens.collection("devices");
+  const deviceKey = deviceKeyFor(token, deviceId);
+
+  await devices.doc(deviceKey).set({
+    token,
+    deviceId: deviceId || null,
+    ...metadata,
+    lastSeenAt: FieldValue.serverTimestamp(),
+  }, {merge: true});
+
+  // The same token under another key is this device before a reinstall or
+  // before it sent a device id
+  const duplicates = await devices.where("token", "==", token).get();
+  await Promise.all(duplicates.docs
+      .filter((doc) => doc.id !== deviceKey)
+      .map((doc) => doc.ref.delete()));
+
+  // Move the pre-registry single token into devices/. If it is this token
+  // it was this device and is already covered.
+  const legacy = (await userTokens.get()).data();
+  if (legacy?.token) {
+    if (legacy.token !== token) {
+      await devices.doc(deviceKeyFor(legacy.token)).set({
+        token: legacy.token,
+        deviceId: null,
+        ...deviceMetadata({platform: legacy.platform}),
+        lastSeenAt: legacy.updatedAt || FieldValue.serverTimestamp(),
+      }, {merge: true});
+    }
+    await userTokens.update({
+      token: FieldValue.delete(),
+      platform: FieldValue.delete(),
+    });
+  }
+
+  // Older clients registered under their device id as if it were a uid
+  if (deviceId && deviceId !== uid) {
+    const deviceKeyed = await tokensRef(deviceId).get();
+    if (deviceKeyed.exists && deviceKeyed.data().token === token) {
+      await deviceKeyed.ref.delete();
+      console.log(`🧹 Removed device-keyed token doc for user: ${uid}`);
+    }
+  }
+
+  return deviceKey;
+}
+
+/**
+ * Every token registered for a user, legacy single token included
+ * @param {string} uid
+ * @return {Promise<Array<Object>>} [{token, ref, legacy}]
+ */
+async function listUserTokens(uid) {
+  const userTokens = tokensRef(uid);
+  const [legacyDoc, devices] = await Promise.all([
+    userTokens.get(),
+    userTokens.collection("devices").get(),
+  ]);
+
+  const entries = devices.docs
+      .filter((doc) => doc.data().token)
+      .map((doc) => ({token: doc.data().token, ref: doc.ref, legacy: false}));
+
+  const legacyToken = legacyDoc.data()?.token;
+  if (legacyToken && !entries.some((entry) => entry.token === legacyToken)) {
+    entries.push({token: legacyToken, ref: userTokens, legacy: true});
+  }
+  return entries;
+}
+
+/**
+ * Drop a token FCM has rejected for good
+ * @param {Object} entry - From listUserTokens
+ * @return {Promise<void>}
+ */
+async function removeToken(entry) {
+  if (entry.legacy) {
+    await entry.ref.update({
+      token: FieldValue.delete(),
+      platform: FieldValue.delete(),
+    });
+  } else {
+    await entry.ref.delete();
+  }
+}
+
+/**
+ * Send each user's message to every device they have registered
+ * @param {Array<Object>} targets - [{uid, entries, message}], entries from
+ *   listUserTokens and message an FCM message without `token`
+ * @return {Promise<Map>} uid → {devices, sent, failed, pruned}
+ */
+async function sendToDevices(targets) {
+  const results = new Map();
+  const outgoing = [];
+  targets.forEach(({uid, entries, message}) => {
+    results.set(uid, {devices: entries.length, sent: 0, failed: 0, pruned: 0});
+    entries.forEach((entry) => outgoing.push({uid, entry, message}));
+  });
+
+  for (let i = 0; i < outgoing.length; i += SEND_BATCH_SIZE) {
+    const batch = outgoing.slice(i, i + SEND_BATCH_SIZE);
+    const response = await admin.messaging().sendEach(
+        batch.map(({entry, message}) => ({...message, token: entry.token})),
+    );
+
+    const stale = [];
+    response.responses.forEach((result, j) => {
+      const {uid, entry} = batch[j];
+      const counts = results.get(uid);
+      if (result.success) {
+        counts.sent++;
+      } else if (isInvalidTokenError(result.error)) {
+        counts.pruned++;
+        stale.push(entry);
+      } else {
+        counts.failed++;
+        console.warn(`⚠️ FCM send failed for ${uid}:`, result.error?.message);
+      }
+    });
+
+    await Promise.all(stale.map(removeToken));
+    if (stale.length > 0) {
+      console.log(`🧹 Pruned ${stale.length} invalid token(s)`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Send one message to every device a user has registered
+ * @param {string} uid
+ * @param {Object} message - FCM message without `token`
+ * @return {Promise<Object>} {devices, sent, failed, pruned}
+ */
+async function sendToUserDevices(uid, message) {
+  const entries = await listUserTokens(uid);
+  const results = await sendToDevices([{uid, entries, message}]);
+  return results.get(uid);
+}
+
+module.exports = {
+  deviceKeyFor,
+  isInvalidTokenError,
+  deviceMetadata,
+  registerDevice,
+  listUserTokens,
+  sendToDevices,
+  sendToUserDevices,
+};
@@ -6,9 +6,33 @@
 // scoped exclusively to re-engagement (dailyRemindersBatch, weeklySummaryBatch)
 // and FCM token registration (registerToken). The onCall import was only used
 // by the deleted function and has been removed.
+//
+// Tokens live in a per-user, per-device registry (see fcmTokens.js) and
+// both batches send to every device a user has registered.
+//
+// The batches query only the users due in the current hour, through the
+// reminder_schedule index onNotificationPrefsWritten maintains (see
+// reminderSchedule.js). Both honour the user's quiet hours and hold
+// reminders while a focus session is running (see quietHours.js).
+//
+// onSessionWritten keeps the daily/weekly aggregates and streak the batches
+// read in sync with users/{uid}/sessions (see aggregates.js).
 const {onRequest} = require("firebase-functions/v2/https");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {onDocumentWritten} = require("firebase-functions/v2/firestore");
 const admin = require("firebase-admin");
+const {
+  localDateString,
+  addDays,
+  localWeekStart,
+} = require("./dateHelpers");
+const {applySessionWrite, liveStreak} = require("./aggregates");
+const {deviceMetadata, registerDevice} = require("./fcmTokens");
+const {
+  syncReminderSchedule,
+  rebucketDueSchedules,
+  runReminderBatch,
+} = require("./reminderSchedule");
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -17,154 +41,45 @@ admin.initializeApp();
  * ============================================================================
  * DAILY REMINDERS (Scheduled - Hourly Batch)
  * ============================================================================
- * 
+ *
  * WHEN: Every hour (e.g., 9:00, 10:00, 11:00...)
  * WHO: Users who have dailyReminder.enabled = true
- * LOGIC: Send to users whose reminder time matches current hour
+ * LOGIC: Query reminder_schedule for users whose reminder falls in this UTC
+ *        hour (see reminderSchedule.js)
  * SKIP: Users who already completed a session today
- * 
- * SCALABILITY: Handles 10K+ users efficiently
- * - Batch processes all users in one function call
- * - Firestore query optimizations
- * - Parallel FCM sends
+ *
+ * SCALABILITY: Reads only the users due this hour, 500 at a time, and sends
+ * through sendEach in batches of 500 messages. At 100K users a busy hour
+ * (most users sharing one zone and reminder time) is a few dozen pages,
+ * well inside the 9 minute timeout. Each run's metrics are written to
+ * reminder_runs/daily-{YYYY-MM-DDTHH}.
  */
 exports.dailyRemindersBatch = onSchedule(
     {
       schedule: "0 * * * *", // Every hour at :00
       timeZone: "UTC",
+      timeoutSeconds: 540,
+      memory: "512MiB",
     },
     async (event) => {
       console.log("⏰ Starting hourly daily reminders batch...");
-
-      const now = new Date();
-      const currentHour = now.getUTCHours();
+      const now = scheduledTime(event);
 
       try {
-        // Get all users with daily reminders enabled
-        const usersSnapshot = await admin.firestore()
-            .collection("users")
-            .get();
-
-        let sentCount = 0;
-        let skippedCount = 0;
-        const errors = [];
-
-        // Process all users
-        const sendPromises = usersSnapshot.docs.map(async (userDoc) => {
-          const userId = userDoc.id;
-
-          try {
-            // Get user's notification preferences
-            const prefsDoc = await admin.firestore()
-                .collection("users")
-                .doc(userId)
-                .collection("preferences")
-                .doc("notifications")
-                .get();
-
-            if (!prefsDoc.exists) {
-              skippedCount++;
-              return;
-            }
-
-            const prefs = prefsDoc.data();
-
-            // Skip if daily reminders disabled
-            if (!prefs.dailyReminder?.enabled) {
-              skippedCount++;
-              return;
-            }
-
-            // Get user's timezone and reminder time
-            const timezone = prefs.dailyReminder.timezone || "UTC";
-            const reminderTime = prefs.dailyReminder.time || "09:00";
-            const [reminderHour] = reminderTime.split(":").map(Number);
-
-            // Convert user's reminder hour to UTC
-            const userLocalHour = new Date().toLocaleString("en-US", {
-              timeZone: timezone,
-              hour: "2-digit",
-              hour12: false,
-            });
-            const userCurrentHour = parseInt(userLocalHour);
-
-            // Check if it's the user's reminder hour
-            if (userCurrentHour !== reminderHour) {
-              return; // Not their reminder time yet
-            }
-
-            // Check if user already completed a session today
-            const hasSessionToday = await checkSessionToday(userId, timezone);
-            if (hasSessionToday) {
-              console.log(`⏭️  User ${userId} already focused today, skipping`);
-              skippedCount++;
-              return;
-            }
-
-            // Get FCM token
-            const tokenDoc = await admin.firestore()
-                .collection("fcm_tokens")
-                .doc(userId)
-                .get();
-
-            if (!tokenDoc.exists) {
-              console.warn(`⚠️ No FCM token for user: ${userId}`);
-              skippedCount++;
-              return;
-            }
-
-            const fcmToken = tokenDoc.data().token;
-
-            // Get current streak for personalization
-            const streak = await getCurrentStreak(userId);
-
-            // Build personalized message
-            const notification = buildDailyReminderMessage(
-                reminderHour,
-                streak,
-            );
-
-            // Send notification
-            await admin.messaging().send({
-              token: fcmToken,
-              notification: {
-                title: notification.title,
-                body: notification.body,
-              },
-              data: {
-                type: "daily_reminder",
-                hour: reminderHour.toString(),
-                streak: streak.toString(),
-              },
-              apns: {
-                payload: {
-                  aps: {
-                    sound: "default",
-                    badge: 1,
-                  },
-                },
-              },
-            });
-
-            console.log(`✅ Daily reminder sent to: ${userId}`);
-            sentCount++;
-          } catch (error) {
-            console.error(`❌ Error for user ${userId}:`, error);
-            errors.push({userId, error: error.message});
-            skippedCount++;
-          }
-        });
-
-        await Promise.all(sendPromises);
-
-        console.log(`
-📊 Daily reminders batch complete:
-   ✅ Sent: ${sentCount}
-   ⏭️  Skipped: ${skippedCount}
-   ❌ Errors: ${errors.length}
-        `);
-
-        return {success: true, sent: sentCount, skipped: skippedCount};
+        // Move users whose zone just changed offset (DST) to their new slot
+        // before querying it
+        const rebucketed = await rebucketDueSchedules(now);
+        if (rebucketed > 0) {
+          console.log(`🔁 Rebucketed ${rebucketed} reminder schedule(s)`);
+        }
+
+        const metrics = await runReminderBatch(
+            "daily",
+            now,
+            prepareDailyReminder,
+        );
+        logRun("Daily reminders", metrics);
+        return metrics;
       } catch (error) {
         console.error("❌ Daily reminders batch failed:", error);
         throw error;
@@ -175,155 +90,105 @@ exports.dailyRemindersBatch = onSchedule(
  * ============================================================================
  * WEEKLY SUMMARY (Scheduled - Monday 9 AM)
  * ============================================================================
- * 
+ *
  * WHEN: Every Monday at 9:00 AM (user's local time)
- * WHO: Users who have weeklySummary.enabled = true
+ * WHO: Users who have weeklySummary enabled
  * CONTENT: This week's stats + comparison to last week
- * 
+ *
  * IMPLEMENTATION:
- * - Runs every hour on Monday
- * - Checks each user's timezone
- * - Sends when it's 9 AM in their local time
+ * - Runs every hour; Monday 9 AM somewhere can be Sunday in UTC
+ * - Queries reminder_schedule for users whose Monday 9 AM is this UTC hour
+ *   of the week, so the other 167 runs read nothing
  */
 exports.weeklySummaryBatch = onSchedule(
     {
-      schedule: "0 * * * 1", // Every hour on Mondays
+      schedule: "0 * * * *", // Every hour at :00
       timeZone: "UTC",
+      timeoutSeconds: 540,
+      memory: "512MiB",
     },
     async (event) => {
       console.log("📊 Starting weekly summary batch...");
+      const now = scheduledTime(event);
 
       try {
-        // Get all users
-        const usersSnapshot = await admin.firestore()
-            .collection("users")
-            .get();
-
-        let sentCount = 0;
-        let skippedCount = 0;
-
-        const sendPromises = usersSnapshot.docs.map(async (userDoc) => {
-          const userId = userDoc.id;
-
-          try {
-            // Get user's notification preferences
-            const prefsDoc = await admin.firestore()
-                .collection("users")
-                .doc(userId)
-                .collection("preferences")
-                .doc("notifications")
-                .get();
-
-            if (!prefsDoc.exists) {
-              skippedCount++;
-              return;
-            }
-
-            const prefs = prefsDoc.data();
-
-            // Skip if weekly summary disabled
-            if (!prefs.weeklySummary) {
-              skippedCount++;
-              return;
-            }
-
-            // Get user's timezone
-            const timezone = prefs.dailyReminder?.timezone || "UTC";
-
-            // Check if it's 9 AM in user's timezone
-            const userLocalHour = new Date().toLocaleString("en-US", {
-              timeZone: timezone,
-              hour: "2-digit",
-              hour12: false,
-            });
-
-            if (parseInt(userLocalHour) !== 9) {
-              return; // Not 9 AM yet in their timezone
-            }
-
-            // Get this week's stats
-            const thisWeekStats = await getWeeklyStats(userId, 0);
-
-            // Get last week's stats
-            const lastWeekStats = await getWeeklyStats(userId, 1);
-
-            // Skip if no activity
-            if (thisWeekStats.sessions === 0) {
-              console.log(`⏭️  User ${userId} has no activity this week`);
-              skippedCount++;
-              return;
-            }
-
-            // Calculate comparison
-            const comparison = calculateComparison(
-                thisWeekStats,
-                lastWeekStats,
-            );
-
-            // Get FCM token
-            const tokenDoc = await admin.firestore()
-                .collection("fcm_tokens")
-                .doc(userId)
-                .get();
-
-            if (!tokenDoc.exists) {
-              console.warn(`⚠️ No FCM token for user: ${userId}`);
-              skippedCount++;
-              return;
-            }
-
-            const fcmToken = tokenDoc.data().token;
-
-            // Build notification message
-            const notification = buildWeeklySummaryMessage(
-                thisWeekStats,
-                comparison,
-            );
-
-            // Send notification
-            await admin.messaging().send({
-              token: fcmToken,
-              notification: {
-                title: notification.title,
-                body: notification.body,
-              },
-              data: {
-                type: "weekly_summary",
-                thisWeekSessions: thisWeekStats.sessions.toString(),
-                thisWeekMinutes: thisWeekStats.minutes.toString(),
-                lastWeekSessions: lastWeekStats.sessions.toString(),
-                lastWeekMinutes: lastWeekStats.minutes.toString(),
-                comparison: comparison.text,
-              },
-              apns: {
-                payload: {
-                  aps: {
-                    sound: "default",
-                    badge: 1,
-                  },
-                },
-              },
-            });
-
-            console.log(`✅ Weekly summary sent to: ${userId}`);
-            sentCount++;
-          } catch (error) {
-            console.error(`❌ Error for user ${userId}:`, error);
-            skippedCount++;
-          }
-        });
+        const metrics = await runReminderBatch(
+            "weekly",
+            now,
+            prepareWeeklySummary,
+        );
+        logRun("Weekly summary", metrics);
+        return metrics;
+      } catch (error) {
+        console.error("❌ Weekly summary batch failed:", error);
+        throw error;
+      }
+    });
 
-        await Promise.all(sendPromises);
+/**
+ * ============================================================================
+ * REMINDER SCHEDULE (Firestore trigger)
+ * ============================================================================
+ *
+ * WHEN: Every write to users/{uid}/preferences/notifications
+ * WHAT: Recomputes the user's reminder_schedule doc, the index the batches
+ *       query
+ *
+ * Existing users: run `npm run backfill:reminders` once after the first
+ * deploy.
+ */
+exports.onNotificationPrefsWritten = onDocumentWritten(
+    "users/{uid}/preferences/notifications",
+    async (event) => {
+      const {uid} = event.params;
 
-        console.log(`
-📊 Weekly summary batch complete:
-   ✅ Sent: ${sentCount}
-   ⏭️  Skipped: ${skippedCount}
-        `);
+      try {
+        const schedule = await syncReminderSchedule(
+            uid,
+            event.data?.after?.data(),
+        );
+        console.log(schedule ?
+          `🗓️  Reminder schedule updated for ${uid}` :
+          `🗓️  Reminder schedule removed for ${uid}`);
+      } catch (error) {
+        console.error(`❌ Reminder schedule failed for ${uid}:`, error);
+        throw error;
+      }
+    });
 
-        return {success: true, sent: sentCount, skipped: skippedCount};
+/**
+ * ============================================================================
+ * SESSION AGGREGATES (Firestore trigger)
+ * ============================================================================
+ *
+ * WHEN: Every create, edit or tombstone of users/{uid}/sessions/{sessionId}
+ * WHAT: Updates daily_aggregates, weekly_aggregates and the user's streak —
+ *       the data checkSessionToday, getWeeklyStats and getCurrentStreak read
+ * RETRY: On; applySessionWrite skips events it has already applied
+ *
+ * Existing users: run `npm run backfill` once after the first deploy.
+ */
+exports.onSessionWritten = onDocumentWritten(
+    {
+      document: "users/{uid}/sessions/{sessionId}",
+      retry: true,
+    },
+    async (event) => {
+      const {uid, sessionId} = event.params;
+
+      try {
+        const result = await applySessionWrite(
+            uid,
+            event.data?.before?.data(),
+            event.data?.after?.data(),
+            event.id,
+        );
+        if (result.applied) {
+          console.log(`📈 Aggregates updated for ${uid} (${sessionId})` +
+            (result.streak ? `, streak ${result.streak.count}` : ""));
+        }
       } catch (error) {
-        console.error("❌ Weekly summary batch failed:", error);
+        console.error(`❌ Aggregates failed for ${uid} (${sessionId}):`, error);
         throw error;
       }
     });
@@ -332,8 +197,16 @@ exports.weeklySummaryBatch = onSchedule(
  * ============================================================================
  * HTTP ENDPOINT: Register FCM Token
  * ============================================================================
- * 
- * Called from client when app launches or token refreshes
+ *
+ * Called from client when a user signs in or the token refreshes.
+ *
+ * AUTH: `Authorization: Bearer <Firebase ID token>`. The token is stored
+ * under the verified uid — the key the batches look it up by — never under
+ * an id from the request body.
+ *
+ * BODY: {fcmToken, deviceId, platform, osVersion, appVersion, deviceName}.
+ * Each device gets its own entry, keyed by deviceId, with a lastSeenAt that
+ * every registration refreshes (see fcmTokens.js).
  */
 exports.registerToken = onRequest(
     {cors: true},
@@ -341,26 +214,32 @@ exports.registerToken = onRequest(
       // Handle preflight OPTIONS request
       if (req.method === "OPTIONS") {
         res.set("Access-Control-Allow-Methods", "POST");
-        res.set("Access-Control-Allow-Headers", "Content-Type");
+        res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
         return res.status(204).send("");
       }
 
-      const {fcmToken, platform, userId} = req.body;
+      const uid = await verifyRequestUid(req);
+      if (!uid) {
+        return res.status(401).send({error: "Missing or invalid ID token"});
+      }
+
+      const {fcmToken, deviceId} = req.body || {};
 
-      if (!fcmToken || !userId) {
+      if (typeof fcmToken !== "string" || !fcmToken) {
         return res.status(400).send({
-          error: "Missing required fields: fcmToken and userId",
+          error: "Missing required field: fcmToken",
         });
       }
 
       try {
-        await admin.firestore().collection("fcm_tokens").doc(userId).set({
-          token: fcmToken,
-          platform,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        }, {merge: true});
-
-        console.log(`✅ Registered FCM token for user: ${userId}`);
+        const deviceKey = await registerDevice(
+            uid,
+            fcmToken,
+            deviceId,
+            deviceMetadata(req.body),
+        );
+
+        console.log(`✅ Registered FCM token for user: ${uid} (${deviceKey})`);
         return res.status(200).send({success: true});
       } catch (error) {
         console.error("❌ Error storing FCM token:", error);
@@ -377,20 +256,156 @@ exports.registerToken = onRequest(
  * ============================================================================
  */
 
+/**
+ * Verify the request's Firebase ID token
+ * @param {Object} req - HTTPS request
+ * @return {Promise<string|null>} The caller's uid, or null
+ */
+async function verifyRequestUid(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  if (!match) return null;
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(match[1]);
+    return decoded.uid;
+  } catch (error) {
+    console.warn("⚠️ Rejected ID token:", error.message);
+    return null;
+  }
+}
+
+/**
+ * The time a scheduled run was meant for, so a late or retried run still
+ * targets its own hour
+ * @param {Object} event - ScheduledEvent
+ * @return {Date}
+ */
+function scheduledTime(event) {
+  const scheduled = new Date(event?.scheduleTime);
+  return isNaN(scheduled.getTime()) ? new Date() : scheduled;
+}
+
+/**
+ * Log a reminder run's metrics
+ * @param {string} label - e.g. "Daily reminders"
+ * @param {Object} metrics - From runReminderBatch
+ */
+function logRun(label, metrics) {
+  const skipped = Object.values(metrics.skipped).reduce((a, b) => a + b, 0);
+  console.log(`
+📊 ${label} batch complete (slot ${metrics.slot}):
+   👥 Candidates: ${metrics.candidates}
+   ✅ Sent: ${metrics.sent} (${metrics.messages.sent} messages)
+   ⏭️  Skipped: ${skipped} ${JSON.stringify(metrics.skipped)}
+   🧹 Pruned tokens: ${metrics.messages.pruned}
+   ❌ Errors: ${metrics.errors}
+   ⏱️  ${metrics.durationMs}ms
+  `);
+}
+
+/**
+ * Decide and build one user's daily reminder
+ * @param {string} userId - User ID
+ * @param {Object} schedule - reminder_schedule doc data
+ * @param {Date} now - The run's scheduled time
+ * @return {Promise<Object>} {message} or {skip}
+ */
+async function prepareDailyReminder(userId, schedule, now) {
+  const {timezone, dailyHour} = schedule;
+
+  // Check if user already completed a session today
+  if (await checkSessionToday(userId, timezone, now)) {
+    return {skip: "alreadyFocused"};
+  }
+
+  // Get current streak for personalization
+  const streak = await getCurrentStreak(userId, timezone, now);
+  const notification = buildDailyReminderMessage(dailyHour, streak);
+
+  return {
+    message: {
+      notification: {
+        title: notification.title,
+        body: notification.body,
+      },
+      data: {
+        type: "daily_reminder",
+        hour: dailyHour.toString(),
+        streak: streak.toString(),
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: "default",
+            badge: 1,
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Decide and build one user's weekly summary
+ * @param {string} userId - User ID
+ * @param {Object} schedule - reminder_schedule doc data
+ * @param {Date} now - The run's scheduled time
+ * @return {Promise<Object>} {message} or {skip}
+ */
+async function prepareWeeklySummary(userId, schedule, now) {
+  const {timezone} = schedule;
+
+  // Monday 9 AM is hours into the new week, so summarise the week that just
+  // ended ("this week" below) against the one before it
+  const [thisWeekStats, lastWeekStats] = await Promise.all([
+    getWeeklyStats(userId, 1, timezone, now),
+    getWeeklyStats(userId, 2, timezone, now),
+  ]);
+
+  // Skip if no activity
+  if (thisWeekStats.sessions === 0) {
+    return {skip: "noActivity"};
+  }
+
+  const comparison = calculateComparison(thisWeekStats, lastWeekStats);
+  const notification = buildWeeklySummaryMessage(thisWeekStats, comparison);
+
+  return {
+    message: {
+      notification: {
+        title: notification.title,
+        body: notification.body,
+      },
+      data: {
+        type: "weekly_summary",
+        thisWeekSessions: thisWeekStats.sessions.toString(),
+        thisWeekMinutes: thisWeekStats.minutes.toString(),
+        lastWeekSessions: lastWeekStats.sessions.toString(),
+        lastWeekMinutes: lastWeekStats.minutes.toString(),
+        comparison: comparison.text,
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: "default",
+            badge: 1,
+          },
+        },
+      },
+    },
+  };
+}
+
 /**
  * Check if user completed a session today
+ * @param {string} userId - User ID
+ * @param {string} timezone - User's IANA time zone
+ * @param {Date} now - Defaults to the current time
+ * @return {Promise<boolean>}
  */
-async function checkSessionToday(userId, timezone) {
-  // Get start of today in user's timezone
-  const todayStart = new Date().toLocaleString("en-US", {
-    timeZone: timezone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  });
-
-  const [month, day, year] = todayStart.split("/");
-  const todayDate = `${year}-${month}-${day}`;
+async function checkSessionToday(userId, timezone, now = new Date()) {
+  // Same local-date key the app buckets sessions under
+  const todayDate = localDateString(now, timezone);
 
   const snapshot = await admin.firestore()
       .collection("users")
@@ -406,31 +421,33 @@ async function checkSessionToday(userId, timezone) {
 }
 
 /**
- * Get user's current streak
+ * Get user's current streak (0 once a whole day has been missed)
+ * @param {string} userId - User ID
+ * @param {string} timezone - User's IANA time zone
+ * @param {Date} now - Defaults to the current time
+ * @return {Promise<number>}
  */
-async function getCurrentStreak(userId) {
+async function getCurrentStreak(userId, timezone, now = new Date()) {
   const userDoc = await admin.firestore()
       .collection("users")
       .doc(userId)
       .get();
 
-  return userDoc.data()?.currentStreak || 0;
+  return liveStreak(userDoc.data(), localDateString(now, timezone));
 }
 
 /**
  * Get weekly stats for a user
  * @param {string} userId - User ID
  * @param {number} weeksAgo - 0 for this week, 1 for last week, etc.
+ * @param {string} timezone - User's IANA time zone
+ * @param {Date} now - Defaults to the current time
  */
-async function getWeeklyStats(userId, weeksAgo) {
-  const now = new Date();
-  const daysAgo = weeksAgo * 7;
-
-  // Get Monday of the target week
-  const targetDate = new Date(now);
-  targetDate.setDate(now.getDate() - now.getDay() + 1 - daysAgo);
-
-  const weekStart = targetDate.toISOString().split("T")[0];
+async function getWeeklyStats(userId, weeksAgo, timezone = "UTC",
+    now = new Date()) {
+  // Monday of the target week, in the user's calendar
+  const thisWeekStart = localWeekStart(now, timezone);
+  const weekStart = addDays(thisWeekStart, -7 * weeksAgo);
 
   const snapshot = await admin.firestore()
       .collection("users")
@@ -446,7 +463,8 @@ async function getWeeklyStats(userId, weeksAgo) {
   const data = snapshot.data();
   return {
     sessions: data.totalSessions || 0,
-    minutes: data.totalMinutes || 0,
+    // Totals written before minutes were rounded can carry float error
+    minutes: Math.round(data.totalMinutes || 0),
   };
 }
 
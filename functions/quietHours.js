@@ -0,0 +1,123 @@
+// functions/quietHours.js - Quiet hours for server-sent reminders
+//
+// Mirrors the app's src/utils/quietHours.js so a push and a local
+// notification are held back by the same rules:
+//
+//   users/{uid}/preferences/notifications.quietHours =
+//     {enabled, days: [{start: "HH:mm", end: "HH:mm"} | null] (0 = Sunday),
+//      suppressDuringSession}
+//
+// A window belongs to the day it starts on; end <= start runs past midnight.
+// A reminder inside a window is deferred to the window's end if that is
+// still the same local day, otherwise dropped. While a session is running
+// (users/{uid}.focusSessionEndsAt in the future) reminders are dropped.
+
+const {utcOffsetMinutes} = require("./dateHelpers");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_WINDOW = {start: "22:00", end: "07:00"};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Fill in and sanity-check a stored quietHours value
+ * @param {Object|undefined} quietHours
+ * @return {Object} {enabled, days, suppressDuringSession}
+ */
+function normalizeQuietHours(quietHours) {
+  const days = Array.from({length: 7}, (_, weekday) => {
+    const window = quietHours?.days?.[weekday];
+    if (window === null) return null;
+    return TIME_PATTERN.test(window?.start) && TIME_PATTERN.test(window?.end) ?
+      {start: window.start, end: window.end} :
+      {...DEFAULT_WINDOW};
+  });
+
+  return {
+    enabled: quietHours?.enabled === true,
+    days,
+    suppressDuringSession: quietHours?.suppressDuringSession !== false,
+  };
+}
+
+/**
+ * The quiet window covering a local moment, if any
+ * @param {Object} quietHours - Normalized
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} minuteOfDay - 0-1439
+ * @return {Object|null} {endsInDays, endMinute}
+ */
+function quietWindowAt(quietHours, weekday, minuteOfDay) {
+  if (!quietHours.enabled) return null;
+
+  const today = quietHours.days[weekday];
+  if (today) {
+    const start = toMinutes(today.start);
+    const end = toMinutes(today.end);
+    if (end > start && minuteOfDay >= start && minuteOfDay < end) {
+      return {endsInDays: 0, endMinute: end};
+    }
+    if (end <= start && minuteOfDay >= start) {
+      return {endsInDays: 1, endMinute: end};
+    }
+  }
+
+  // Yesterday's overnight window spilling into this morning
+  const yesterday = quietHours.days[(weekday + 6) % 7];
+  if (yesterday) {
+    const start = toMinutes(yesterday.start);
+    const end = toMinutes(yesterday.end);
+    if (end <= start && minuteOfDay < end) {
+      return {endsInDays: 0, endMinute: end};
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether, and when, a reminder due at `date` goes out
+ * @param {Object|undefined} quietHours - As stored; normalized here
+ * @param {Date} date - When it would be sent
+ * @param {string} timeZone - The user's IANA zone
+ * @param {boolean} inSession - A focus session is running
+ * @return {Object} {action: "send"|"defer"|"drop", at, reason}; `at` is
+ *   when to send instead for "defer"
+ */
+function resolveReminderDelivery(quietHours, date, timeZone, inSession) {
+  const settings = normalizeQuietHours(quietHours);
+  if (inSession && settings.suppressDuringSession) {
+    return {action: "drop", at: date, reason: "inSession"};
+  }
+
+  // Shift by the offset so the UTC getters read the user's wall clock
+  const offsetMs = utcOffsetMinutes(date, timeZone) * 60000;
+  const local = new Date(date.getTime() + offsetMs);
+  const window = quietWindowAt(
+      settings,
+      local.getUTCDay(),
+      local.getUTCHours() * 60 + local.getUTCMinutes(),
+  );
+
+  if (!window) return {action: "send", at: date};
+  if (window.endsInDays > 0) {
+    return {action: "drop", at: date, reason: "quietHours"};
+  }
+
+  const localMidnight = Date.UTC(
+      local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  return {
+    action: "defer",
+    at: new Date(localMidnight + window.endMinute * 60000 - offsetMs),
+    reason: "quietHours",
+  };
+}
+
+module.exports = {
+  normalizeQuietHours,
+  quietWindowAt,
+  resolveReminderDelivery,
+};
@@ -0,0 +1,462 @@
+// functions/reminderSchedule.js - Precomputed reminder slots and the batches
+// that query them
+//
+//   reminder_schedule/{uid}
+//     {timezone, dailyEnabled, dailyHour, weeklyEnabled,   ← from prefs
+//      quietHours,
+//      dailySlot, weeklySlot, rebucketAt,                  ← derived
+//      lastDailyDate, lastWeeklyDate,                      ← written by runs
+//      deferredDailySlot, deferredWeeklySlot, updatedAt}
+//
+// Each reminder's local delivery time is turned into the UTC slot the hourly
+// batch runs in: dailySlot is a UTC hour (0-23), weeklySlot a UTC hour of the
+// week (0-167, Monday 00:00 UTC = 0). A run queries `slot == current UTC
+// slot`, so it reads only users who are due instead of every user.
+//
+// A slot is only right until the user's zone next changes its UTC offset.
+// rebucketAt holds that moment and rebucketDueSchedules() recomputes slots
+// once it passes; a run that still meets a user an hour off (e.g. the
+// rebucket hasn't happened yet) fixes the slot and, if it is an hour late,
+// sends anyway rather than skip the day.
+//
+// A due reminder that lands in the user's quiet hours (quietHours.js) is
+// moved to the slot the window ends in, the same day, or dropped; so is one
+// due while a focus session is running.
+//
+// syncReminderSchedule() rebuilds the doc from the user's notification
+// prefs (the onNotificationPrefsWritten trigger) and deletes it when nothing
+// is enabled. runReminderBatch() pages through due users, sends through
+// sendEach in batches and writes the run's metrics to reminder_runs.
+
+const admin = require("firebase-admin");
+const {FieldValue, Timestamp} = require("firebase-admin/firestore");
+const {
+  localDateString,
+  localHour,
+  utcOffsetMinutes,
+  localWeekStart,
+} = require("./dateHelpers");
+const {listUserTokens, sendToDevices} = require("./fcmTokens");
+const {normalizeQuietHours, resolveReminderDelivery} = require("./quietHours");
+
+const WEEKLY_SUMMARY_HOUR = 9; // Monday, local time
+const DEFAULT_DAILY_HOUR = 9;
+const PAGE_SIZE = 500;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const OFFSET_SCAN_DAYS = 400;
+
+// Rebucketing a whole zone asks the same question once per user
+const offsetChangeCache = new Map();
+
+const schedules = () => admin.firestore().collection("reminder_schedule");
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+const mod = (n, m) => ((n % m) + m) % m;
+
+/**
+ * Whether a string is an IANA zone this runtime knows
+ * @param {string} timeZone
+ * @return {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Hour of the week (0-167, Monday 00:00 = 0) of a moment in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {number}
+ */
+function localHourOfWeek(date, timeZone) {
+  const [year, month, day] = localDateString(date, timeZone)
+      .split("-").map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return mod(weekday - 1, 7) * 24 + localHour(date, timeZone);
+}
+
+/**
+ * The UTC slot whose top of the hour falls in a local target hour
+ * @param {number} targetHour - Local hour of the day or of the week
+ * @param {number} period - 24 (daily) or 168 (weekly)
+ * @param {number} offsetMinutes - See utcOffsetMinutes
+ * @return {number}
+ */
+function utcSlotFor(targetHour, period, offsetMinutes) {
+  // Ceil so half-hour zones land on the first run inside the target hour:
+  // 09:00 in Kolkata (+05:30) is 03:30 UTC, and the 04:00 run is 09:30 there
+  return mod(Math.ceil((targetHour * 60 - offsetMinutes) / 60), period);
+}
+
+/**
+ * The first hour after `from` at which a zone's UTC offset changes
+ * @param {string} timeZone
+ * @param {Date} from
+ * @return {Date|null} null if it doesn't change within OFFSET_SCAN_DAYS
+ */
+function nextOffsetChange(timeZone, from) {
+  const start = Math.floor(from.getTime() / HOUR_MS) * HOUR_MS;
+  const cacheKey = `${timeZone}|${start}`;
+  if (!offsetChangeCache.has(cacheKey)) {
+    if (offsetChangeCache.size > 1000) offsetChangeCache.clear();
+    offsetChangeCache.set(cacheKey, scanForOffsetChange(timeZone, start));
+  }
+  const change = offsetChangeCache.get(cacheKey);
+  return change ? new Date(change) : null;
+}
+
+/**
+ * See nextOffsetChange
+ * @param {string} timeZone
+ * @param {number} start - Epoch ms, on the hour
+ * @return {number|null} Epoch ms
+ */
+function scanForOffsetChange(timeZone, start) {
+  const offset = utcOffsetMinutes(start, timeZone);
+
+  for (let day = 1; day <= OFFSET_SCAN_DAYS; day++) {
+    if (utcOffsetMinutes(start + day * DAY_MS, timeZone) === offset) continue;
+
+    // Bisect whole hours: `before` has the old offset, `after` the new one
+    let before = start + (day - 1) * DAY_MS;
+    let after = start + day * DAY_MS;
+    while (after - before > HOUR_MS) {
+      const mid = before + Math.floor((after - before) / 2 / HOUR_MS) * HOUR_MS;
+      if (utcOffsetMinutes(mid, timeZone) === offset) before = mid;
+      else after = mid;
+    }
+    return after;
+  }
+  return null;
+}
+
+/**
+ * Slots and rebucket time for a schedule's inputs, as of `now`
+ * @param {Object} inputs - {timezone, dailyEnabled, dailyHour, weeklyEnabled}
+ * @param {Date} now
+ * @return {Object} {dailySlot, weeklySlot, rebucketAt}
+ */
+function computeSlots(inputs, now) {
+  const offset = utcOffsetMinutes(now, inputs.timezone);
+  const rebucketAt = nextOffsetChange(inputs.timezone, now);
+  return {
+    dailySlot: inputs.dailyEnabled ?
+      utcSlotFor(inputs.dailyHour, 24, offset) :
+      null,
+    weeklySlot: inputs.weeklyEnabled ?
+      utcSlotFor(WEEKLY_SUMMARY_HOUR, 168, offset) :
+      null,
+    rebucketAt: rebucketAt ? Timestamp.fromDate(rebucketAt) : null,
+  };
+}
+
+/**
+ * Schedule doc fields for a user's notification prefs
+ * @param {Object|undefined} prefs - users/{uid}/preferences/notifications
+ * @param {Date} now
+ * @return {Object|null} null when no scheduled reminder is enabled
+ */
+function buildSchedule(prefs, now) {
+  const dailyEnabled = Boolean(prefs?.dailyReminder?.enabled);
+  const weeklyEnabled = Boolean(prefs?.weeklySummary);
+  if (!dailyEnabled && !weeklyEnabled) return null;
+
+  const zone = prefs.dailyReminder?.timezone;
+  const timezone = zone && isValidTimeZone(zone) ? zone : "UTC";
+  const hour = parseInt(String(prefs.dailyReminder?.time).split(":")[0], 10);
+  const dailyHour = hour >= 0 && hour <= 23 ? hour : DEFAULT_DAILY_HOUR;
+
+  const inputs = {timezone, dailyEnabled, dailyHour, weeklyEnabled};
+  return {
+    ...inputs,
+    quietHours: normalizeQuietHours(prefs.quietHours),
+    ...computeSlots(inputs, now),
+  };
+}
+
+/**
+ * Where a run stands relative to a user's target hour
+ * @param {number} currentSlot - The user's local hour now (of day or week)
+ * @param {number} targetSlot - When they should get it
+ * @param {number} period - 24 or 168
+ * @return {string} "due", "late" (an hour after), "early" (an hour
+ *   before) or "off"
+ */
+function reminderTiming(currentSlot, targetSlot, period) {
+  const diff = mod(currentSlot - targetSlot, period);
+  if (diff === 0) return "due";
+  if (diff === 1) return "late";
+  if (diff === period - 1) return "early";
+  return "off";
+}
+
+// What differs between the daily reminder and the weekly summary
+const KINDS = {
+  daily: {
+    slotField: "dailySlot",
+    deferredField: "deferredDailySlot",
+    sentField: "lastDailyDate",
+    period: 24,
+    utcSlot: (now) => now.getUTCHours(),
+    localSlot: localHour,
+    targetSlot: (schedule) => schedule.dailyHour,
+    periodKey: localDateString,
+  },
+  weekly: {
+    slotField: "weeklySlot",
+    deferredField: "deferredWeeklySlot",
+    sentField: "lastWeeklyDate",
+    period: 168,
+    utcSlot: (now) => mod(now.getUTCDay() - 1, 7) * 24 + now.getUTCHours(),
+    localSlot: localHourOfWeek,
+    targetSlot: () => WEEKLY_SUMMARY_HOUR,
+    periodKey: localWeekStart,
+  },
+};
+
+// ─── Firestore ───────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild a user's schedule doc from their notification prefs
+ * @param {string} uid
+ * @param {Object|undefined} prefs - Prefs doc data, undefined if deleted
+ * @param {Date} now
+ * @return {Promise<Object|null>} The schedule, or null if removed
+ */
+async function syncReminderSchedule(uid, prefs, now = new Date()) {
+  const schedule = buildSchedule(prefs, now);
+  if (!schedule) {
+    await schedules().doc(uid).delete();
+    return null;
+  }
+
+  await schedules().doc(uid).set({
+    ...schedule,
+    updatedAt: FieldValue.serverTimestamp(),
+  }, {merge: true});
+  return schedule;
+}
+
+/**
+ * Recompute slots for every schedule whose zone has changed offset
+ * @param {Date} now
+ * @return {Promise<number>} Schedules updated
+ */
+async function rebucketDueSchedules(now = new Date()) {
+  let updated = 0;
+  for (;;) {
+    // Each update moves rebucketAt past now, so the next page starts over
+    const page = await schedules()
+        .where("rebucketAt", "<=", Timestamp.fromDate(now))
+        .limit(PAGE_SIZE)
+        .get();
+    if (page.empty) break;
+
+    const batch = admin.firestore().batch();
+    page.docs.forEach((doc) => {
+      batch.update(doc.ref, computeSlots(doc.data(), now));
+    });
+    await batch.commit();
+    updated += page.size;
+    if (page.size < PAGE_SIZE) break;
+  }
+  return updated;
+}
+
+/**
+ * Whether a user has a focus session running at `now`
+ * @param {string} uid
+ * @param {Date} now
+ * @return {Promise<boolean>}
+ */
+async function isInSession(uid, now) {
+  const userDoc = await admin.firestore().collection("users").doc(uid).get();
+  const endsAt = userDoc.data()?.focusSessionEndsAt;
+  return typeof endsAt === "number" && endsAt > now.getTime();
+}
+
+/**
+ * Send one kind of reminder to every user due in the current UTC slot
+ *
+ * Two queries feed a run: users whose slot this is, and users a quiet
+ * window deferred to this slot earlier in the day (deferredDailySlot /
+ * deferredWeeklySlot).
+ *
+ * prepare(uid, schedule, now) decides per user and returns {message} (an
+ * FCM message without `token`) or {skip: "<reason>"}; skip reasons are
+ * counted in the run's metrics.
+ *
+ * @param {string} kind - "daily" or "weekly"
+ * @param {Date} now - The run's scheduled time
+ * @param {Function} prepare
+ * @return {Promise<Object>} The metrics written to reminder_runs
+ */
+async function runReminderBatch(kind, now, prepare) {
+  const config = KINDS[kind];
+  const startedAt = Date.now();
+  const slot = config.utcSlot(now);
+  const metrics = {
+    kind,
+    slot,
+    scheduledFor: Timestamp.fromDate(now),
+    pages: 0,
+    candidates: 0,
+    sent: 0,
+    rebucketed: 0,
+    deferred: 0,
+    errors: 0,
+    skipped: {},
+    messages: {sent: 0, failed: 0, pruned: 0},
+  };
+  const skip = (reason) => {
+    metrics.skipped[reason] = (metrics.skipped[reason] || 0) + 1;
+  };
+  const seen = new Set();
+
+  /**
+   * Decide one user, adding to the page's updates and targets
+   * @param {Object} doc - reminder_schedule snapshot
+   * @param {boolean} wasDeferred - Found through the deferred slot
+   * @param {Object} page - {updates, periodKeys, targets}
+   */
+  const decide = async (doc, wasDeferred, page) => {
+    const uid = doc.id;
+    const schedule = doc.data();
+    const update = (fields) => {
+      page.updates.set(uid, {...page.updates.get(uid), ...fields});
+    };
+
+    let timing = "due";
+    if (wasDeferred) {
+      update({[config.deferredField]: null});
+    } else {
+      // A deferral whose run never came must not fire on a later day
+      if (schedule[config.deferredField] != null) {
+        update({[config.deferredField]: null});
+      }
+      timing = reminderTiming(
+          config.localSlot(now, schedule.timezone),
+          config.targetSlot(schedule),
+          config.period,
+      );
+      if (timing === "early" || timing === "late") {
+        update(computeSlots(schedule, now));
+        metrics.rebucketed++;
+      }
+      if (timing !== "due" && timing !== "late") return skip("notDue");
+    }
+
+    // A late send belongs to the day (or week) it was meant for
+    const intendedFor = timing === "late" ?
+      new Date(now.getTime() - HOUR_MS) :
+      now;
+    const periodKey = config.periodKey(intendedFor, schedule.timezone);
+    if (schedule[config.sentField] === periodKey) {
+      return skip("alreadySent");
+    }
+
+    const quiet = normalizeQuietHours(schedule.quietHours);
+    const delivery = resolveReminderDelivery(
+        quiet,
+        now,
+        schedule.timezone,
+        quiet.suppressDuringSession && await isInSession(uid, now),
+    );
+    if (delivery.action === "drop") return skip(delivery.reason);
+    if (delivery.action === "defer") {
+      const nextRun = new Date(Math.ceil(delivery.at / HOUR_MS) * HOUR_MS);
+      update({[config.deferredField]: config.utcSlot(nextRun)});
+      metrics.deferred++;
+      return;
+    }
+
+    const result = await prepare(uid, schedule, now);
+    if (result.skip) return skip(result.skip);
+
+    const entries = await listUserTokens(uid);
+    if (entries.length === 0) return skip("noDevices");
+
+    page.periodKeys.set(uid, periodKey);
+    page.targets.push({uid, entries, message: result.message});
+  };
+
+  for (const field of [config.slotField, config.deferredField]) {
+    const wasDeferred = field === config.deferredField;
+    let cursor = null;
+    for (;;) {
+      let query = schedules()
+          .where(field, "==", slot)
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(PAGE_SIZE);
+      if (cursor) query = query.startAfter(cursor);
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+      metrics.pages++;
+
+      // uid → fields for its schedule doc
+      const page = {updates: new Map(), periodKeys: new Map(), targets: []};
+      await Promise.all(snapshot.docs.map(async (doc) => {
+        if (seen.has(doc.id)) return;
+        seen.add(doc.id);
+        metrics.candidates++;
+        try {
+          await decide(doc, wasDeferred, page);
+        } catch (error) {
+          console.error(`❌ Error for user ${doc.id}:`, error);
+          metrics.errors++;
+        }
+      }));
+
+      const results = await sendToDevices(page.targets);
+      results.forEach((result, uid) => {
+        metrics.messages.sent += result.sent;
+        metrics.messages.failed += result.failed;
+        metrics.messages.pruned += result.pruned;
+        if (result.sent === 0) return skip("undelivered");
+
+        metrics.sent++;
+        page.updates.set(uid, {
+          ...page.updates.get(uid),
+          [config.sentField]: page.periodKeys.get(uid),
+        });
+      });
+
+      const batch = admin.firestore().batch();
+      page.updates.forEach((fields, uid) => {
+        batch.update(schedules().doc(uid), fields);
+      });
+      await batch.commit();
+
+      if (snapshot.size < PAGE_SIZE) break;
+    }
+  }
+
+  metrics.durationMs = Date.now() - startedAt;
+  const runId = `${kind}-${now.toISOString().slice(0, 13)}`;
+  await admin.firestore().collection("reminder_runs").doc(runId).set({
+    ...metrics,
+    finishedAt: FieldValue.serverTimestamp(),
+  });
+  return metrics;
+}
+
+module.exports = {
+  WEEKLY_SUMMARY_HOUR,
+  isValidTimeZone,
+  localHourOfWeek,
+  utcSlotFor,
+  nextOffsetChange,
+  buildSchedule,
+  reminderTiming,
+  syncReminderSchedule,
+  rebucketDueSchedules,
+  runReminderBatch,
+};
@@ -0,0 +1,61 @@
+// functions/scripts/backfillAggregates.js - One-off aggregate backfill
+//
+// Rebuilds daily_aggregates, weekly_aggregates and the streak from
+// users/{uid}/sessions for users whose sessions predate the
+// onSessionWritten trigger. Safe to re-run; each user is rebuilt from
+// scratch.
+//
+// Usage (from functions/):
+//   GOOGLE_APPLICATION_CREDENTIALS=<service-account.json> \
+//     GCLOUD_PROJECT=<project-id> npm run backfill [-- <uid> ...]
+//
+// With FIRESTORE_EMULATOR_HOST set it runs against the emulator instead.
+// Without uids it walks every users/{uid} path, including users that only
+// exist as a parent of subcollections.
+
+const admin = require("firebase-admin");
+const {rebuildUserAggregates} = require("../aggregates");
+
+admin.initializeApp();
+
+const CONCURRENCY = 5;
+
+const listUserIds = async () => {
+  const refs = await admin.firestore().collection("users").listDocuments();
+  return refs.map((ref) => ref.id);
+};
+
+const main = async () => {
+  const requested = process.argv.slice(2);
+  const uids = requested.length > 0 ? requested : await listUserIds();
+  console.log(`🔁 Backfilling aggregates for ${uids.length} user(s)...`);
+
+  let rebuilt = 0;
+  const failed = [];
+  for (let i = 0; i < uids.length; i += CONCURRENCY) {
+    await Promise.all(uids.slice(i, i + CONCURRENCY).map(async (uid) => {
+      try {
+        const result = await rebuildUserAggregates(uid);
+        rebuilt++;
+        console.log(`✅ ${uid}: ${result.sessions} sessions, ` +
+          `${result.days} days, ${result.weeks} weeks, ` +
+          `streak ${result.streak.count}`);
+      } catch (error) {
+        failed.push(uid);
+        console.error(`❌ ${uid}:`, error.message);
+      }
+    }));
+  }
+
+  console.log(`📊 Backfill complete: ${rebuilt} rebuilt, ` +
+    `${failed.length} failed`);
+  if (failed.length > 0) {
+    console.log(`Retry with: npm run backfill -- ${failed.join(" ")}`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error("❌ Backfill failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+// functions/scripts/backfillReminderSchedules.js - One-off schedule backfill
+//
+// Builds reminder_schedule/{uid} from users/{uid}/preferences/notifications
+// for users whose prefs predate the onNotificationPrefsWritten trigger.
+// Until then the hourly batches don't see them. Safe to re-run.
+//
+// Usage (from functions/):
+//   GOOGLE_APPLICATION_CREDENTIALS=<service-account.json> \
+//     GCLOUD_PROJECT=<project-id> npm run backfill:reminders
+//
+// With FIRESTORE_EMULATOR_HOST set it runs against the emulator instead.
+
+const admin = require("firebase-admin");
+const {syncReminderSchedule} = require("../reminderSchedule");
+
+admin.initializeApp();
+
+const main = async () => {
+  console.log("🔁 Backfilling reminder schedules...");
+  const now = new Date();
+
+  let scheduled = 0;
+  let disabled = 0;
+  let failed = 0;
+  const prefsDocs = admin.firestore().collectionGroup("preferences").stream();
+  for await (const doc of prefsDocs) {
+    // users/{uid}/preferences/notifications
+    const uid = doc.ref.parent.parent?.id;
+    if (doc.id !== "notifications" || !uid) continue;
+
+    try {
+      const schedule = await syncReminderSchedule(uid, doc.data(), now);
+      if (schedule) scheduled++;
+      else disabled++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${uid}:`, error.message);
+    }
+  }
+
+  console.log(`📊 Backfill complete: ${scheduled} scheduled, ` +
+    `${disabled} with nothing enabled, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+main().catch((error) => {
+  console.error("❌ Backfill failed:", error);
+  process.exitCode = 1;
+});
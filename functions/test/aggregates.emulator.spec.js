@@ -0,0 +1,150 @@
+// onSessionWritten and the backfill against the Firestore emulator.
+// Skipped unless FIRESTORE_EMULATOR_HOST is set — run with `npm run
+// test:emulator`, which starts the emulator around mocha.
+
+const assert = require("assert");
+
+const PROJECT_ID = "demo-deepwork";
+const UID = "user-1";
+const TIMEZONE = "America/New_York";
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe :
+  describe.skip;
+
+describeWithEmulator("session aggregates (emulator)", function() {
+  this.timeout(10000);
+
+  let test;
+  let admin;
+  let wrapped;
+  let rebuildUserAggregates;
+  let localDateString;
+  let addDays;
+  let eventCount = 0;
+
+  const sessionPath = (id) => `users/${UID}/sessions/${id}`;
+  const user = () => admin.firestore().collection("users").doc(UID);
+  const today = () => localDateString(new Date(), TIMEZONE);
+
+  const readTotals = async (collection, id) => {
+    const doc = await user().collection(collection).doc(id).get();
+    const {totalSessions = 0, totalMinutes = 0} = doc.data() || {};
+    return {totalSessions, totalMinutes};
+  };
+
+  // Runs the trigger for one write; pass the same eventId to redeliver
+  const write = (id, before, after, eventId = `event-${++eventCount}`) => {
+    const snapshot = (data) =>
+      test.firestore.makeDocumentSnapshot(data || {}, sessionPath(id));
+    return wrapped({
+      id: eventId,
+      params: {uid: UID, sessionId: id},
+      data: test.makeChange(snapshot(before), snapshot(after)),
+    });
+  };
+
+  before(() => {
+    test = require("firebase-functions-test")({projectId: PROJECT_ID});
+    admin = require("firebase-admin");
+    const functions = require("../index");
+    wrapped = test.wrap(functions.onSessionWritten);
+    ({rebuildUserAggregates} = require("../aggregates"));
+    ({localDateString, addDays} = require("../dateHelpers"));
+  });
+
+  beforeEach(async () => {
+    await test.firestore.clearFirestoreData({projectId: PROJECT_ID});
+    await user().collection("preferences").doc("notifications")
+        .set({dailyReminder: {enabled: true, timezone: TIMEZONE}});
+  });
+
+  after(() => test.cleanup());
+
+  it("counts a new session toward its day, week and the streak", async () => {
+    await write("s1", null, {date: today(), duration: 25});
+
+    assert.deepStrictEqual(await readTotals("daily_aggregates", today()),
+        {totalSessions: 1, totalMinutes: 25});
+    const userDoc = (await user().get()).data();
+    assert.strictEqual(userDoc.currentStreak, 1);
+    assert.strictEqual(userDoc.lastSessionDate, today());
+  });
+
+  it("moves an edited session to its new day", async () => {
+    const yesterday = addDays(today(), -1);
+    const original = {date: today(), duration: 25};
+    await write("s1", null, original);
+    await write("s1", original, {date: yesterday, duration: 40});
+
+    assert.deepStrictEqual(await readTotals("daily_aggregates", today()),
+        {totalSessions: 0, totalMinutes: 0});
+    assert.deepStrictEqual(await readTotals("daily_aggregates", yesterday),
+        {totalSessions: 1, totalMinutes: 40});
+    assert.strictEqual((await user().get()).data().lastSessionDate, yesterday);
+  });
+
+  it("takes a tombstoned session back out and ends the streak", async () => {
+    const session = {date: today(), duration: 25};
+    await write("s1", null, session);
+    await write("s1", session, {...session, deleted: true});
+
+    assert.deepStrictEqual(await readTotals("daily_aggregates", today()),
+        {totalSessions: 0, totalMinutes: 0});
+    assert.strictEqual((await user().get()).data().currentStreak, 0);
+  });
+
+  it("applies a redelivered event once", async () => {
+    const session = {date: today(), duration: 25};
+    await write("s1", null, session, "event-dup");
+    await write("s1", null, session, "event-dup");
+
+    assert.deepStrictEqual(await readTotals("daily_aggregates", today()),
+        {totalSessions: 1, totalMinutes: 25});
+  });
+
+  it("buckets a session without a date in the user's time zone",
+      async () => {
+        // Sunday 23:30 in New York, already Monday in UTC
+        const timestamp = Date.parse("2026-03-09T03:30:00Z");
+        await write("s1", null, {timestamp, duration: 30});
+
+        assert.deepStrictEqual(
+            await readTotals("daily_aggregates", "2026-03-08"),
+            {totalSessions: 1, totalMinutes: 30});
+        assert.deepStrictEqual(
+            await readTotals("weekly_aggregates", "2026-03-02"),
+            {totalSessions: 1, totalMinutes: 30});
+      });
+
+  it("backfills aggregates and the streak from existing sessions",
+      async () => {
+        const sessions = user().collection("sessions");
+        await Promise.all([
+          sessions.doc("a").set({date: today(), duration: 30}),
+          sessions.doc("b").set({date: today(), duration: 20}),
+          sessions.doc("c").set({date: addDays(today(), -1), duration: 45}),
+          sessions.doc("d").set({
+            date: addDays(today(), -2), duration: 10, deleted: true,
+          }),
+        ]);
+        // Left over from before the backfill and no longer backed by a session
+        await user().collection("daily_aggregates").doc("2020-01-01")
+            .set({date: "2020-01-01", totalSessions: 3, totalMinutes: 90});
+
+        const result = await rebuildUserAggregates(UID);
+
+        assert.strictEqual(result.sessions, 3);
+        assert.deepStrictEqual(await readTotals("daily_aggregates", today()),
+            {totalSessions: 2, totalMinutes: 50});
+        assert.deepStrictEqual(
+            await readTotals("daily_aggregates", "2020-01-01"),
+            {totalSessions: 0, totalMinutes: 0});
+        assert.strictEqual((await user().get()).data().currentStreak, 2);
+
+        // Running it again changes nothing
+        await rebuildUserAggregates(UID);
+        assert.deepStrictEqual(await readTotals("daily_aggregates", today()),
+            {totalSessions: 2, totalMinutes: 50});
+      });
+});
@@ -0,0 +1,196 @@
+// Pure aggregate and date logic — no emulator needed
+
+const assert = require("assert");
+const {
+  contributionOf,
+  diffContributions,
+  computeStreak,
+  liveStreak,
+} = require("../aggregates");
+const {
+  localDateString,
+  localHour,
+  utcOffsetMinutes,
+  weekStartOf,
+  localWeekStart,
+} = require("../dateHelpers");
+
+describe("dateHelpers", () => {
+  it("buckets around US spring forward", () => {
+    const ny = "America/New_York";
+    assert.strictEqual(
+        localDateString(Date.parse("2026-03-08T04:30:00Z"), ny), "2026-03-07");
+    assert.strictEqual(
+        localDateString(Date.parse("2026-03-09T03:59:00Z"), ny), "2026-03-08");
+    assert.strictEqual(
+        localDateString(Date.parse("2026-03-09T04:00:00Z"), ny), "2026-03-09");
+  });
+
+  it("buckets both 01:30s of US fall back on the same day", () => {
+    const ny = "America/New_York";
+    assert.strictEqual(
+        localDateString(Date.parse("2026-11-01T05:30:00Z"), ny), "2026-11-01");
+    assert.strictEqual(
+        localDateString(Date.parse("2026-11-01T06:30:00Z"), ny), "2026-11-01");
+    assert.strictEqual(
+        localDateString(Date.parse("2026-11-02T04:59:00Z"), ny), "2026-11-01");
+  });
+
+  it("reports midnight as hour 0", () => {
+    assert.strictEqual(
+        localHour(Date.parse("2026-03-09T04:00:00Z"), "America/New_York"), 0);
+  });
+
+  it("starts weeks on the local Monday", () => {
+    assert.strictEqual(weekStartOf("2026-03-08"), "2026-03-02");
+    assert.strictEqual(weekStartOf("2026-03-09"), "2026-03-09");
+    // Sunday 23:30 in New York is already Monday in UTC
+    assert.strictEqual(
+        localWeekStart(Date.parse("2026-03-09T03:30:00Z"), "America/New_York"),
+        "2026-03-02");
+  });
+
+  it("reports UTC offsets across DST and half-hour zones", () => {
+    const ny = "America/New_York";
+    assert.strictEqual(
+        utcOffsetMinutes(Date.parse("2026-03-08T06:59:00Z"), ny), -300);
+    assert.strictEqual(
+        utcOffsetMinutes(Date.parse("2026-03-08T07:00:00Z"), ny), -240);
+    assert.strictEqual(
+        utcOffsetMinutes(Date.parse("2026-01-01T00:00:00Z"), "Asia/Kolkata"),
+        330);
+  });
+});
+
+describe("contributionOf", () => {
+  it("uses the session's own date", () => {
+    assert.deepStrictEqual(
+        contributionOf({date: "2026-03-08", duration: 25}, "UTC"),
+        {date: "2026-03-08", minutes: 25});
+  });
+
+  it("falls back to the timestamp in the user's time zone", () => {
+    const data = {timestamp: Date.parse("2026-03-09T03:30:00Z"), duration: 50};
+    assert.deepStrictEqual(contributionOf(data, "America/New_York"),
+        {date: "2026-03-08", minutes: 50});
+  });
+
+  it("rounds fractional minutes", () => {
+    assert.deepStrictEqual(
+        contributionOf({date: "2026-03-08", duration: 12.533333333333333},
+            "UTC"),
+        {date: "2026-03-08", minutes: 13});
+  });
+
+  it("ignores tombstones and unusable docs", () => {
+    assert.strictEqual(contributionOf(undefined, "UTC"), null);
+    const tombstone = {date: "2026-03-08", duration: 25, deleted: true};
+    assert.strictEqual(contributionOf(tombstone, "UTC"), null);
+    assert.strictEqual(contributionOf({date: "2026-03-08"}, "UTC"), null);
+    assert.strictEqual(contributionOf({duration: 25}, "UTC"), null);
+  });
+});
+
+describe("diffContributions", () => {
+  const day = (date, minutes) => ({date, minutes});
+
+  it("adds a new session to its day and week", () => {
+    assert.deepStrictEqual(diffContributions(null, day("2026-03-08", 25)), {
+      days: {"2026-03-08": {sessions: 1, minutes: 25}},
+      weeks: {"2026-03-02": {sessions: 1, minutes: 25}},
+    });
+  });
+
+  it("moves an edited session across a week boundary", () => {
+    assert.deepStrictEqual(
+        diffContributions(day("2026-03-08", 25), day("2026-03-09", 25)), {
+          days: {
+            "2026-03-08": {sessions: -1, minutes: -25},
+            "2026-03-09": {sessions: 1, minutes: 25},
+          },
+          weeks: {
+            "2026-03-02": {sessions: -1, minutes: -25},
+            "2026-03-09": {sessions: 1, minutes: 25},
+          },
+        });
+  });
+
+  it("changes only minutes when the duration is edited", () => {
+    assert.deepStrictEqual(
+        diffContributions(day("2026-03-04", 25), day("2026-03-04", 40)), {
+          days: {"2026-03-04": {sessions: 0, minutes: 15}},
+          weeks: {"2026-03-02": {sessions: 0, minutes: 15}},
+        });
+  });
+
+  it("keeps totals whole across fractional edits", () => {
+    const doc = (duration) => contributionOf({date: "2026-03-04", duration},
+        "UTC");
+    // Finish early at 12.53 min, then edit to 12.2, 72.53 and back
+    const versions = [null, doc(12.533333333333333), doc(12.2),
+      doc(72.53333333333333), doc(12.533333333333333)];
+    let total = 0;
+    for (let i = 1; i < versions.length; i++) {
+      total += diffContributions(versions[i - 1], versions[i])
+          .weeks["2026-03-02"]?.minutes || 0;
+    }
+    assert.strictEqual(total, 13);
+  });
+
+  it("drops buckets whose change nets out", () => {
+    assert.deepStrictEqual(
+        diffContributions(day("2026-03-03", 25), day("2026-03-04", 25)).weeks,
+        {});
+    assert.deepStrictEqual(
+        diffContributions(day("2026-03-04", 25), day("2026-03-04", 25)),
+        {days: {}, weeks: {}});
+  });
+
+  it("removes a tombstoned session", () => {
+    assert.deepStrictEqual(diffContributions(day("2026-03-08", 25), null), {
+      days: {"2026-03-08": {sessions: -1, minutes: -25}},
+      weeks: {"2026-03-02": {sessions: -1, minutes: -25}},
+    });
+  });
+});
+
+describe("computeStreak", () => {
+  const active = (...dates) => new Set(dates);
+
+  it("counts back from today", () => {
+    assert.deepStrictEqual(
+        computeStreak(active("2026-03-08", "2026-03-07", "2026-03-06"),
+            "2026-03-08"),
+        {count: 3, lastSessionDate: "2026-03-08"});
+  });
+
+  it("keeps yesterday's streak alive until today ends", () => {
+    assert.deepStrictEqual(
+        computeStreak(active("2026-03-07", "2026-03-06"), "2026-03-08"),
+        {count: 2, lastSessionDate: "2026-03-07"});
+  });
+
+  it("stops at a missed day", () => {
+    assert.deepStrictEqual(
+        computeStreak(active("2026-03-08", "2026-03-06"), "2026-03-08"),
+        {count: 1, lastSessionDate: "2026-03-08"});
+    assert.deepStrictEqual(computeStreak(active("2026-03-05"), "2026-03-08"),
+        {count: 0, lastSessionDate: null});
+  });
+
+  it("spans the DST change without skipping a day", () => {
+    assert.strictEqual(
+        computeStreak(active("2026-03-09", "2026-03-08", "2026-03-07"),
+            "2026-03-09").count,
+        3);
+  });
+});
+
+describe("liveStreak", () => {
+  it("reports a stored streak until a whole day is missed", () => {
+    const user = {currentStreak: 4, lastSessionDate: "2026-03-07"};
+    assert.strictEqual(liveStreak(user, "2026-03-08"), 4);
+    assert.strictEqual(liveStreak(user, "2026-03-09"), 0);
+    assert.strictEqual(liveStreak(undefined, "2026-03-09"), 0);
+  });
+});
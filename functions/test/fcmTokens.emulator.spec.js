@@ -0,0 +1,116 @@
+// The FCM token registry against the Firestore emulator. Sends go through
+// a stubbed admin.messaging(). Skipped unless FIRESTORE_EMULATOR_HOST is
+// set — run with `npm run test:emulator`.
+
+const assert = require("assert");
+
+const PROJECT_ID = "demo-deepwork";
+const UID = "user-1";
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe :
+  describe.skip;
+
+describeWithEmulator("fcm token registry (emulator)", function() {
+  this.timeout(10000);
+
+  let test;
+  let admin;
+  let registry;
+  let originalMessaging;
+
+  const tokens = () => admin.firestore().collection("fcm_tokens");
+  const devices = () => tokens().doc(UID).collection("devices");
+  const storedTokens = async () =>
+    (await registry.listUserTokens(UID)).map((entry) => entry.token).sort();
+
+  // sendEach that rejects the given tokens as unregistered
+  const stubMessaging = (invalidTokens) => {
+    const sent = [];
+    admin.messaging = () => ({
+      sendEach: async (messages) => {
+        sent.push(...messages);
+        const responses = messages.map(({token}) => invalidTokens.has(token) ?
+          {success: false, error: {
+            code: "messaging/registration-token-not-registered",
+          }} :
+          {success: true});
+        const successCount = responses.filter((r) => r.success).length;
+        return {
+          responses,
+          successCount,
+          failureCount: responses.length - successCount,
+        };
+      },
+    });
+    return sent;
+  };
+
+  before(() => {
+    test = require("firebase-functions-test")({projectId: PROJECT_ID});
+    admin = require("firebase-admin");
+    require("../index");
+    registry = require("../fcmTokens");
+    originalMessaging = admin.messaging;
+  });
+
+  beforeEach(() => test.firestore.clearFirestoreData({projectId: PROJECT_ID}));
+
+  afterEach(() => {
+    admin.messaging = originalMessaging;
+  });
+
+  after(() => test.cleanup());
+
+  it("keeps one entry per device", async () => {
+    await registry.registerDevice(UID, "phone-1", "device-phone", {});
+    await registry.registerDevice(UID, "tablet-1", "device-tablet", {});
+    assert.deepStrictEqual(await storedTokens(), ["phone-1", "tablet-1"]);
+
+    // A refreshed token replaces that device's old one
+    await registry.registerDevice(UID, "phone-2", "device-phone", {});
+    assert.deepStrictEqual(await storedTokens(), ["phone-2", "tablet-1"]);
+  });
+
+  it("stores device metadata and a last-seen time", async () => {
+    await registry.registerDevice(UID, "phone-1", "device-phone",
+        registry.deviceMetadata({platform: "ios", appVersion: "1.0.10"}));
+
+    const data = (await devices().doc("device-phone").get()).data();
+    assert.strictEqual(data.platform, "ios");
+    assert.strictEqual(data.appVersion, "1.0.10");
+    assert.ok(data.lastSeenAt);
+  });
+
+  it("moves a legacy single token into the registry", async () => {
+    await tokens().doc(UID).set({token: "old-phone", platform: "android"});
+    assert.deepStrictEqual(await storedTokens(), ["old-phone"]);
+
+    await registry.registerDevice(UID, "tablet-1", "device-tablet", {});
+
+    assert.deepStrictEqual(await storedTokens(), ["old-phone", "tablet-1"]);
+    assert.strictEqual((await tokens().doc(UID).get()).data().token,
+        undefined);
+  });
+
+  it("removes this token's device-keyed doc", async () => {
+    await tokens().doc("device-phone").set({token: "phone-1"});
+    await registry.registerDevice(UID, "phone-1", "device-phone", {});
+    assert.strictEqual((await tokens().doc("device-phone").get()).exists,
+        false);
+  });
+
+  it("fans out to every device and prunes invalid tokens", async () => {
+    await registry.registerDevice(UID, "phone-1", "device-phone", {});
+    await registry.registerDevice(UID, "tablet-1", "device-tablet", {});
+    const sent = stubMessaging(new Set(["tablet-1"]));
+
+    const result = await registry.sendToUserDevices(UID, {data: {a: "1"}});
+
+    assert.deepStrictEqual(sent.map((m) => m.token).sort(),
+        ["phone-1", "tablet-1"]);
+    assert.deepStrictEqual(result,
+        {devices: 2, sent: 1, failed: 0, pruned: 1});
+    assert.deepStrictEqual(await storedTokens(), ["phone-1"]);
+  });
+});
@@ -0,0 +1,57 @@
+// Pure token-registry helpers — no emulator needed
+
+const assert = require("assert");
+const {
+  deviceKeyFor,
+  isInvalidTokenError,
+  deviceMetadata,
+} = require("../fcmTokens");
+
+describe("fcmTokens", () => {
+  describe("deviceKeyFor", () => {
+    it("uses the device id when it is a safe doc id", () => {
+      assert.strictEqual(
+          deviceKeyFor("tok", "device_1712345678_ab12cd"),
+          "device_1712345678_ab12cd");
+    });
+
+    it("hashes the token when there is no usable device id", () => {
+      const key = deviceKeyFor("tok");
+      assert.match(key, /^token-[0-9a-f]{32}$/);
+      assert.strictEqual(deviceKeyFor("tok", "a/b"), key);
+      assert.strictEqual(deviceKeyFor("tok", ""), key);
+      assert.notStrictEqual(deviceKeyFor("other"), key);
+    });
+  });
+
+  describe("isInvalidTokenError", () => {
+    it("drops tokens FCM no longer recognises", () => {
+      assert.ok(isInvalidTokenError(
+          {code: "messaging/registration-token-not-registered"}));
+      assert.ok(isInvalidTokenError(
+          {code: "messaging/invalid-registration-token"}));
+    });
+
+    it("keeps tokens on transient or payload errors", () => {
+      assert.ok(!isInvalidTokenError({code: "messaging/internal-error"}));
+      assert.ok(!isInvalidTokenError({code: "messaging/invalid-argument"}));
+      assert.ok(!isInvalidTokenError(undefined));
+    });
+  });
+
+  describe("deviceMetadata", () => {
+    it("keeps only known fields, as bounded strings", () => {
+      assert.deepStrictEqual(deviceMetadata({
+        platform: "ios",
+        osVersion: 18,
+        deviceName: "x".repeat(200),
+        uid: "someone-else",
+      }), {
+        platform: "ios",
+        osVersion: "18",
+        appVersion: null,
+        deviceName: "x".repeat(100),
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// Pure quiet-hours policy for server reminders — no emulator needed
+
+const assert = require("assert");
+const {
+  normalizeQuietHours,
+  quietWindowAt,
+  resolveReminderDelivery,
+} = require("../quietHours");
+
+const WEEKNIGHTS = {
+  enabled: true,
+  days: [
+    null,
+    {start: "22:00", end: "07:00"},
+    {start: "22:00", end: "07:00"},
+    {start: "22:00", end: "07:00"},
+    {start: "22:00", end: "07:00"},
+    {start: "22:00", end: "07:00"},
+    {start: "13:00", end: "14:30"},
+  ],
+};
+
+describe("quietHours", () => {
+  describe("normalizeQuietHours", () => {
+    it("defaults to off, holding reminders during sessions", () => {
+      const settings = normalizeQuietHours(undefined);
+      assert.strictEqual(settings.enabled, false);
+      assert.strictEqual(settings.suppressDuringSession, true);
+      assert.strictEqual(settings.days.length, 7);
+    });
+
+    it("keeps days switched off and repairs malformed windows", () => {
+      const settings = normalizeQuietHours({
+        enabled: true,
+        days: [null, {start: "25:00", end: "07:00"}],
+      });
+      assert.strictEqual(settings.days[0], null);
+      assert.deepStrictEqual(settings.days[1], {start: "22:00", end: "07:00"});
+    });
+  });
+
+  describe("quietWindowAt", () => {
+    const settings = normalizeQuietHours(WEEKNIGHTS);
+
+    it("finds an overnight window from either side of midnight", () => {
+      assert.deepStrictEqual(quietWindowAt(settings, 2, 23 * 60),
+          {endsInDays: 1, endMinute: 7 * 60});
+      assert.deepStrictEqual(quietWindowAt(settings, 3, 6 * 60),
+          {endsInDays: 0, endMinute: 7 * 60});
+    });
+
+    it("leaves the window's end and days without one free", () => {
+      assert.strictEqual(quietWindowAt(settings, 2, 7 * 60), null);
+      assert.strictEqual(quietWindowAt(settings, 1, 6 * 60), null);
+    });
+  });
+
+  describe("resolveReminderDelivery", () => {
+    it("defers to the window's end in the user's zone", () => {
+      // Wednesday 06:00 in New York (EDT)
+      const decision = resolveReminderDelivery(WEEKNIGHTS,
+          new Date("2026-07-15T10:00:00Z"), "America/New_York", false);
+      assert.strictEqual(decision.action, "defer");
+      assert.strictEqual(decision.at.toISOString(),
+          "2026-07-15T11:00:00.000Z");
+    });
+
+    it("drops a reminder whose window ends tomorrow", () => {
+      // Wednesday 23:00 in Tokyo
+      const decision = resolveReminderDelivery(WEEKNIGHTS,
+          new Date("2026-07-15T14:00:00Z"), "Asia/Tokyo", false);
+      assert.deepStrictEqual([decision.action, decision.reason],
+          ["drop", "quietHours"]);
+    });
+
+    it("drops reminders during a session unless told not to", () => {
+      const noon = new Date("2026-07-15T12:00:00Z");
+      assert.strictEqual(
+          resolveReminderDelivery(undefined, noon, "UTC", true).action,
+          "drop");
+      assert.strictEqual(resolveReminderDelivery(
+          {suppressDuringSession: false}, noon, "UTC", true).action, "send");
+    });
+  });
+});
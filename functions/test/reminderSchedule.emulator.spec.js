@@ -0,0 +1,245 @@
+// The reminder schedule trigger and both batches against the Firestore
+// emulator. Sends go through a stubbed admin.messaging(). Skipped unless
+// FIRESTORE_EMULATOR_HOST is set — run with `npm run test:emulator`.
+
+const assert = require("assert");
+
+const PROJECT_ID = "demo-deepwork";
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe :
+  describe.skip;
+
+describeWithEmulator("reminder batches (emulator)", function() {
+  this.timeout(20000);
+
+  let test;
+  let admin;
+  let functions;
+  let rebucketDueSchedules;
+  let originalMessaging;
+  let sent;
+
+  // Wednesday 2026-07-15 13:00 UTC — 09:00 in New York, 06:00 in Los Angeles
+  const NY_NINE_AM = "2026-07-15T13:00:00.000Z";
+
+  const db = () => admin.firestore();
+  const user = (uid) => db().collection("users").doc(uid);
+  const schedule = async (uid) =>
+    (await db().collection("reminder_schedule").doc(uid).get()).data();
+  const sentTo = () => sent.map((message) => message.token).sort();
+
+  // Writes prefs through the trigger, plus one device token
+  const addUser = async (uid, timezone, extra = {}) => {
+    const prefs = {
+      dailyReminder: {enabled: true, time: "09:00", timezone},
+      weeklySummary: true,
+      ...extra,
+    };
+    const prefsPath = `users/${uid}/preferences/notifications`;
+    await user(uid).collection("preferences").doc("notifications").set(prefs);
+    await test.wrap(functions.onNotificationPrefsWritten)({
+      params: {uid},
+      data: test.makeChange(
+          test.firestore.makeDocumentSnapshot({}, prefsPath),
+          test.firestore.makeDocumentSnapshot(prefs, prefsPath)),
+    });
+    await db().collection("fcm_tokens").doc(uid)
+        .collection("devices").doc(`${uid}-phone`)
+        .set({token: `${uid}-token`});
+  };
+
+  before(() => {
+    test = require("firebase-functions-test")({projectId: PROJECT_ID});
+    admin = require("firebase-admin");
+    functions = require("../index");
+    ({rebucketDueSchedules} = require("../reminderSchedule"));
+    originalMessaging = admin.messaging;
+  });
+
+  beforeEach(async () => {
+    await test.firestore.clearFirestoreData({projectId: PROJECT_ID});
+    sent = [];
+    admin.messaging = () => ({
+      sendEach: async (messages) => {
+        sent.push(...messages);
+        return {
+          responses: messages.map(() => ({success: true})),
+          successCount: messages.length,
+          failureCount: 0,
+        };
+      },
+    });
+  });
+
+  afterEach(() => {
+    admin.messaging = originalMessaging;
+  });
+
+  after(() => test.cleanup());
+
+  it("indexes prefs by UTC slot and drops disabled users", async () => {
+    await addUser("ny", "America/New_York");
+    const stored = await schedule("ny");
+    assert.strictEqual(stored.timezone, "America/New_York");
+    assert.strictEqual(stored.dailyHour, 9);
+    assert.ok([13, 14].includes(stored.dailySlot)); // EDT or EST today
+
+    await addUser("off", "UTC", {
+      dailyReminder: {enabled: false},
+      weeklySummary: false,
+    });
+    assert.strictEqual(await schedule("off"), undefined);
+  });
+
+  it("sends only to users due this hour and records the run", async () => {
+    await addUser("ny", "America/New_York");
+    await addUser("la", "America/Los_Angeles");
+    await addUser("focused", "America/New_York");
+    await user("focused").collection("daily_aggregates").doc("2026-07-15")
+        .set({date: "2026-07-15", totalSessions: 1, totalMinutes: 25});
+    // Slots are computed for today; pin them to the run's date
+    await rebucketAll(new Date(NY_NINE_AM));
+
+    const metrics = await functions.dailyRemindersBatch.run(
+        {scheduleTime: NY_NINE_AM});
+
+    assert.deepStrictEqual(sentTo(), ["ny-token"]);
+    assert.strictEqual(metrics.candidates, 2); // la was never read
+    assert.strictEqual(metrics.sent, 1);
+    assert.deepStrictEqual(metrics.skipped, {alreadyFocused: 1});
+    assert.strictEqual((await schedule("ny")).lastDailyDate, "2026-07-15");
+
+    const run = await db().collection("reminder_runs")
+        .doc("daily-2026-07-15T13").get();
+    assert.strictEqual(run.data().sent, 1);
+    assert.strictEqual(run.data().messages.sent, 1);
+  });
+
+  it("doesn't send twice when an hour is re-run", async () => {
+    await addUser("ny", "America/New_York");
+    await rebucketAll(new Date(NY_NINE_AM));
+
+    await functions.dailyRemindersBatch.run({scheduleTime: NY_NINE_AM});
+    const rerun = await functions.dailyRemindersBatch.run(
+        {scheduleTime: NY_NINE_AM});
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(rerun.skipped, {alreadySent: 1});
+  });
+
+  it("moves users to their new slot when the zone changes offset",
+      async () => {
+        await addUser("ny", "America/New_York");
+        // A winter slot whose rebucket time has passed
+        await db().collection("reminder_schedule").doc("ny").update({
+          dailySlot: 14,
+          rebucketAt: admin.firestore.Timestamp.fromDate(
+              new Date("2026-03-08T07:00:00Z")),
+        });
+
+        await functions.dailyRemindersBatch.run({scheduleTime: NY_NINE_AM});
+
+        assert.deepStrictEqual(sentTo(), ["ny-token"]);
+        assert.strictEqual((await schedule("ny")).dailySlot, 13);
+      });
+
+  it("sends a stale-slot reminder an hour late rather than not at all",
+      async () => {
+        await addUser("ny", "America/New_York");
+        await rebucketAll(new Date(NY_NINE_AM));
+        // Still in the winter slot, with no rebucket pending
+        await db().collection("reminder_schedule").doc("ny")
+            .update({dailySlot: 14, rebucketAt: null});
+
+        const metrics = await functions.dailyRemindersBatch.run(
+            {scheduleTime: "2026-07-15T14:00:00.000Z"});
+
+        assert.deepStrictEqual(sentTo(), ["ny-token"]);
+        assert.strictEqual(metrics.rebucketed, 1);
+        assert.strictEqual((await schedule("ny")).dailySlot, 13);
+        assert.strictEqual((await schedule("ny")).lastDailyDate, "2026-07-15");
+      });
+
+  it("sends the weekly summary at Monday 9 AM local, even on a UTC Sunday",
+      async () => {
+        await addUser("kiritimati", "Pacific/Kiritimati", {
+          dailyReminder: {enabled: false, timezone: "Pacific/Kiritimati"},
+        });
+        const week = (weekStart, totalSessions, totalMinutes) =>
+          user("kiritimati").collection("weekly_aggregates").doc(weekStart)
+              .set({weekStart, totalSessions, totalMinutes});
+        // The week that just ended, the one before, and the week that began
+        // nine hours ago — which the summary must leave out
+        await week("2026-07-13", 2, 50);
+        await week("2026-07-06", 1, 30);
+        await week("2026-07-20", 1, 5);
+
+        // Monday 2026-07-20 09:00 in Kiritimati (+14)
+        const metrics = await functions.weeklySummaryBatch.run(
+            {scheduleTime: "2026-07-19T19:00:00.000Z"});
+
+        assert.deepStrictEqual(sentTo(), ["kiritimati-token"]);
+        assert.strictEqual(metrics.slot, 6 * 24 + 19);
+        assert.deepStrictEqual(sent[0].data, {
+          type: "weekly_summary",
+          thisWeekSessions: "2",
+          thisWeekMinutes: "50",
+          lastWeekSessions: "1",
+          lastWeekMinutes: "30",
+          comparison: "+1 sessions from last week",
+        });
+        assert.strictEqual(sent[0].notification.body,
+            "2 sessions, 50 minutes (+1 sessions from last week)");
+      });
+
+  it("defers a reminder inside quiet hours to the window's end", async () => {
+    await addUser("ny", "America/New_York", {
+      quietHours: {
+        enabled: true,
+        days: Array.from({length: 7}, () => ({start: "06:00", end: "10:00"})),
+      },
+    });
+    await rebucketAll(new Date(NY_NINE_AM));
+
+    const held = await functions.dailyRemindersBatch.run(
+        {scheduleTime: NY_NINE_AM});
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual(held.deferred, 1);
+    assert.strictEqual((await schedule("ny")).deferredDailySlot, 14);
+
+    // 10:00 in New York
+    const later = await functions.dailyRemindersBatch.run(
+        {scheduleTime: "2026-07-15T14:00:00.000Z"});
+    assert.deepStrictEqual(sentTo(), ["ny-token"]);
+    assert.strictEqual(later.sent, 1);
+    assert.strictEqual((await schedule("ny")).deferredDailySlot, null);
+    assert.strictEqual((await schedule("ny")).lastDailyDate, "2026-07-15");
+  });
+
+  it("drops a reminder while a focus session is running", async () => {
+    await addUser("ny", "America/New_York");
+    await rebucketAll(new Date(NY_NINE_AM));
+    await user("ny").set({
+      focusSessionEndsAt: new Date(NY_NINE_AM).getTime() + 25 * 60000,
+    }, {merge: true});
+
+    const metrics = await functions.dailyRemindersBatch.run(
+        {scheduleTime: NY_NINE_AM});
+
+    assert.strictEqual(sent.length, 0);
+    assert.deepStrictEqual(metrics.skipped, {inSession: 1});
+  });
+
+  /**
+   * Force every schedule's slots to be recomputed as of `now`
+   * @param {Date} now
+   */
+  async function rebucketAll(now) {
+    const docs = await db().collection("reminder_schedule").get();
+    await Promise.all(docs.docs.map((doc) => doc.ref.update({
+      rebucketAt: admin.firestore.Timestamp.fromDate(now),
+    })));
+    await rebucketDueSchedules(now);
+  }
+});
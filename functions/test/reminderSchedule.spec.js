@@ -0,0 +1,120 @@
+// Pure reminder-slot logic — no emulator needed
+
+const assert = require("assert");
+const {
+  isValidTimeZone,
+  localHourOfWeek,
+  utcSlotFor,
+  nextOffsetChange,
+  buildSchedule,
+  reminderTiming,
+} = require("../reminderSchedule");
+
+const SUMMER = new Date("2026-07-15T12:00:00Z");
+const WINTER = new Date("2026-01-15T12:00:00Z");
+
+const prefs = (overrides = {}) => ({
+  dailyReminder: {enabled: true, time: "09:00", timezone: "America/New_York"},
+  weeklySummary: true,
+  ...overrides,
+});
+
+describe("reminderSchedule", () => {
+  describe("utcSlotFor", () => {
+    it("maps a local hour to its UTC hour", () => {
+      assert.strictEqual(utcSlotFor(9, 24, -240), 13); // New York, EDT
+      assert.strictEqual(utcSlotFor(9, 24, -300), 14); // New York, EST
+      assert.strictEqual(utcSlotFor(9, 24, 540), 0); // Tokyo
+      assert.strictEqual(utcSlotFor(2, 24, 540), 17); // Tokyo, day before
+    });
+
+    it("rounds half-hour zones up to the first run in the hour", () => {
+      assert.strictEqual(utcSlotFor(9, 24, 330), 4); // Kolkata
+      assert.strictEqual(utcSlotFor(9, 24, 345), 4); // Kathmandu
+    });
+
+    it("wraps Monday 9 AM east of UTC into Sunday", () => {
+      assert.strictEqual(utcSlotFor(9, 168, 840), 6 * 24 + 19); // Kiritimati
+      assert.strictEqual(utcSlotFor(9, 168, -420), 16); // Los Angeles, PDT
+    });
+  });
+
+  describe("buildSchedule", () => {
+    it("follows the zone's current offset", () => {
+      assert.strictEqual(buildSchedule(prefs(), SUMMER).dailySlot, 13);
+      assert.strictEqual(buildSchedule(prefs(), WINTER).dailySlot, 14);
+      assert.strictEqual(buildSchedule(prefs(), SUMMER).weeklySlot, 13);
+    });
+
+    it("rebuckets at the next DST change", () => {
+      assert.strictEqual(
+          buildSchedule(prefs(), SUMMER).rebucketAt.toDate().toISOString(),
+          "2026-11-01T06:00:00.000Z");
+    });
+
+    it("leaves out what is disabled", () => {
+      const weeklyOnly = buildSchedule(prefs({
+        dailyReminder: {enabled: false, timezone: "Asia/Tokyo"},
+      }), SUMMER);
+      assert.strictEqual(weeklyOnly.dailySlot, null);
+      assert.strictEqual(weeklyOnly.weeklySlot, 0);
+      assert.strictEqual(weeklyOnly.rebucketAt, null);
+
+      assert.strictEqual(buildSchedule(prefs({
+        dailyReminder: {enabled: false},
+        weeklySummary: false,
+      }), SUMMER), null);
+      assert.strictEqual(buildSchedule(undefined, SUMMER), null);
+    });
+
+    it("falls back to UTC and 9 AM for unusable prefs", () => {
+      const schedule = buildSchedule(prefs({
+        dailyReminder: {enabled: true, time: "late", timezone: "Mars/Base"},
+      }), SUMMER);
+      assert.strictEqual(schedule.timezone, "UTC");
+      assert.strictEqual(schedule.dailyHour, 9);
+      assert.strictEqual(schedule.dailySlot, 9);
+    });
+  });
+
+  describe("nextOffsetChange", () => {
+    it("finds the next transition to the hour", () => {
+      assert.strictEqual(
+          nextOffsetChange("America/New_York", WINTER).toISOString(),
+          "2026-03-08T07:00:00.000Z");
+      assert.strictEqual(
+          nextOffsetChange("Australia/Sydney", SUMMER).toISOString(),
+          "2026-10-03T16:00:00.000Z");
+    });
+
+    it("is null for zones without DST", () => {
+      assert.strictEqual(nextOffsetChange("Asia/Kolkata", SUMMER), null);
+      assert.strictEqual(nextOffsetChange("UTC", SUMMER), null);
+    });
+  });
+
+  describe("reminderTiming", () => {
+    it("classifies the run against the target hour", () => {
+      assert.strictEqual(reminderTiming(9, 9, 24), "due");
+      assert.strictEqual(reminderTiming(10, 9, 24), "late");
+      assert.strictEqual(reminderTiming(8, 9, 24), "early");
+      assert.strictEqual(reminderTiming(15, 9, 24), "off");
+      assert.strictEqual(reminderTiming(0, 23, 24), "late");
+      assert.strictEqual(reminderTiming(167, 0, 168), "early");
+    });
+  });
+
+  it("counts the local week from Monday", () => {
+    // Monday 09:00 in New York
+    assert.strictEqual(localHourOfWeek(
+        new Date("2026-10-19T13:00:00Z"), "America/New_York"), 9);
+    // Sunday 23:00 in New York, already Monday in UTC
+    assert.strictEqual(localHourOfWeek(
+        new Date("2026-10-19T03:00:00Z"), "America/New_York"), 167);
+  });
+
+  it("validates time zones", () => {
+    assert.ok(isValidTimeZone("Europe/London"));
+    assert.ok(!isValidTimeZone("Not/AZone"));
+  });
+});
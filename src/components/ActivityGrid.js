@@ -2,6 +2,7 @@
 import React, { useEffect, useState } from 'react';
 import { View, Text, StyleSheet, Dimensions, Platform } from 'react-native';
 import { useTheme } from '../context/ThemeContext';
+import { toLocalDateString } from '../utils/dateHelpers';
 
 // Safe dimension handling for iPad
 const getSafeDimensions = () => {
@@ -97,7 +98,7 @@ const ActivityGrid = ({ sessions }) => {
             continue;
           }
           
-          const dateString = date.toISOString().split('T')[0];
+          const dateString = toLocalDateString(date);
           
           // Safely calculate minutes
           const dayMinutes = (sessions[dateString] || []).reduce((total, session) => {
@@ -11,15 +11,18 @@ import {
   SafeAreaView,
 } from 'react-native';
 import { useTheme } from '../context/ThemeContext';
+import InsightCards from './InsightCards';
 
 /**
  * ExpandableInsight Component
  * 
- * Shows a truncated preview of insight text. When tapped, opens a modal
- * with the full insight text. Uses onTextLayout to detect if truncation occurred.
+ * Shows a truncated preview of an insight. When tapped, opens a modal with
+ * the full insight. Structured insights render as InsightCards (headline and
+ * first observation in the preview); plain text uses onTextLayout to detect
+ * if truncation occurred.
  * 
  * Props:
- * - insight: Object with { insightText, metadata }
+ * - insight: Object with { insight, insightText, metadata }
  * - title: String for the insight type (e.g., "Weekly Insight")
  */
 const ExpandableInsight = ({ insight, title = "Insight" }) => {
@@ -27,6 +30,11 @@ const ExpandableInsight = ({ insight, title = "Insight" }) => {
   
   const [modalVisible, setModalVisible] = useState(false);
   const [isTruncated, setIsTruncated] = useState(false);
+
+  const structured = insight.insight;
+  const hasMore = structured
+    ? structured.observations.length > 1 || !!structured.recommendation
+    : isTruncated;
   
   /**
    * onTextLayout is called after the native text layout calculation completes.
@@ -76,16 +84,20 @@ const ExpandableInsight = ({ insight, title = "Insight" }) => {
           onPress={() => setModalVisible(true)}
           activeOpacity={0.7}
         >
-          <Text 
-            style={[styles.insightText, { color: colors.text }]}
-            numberOfLines={3}
-            onTextLayout={handleTextLayout}
-          >
-            {insight.insightText}
-          </Text>
+          {structured ? (
+            <InsightCards insight={structured} compact />
+          ) : (
+            <Text 
+              style={[styles.insightText, { color: colors.text }]}
+              numberOfLines={3}
+              onTextLayout={handleTextLayout}
+            >
+              {insight.insightText}
+            </Text>
+          )}
           
-          {/* Show "Read more" indicator if text was truncated */}
-          {isTruncated && (
+          {/* Show "Read more" indicator if there is more than the preview */}
+          {hasMore && (
             <Text style={[styles.readMoreText, { color: colors.primary }]}>
               Read more →
             </Text>
@@ -130,9 +142,13 @@ const ExpandableInsight = ({ insight, title = "Insight" }) => {
             style={styles.modalContent}
             contentContainerStyle={styles.modalContentContainer}
           >
-            <Text style={[styles.modalInsightText, { color: colors.text }]}>
-              {insight.insightText}
-            </Text>
+            {structured ? (
+              <InsightCards insight={structured} />
+            ) : (
+              <Text style={[styles.modalInsightText, { color: colors.text }]}>
+                {insight.insightText}
+              </Text>
+            )}
           </ScrollView>
         </SafeAreaView>
       </Modal>
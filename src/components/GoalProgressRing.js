@@ -0,0 +1,77 @@
+// src/components/GoalProgressRing.js
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Circle } from 'react-native-svg';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * GoalProgressRing Component
+ *
+ * Circular progress toward one activity goal, with the percentage in the
+ * middle. The arc uses the activity's color and turns green once the goal
+ * is met.
+ *
+ * Props:
+ * - ratio: 0–1 progress
+ * - color: Activity color
+ * - met: Goal reached this period
+ * - size, strokeWidth: Ring dimensions
+ */
+const MET_COLOR = '#10b981';
+
+const GoalProgressRing = ({ ratio, color, met = false, size = 64, strokeWidth = 6 }) => {
+  const { colors } = useTheme();
+
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const clamped = Math.min(Math.max(ratio || 0, 0), 1);
+
+  return (
+    <View style={{ width: size, height: size }}>
+      <Svg width={size} height={size}>
+        {/* Track */}
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke={colors.border}
+          strokeWidth={strokeWidth}
+          fill="none"
+        />
+        {/* Progress — starts at 12 o'clock */}
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke={met ? MET_COLOR : color || colors.primary}
+          strokeWidth={strokeWidth}
+          strokeLinecap="round"
+          strokeDasharray={`${circumference} ${circumference}`}
+          strokeDashoffset={circumference * (1 - clamped)}
+          fill="none"
+          transform={`rotate(-90 ${size / 2} ${size / 2})`}
+        />
+      </Svg>
+      <View style={styles.center}>
+        <Text style={[styles.percent, { color: colors.text }]}>
+          {met ? '✓' : `${Math.round(clamped * 100)}%`}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  center: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  percent: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+});
+
+export default GoalProgressRing;
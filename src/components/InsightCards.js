@@ -0,0 +1,156 @@
+// src/components/InsightCards.js
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { confidenceLabel } from '../services/insights/InsightSchema';
+
+/**
+ * InsightCards Component
+ *
+ * Renders a structured insight (see InsightSchema) as a stack of cards:
+ * headline with a confidence badge, one card per observation with its
+ * supporting number, and the recommendation.
+ *
+ * Props:
+ * - insight: { headline, observations, recommendation, confidence }
+ * - compact: Headline and first observation only (previews)
+ */
+const CONFIDENCE_COLORS = {
+  High: '#10b981',
+  Medium: '#f59e0b',
+  Low: '#9ca3af',
+};
+
+const InsightCards = ({ insight, compact = false }) => {
+  const { colors } = useTheme();
+
+  if (!insight) return null;
+
+  const level = confidenceLabel(insight.confidence);
+  const observations = compact ? insight.observations.slice(0, 1) : insight.observations;
+  const cardStyle = [styles.card, { backgroundColor: colors.card, borderColor: colors.border }];
+
+  return (
+    <View style={styles.container}>
+      {/* Headline */}
+      <View style={styles.headlineRow}>
+        <Text style={[styles.headline, { color: colors.text }]} numberOfLines={compact ? 2 : undefined}>
+          {insight.headline}
+        </Text>
+        {!compact && (
+          <View style={[styles.confidenceBadge, { borderColor: CONFIDENCE_COLORS[level] }]}>
+            <Text style={[styles.confidenceText, { color: CONFIDENCE_COLORS[level] }]}>
+              {level} confidence
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {/* Observations */}
+      {observations.map((observation, i) => (
+        <View key={i} style={cardStyle}>
+          {observation.stat && (
+            <View style={styles.stat}>
+              <Text style={[styles.statValue, { color: colors.primary }]}>
+                {observation.stat.value}
+              </Text>
+              {!!observation.stat.label && (
+                <Text style={[styles.statLabel, { color: colors.textSecondary }]} numberOfLines={2}>
+                  {observation.stat.label}
+                </Text>
+              )}
+            </View>
+          )}
+          <Text
+            style={[styles.observationText, { color: colors.text }]}
+            numberOfLines={compact ? 2 : undefined}
+          >
+            {observation.text}
+          </Text>
+        </View>
+      ))}
+
+      {/* Recommendation */}
+      {!compact && insight.recommendation && (
+        <View style={[styles.card, styles.recommendationCard, { backgroundColor: colors.card, borderColor: colors.primary }]}>
+          <Text style={[styles.recommendationLabel, { color: colors.primary }]}>TRY NEXT</Text>
+          <Text style={[styles.recommendationText, { color: colors.text }]}>
+            {insight.recommendation}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 10,
+  },
+  headlineRow: {
+    gap: 8,
+    alignItems: 'flex-start',
+  },
+  headline: {
+    fontSize: 18,
+    fontWeight: '700',
+    lineHeight: 24,
+  },
+  confidenceBadge: {
+    borderWidth: 1,
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  confidenceText: {
+    fontSize: 11,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    padding: 12,
+  },
+  stat: {
+    minWidth: 64,
+    maxWidth: 96,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  statLabel: {
+    fontSize: 11,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  observationText: {
+    flex: 1,
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  recommendationCard: {
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+    gap: 4,
+  },
+  recommendationLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1.2,
+  },
+  recommendationText: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+});
+
+export default InsightCards;
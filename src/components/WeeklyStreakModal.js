@@ -12,20 +12,18 @@ import {
   StyleSheet,
 } from 'react-native';
 import { useTheme } from '../context/ThemeContext';
+import { getLocalToday, addDaysToDateString, getDayOfWeek } from '../utils/dateHelpers';
 
 // ─── Data helpers ─────────────────────────────────────────────────────────────
 
-const utcToday = () => new Date().toISOString().split('T')[0];
-
 /**
- * Derive the last 7 days (oldest → newest) as YYYY-MM-DD strings.
+ * Derive the last 7 local days (oldest → newest) as YYYY-MM-DD strings.
  */
 const getLast7Days = () => {
+  const today = getLocalToday();
   const days = [];
   for (let i = 6; i >= 0; i--) {
-    const d = new Date();
-    d.setUTCDate(d.getUTCDate() - i);
-    days.push(d.toISOString().split('T')[0]);
+    days.push(addDaysToDateString(today, -i));
   }
   return days;
 };
@@ -56,13 +54,12 @@ export const computeCurrentStreak = (sessions) => {
   if (!sessions || Object.keys(sessions).length === 0) return 0;
 
   let streak = 0;
-  const d = new Date();
+  let dateStr = getLocalToday();
 
   while (true) {
-    const dateStr = d.toISOString().split('T')[0];
     if (Array.isArray(sessions[dateStr]) && sessions[dateStr].length > 0) {
       streak++;
-      d.setUTCDate(d.getUTCDate() - 1);
+      dateStr = addDaysToDateString(dateStr, -1);
     } else {
       break;
     }
@@ -89,18 +86,15 @@ export const computeLightweightInsight = (sessions) => {
   if (allDates.length === 0) return "Complete your first session to get insights.";
 
   // ── 1. Week-over-week comparison ──────────────────────────────────────────
+  const today = getLocalToday();
   const thisWeekDates = new Set();
   const lastWeekDates = new Set();
 
   for (let i = 0; i < 7; i++) {
-    const d = new Date();
-    d.setUTCDate(d.getUTCDate() - i);
-    thisWeekDates.add(d.toISOString().split('T')[0]);
+    thisWeekDates.add(addDaysToDateString(today, -i));
   }
   for (let i = 7; i < 14; i++) {
-    const d = new Date();
-    d.setUTCDate(d.getUTCDate() - i);
-    lastWeekDates.add(d.toISOString().split('T')[0]);
+    lastWeekDates.add(addDaysToDateString(today, -i));
   }
 
   const thisWeekCount = allDates
@@ -157,7 +151,7 @@ export function WeeklyStreakModal({ visible, onClose, onStartSession, sessions =
   const weeklyActivity = computeWeeklyActivity(sessions);
   const streak = computeCurrentStreak(sessions);
   const insight = computeLightweightInsight(sessions);
-  const today = utcToday();
+  const today = getLocalToday();
 
   return (
     <Modal
@@ -188,7 +182,7 @@ export function WeeklyStreakModal({ visible, onClose, onStartSession, sessions =
                     ]}
                   />
                   <Text style={[styles.dayLabel, { color: colors.textSecondary }]}>
-                    {DAY_LABELS[new Date(date + 'T00:00:00Z').getUTCDay()]}
+                    {DAY_LABELS[getDayOfWeek(date)]}
                   </Text>
                 </View>
               );
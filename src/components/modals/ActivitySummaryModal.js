@@ -11,6 +11,9 @@ import {
   Pressable
 } from 'react-native';
 import { X } from 'lucide-react-native';
+import { getDayOfWeek } from '../../utils/dateHelpers';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 /**
  * ActivitySummaryModal
@@ -116,9 +119,8 @@ const ActivitySummaryModal = ({
     // 5. Most productive day
     const dayTotals = {};
     activitySessions.forEach(session => {
-      const dayName = new Date(session.date).toLocaleDateString('en-US', { 
-        weekday: 'long' 
-      });
+      // session.date is a local calendar date — new Date() would read it as UTC
+      const dayName = DAY_NAMES[getDayOfWeek(session.date)];
       dayTotals[dayName] = (dayTotals[dayName] || 0) + session.duration;
     });
 
@@ -0,0 +1,244 @@
+// src/components/modals/EditSessionModal.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+    Pressable,
+} from 'react-native';
+import BaseModal from './BaseModal';
+// The longest a session can run (a stopwatch at its cap)
+import { STOPWATCH_MAX_MINUTES } from '../../utils/stopwatch';
+
+const SCORES = [1, 2, 3, 4, 5];
+
+const REFLECTION_FIELDS = [
+    { key: 'workedOn', label: 'What did you work on?' },
+    { key: 'wentWell', label: 'What went well?' },
+    { key: 'distractions', label: 'What distracted you?' },
+    { key: 'nextStep', label: 'What will you do next?' },
+];
+
+const EMPTY_REFLECTION = { workedOn: '', wentWell: '', distractions: '', nextStep: '' };
+
+/**
+ * Correct a saved session: activity, duration, ratings and reflection.
+ *
+ * onSave(changes) receives the deepWorkStore.updateSession changes. Ratings
+ * are only sent once the session has been rated or a score is picked here,
+ * so an unrated session stays unrated.
+ */
+const EditSessionModal = ({
+    visible,
+    onClose,
+    onSave,
+    session = null,
+    activities = [],
+}) => {
+    const [activity, setActivity] = useState(null);
+    const [duration, setDuration] = useState('');
+    const [focus, setFocus] = useState(null);
+    const [productivity, setProductivity] = useState(null);
+    const [reflection, setReflection] = useState(EMPTY_REFLECTION);
+
+    useEffect(() => {
+        if (!visible || !session) return;
+        setActivity(session.activity);
+        setDuration(String(Math.round(session.duration)));
+        setFocus(session.rating?.focus ?? null);
+        setProductivity(session.rating?.productivity ?? null);
+        setReflection({
+            ...EMPTY_REFLECTION,
+            // Older sessions only kept a notes string
+            workedOn: session.rating?.notes || '',
+            ...session.rating?.reflection,
+        });
+    }, [visible, session]);
+
+    const minutes = parseInt(duration, 10);
+    const isValid = activities.some(a => a.id === activity) && minutes >= 1 && minutes <= STOPWATCH_MAX_MINUTES;
+    const isRated = focus != null || productivity != null || !!session?.rating;
+
+    const save = () => {
+        onSave({
+            activity,
+            duration: minutes,
+            ...(isRated && {
+                rating: {
+                    focus,
+                    productivity,
+                    reflection: Object.fromEntries(
+                        Object.entries(reflection).map(([key, value]) => [key, value.trim()])
+                    ),
+                },
+            }),
+        });
+    };
+
+    const renderScores = (value, onChange) => (
+        <View style={styles.optionRow}>
+            {SCORES.map(score => (
+                <Pressable
+                    key={score}
+                    style={[styles.option, score === value && styles.optionSelected]}
+                    // Tapping the picked score again clears it
+                    onPress={() => onChange(score === value ? null : score)}
+                >
+                    <Text style={[styles.optionText, score === value && styles.optionTextSelected]}>
+                        {score}
+                    </Text>
+                </Pressable>
+            ))}
+        </View>
+    );
+
+    return (
+        <BaseModal visible={visible} onClose={onClose}>
+            <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+                <Text style={styles.title}>Edit Session</Text>
+
+                {/* Activity */}
+                <Text style={styles.fieldLabel}>ACTIVITY</Text>
+                <View style={styles.optionRow}>
+                    {activities.map(item => (
+                        <Pressable
+                            key={item.id}
+                            style={[styles.option, item.id === activity && styles.optionSelected]}
+                            onPress={() => setActivity(item.id)}
+                        >
+                            <View style={[styles.colorDot, { backgroundColor: item.color }]} />
+                            <Text style={[styles.optionText, item.id === activity && styles.optionTextSelected]}>
+                                {item.name}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {/* Duration */}
+                <Text style={styles.fieldLabel}>DURATION (MINUTES)</Text>
+                <TextInput
+                    style={styles.input}
+                    value={duration}
+                    onChangeText={text => setDuration(text.replace(/[^0-9]/g, ''))}
+                    keyboardType="number-pad"
+                    maxLength={3}
+                />
+
+                {/* Ratings */}
+                <Text style={styles.fieldLabel}>FOCUS</Text>
+                {renderScores(focus, setFocus)}
+                <Text style={styles.fieldLabel}>ACCOMPLISHED</Text>
+                {renderScores(productivity, setProductivity)}
+
+                {/* Reflection */}
+                {REFLECTION_FIELDS.map(field => (
+                    <View key={field.key}>
+                        <Text style={styles.fieldLabel}>{field.label.toUpperCase()}</Text>
+                        <TextInput
+                            style={[styles.input, styles.multilineInput]}
+                            value={reflection[field.key]}
+                            onChangeText={text => setReflection(current => ({ ...current, [field.key]: text }))}
+                            placeholder={field.label}
+                            placeholderTextColor="#AAAAAA"
+                            multiline
+                            maxLength={field.key === 'workedOn' ? 120 : undefined}
+                        />
+                    </View>
+                ))}
+
+                {/* Save Button */}
+                <TouchableOpacity
+                    style={[styles.saveButton, !isValid && styles.saveButtonDisabled]}
+                    onPress={save}
+                    disabled={!isValid}
+                >
+                    <Text style={styles.saveButtonText}>Save Changes</Text>
+                </TouchableOpacity>
+            </ScrollView>
+        </BaseModal>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: '100%',
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginBottom: 15,
+    },
+    fieldLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        letterSpacing: 1,
+        marginBottom: 8,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 16,
+    },
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+    },
+    optionSelected: {
+        borderColor: '#2563EB',
+        backgroundColor: '#EFF6FF',
+    },
+    optionText: {
+        color: '#000',
+    },
+    optionTextSelected: {
+        color: '#2563EB',
+        fontWeight: '600',
+    },
+    colorDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 6,
+    },
+    input: {
+        height: 50,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 15,
+        marginBottom: 16,
+    },
+    multilineInput: {
+        height: undefined,
+        minHeight: 60,
+        paddingVertical: 12,
+        textAlignVertical: 'top',
+    },
+    saveButton: {
+        backgroundColor: '#2563EB',
+        padding: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    saveButtonDisabled: {
+        opacity: 0.5,
+    },
+    saveButtonText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+});
+
+export default EditSessionModal;
@@ -0,0 +1,379 @@
+// src/components/modals/FocusBlockModal.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    Switch,
+    ScrollView,
+    Pressable,
+    Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import BaseModal from './BaseModal';
+import { REPEAT_OPTIONS, repeatDaysFor, repeatOptionOf, describeRepeat } from '../../utils/focusBlocks';
+import { toLocalDateString } from '../../utils/dateHelpers';
+
+// Same lengths HomeScreen offers, plus the longer blocks people plan ahead
+const BLOCK_DURATIONS = [15, 20, 30, 45, 60, 90];
+
+// 🔒 Same gate as HomeScreen: 45+ minute sessions are premium
+const PREMIUM_MINUTES = 45;
+
+const MUSIC_OPTIONS = [
+    { value: 'none', label: 'No music' },
+    { value: 'white-noise', label: 'White noise' },
+    { value: 'lofi', label: 'Lo-fi' },
+];
+
+const DEFAULT_TIME = '09:00';
+
+const timeToDate = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+
+const dateToTime = (date) =>
+    `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const dateStringToDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Plan a new focus block, or change or remove an existing one.
+ *
+ * onSave(block) receives the block without storage fields (see
+ * utils/focusBlocks); an edited block keeps its id. onDelete(blockId) removes
+ * it from the plan. onPremiumRequired() is called instead of selecting a
+ * premium-only length.
+ */
+const FocusBlockModal = ({
+    visible,
+    onClose,
+    onSave,
+    onDelete,
+    onPremiumRequired,
+    activities = [],
+    initialBlock = null,
+    initialDate = null,
+    isPremium = false,
+    focusLockAvailable = false,
+}) => {
+    const [activity, setActivity] = useState(null);
+    const [duration, setDuration] = useState(30);
+    const [musicChoice, setMusicChoice] = useState('none');
+    const [focusLockEnabled, setFocusLockEnabled] = useState(false);
+    const [date, setDate] = useState(toLocalDateString(new Date()));
+    const [time, setTime] = useState(DEFAULT_TIME);
+    const [repeatOption, setRepeatOption] = useState('once');
+    // 'date' | 'time' while a picker is open
+    const [editing, setEditing] = useState(null);
+
+    // Start from the block being edited, or a fresh block on the chosen day
+    useEffect(() => {
+        if (!visible) return;
+        const block = initialBlock;
+        setActivity(block?.activity ?? activities[0]?.id ?? null);
+        setDuration(block?.duration ?? 30);
+        setMusicChoice(block?.musicChoice ?? 'none');
+        setFocusLockEnabled(!!block?.focusLockEnabled);
+        setDate(block?.date ?? initialDate ?? toLocalDateString(new Date()));
+        setTime(block?.time ?? DEFAULT_TIME);
+        setRepeatOption(block ? repeatOptionOf(block) : 'once');
+        setEditing(null);
+    }, [visible, initialBlock, initialDate]);
+
+    const selectDuration = (minutes) => {
+        if (!isPremium && minutes >= PREMIUM_MINUTES) {
+            onPremiumRequired?.();
+            return;
+        }
+        setDuration(minutes);
+    };
+
+    const handlePickerChange = (event, picked) => {
+        const field = editing;
+        // Android shows a one-shot dialog; iOS keeps the spinner until Done
+        if (Platform.OS === 'android') setEditing(null);
+        if (!field || event?.type === 'dismissed' || !picked) return;
+        if (field === 'date') setDate(toLocalDateString(picked));
+        else setTime(dateToTime(picked));
+    };
+
+    const draft = {
+        ...(initialBlock && { id: initialBlock.id, createdAt: initialBlock.createdAt }),
+        activity,
+        duration,
+        musicChoice,
+        focusLockEnabled: focusLockAvailable && focusLockEnabled,
+        date,
+        time,
+        // Keep hand-picked days (e.g. Mon + Wed) unless the repeat was changed
+        repeat: initialBlock && repeatOption === repeatOptionOf(initialBlock) && date === initialBlock.date
+            ? initialBlock.repeat
+            : repeatDaysFor(repeatOption, date),
+        until: initialBlock?.until ?? null,
+    };
+    const isValid = activities.some(a => a.id === activity);
+
+    return (
+        <BaseModal visible={visible} onClose={onClose}>
+            <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+                <Text style={styles.title}>{initialBlock ? 'Edit Focus Block' : 'Plan a Focus Block'}</Text>
+                <Text style={styles.instructionText}>
+                    You'll get a notification when it starts — tap it to begin the session.
+                </Text>
+
+                {/* Activity */}
+                <Text style={styles.fieldLabel}>ACTIVITY</Text>
+                <View style={styles.optionRow}>
+                    {activities.map(item => (
+                        <Pressable
+                            key={item.id}
+                            style={[styles.option, item.id === activity && styles.optionSelected]}
+                            onPress={() => setActivity(item.id)}
+                        >
+                            <View style={[styles.colorDot, { backgroundColor: item.color }]} />
+                            <Text style={[styles.optionText, item.id === activity && styles.optionTextSelected]}>
+                                {item.name}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {/* Length */}
+                <Text style={styles.fieldLabel}>LENGTH</Text>
+                <View style={styles.optionRow}>
+                    {BLOCK_DURATIONS.map(minutes => (
+                        <Pressable
+                            key={minutes}
+                            style={[styles.option, minutes === duration && styles.optionSelected]}
+                            onPress={() => selectDuration(minutes)}
+                        >
+                            <Text style={[styles.optionText, minutes === duration && styles.optionTextSelected]}>
+                                {minutes} min{!isPremium && minutes >= PREMIUM_MINUTES ? ' 🔒' : ''}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {/* When */}
+                <Text style={styles.fieldLabel}>WHEN</Text>
+                <View style={styles.optionRow}>
+                    {['date', 'time'].map(field => (
+                        <TouchableOpacity
+                            key={field}
+                            style={[styles.option, editing === field && styles.optionSelected]}
+                            onPress={() => setEditing(field)}
+                            accessibilityLabel={`Block ${field}`}
+                        >
+                            <Text style={styles.optionText}>
+                                {field === 'date'
+                                    ? dateStringToDate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+                                    : time}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                {editing && (
+                    <View>
+                        <DateTimePicker
+                            value={editing === 'date' ? dateStringToDate(date) : timeToDate(time)}
+                            mode={editing}
+                            is24Hour={true}
+                            minimumDate={editing === 'date' && !initialBlock ? new Date() : undefined}
+                            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                            onChange={handlePickerChange}
+                        />
+                        {Platform.OS === 'ios' && (
+                            <TouchableOpacity style={styles.doneButton} onPress={() => setEditing(null)}>
+                                <Text style={styles.doneButtonText}>Done</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+
+                {/* Repeat */}
+                <Text style={styles.fieldLabel}>REPEAT</Text>
+                <View style={styles.optionRow}>
+                    {REPEAT_OPTIONS.map(option => (
+                        <Pressable
+                            key={option.id}
+                            style={[styles.option, option.id === repeatOption && styles.optionSelected]}
+                            onPress={() => setRepeatOption(option.id)}
+                        >
+                            <Text style={[styles.optionText, option.id === repeatOption && styles.optionTextSelected]}>
+                                {option.label}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+                <Text style={styles.summaryText}>{describeRepeat(draft)}</Text>
+
+                {/* Music */}
+                <Text style={styles.fieldLabel}>MUSIC</Text>
+                <View style={styles.optionRow}>
+                    {MUSIC_OPTIONS.map(option => (
+                        <Pressable
+                            key={option.value}
+                            style={[styles.option, option.value === musicChoice && styles.optionSelected]}
+                            onPress={() => setMusicChoice(option.value)}
+                        >
+                            <Text style={[styles.optionText, option.value === musicChoice && styles.optionTextSelected]}>
+                                {option.label}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {focusLockAvailable && (
+                    <View style={styles.switchRow}>
+                        <Text style={styles.switchLabel}>🔒 Focus Lock</Text>
+                        <Switch
+                            value={focusLockEnabled}
+                            onValueChange={setFocusLockEnabled}
+                            trackColor={{ true: '#2563eb' }}
+                            accessibilityLabel="Focus Lock"
+                        />
+                    </View>
+                )}
+
+                {/* Save Button */}
+                <TouchableOpacity
+                    style={[styles.saveButton, !isValid && styles.saveButtonDisabled]}
+                    onPress={() => onSave(draft)}
+                    disabled={!isValid}
+                >
+                    <Text style={styles.saveButtonText}>{initialBlock ? 'Save Changes' : 'Plan Block'}</Text>
+                </TouchableOpacity>
+
+                {initialBlock && (
+                    <TouchableOpacity
+                        style={styles.removeButton}
+                        onPress={() => onDelete(initialBlock.id)}
+                    >
+                        <Text style={styles.removeButtonText}>
+                            {initialBlock.repeat ? 'Stop repeating' : 'Remove block'}
+                        </Text>
+                    </TouchableOpacity>
+                )}
+            </ScrollView>
+        </BaseModal>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: '100%',
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    instructionText: {
+        fontSize: 14,
+        color: '#6B7280',
+        textAlign: 'center',
+        marginBottom: 15,
+        lineHeight: 20,
+    },
+    fieldLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        letterSpacing: 1,
+        marginBottom: 8,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 16,
+    },
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+    },
+    optionSelected: {
+        borderColor: '#2563EB',
+        backgroundColor: '#EFF6FF',
+    },
+    optionText: {
+        color: '#000',
+    },
+    optionTextSelected: {
+        color: '#2563EB',
+        fontWeight: '600',
+    },
+    colorDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 6,
+    },
+    summaryText: {
+        fontSize: 13,
+        color: '#6B7280',
+        marginTop: -8,
+        marginBottom: 16,
+    },
+    doneButton: {
+        alignSelf: 'flex-end',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        marginBottom: 12,
+    },
+    doneButtonText: {
+        color: '#2563EB',
+        fontWeight: '600',
+    },
+    switchRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    switchLabel: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+    },
+    saveButton: {
+        backgroundColor: '#2563EB',
+        padding: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    saveButtonDisabled: {
+        opacity: 0.5,
+    },
+    saveButtonText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    removeButton: {
+        padding: 12,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    removeButtonText: {
+        color: '#DC2626',
+        fontWeight: '600',
+    },
+});
+
+export default FocusBlockModal;
@@ -1,20 +1,33 @@
 // src/components/modals/GoalSetupModal.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
     TextInput,
     TouchableOpacity,
     StyleSheet,
-    Platform,
     Pressable,
 } from 'react-native';
 import BaseModal from './BaseModal';
+import { GOAL_DEFINITIONS } from '../../services/goalService';
 
-const GoalSetupModal = ({ 
-    visible, 
-    onClose, 
-    onSave, 
+/**
+ * Set, change or remove the goal on one activity.
+ *
+ * onSave(activityId, goal) receives `{ type, target }`, or null when the goal
+ * is removed; saving goes through deepWorkStore.updateActivityGoal.
+ */
+const GOAL_TYPE_OPTIONS = Object.entries(GOAL_DEFINITIONS).map(([type, definition]) => ({
+    type,
+    label: definition.label,
+}));
+
+const GoalSetupModal = ({
+    visible,
+    onClose,
+    onSave,
+    activities = [],
+    initialActivityId = null,
     preventClose = false,
     // Progress bar props
     showProgress = false,
@@ -22,67 +35,31 @@ const GoalSetupModal = ({
     totalSteps = 4,
     stepLabels = []
 }) => {
-    // State for goals list and current goal being created
-    const [goals, setGoals] = useState([]);
-    const [currentGoal, setCurrentGoal] = useState({
-        name: '',
-        frequency: '',
-        hours: ''
-    });
-    
-    // State for dropdown visibility
-    const [showFrequencyPicker, setShowFrequencyPicker] = useState(false);
-    const [showHoursPicker, setShowHoursPicker] = useState(false);
+    const [activityId, setActivityId] = useState(null);
+    const [goalType, setGoalType] = useState('weekly_hours');
+    const [target, setTarget] = useState('');
 
-    // Options for frequency and hours
-    const frequencyOptions = ['Daily', 'Weekly', 'Monthly'];
-    const hoursOptions = Array.from({ length: 24 }, (_, i) => (i + 1).toString());
+    const selectedActivity = activities.find(a => a.id === activityId);
 
-    const handleAddGoal = () => {
-        if (currentGoal.name && currentGoal.frequency && currentGoal.hours) {
-            setGoals([...goals, { 
-                ...currentGoal, 
-                id: Date.now().toString() 
-            }]);
-            setCurrentGoal({ name: '', frequency: '', hours: '' });
-        }
-    };
+    // Start from the chosen activity's current goal each time the modal opens
+    useEffect(() => {
+        if (!visible) return;
+        const initial = activities.find(a => a.id === initialActivityId) || activities[0];
+        setActivityId(initial?.id ?? null);
+    }, [visible, initialActivityId]);
 
-    // Custom Dropdown Component
-    const Dropdown = ({ options, value, onSelect, placeholder, visible, setVisible }) => (
-        <View>
-            <Pressable 
-                style={styles.dropdownTrigger}
-                onPress={() => setVisible(!visible)}
-            >
-                <Text style={value ? styles.dropdownValue : styles.dropdownPlaceholder}>
-                    {value || placeholder}
-                </Text>
-            </Pressable>
+    useEffect(() => {
+        setGoalType(selectedActivity?.goal?.type || 'weekly_hours');
+        setTarget(selectedActivity?.goal ? String(selectedActivity.goal.target) : '');
+    }, [activityId]);
 
-            {visible && (
-                <View style={styles.dropdownMenu}>
-                    {options.map((option) => (
-                        <Pressable
-                            key={option}
-                            style={styles.dropdownItem}
-                            onPress={() => {
-                                onSelect(option);
-                                setVisible(false);
-                            }}
-                        >
-                            <Text style={styles.dropdownItemText}>{option}</Text>
-                        </Pressable>
-                    ))}
-                </View>
-            )}
-        </View>
-    );
+    const parsedTarget = parseFloat(target.replace(',', '.'));
+    const isValidTarget = Number.isFinite(parsedTarget) && parsedTarget > 0;
 
     return (
-        <BaseModal 
-            visible={visible} 
-            onClose={onClose} 
+        <BaseModal
+            visible={visible}
+            onClose={onClose}
             preventClose={preventClose}
             showProgress={showProgress}
             currentStep={currentStep}
@@ -92,92 +69,82 @@ const GoalSetupModal = ({
             <View style={styles.container}>
                 <Text style={styles.title}>Set Your Goals</Text>
                 <Text style={styles.instructionText}>
-                    Now choose something to work towards. We will track your time towards this.
+                    Choose something to work towards. Progress is tracked from your completed sessions.
                 </Text>
 
-                {/* Goal Input Form */}
-                <View style={styles.inputForm}>
-                    <TextInput
-                        style={styles.nameInput}
-                        value={currentGoal.name}
-                        onChangeText={(text) => 
-                            setCurrentGoal(prev => ({ ...prev, name: text }))
-                        }
-                        placeholder="GOAL NAME"
-                        placeholderTextColor="#AAAAAA"
-                    />
-
-                    <View style={styles.inputRow}>
-                        {/* Frequency Dropdown */}
-                        <View style={styles.frequencyContainer}>
-                            <Dropdown
-                                options={frequencyOptions}
-                                value={currentGoal.frequency}
-                                onSelect={(value) => 
-                                    setCurrentGoal(prev => ({ ...prev, frequency: value }))
-                                }
-                                placeholder="FREQUENCY"
-                                visible={showFrequencyPicker}
-                                setVisible={setShowFrequencyPicker}
-                            />
-                        </View>
-
-                        {/* Hours Dropdown - Fixed Container */}
-                        <View style={styles.hoursContainer}>
-                            <Dropdown
-                                options={hoursOptions}
-                                value={currentGoal.hours}
-                                onSelect={(value) => 
-                                    setCurrentGoal(prev => ({ ...prev, hours: value }))
-                                }
-                                placeholder="HOURS"
-                                visible={showHoursPicker}
-                                setVisible={setShowHoursPicker}
-                            />
-                        </View>
-                    </View>
-
-                    <TouchableOpacity
-                        style={[
-                            styles.addButton,
-                            (!currentGoal.name || !currentGoal.frequency || !currentGoal.hours) && 
-                            styles.addButtonDisabled
-                        ]}
-                        onPress={handleAddGoal}
-                        disabled={!currentGoal.name || !currentGoal.frequency || !currentGoal.hours}
-                    >
-                        <Text style={styles.addButtonText}>Add</Text>
-                    </TouchableOpacity>
+                {/* Activity */}
+                <Text style={styles.fieldLabel}>ACTIVITY</Text>
+                <View style={styles.optionRow}>
+                    {activities.map(activity => (
+                        <Pressable
+                            key={activity.id}
+                            style={[
+                                styles.option,
+                                activity.id === activityId && styles.optionSelected,
+                            ]}
+                            onPress={() => setActivityId(activity.id)}
+                        >
+                            <View style={[styles.colorDot, { backgroundColor: activity.color }]} />
+                            <Text style={[
+                                styles.optionText,
+                                activity.id === activityId && styles.optionTextSelected,
+                            ]}>
+                                {activity.name}
+                            </Text>
+                        </Pressable>
+                    ))}
                 </View>
 
-                {/* Goals List */}
-                <View style={styles.goalsList}>
-                    {goals.map((goal) => (
-                        <View key={goal.id} style={styles.goalItem}>
-                            <Text style={styles.goalName}>{goal.name}</Text>
-                            <Text style={styles.goalDetails}>
-                                {goal.frequency} - {goal.hours} hours
+                {/* Goal type */}
+                <Text style={styles.fieldLabel}>GOAL</Text>
+                <View style={styles.optionRow}>
+                    {GOAL_TYPE_OPTIONS.map(option => (
+                        <Pressable
+                            key={option.type}
+                            style={[styles.option, option.type === goalType && styles.optionSelected]}
+                            onPress={() => setGoalType(option.type)}
+                        >
+                            <Text style={[
+                                styles.optionText,
+                                option.type === goalType && styles.optionTextSelected,
+                            ]}>
+                                {option.label}
                             </Text>
-                        </View>
+                        </Pressable>
                     ))}
                 </View>
 
+                {/* Target */}
+                <View style={styles.targetRow}>
+                    <TextInput
+                        style={styles.targetInput}
+                        value={target}
+                        onChangeText={setTarget}
+                        placeholder="TARGET"
+                        placeholderTextColor="#AAAAAA"
+                        keyboardType="decimal-pad"
+                        maxLength={5}
+                    />
+                    <Text style={styles.targetUnit}>{GOAL_DEFINITIONS[goalType].label}</Text>
+                </View>
+
                 {/* Save Button */}
                 <TouchableOpacity
-                    style={[styles.saveButton, !goals.length && styles.saveButtonDisabled]}
-                    onPress={() => {
-                        if (goals.length > 0) {
-                            onSave(goals);
-                        } else {
-                            // If no goals are added, still allow saving an empty array
-                            // This makes the goal setup optional
-                            onSave([]);
-                        }
-                    }}
-                    // Enabled even with no goals to allow users to skip goal setup
+                    style={[styles.saveButton, (!selectedActivity || !isValidTarget) && styles.saveButtonDisabled]}
+                    onPress={() => onSave(activityId, { type: goalType, target: parsedTarget })}
+                    disabled={!selectedActivity || !isValidTarget}
                 >
-                    <Text style={styles.saveButtonText}>Save Goals</Text>
+                    <Text style={styles.saveButtonText}>Save Goal</Text>
                 </TouchableOpacity>
+
+                {selectedActivity?.goal && (
+                    <TouchableOpacity
+                        style={styles.removeButton}
+                        onPress={() => onSave(activityId, null)}
+                    >
+                        <Text style={styles.removeButtonText}>Remove goal</Text>
+                    </TouchableOpacity>
+                )}
             </View>
         </BaseModal>
     );
@@ -200,95 +167,61 @@ const styles = StyleSheet.create({
         marginBottom: 15,
         lineHeight: 20,
     },
-    inputForm: {
-        width: '100%',
-    },
-    nameInput: {
-        height: 50,
-        borderWidth: 1,
-        borderColor: '#E5E7EB',
-        borderRadius: 8,
-        paddingHorizontal: 15,
-        marginBottom: 10,
+    fieldLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        letterSpacing: 1,
+        marginBottom: 8,
     },
-    inputRow: {
+    optionRow: {
         flexDirection: 'row',
-        justifyContent: 'space-between',
-        marginBottom: 10,
-        width: '100%'
-    },
-    frequencyContainer: {
-        flex: 2,
-        marginRight: 10,
-    },
-    hoursContainer: {
-        flex: 1,
-        minWidth: 80, // Added minimum width to prevent text wrapping
-    },
-    dropdownTrigger: {
-        height: 50,
-        borderWidth: 1,
-        borderColor: '#E5E7EB',
-        borderRadius: 8,
-        paddingHorizontal: 15,
-        justifyContent: 'center',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 16,
     },
-    dropdownValue: {
-        color: '#000',
-    },
-    dropdownPlaceholder: {
-        color: '#6B7280',
-    },
-    dropdownMenu: {
-        position: 'absolute',
-        top: '100%',
-        left: 0,
-        right: 0,
-        backgroundColor: 'white',
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
         borderWidth: 1,
         borderColor: '#E5E7EB',
         borderRadius: 8,
-        zIndex: 1000,
-        elevation: 5,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
     },
-    dropdownItem: {
-        padding: 15,
-        borderBottomWidth: 1,
-        borderBottomColor: '#E5E7EB',
+    optionSelected: {
+        borderColor: '#2563EB',
+        backgroundColor: '#EFF6FF',
     },
-    dropdownItemText: {
+    optionText: {
         color: '#000',
     },
-    addButton: {
-        backgroundColor: '#2563EB',
-        padding: 15,
-        borderRadius: 8,
-        alignItems: 'center',
-        marginTop: 5,
-    },
-    addButtonDisabled: {
-        opacity: 0.5,
+    optionTextSelected: {
+        color: '#2563EB',
+        fontWeight: '600',
     },
-    addButtonText: {
-        color: 'white',
-        fontWeight: 'bold',
+    colorDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 6,
     },
-    goalsList: {
-        marginTop: 20,
+    targetRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
         marginBottom: 20,
     },
-    goalItem: {
-        padding: 15,
-        backgroundColor: '#F3F4F6',
+    targetInput: {
+        height: 50,
+        width: 100,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
         borderRadius: 8,
-        marginBottom: 10,
-    },
-    goalName: {
-        fontSize: 16,
-        fontWeight: 'bold',
-        marginBottom: 5,
+        paddingHorizontal: 15,
+        marginRight: 10,
     },
-    goalDetails: {
+    targetUnit: {
+        flex: 1,
         color: '#6B7280',
     },
     saveButton: {
@@ -305,6 +238,15 @@ const styles = StyleSheet.create({
         color: 'white',
         fontWeight: 'bold',
     },
+    removeButton: {
+        padding: 12,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    removeButtonText: {
+        color: '#DC2626',
+        fontWeight: '600',
+    },
 });
 
-export default GoalSetupModal;
\ No newline at end of file
+export default GoalSetupModal;
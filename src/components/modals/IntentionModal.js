@@ -0,0 +1,124 @@
+// src/components/modals/IntentionModal.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+} from 'react-native';
+import BaseModal from './BaseModal';
+import { MAX_INTENTION_LENGTH, cleanIntention } from '../../utils/intentions';
+
+/**
+ * Optional "what will you get done?" step before a session starts.
+ *
+ * suggestion is the last nextStep for the chosen activity and prefills the
+ * field. onStart(intention) receives the cleaned text, or null when the user
+ * skips or leaves it blank. Closing the modal cancels the start.
+ */
+const IntentionModal = ({
+    visible,
+    onClose,
+    onStart,
+    activityName,
+    suggestion = null,
+}) => {
+    const [text, setText] = useState('');
+
+    useEffect(() => {
+        if (visible) setText(suggestion ?? '');
+    }, [visible, suggestion]);
+
+    return (
+        <BaseModal visible={visible} onClose={onClose}>
+            <View style={styles.container}>
+                <Text style={styles.title}>Set an intention</Text>
+                <Text style={styles.instructionText}>
+                    What do you want to get done{activityName ? ` in this ${activityName} session` : ''}?
+                </Text>
+
+                <TextInput
+                    style={styles.input}
+                    value={text}
+                    onChangeText={setText}
+                    placeholder="e.g. Finish the intro draft"
+                    placeholderTextColor="#AAAAAA"
+                    maxLength={MAX_INTENTION_LENGTH}
+                    multiline
+                    autoFocus
+                />
+                {suggestion ? (
+                    <Text style={styles.hintText}>From your last session's next step</Text>
+                ) : null}
+
+                <TouchableOpacity
+                    style={styles.saveButton}
+                    onPress={() => onStart(cleanIntention(text))}
+                >
+                    <Text style={styles.saveButtonText}>Start session</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.skipButton} onPress={() => onStart(null)}>
+                    <Text style={styles.skipButtonText}>Skip</Text>
+                </TouchableOpacity>
+            </View>
+        </BaseModal>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: '100%',
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    instructionText: {
+        fontSize: 14,
+        color: '#6B7280',
+        textAlign: 'center',
+        marginBottom: 15,
+        lineHeight: 20,
+    },
+    input: {
+        minHeight: 80,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 15,
+        paddingVertical: 12,
+        textAlignVertical: 'top',
+        marginBottom: 8,
+    },
+    hintText: {
+        fontSize: 12,
+        color: '#6B7280',
+        marginBottom: 8,
+    },
+    saveButton: {
+        backgroundColor: '#2563EB',
+        padding: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    saveButtonText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    skipButton: {
+        padding: 12,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    skipButtonText: {
+        color: '#6B7280',
+        fontWeight: '600',
+    },
+});
+
+export default IntentionModal;
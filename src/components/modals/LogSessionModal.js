@@ -0,0 +1,295 @@
+// src/components/modals/LogSessionModal.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+    Pressable,
+    Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import BaseModal from './BaseModal';
+import { MAX_MANUAL_MINUTES } from '../../utils/manualSessions';
+import { toLocalDateString } from '../../utils/dateHelpers';
+
+const LOG_DURATIONS = [15, 30, 45, 60, 90, 120];
+
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+
+const timeToDate = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+
+const dateToTime = (date) =>
+    `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const dateStringToDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Log a session done away from the app.
+ *
+ * onSave({ date, time, duration, activity }) is awaited; the parent checks it
+ * (deepWorkStore.logPastSession) and passes any problem back as `error`.
+ * Reflection happens on the rating screen once the session is saved.
+ */
+const LogSessionModal = ({
+    visible,
+    onClose,
+    onSave,
+    activities = [],
+    error = null,
+}) => {
+    const [activity, setActivity] = useState(null);
+    const [date, setDate] = useState(toLocalDateString(new Date()));
+    const [time, setTime] = useState('09:00');
+    const [duration, setDuration] = useState(60);
+    const [customDuration, setCustomDuration] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    // 'date' | 'time' while a picker is open
+    const [editing, setEditing] = useState(null);
+
+    // Start as "the hour that just ended, today"
+    useEffect(() => {
+        if (!visible) return;
+        const start = new Date(Math.floor((Date.now() - 60 * 60 * 1000) / QUARTER_HOUR_MS) * QUARTER_HOUR_MS);
+        setActivity(activities[0]?.id ?? null);
+        setDate(toLocalDateString(start));
+        setTime(dateToTime(start));
+        setDuration(60);
+        setCustomDuration('');
+        setEditing(null);
+    }, [visible]);
+
+    const handlePickerChange = (event, picked) => {
+        const field = editing;
+        // Android shows a one-shot dialog; iOS keeps the spinner until Done
+        if (Platform.OS === 'android') setEditing(null);
+        if (!field || event?.type === 'dismissed' || !picked) return;
+        if (field === 'date') setDate(toLocalDateString(picked));
+        else setTime(dateToTime(picked));
+    };
+
+    const minutes = customDuration ? parseInt(customDuration, 10) : duration;
+    const isValid = activities.some(a => a.id === activity) && minutes >= 1 && minutes <= MAX_MANUAL_MINUTES;
+
+    const save = async () => {
+        setIsSaving(true);
+        try {
+            await onSave({ date, time, duration: minutes, activity });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <BaseModal visible={visible} onClose={onClose}>
+            <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+                <Text style={styles.title}>Log a Past Session</Text>
+                <Text style={styles.instructionText}>
+                    Worked away from your phone? Add it here, then rate and reflect on it.
+                </Text>
+
+                {/* Activity */}
+                <Text style={styles.fieldLabel}>ACTIVITY</Text>
+                <View style={styles.optionRow}>
+                    {activities.map(item => (
+                        <Pressable
+                            key={item.id}
+                            style={[styles.option, item.id === activity && styles.optionSelected]}
+                            onPress={() => setActivity(item.id)}
+                        >
+                            <View style={[styles.colorDot, { backgroundColor: item.color }]} />
+                            <Text style={[styles.optionText, item.id === activity && styles.optionTextSelected]}>
+                                {item.name}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {/* Started */}
+                <Text style={styles.fieldLabel}>STARTED</Text>
+                <View style={styles.optionRow}>
+                    {['date', 'time'].map(field => (
+                        <TouchableOpacity
+                            key={field}
+                            style={[styles.option, editing === field && styles.optionSelected]}
+                            onPress={() => setEditing(field)}
+                            accessibilityLabel={`Session ${field}`}
+                        >
+                            <Text style={styles.optionText}>
+                                {field === 'date'
+                                    ? dateStringToDate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+                                    : time}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                {editing && (
+                    <View>
+                        <DateTimePicker
+                            value={editing === 'date' ? dateStringToDate(date) : timeToDate(time)}
+                            mode={editing}
+                            is24Hour={true}
+                            maximumDate={editing === 'date' ? new Date() : undefined}
+                            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                            onChange={handlePickerChange}
+                        />
+                        {Platform.OS === 'ios' && (
+                            <TouchableOpacity style={styles.doneButton} onPress={() => setEditing(null)}>
+                                <Text style={styles.doneButtonText}>Done</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+
+                {/* Length */}
+                <Text style={styles.fieldLabel}>LENGTH</Text>
+                <View style={styles.optionRow}>
+                    {LOG_DURATIONS.map(option => (
+                        <Pressable
+                            key={option}
+                            style={[styles.option, !customDuration && option === duration && styles.optionSelected]}
+                            onPress={() => {
+                                setDuration(option);
+                                setCustomDuration('');
+                            }}
+                        >
+                            <Text style={[styles.optionText, !customDuration && option === duration && styles.optionTextSelected]}>
+                                {option} min
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+                <TextInput
+                    style={styles.input}
+                    value={customDuration}
+                    onChangeText={text => setCustomDuration(text.replace(/[^0-9]/g, ''))}
+                    placeholder="Other length (minutes)"
+                    placeholderTextColor="#AAAAAA"
+                    keyboardType="number-pad"
+                    maxLength={3}
+                />
+
+                {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+                {/* Save Button */}
+                <TouchableOpacity
+                    style={[styles.saveButton, (!isValid || isSaving) && styles.saveButtonDisabled]}
+                    onPress={save}
+                    disabled={!isValid || isSaving}
+                >
+                    <Text style={styles.saveButtonText}>Log Session</Text>
+                </TouchableOpacity>
+            </ScrollView>
+        </BaseModal>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: '100%',
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    instructionText: {
+        fontSize: 14,
+        color: '#6B7280',
+        textAlign: 'center',
+        marginBottom: 15,
+        lineHeight: 20,
+    },
+    fieldLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        letterSpacing: 1,
+        marginBottom: 8,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 16,
+    },
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+    },
+    optionSelected: {
+        borderColor: '#2563EB',
+        backgroundColor: '#EFF6FF',
+    },
+    optionText: {
+        color: '#000',
+    },
+    optionTextSelected: {
+        color: '#2563EB',
+        fontWeight: '600',
+    },
+    colorDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 6,
+    },
+    input: {
+        height: 50,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 15,
+        marginTop: -8,
+        marginBottom: 16,
+    },
+    doneButton: {
+        alignSelf: 'flex-end',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        marginBottom: 12,
+    },
+    doneButtonText: {
+        color: '#2563EB',
+        fontWeight: '600',
+    },
+    errorText: {
+        color: '#DC2626',
+        fontSize: 14,
+        marginBottom: 12,
+        textAlign: 'center',
+    },
+    saveButton: {
+        backgroundColor: '#2563EB',
+        padding: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    saveButtonDisabled: {
+        opacity: 0.5,
+    },
+    saveButtonText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+});
+
+export default LogSessionModal;
@@ -0,0 +1,177 @@
+// src/components/modals/ParkingLotModal.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+} from 'react-native';
+import BaseModal from './BaseModal';
+import { MAX_PARKED_LENGTH, MAX_PARKED_ITEMS, cleanParkedText, formatParkedAt } from '../../utils/parkingLot';
+
+/**
+ * Quick capture for stray thoughts while the timer keeps running.
+ *
+ * parked is this session's list (utils/parkingLot); onPark(text) adds one and
+ * keeps the modal open for the next. todos are to-dos carried from earlier
+ * sessions (services/parkingLotService); onCompleteTodo(id) ticks one off.
+ */
+const ParkingLotModal = ({
+    visible,
+    onClose,
+    parked = [],
+    onPark,
+    todos = [],
+    onCompleteTodo,
+}) => {
+    const [text, setText] = useState('');
+
+    useEffect(() => {
+        if (visible) setText('');
+    }, [visible]);
+
+    const isFull = parked.length >= MAX_PARKED_ITEMS;
+    const canPark = !!cleanParkedText(text) && !isFull;
+
+    const park = () => {
+        if (!canPark) return;
+        onPark(text);
+        setText('');
+    };
+
+    return (
+        <BaseModal visible={visible} onClose={onClose}>
+            <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+                <Text style={styles.title}>Park a thought</Text>
+                <Text style={styles.instructionText}>
+                    Write it down and get back to work — the timer keeps running.
+                </Text>
+
+                <TextInput
+                    style={styles.input}
+                    value={text}
+                    onChangeText={setText}
+                    onSubmitEditing={park}
+                    placeholder={isFull ? 'Parking lot is full' : 'e.g. Reply to Sam about Friday'}
+                    placeholderTextColor="#AAAAAA"
+                    maxLength={MAX_PARKED_LENGTH}
+                    editable={!isFull}
+                    returnKeyType="done"
+                    autoFocus
+                />
+
+                <TouchableOpacity
+                    style={[styles.saveButton, !canPark && styles.saveButtonDisabled]}
+                    onPress={park}
+                    disabled={!canPark}
+                >
+                    <Text style={styles.saveButtonText}>Park it</Text>
+                </TouchableOpacity>
+
+                {parked.length > 0 && (
+                    <>
+                        <Text style={styles.fieldLabel}>THIS SESSION</Text>
+                        {[...parked].reverse().map((entry, i) => (
+                            <View key={`${entry.atMs}-${i}`} style={styles.itemRow}>
+                                <Text style={styles.itemText}>{entry.text}</Text>
+                                <Text style={styles.itemMeta}>{formatParkedAt(entry.atMs)}</Text>
+                            </View>
+                        ))}
+                    </>
+                )}
+
+                {todos.length > 0 && (
+                    <>
+                        <Text style={styles.fieldLabel}>FROM EARLIER SESSIONS</Text>
+                        {todos.map(todo => (
+                            <View key={todo.id} style={styles.itemRow}>
+                                <Text style={styles.itemText}>{todo.text}</Text>
+                                <TouchableOpacity
+                                    onPress={() => onCompleteTodo(todo.id)}
+                                    accessibilityLabel={`Mark "${todo.text}" done`}
+                                >
+                                    <Text style={styles.doneText}>Done</Text>
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                    </>
+                )}
+            </ScrollView>
+        </BaseModal>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: '100%',
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    instructionText: {
+        fontSize: 14,
+        color: '#6B7280',
+        textAlign: 'center',
+        marginBottom: 15,
+        lineHeight: 20,
+    },
+    input: {
+        height: 50,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 15,
+        marginBottom: 10,
+    },
+    saveButton: {
+        backgroundColor: '#2563EB',
+        padding: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginBottom: 20,
+    },
+    saveButtonDisabled: {
+        opacity: 0.5,
+    },
+    saveButtonText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    fieldLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        letterSpacing: 1,
+        marginBottom: 8,
+    },
+    itemRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F3F4F6',
+        gap: 12,
+    },
+    itemText: {
+        flex: 1,
+        fontSize: 14,
+        color: '#1f2937',
+    },
+    itemMeta: {
+        fontSize: 12,
+        color: '#9CA3AF',
+    },
+    doneText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#2563EB',
+    },
+});
+
+export default ParkingLotModal;
@@ -0,0 +1,295 @@
+// src/components/modals/PresetModal.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    StyleSheet,
+    Switch,
+    ScrollView,
+    Pressable,
+} from 'react-native';
+import BaseModal from './BaseModal';
+import { MAX_PRESET_NAME_LENGTH, cleanPresetName, describePresetLength } from '../../utils/sessionPresets';
+
+const PRESET_DURATIONS = [15, 20, 30, 45, 60, 90];
+
+// 🔒 Same gate as HomeScreen: 45+ minute sessions are premium
+const PREMIUM_MINUTES = 45;
+
+const MUSIC_OPTIONS = [
+    { value: 'none', label: 'No music' },
+    { value: 'white-noise', label: 'White noise' },
+    { value: 'lofi', label: 'Lo-fi' },
+];
+
+/**
+ * Create or edit a named session preset.
+ *
+ * initialPreset may be a stored preset (has an id) or fields taken from a
+ * finished session (utils/sessionPresets presetFromConfig). A preset with an
+ * interval cycle or a stopwatch keeps it as-is — only single countdowns get
+ * length chips. onSave(preset) receives the preset to store; onDelete is
+ * offered for stored presets only.
+ */
+const PresetModal = ({
+    visible,
+    onClose,
+    onSave,
+    onDelete,
+    onPremiumRequired,
+    activities = [],
+    initialPreset = null,
+    isPremium = false,
+    focusLockAvailable = false,
+}) => {
+    const [name, setName] = useState('');
+    const [activity, setActivity] = useState(null);
+    const [duration, setDuration] = useState(30);
+    const [musicChoice, setMusicChoice] = useState('none');
+    const [focusLockEnabled, setFocusLockEnabled] = useState(false);
+
+    useEffect(() => {
+        if (!visible) return;
+        setName(initialPreset?.name ?? '');
+        setActivity(initialPreset?.activity ?? activities[0]?.id ?? null);
+        setDuration(initialPreset?.duration ?? 30);
+        setMusicChoice(initialPreset?.musicChoice ?? 'none');
+        setFocusLockEnabled(!!initialPreset?.focusLockEnabled);
+    }, [visible, initialPreset]);
+
+    const isSingle = !initialPreset?.intervals && !initialPreset?.stopwatch;
+    const isStored = !!initialPreset?.id;
+
+    const selectDuration = (minutes) => {
+        if (!isPremium && minutes >= PREMIUM_MINUTES) {
+            onPremiumRequired?.();
+            return;
+        }
+        setDuration(minutes);
+    };
+
+    const draft = {
+        ...initialPreset,
+        name,
+        activity,
+        duration: isSingle ? duration : initialPreset.duration,
+        intervals: initialPreset?.intervals ?? null,
+        stopwatch: initialPreset?.stopwatch ?? null,
+        musicChoice,
+        focusLockEnabled: focusLockAvailable && focusLockEnabled,
+    };
+    const isValid = !!cleanPresetName(name) && activities.some(a => a.id === activity);
+
+    return (
+        <BaseModal visible={visible} onClose={onClose}>
+            <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+                <Text style={styles.title}>{isStored ? 'Edit Preset' : 'Save as Preset'}</Text>
+                <Text style={styles.instructionText}>
+                    Pin it to Home to start this session with one tap.
+                </Text>
+
+                {/* Name */}
+                <TextInput
+                    style={styles.nameInput}
+                    value={name}
+                    onChangeText={setName}
+                    placeholder="e.g. Morning writing"
+                    placeholderTextColor="#AAAAAA"
+                    maxLength={MAX_PRESET_NAME_LENGTH}
+                />
+
+                {/* Activity */}
+                <Text style={styles.fieldLabel}>ACTIVITY</Text>
+                <View style={styles.optionRow}>
+                    {activities.map(item => (
+                        <Pressable
+                            key={item.id}
+                            style={[styles.option, item.id === activity && styles.optionSelected]}
+                            onPress={() => setActivity(item.id)}
+                        >
+                            <View style={[styles.colorDot, { backgroundColor: item.color }]} />
+                            <Text style={[styles.optionText, item.id === activity && styles.optionTextSelected]}>
+                                {item.name}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {/* Length */}
+                <Text style={styles.fieldLabel}>LENGTH</Text>
+                {isSingle ? (
+                    <View style={styles.optionRow}>
+                        {PRESET_DURATIONS.map(minutes => (
+                            <Pressable
+                                key={minutes}
+                                style={[styles.option, minutes === duration && styles.optionSelected]}
+                                onPress={() => selectDuration(minutes)}
+                            >
+                                <Text style={[styles.optionText, minutes === duration && styles.optionTextSelected]}>
+                                    {minutes} min{!isPremium && minutes >= PREMIUM_MINUTES ? ' 🔒' : ''}
+                                </Text>
+                            </Pressable>
+                        ))}
+                    </View>
+                ) : (
+                    <Text style={styles.summaryText}>{describePresetLength(draft)}</Text>
+                )}
+
+                {/* Music */}
+                <Text style={styles.fieldLabel}>MUSIC</Text>
+                <View style={styles.optionRow}>
+                    {MUSIC_OPTIONS.map(option => (
+                        <Pressable
+                            key={option.value}
+                            style={[styles.option, option.value === musicChoice && styles.optionSelected]}
+                            onPress={() => setMusicChoice(option.value)}
+                        >
+                            <Text style={[styles.optionText, option.value === musicChoice && styles.optionTextSelected]}>
+                                {option.label}
+                            </Text>
+                        </Pressable>
+                    ))}
+                </View>
+
+                {focusLockAvailable && (
+                    <View style={styles.switchRow}>
+                        <Text style={styles.switchLabel}>🔒 Focus Lock</Text>
+                        <Switch
+                            value={focusLockEnabled}
+                            onValueChange={setFocusLockEnabled}
+                            trackColor={{ true: '#2563eb' }}
+                            accessibilityLabel="Focus Lock"
+                        />
+                    </View>
+                )}
+
+                {/* Save Button */}
+                <TouchableOpacity
+                    style={[styles.saveButton, !isValid && styles.saveButtonDisabled]}
+                    onPress={() => onSave(draft)}
+                    disabled={!isValid}
+                >
+                    <Text style={styles.saveButtonText}>Save Preset</Text>
+                </TouchableOpacity>
+
+                {isStored && onDelete && (
+                    <TouchableOpacity
+                        style={styles.removeButton}
+                        onPress={() => onDelete(initialPreset.id)}
+                    >
+                        <Text style={styles.removeButtonText}>Delete preset</Text>
+                    </TouchableOpacity>
+                )}
+            </ScrollView>
+        </BaseModal>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: '100%',
+    },
+    title: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    instructionText: {
+        fontSize: 14,
+        color: '#6B7280',
+        textAlign: 'center',
+        marginBottom: 15,
+        lineHeight: 20,
+    },
+    nameInput: {
+        height: 50,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 15,
+        marginBottom: 16,
+    },
+    fieldLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#6B7280',
+        letterSpacing: 1,
+        marginBottom: 8,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 16,
+    },
+    option: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+    },
+    optionSelected: {
+        borderColor: '#2563EB',
+        backgroundColor: '#EFF6FF',
+    },
+    optionText: {
+        color: '#000',
+    },
+    optionTextSelected: {
+        color: '#2563EB',
+        fontWeight: '600',
+    },
+    colorDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 6,
+    },
+    summaryText: {
+        fontSize: 14,
+        color: '#1f2937',
+        marginBottom: 16,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 16,
+    },
+    switchLabel: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+    },
+    saveButton: {
+        backgroundColor: '#2563EB',
+        padding: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    saveButtonDisabled: {
+        opacity: 0.5,
+    },
+    saveButtonText: {
+        color: 'white',
+        fontWeight: 'bold',
+    },
+    removeButton: {
+        padding: 12,
+        alignItems: 'center',
+        marginTop: 5,
+    },
+    removeButtonText: {
+        color: '#DC2626',
+        fontWeight: '600',
+    },
+});
+
+export default PresetModal;
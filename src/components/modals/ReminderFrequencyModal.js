@@ -1,18 +1,49 @@
 // src/components/modals/ReminderFrequencyModal.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
     TouchableOpacity,
     StyleSheet,
+    Switch,
+    ScrollView,
+    Platform,
 } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
 import BaseModal from './BaseModal';
 import { Bell } from 'lucide-react-native';
+import { DEFAULT_QUIET_HOURS, normalizeQuietHours } from '../../utils/quietHours';
 
+// Monday first, as people read a week; values are Date#getDay() indexes
+const WEEKDAYS = [
+    { index: 1, label: 'Mon' },
+    { index: 2, label: 'Tue' },
+    { index: 3, label: 'Wed' },
+    { index: 4, label: 'Thu' },
+    { index: 5, label: 'Fri' },
+    { index: 6, label: 'Sat' },
+    { index: 0, label: 'Sun' },
+];
+
+const timeToDate = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+
+const dateToTime = (date) =>
+    `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+/**
+ * onSave receives `{ frequency, option, quietHours }`; quietHours is the
+ * complete notificationPreferences.quietHours value (see utils/quietHours).
+ */
 const ReminderFrequencyModal = ({ 
     visible, 
     onClose, 
     onSave,
+    initialQuietHours = DEFAULT_QUIET_HOURS,
     // Progress bar props
     showProgress = false,
     currentStep = 3,
@@ -21,6 +52,16 @@ const ReminderFrequencyModal = ({
 }) => {
     // State for tracking selected reminder frequency
     const [selectedFrequency, setSelectedFrequency] = useState('');
+    const [quietHours, setQuietHours] = useState(() => normalizeQuietHours(initialQuietHours));
+    // { weekday, field: 'start' | 'end' } while a time picker is open
+    const [editingTime, setEditingTime] = useState(null);
+
+    useEffect(() => {
+        if (visible) {
+            setQuietHours(normalizeQuietHours(initialQuietHours));
+            setEditingTime(null);
+        }
+    }, [visible, initialQuietHours]);
     
     // ✅ FIXED: Moved 'none' option to the bottom per user request
     const frequencyOptions = [
@@ -57,6 +98,33 @@ const ReminderFrequencyModal = ({
         setSelectedFrequency(frequencyId);
     };
 
+    const updateQuietHours = (changes) => {
+        setQuietHours(current => ({ ...current, ...changes }));
+    };
+
+    // Tapping a day switches its window off, or back on with the default times
+    const toggleQuietDay = (weekday) => {
+        setQuietHours(current => {
+            const days = [...current.days];
+            days[weekday] = days[weekday] ? null : { ...DEFAULT_QUIET_HOURS.days[weekday] };
+            return { ...current, days };
+        });
+        setEditingTime(null);
+    };
+
+    const handleTimeChange = (event, date) => {
+        const editing = editingTime;
+        // Android shows a one-shot dialog; iOS keeps the spinner until Done
+        if (Platform.OS === 'android') setEditingTime(null);
+        if (!editing || event?.type === 'dismissed' || !date) return;
+
+        setQuietHours(current => {
+            const days = [...current.days];
+            days[editing.weekday] = { ...days[editing.weekday], [editing.field]: dateToTime(date) };
+            return { ...current, days };
+        });
+    };
+
     // Data transformation before saving
     const handleSave = () => {
         if (!isValidSelection(selectedFrequency)) {
@@ -71,7 +139,8 @@ const ReminderFrequencyModal = ({
         // Pass both the ID and the full option for flexibility
         onSave({
             frequency: selectedFrequency,
-            option: selectedOption
+            option: selectedOption,
+            quietHours,
         });
     };
 
@@ -85,7 +154,7 @@ const ReminderFrequencyModal = ({
             totalSteps={totalSteps}
             stepLabels={stepLabels}
         >
-            <View style={styles.container}>
+            <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
                 {/* Header Section */}
                 <View style={styles.header}>
                     <Bell size={32} color="#2563eb" style={styles.headerIcon} />
@@ -142,6 +211,96 @@ const ReminderFrequencyModal = ({
                     ))}
                 </View>
 
+                {/* Quiet Hours */}
+                <View style={styles.quietSection}>
+                    <View style={styles.switchRow}>
+                        <View style={styles.switchText}>
+                            <Text style={styles.sectionTitle}>Quiet hours</Text>
+                            <Text style={styles.optionDescription}>
+                                Reminders wait until a window ends, or skip the day if it runs past midnight
+                            </Text>
+                        </View>
+                        <Switch
+                            value={quietHours.enabled}
+                            onValueChange={(enabled) => updateQuietHours({ enabled })}
+                            trackColor={{ true: '#2563eb' }}
+                            accessibilityLabel="Quiet hours"
+                        />
+                    </View>
+
+                    {quietHours.enabled && WEEKDAYS.map(({ index, label }) => {
+                        const window = quietHours.days[index];
+                        return (
+                            <View key={index} style={styles.dayRow}>
+                                <TouchableOpacity
+                                    style={[styles.dayChip, window && styles.dayChipActive]}
+                                    onPress={() => toggleQuietDay(index)}
+                                    accessibilityLabel={`${label} quiet hours ${window ? 'on' : 'off'}`}
+                                >
+                                    <Text style={[styles.dayChipText, window && styles.dayChipTextActive]}>
+                                        {label}
+                                    </Text>
+                                </TouchableOpacity>
+                                {window ? (
+                                    <View style={styles.timeRange}>
+                                        {['start', 'end'].map((field, i) => (
+                                            <React.Fragment key={field}>
+                                                {i === 1 && <Text style={styles.timeDash}>–</Text>}
+                                                <TouchableOpacity
+                                                    style={[
+                                                        styles.timeButton,
+                                                        editingTime?.weekday === index &&
+                                                            editingTime?.field === field &&
+                                                            styles.timeButtonActive,
+                                                    ]}
+                                                    onPress={() => setEditingTime({ weekday: index, field })}
+                                                    accessibilityLabel={`${label} quiet hours ${field}`}
+                                                >
+                                                    <Text style={styles.timeButtonText}>{window[field]}</Text>
+                                                </TouchableOpacity>
+                                            </React.Fragment>
+                                        ))}
+                                    </View>
+                                ) : (
+                                    <Text style={styles.dayOffText}>No quiet hours</Text>
+                                )}
+                            </View>
+                        );
+                    })}
+
+                    {editingTime && quietHours.days[editingTime.weekday] && (
+                        <View>
+                            <DateTimePicker
+                                value={timeToDate(quietHours.days[editingTime.weekday][editingTime.field])}
+                                mode="time"
+                                is24Hour={true}
+                                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                                onChange={handleTimeChange}
+                            />
+                            {Platform.OS === 'ios' && (
+                                <TouchableOpacity style={styles.doneButton} onPress={() => setEditingTime(null)}>
+                                    <Text style={styles.doneButtonText}>Done</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    )}
+
+                    <View style={styles.switchRow}>
+                        <View style={styles.switchText}>
+                            <Text style={styles.sectionTitle}>Hold reminders during a session</Text>
+                            <Text style={styles.optionDescription}>
+                                No nudges to focus while you're already focusing
+                            </Text>
+                        </View>
+                        <Switch
+                            value={quietHours.suppressDuringSession}
+                            onValueChange={(suppressDuringSession) => updateQuietHours({ suppressDuringSession })}
+                            trackColor={{ true: '#2563eb' }}
+                            accessibilityLabel="Hold reminders during a session"
+                        />
+                    </View>
+                </View>
+
                 {/* Action Button */}
                 <TouchableOpacity
                     style={[
@@ -155,7 +314,7 @@ const ReminderFrequencyModal = ({
                         Continue
                     </Text>
                 </TouchableOpacity>
-            </View>
+            </ScrollView>
         </BaseModal>
     );
 };
@@ -265,6 +424,91 @@ const styles = StyleSheet.create({
         backgroundColor: '#2563eb',
     },
     
+    // Quiet Hours
+    quietSection: {
+        gap: 12,
+        marginBottom: 24,
+        paddingTop: 16,
+        borderTopWidth: 1,
+        borderTopColor: '#e5e7eb',
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#1f2937',
+        marginBottom: 2,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    switchText: {
+        flex: 1,
+        marginRight: 12,
+    },
+    dayRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    dayChip: {
+        width: 52,
+        paddingVertical: 6,
+        borderRadius: 8,
+        borderWidth: 2,
+        borderColor: '#e5e7eb',
+        alignItems: 'center',
+        marginRight: 12,
+    },
+    dayChipActive: {
+        borderColor: '#2563eb',
+        backgroundColor: '#eff6ff',
+    },
+    dayChipText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#6b7280',
+    },
+    dayChipTextActive: {
+        color: '#2563eb',
+    },
+    timeRange: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    timeButton: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#e5e7eb',
+    },
+    timeButtonActive: {
+        borderColor: '#2563eb',
+    },
+    timeButtonText: {
+        fontSize: 15,
+        color: '#1f2937',
+        fontVariant: ['tabular-nums'],
+    },
+    timeDash: {
+        marginHorizontal: 8,
+        color: '#6b7280',
+    },
+    dayOffText: {
+        fontSize: 14,
+        color: '#9ca3af',
+    },
+    doneButton: {
+        alignSelf: 'flex-end',
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+    },
+    doneButtonText: {
+        color: '#2563eb',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+
     // Save Button
     saveButton: {
         backgroundColor: '#2563eb',
@@ -9,10 +9,36 @@ import {
   Pressable
 } from 'react-native';
 import { X } from 'lucide-react-native';
+import { normalizePauses, pauseLengthMs, formatPauseLength } from '../../utils/pauseLog';
 
-const SessionDetailsModal = ({ visible, session, activities = [], onClose }) => {
+/**
+ * "of 50 planned · extended 10 min · paused twice" — only what the session
+ * recorded; older sessions have none of it
+ */
+const durationBreakdown = (session) => {
+  const parts = [];
+  if (session.manual) {
+    parts.push('logged manually');
+  }
+  if (session.plannedDuration != null) {
+    parts.push(`of ${session.plannedDuration} planned`);
+  }
+  if (session.extendedMinutes > 0) {
+    parts.push(`extended ${session.extendedMinutes} min`);
+  }
+  if (session.pauseCount === 1) {
+    parts.push('paused once');
+  } else if (session.pauseCount > 1) {
+    parts.push(`paused ${session.pauseCount} times`);
+  }
+  return parts.join(' · ');
+};
+
+const SessionDetailsModal = ({ visible, session, activities = [], onClose, onEdit, onDelete }) => {
   if (!session) return null;
 
+  const pauses = normalizePauses(session.pauses);
+
   /**
    * Get the activity name by looking up the activity ID
    * 
@@ -99,9 +125,34 @@ const SessionDetailsModal = ({ visible, session, activities = [], onClose }) =>
 
             <View style={styles.detailSection}>
               <Text style={styles.label}>Duration</Text>
-              <Text style={styles.value}>{session.duration} minutes</Text>
+              <Text style={styles.value}>{Math.round(session.duration)} minutes</Text>
+              {durationBreakdown(session) !== '' && (
+                <Text style={styles.dateValue}>{durationBreakdown(session)}</Text>
+              )}
             </View>
 
+            {pauses.length > 0 && (
+              <View style={styles.detailSection}>
+                <Text style={styles.label}>Pauses</Text>
+                {pauses.map((pause, index) => (
+                  <View key={pause.pausedAt} style={styles.pauseRow}>
+                    <View style={styles.timelineMarker}>
+                      <View style={styles.timelineDot} />
+                      {index < pauses.length - 1 && <View style={styles.timelineLine} />}
+                    </View>
+                    <View style={styles.pauseDetails}>
+                      <Text style={styles.pauseTime}>
+                        {formatTime(pause.pausedAt)}
+                        {pause.resumedAt != null && ` – ${formatTime(pause.resumedAt)}`}
+                        {pause.resumedAt != null && ` · ${formatPauseLength(pauseLengthMs(pause))}`}
+                      </Text>
+                      <Text style={styles.pauseReason}>{pause.reason || 'No reason given'}</Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+
             <View style={styles.detailSection}>
               <Text style={styles.label}>Music Choice</Text>
               <Text style={styles.value}>
@@ -125,6 +176,21 @@ const SessionDetailsModal = ({ visible, session, activities = [], onClose }) =>
                 <Text style={styles.notes}>{session.notes}</Text>
               </View>
             )}
+
+            {(onEdit || onDelete) && (
+              <View style={styles.actionsRow}>
+                {onEdit && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => onEdit(session)}>
+                    <Text style={styles.actionText}>Edit</Text>
+                  </TouchableOpacity>
+                )}
+                {onDelete && (
+                  <TouchableOpacity style={styles.actionButton} onPress={() => onDelete(session)}>
+                    <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
           </ScrollView>
         </Pressable>
       </Pressable>
@@ -179,6 +245,41 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 2,
   },
+  pauseRow: {
+    flexDirection: 'row',
+    minHeight: 44,
+  },
+  timelineMarker: {
+    width: 16,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#f59e0b',
+    marginTop: 6,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#e5e7eb',
+    marginTop: 2,
+  },
+  pauseDetails: {
+    flex: 1,
+    marginLeft: 8,
+    paddingBottom: 8,
+  },
+  pauseTime: {
+    fontSize: 15,
+    color: '#1f2937',
+  },
+  pauseReason: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
   notesSection: {
     marginTop: 8,
     paddingTop: 16,
@@ -190,6 +291,27 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     lineHeight: 24,
   },
+  actionsRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 24,
+    marginTop: 16,
+    paddingTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#e5e7eb',
+  },
+  actionButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2563eb',
+  },
+  deleteText: {
+    color: '#dc2626',
+  },
 });
 
 export default SessionDetailsModal;
\ No newline at end of file
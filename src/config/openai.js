@@ -16,25 +16,37 @@
  *    - EAS will inject the secret during build
  * 
  * 3. NEVER hardcode your API key in this file!
+ *
+ * OpenAI-compatible servers (self-hosted, or a local model server such as
+ * Ollama or LM Studio):
+ *    - EXPO_PUBLIC_OPENAI_BASE_URL=http://192.168.1.20:11434/v1
+ *    - EXPO_PUBLIC_OPENAI_MODEL=llama3.1   (whatever the server serves)
+ *    - The API key is optional when a base URL is set; most local servers
+ *      ignore it.
  */
 
 // Get API key from environment (injected by EAS or from .env)
 export const OPENAI_API_KEY = process.env.EXPO_PUBLIC_OPENAI_API_KEY || '';
 
+// Empty means api.openai.com
+export const OPENAI_BASE_URL = process.env.EXPO_PUBLIC_OPENAI_BASE_URL || '';
+
 // Configuration for OpenAI API calls
 export const OPENAI_CONFIG = {
-  model: 'gpt-4o-mini',
+  model: process.env.EXPO_PUBLIC_OPENAI_MODEL || 'gpt-4o-mini',
   maxTokens: 1000,
   temperature: 0.7,
   maxRetries: 3,
   retryDelay: 1000, // milliseconds
+  timeout: 20000,   // per request; offline requests fail fast to the fallback provider
 };
 
 // Helper function to check if API is properly configured
 export const isConfigured = () => {
   const hasKey = OPENAI_API_KEY && OPENAI_API_KEY.length > 0;
   const isPlaceholder = OPENAI_API_KEY === 'sk-proj-your-key-here';
-  return hasKey && !isPlaceholder;
+  // A custom server doesn't need a key
+  return (hasKey && !isPlaceholder) || OPENAI_BASE_URL.length > 0;
 };
 
 // Helper function to get headers for API requests
@@ -52,6 +64,7 @@ export const getHeaders = () => {
 // Export as default for convenience
 export default {
   apiKey: OPENAI_API_KEY,
+  baseURL: OPENAI_BASE_URL,
   config: OPENAI_CONFIG,
   isConfigured,
   getHeaders,
@@ -13,6 +13,9 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { sessionService } from '../services/sessionService';
+import { INTENTION_OUTCOMES } from '../../../utils/intentions';
+import { distractionsPrefill, formatParkedAt } from '../../../utils/parkingLot';
+import { carryTodos } from '../../../services/parkingLotService';
 
 const ACCENT_DEFAULT = '#991B1B'; // dark red — urgency signal
 const ACCENT_SUCCESS = '#15803D'; // green — success state at ≥3 chars
@@ -106,6 +109,41 @@ export default function SessionRatingScreen({ navigation, route }) {
   const [distractions, setDistractions] = useState('');
   const [nextStep, setNextStep] = useState('');
 
+  // Pre-session intention, if one was set, and whether it was met
+  const [intention, setIntention] = useState(null);
+  const [intentionAchieved, setIntentionAchieved] = useState(null);
+
+  // Thoughts parked during the session, and which ones to carry to the next
+  const [parked, setParked] = useState([]);
+  const [carried, setCarried] = useState([]); // indexes into parked
+  const [activity, setActivity] = useState(null);
+
+  useEffect(() => {
+    sessionService.getSession(sessionId).then(session => {
+      setIntention(session?.intention || null);
+      setActivity(session?.activity ?? null);
+      if (session?.parked?.length > 0) {
+        setParked(session.parked);
+        setDistractions(current => current || distractionsPrefill(session.parked));
+      }
+    });
+  }, [sessionId]);
+
+  const toggleCarried = (index) => {
+    setCarried(current => (current.includes(index)
+      ? current.filter(i => i !== index)
+      : [...current, index]));
+  };
+
+  const carryPicked = async () => {
+    if (carried.length === 0) return;
+    try {
+      await carryTodos(carried.map(i => parked[i]), { activity, sessionId });
+    } catch (error) {
+      console.error('Failed to carry parked thoughts:', error);
+    }
+  };
+
   const scrollRef    = useRef(null);
   const workedOnRef  = useRef(null);
   const wentWellRef  = useRef(null);
@@ -119,7 +157,8 @@ export default function SessionRatingScreen({ navigation, route }) {
   const workedOnReady    = workedOn.length >= 3;
   const showWentWell     = workedOnReady;
   const showDistractions = wentWell.length >= 1;
-  const showNextStep     = distractions.length >= 1;
+  // Distractions may arrive prefilled from the parking lot; still wait their turn
+  const showNextStep     = showDistractions && distractions.length >= 1;
 
   // Scroll just enough to reveal the newly-appeared prompt — no full scrollToEnd
   const scrollToPrompt = (key) => {
@@ -177,15 +216,17 @@ export default function SessionRatingScreen({ navigation, route }) {
           distractions: distractions.trim(),
           nextStep: nextStep.trim(),
         },
+        intentionAchieved,
         ratedAt: new Date().toISOString(),
       });
     } catch (error) {
       console.error('Failed to save rating:', error);
     }
+    await carryPicked();
     navigation.navigate('SessionSummary', { sessionId });
   };
 
-  const handleSkipAttempt = () => {
+  const handleSkipAttempt = async () => {
     if (slidersTouched) {
       // User interacted with sliders — confirm before abandoning reflection
       Alert.alert(
@@ -196,11 +237,15 @@ export default function SessionRatingScreen({ navigation, route }) {
           {
             text: 'Skip Anyway',
             style: 'destructive',
-            onPress: () => navigation.navigate('SessionSummary', { sessionId }),
+            onPress: async () => {
+              await carryPicked();
+              navigation.navigate('SessionSummary', { sessionId });
+            },
           },
         ]
       );
     } else {
+      await carryPicked();
       navigation.navigate('SessionSummary', { sessionId });
     }
   };
@@ -246,6 +291,52 @@ export default function SessionRatingScreen({ navigation, route }) {
           {/* ── Divider ── */}
           <View style={styles.divider} />
 
+          {/* ── Intention vs outcome ── */}
+          {intention && (
+            <View style={styles.intentionCard}>
+              <Text style={styles.intentionLabel}>YOUR INTENTION</Text>
+              <Text style={styles.intentionText}>{intention}</Text>
+              <Text style={styles.intentionQuestion}>Did you get it done?</Text>
+              <View style={styles.outcomeRow}>
+                {INTENTION_OUTCOMES.map(outcome => (
+                  <TouchableOpacity
+                    key={outcome.id}
+                    style={[styles.outcomeChip, intentionAchieved === outcome.id && styles.outcomeChipActive]}
+                    onPress={() => setIntentionAchieved(outcome.id)}
+                  >
+                    <Text style={[styles.outcomeText, intentionAchieved === outcome.id && styles.outcomeTextActive]}>
+                      {outcome.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
+          {/* ── Parking lot: pick what to carry into the next session ── */}
+          {parked.length > 0 && (
+            <View style={styles.intentionCard}>
+              <Text style={styles.intentionLabel}>PARKED DURING THE SESSION</Text>
+              {parked.map((entry, index) => (
+                <View key={`${entry.atMs}-${index}`} style={styles.parkedRow}>
+                  <View style={styles.flex}>
+                    <Text style={styles.parkedText}>{entry.text}</Text>
+                    <Text style={styles.hintText}>{formatParkedAt(entry.atMs)}</Text>
+                  </View>
+                  <TouchableOpacity
+                    style={[styles.carryChip, carried.includes(index) && styles.outcomeChipActive]}
+                    onPress={() => toggleCarried(index)}
+                  >
+                    <Text style={[styles.outcomeText, carried.includes(index) && styles.outcomeTextActive]}>
+                      {carried.includes(index) ? 'To-do ✓' : 'To-do'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+              <Text style={styles.hintText}>Mark to-dos to see them in your next session.</Text>
+            </View>
+          )}
+
           {/* ── Primary capture prompt ── */}
           <Text style={styles.captureHint}>
             Capture what you worked on before you lose it.
@@ -362,6 +453,70 @@ const styles = StyleSheet.create({
     backgroundColor: '#E5E7EB',
     marginVertical: 24,
   },
+  // Intention vs outcome
+  intentionCard: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 14,
+    marginBottom: 24,
+  },
+  intentionLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1,
+    color: '#6B7280',
+    marginBottom: 4,
+  },
+  intentionText: {
+    fontSize: 15,
+    color: '#111827',
+    marginBottom: 12,
+  },
+  intentionQuestion: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  outcomeRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  outcomeChip: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#F5F5F5',
+    alignItems: 'center',
+  },
+  outcomeChipActive: {
+    backgroundColor: '#000000',
+  },
+  outcomeText: {
+    fontSize: 14,
+    color: '#666666',
+    fontWeight: '600',
+  },
+  outcomeTextActive: {
+    color: '#FFFFFF',
+  },
+  parkedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 10,
+  },
+  parkedText: {
+    fontSize: 14,
+    color: '#111827',
+  },
+  carryChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#F5F5F5',
+  },
   captureHint: {
     fontSize: 13,
     color: '#6B7280',
@@ -11,12 +11,23 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { sessionService } from '../services/sessionService';
 import { useSubscription } from '../../../context/SubscriptionContext';
 import { PaywallModal } from '../../../components/PaywallModal';
+import PresetModal from '../../../components/modals/PresetModal';
+import { useFocusLock } from '../../../context/FocusLockContext';
+import { deepWorkStore } from '../../../services/deepWorkStore';
+import { getLastSessionConfig } from '../../../services/sessionStateService';
+import { savePreset, setPresetPinned } from '../../../services/presetService';
+import { presetFromConfig } from '../../../utils/sessionPresets';
+import { INTENTION_OUTCOMES } from '../../../utils/intentions';
 import {
   getPostInsightSessionCount,
   incrementPostInsightSessionCount,
   resetPostInsightSessionCount,
 } from '../../../services/monetizationService';
 
+// The last-session config is written as the session is saved; further apart
+// than this and it belongs to some other session
+const SAME_SESSION_MS = 60 * 1000;
+
 export default function SessionSummaryScreen({ navigation, route }) {
   const { sessionId } = route.params;
   const { isPremium } = useSubscription();
@@ -25,6 +36,14 @@ export default function SessionSummaryScreen({ navigation, route }) {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showInsightPaywall, setShowInsightPaywall] = useState(false);
+  const { isAvailable: focusLockAvailable } = useFocusLock();
+
+  // "Save as preset" — the finished session's setup, when it's known
+  const [presetDraft, setPresetDraft] = useState(null);
+  const [showPresetModal, setShowPresetModal] = useState(false);
+  const [presetSaved, setPresetSaved] = useState(false);
+  const [activities, setActivities] = useState([]);
+  const [showLengthPaywall, setShowLengthPaywall] = useState(false);
 
   useEffect(() => {
     loadSessionData();
@@ -38,6 +57,13 @@ export default function SessionSummaryScreen({ navigation, route }) {
       setSession(sessionData);
       setStats(statsData);
 
+      const [lastConfig, settings] = await Promise.all([getLastSessionConfig(), deepWorkStore.getSettings()]);
+      const savedAt = Date.parse(sessionData?.completedAt);
+      if (lastConfig && Math.abs(lastConfig.completedAt - savedAt) < SAME_SESSION_MS) {
+        setPresetDraft(presetFromConfig(lastConfig));
+        setActivities(settings.activities);
+      }
+
       // 🔒 GATE: post-insight paywall — show once every 2 sessions after the 3rd
       if (!isPremium && statsData?.allTime >= 3) {
         await incrementPostInsightSessionCount();
@@ -55,6 +81,19 @@ export default function SessionSummaryScreen({ navigation, route }) {
     }
   };
 
+  const handleSavePreset = async (preset) => {
+    try {
+      // Pinned straight away (unless Home is full) so it's there next time
+      const saved = await savePreset(preset);
+      await setPresetPinned(saved.id, true);
+      setPresetSaved(true);
+    } catch (error) {
+      console.error('Failed to save preset:', error);
+    } finally {
+      setShowPresetModal(false);
+    }
+  };
+
   const handleDone = () => {
     // Reset the entire navigation stack and go to Metrics
     navigation.reset({
@@ -125,6 +164,18 @@ export default function SessionSummaryScreen({ navigation, route }) {
           Focus Rating: <Text style={styles.value}>{getFocusRatingText(session.rating)}</Text>
         </Text>
 
+        {/* Intention set before the session, and how it went */}
+        {session.intention ? (
+          <Text style={styles.label}>
+            Intention: <Text style={styles.value}>{session.intention}</Text>
+            {session.rating?.intentionAchieved ? (
+              <Text style={styles.value}>
+                {' '}({INTENTION_OUTCOMES.find(o => o.id === session.rating.intentionAchieved)?.label})
+              </Text>
+            ) : null}
+          </Text>
+        ) : null}
+
         {/* Structured reflection — falls back to legacy `notes` string */}
         {(session.rating?.reflection?.workedOn || session.rating?.notes) && (
           <Text style={styles.label}>
@@ -160,6 +211,19 @@ export default function SessionSummaryScreen({ navigation, route }) {
           </>
         )}
 
+        {/* Save this setup as a preset */}
+        {presetDraft && (
+          <TouchableOpacity
+            style={styles.presetButton}
+            onPress={() => setShowPresetModal(true)}
+            disabled={presetSaved}
+          >
+            <Text style={styles.presetButtonText}>
+              {presetSaved ? 'Preset saved' : 'Save as preset'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
         {/* Done Button */}
         <TouchableOpacity style={styles.doneButton} onPress={handleDone}>
           <Text style={styles.doneButtonText}>Done</Text>
@@ -172,6 +236,23 @@ export default function SessionSummaryScreen({ navigation, route }) {
         onClose={() => setShowInsightPaywall(false)}
         limitType="post_insight"
       />
+
+      <PresetModal
+        visible={showPresetModal}
+        onClose={() => setShowPresetModal(false)}
+        onSave={handleSavePreset}
+        onPremiumRequired={() => setShowLengthPaywall(true)}
+        activities={activities}
+        initialPreset={presetDraft}
+        isPremium={isPremium}
+        focusLockAvailable={focusLockAvailable}
+      />
+
+      <PaywallModal
+        visible={showLengthPaywall}
+        onClose={() => setShowLengthPaywall(false)}
+        limitType="long_session"
+      />
     </SafeAreaView>
   );
 }
@@ -239,6 +320,19 @@ const styles = StyleSheet.create({
     marginTop: 16,
     letterSpacing: 0.3,
   },
+  presetButton: {
+    borderWidth: 1,
+    borderColor: '#000000',
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 32,
+  },
+  presetButtonText: {
+    color: '#000000',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   doneButton: {
     backgroundColor: '#000000',
     paddingVertical: 16,
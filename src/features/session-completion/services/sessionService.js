@@ -1,32 +1,17 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { updateSessionRatingInFirestore } from '../../../services/firestoreSessionService';
+import { queueSessionUpsert } from '../../../services/syncService';
+import { deepWorkStore } from '../../../services/deepWorkStore';
+import SessionRepository from '../../../services/database/SessionRepository';
+import { isIntentionOutcome } from '../../../utils/intentions';
 
-const STORAGE_KEY = '@deep_work_sessions';
 const SETTINGS_KEY = '@deep_work_settings';
 
 class SessionService {
   /**
-   * Get all sessions, bypassing validation to handle corrupted data
+   * Get all sessions as { 'YYYY-MM-DD': Session[] }
    */
   async _getAllSessions() {
-    try {
-      const raw = await AsyncStorage.getItem(STORAGE_KEY);
-      if (!raw) return {};
-      
-      const parsed = JSON.parse(raw);
-      
-      // If it's not an object or is an array, reset it
-      if (typeof parsed !== 'object' || Array.isArray(parsed)) {
-        console.warn('⚠️ Invalid storage structure, resetting');
-        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({}));
-        return {};
-      }
-      
-      return parsed;
-    } catch (error) {
-      console.error('Failed to get sessions:', error);
-      return {};
-    }
+    return deepWorkStore.getSessions();
   }
 
   /**
@@ -50,53 +35,37 @@ class SessionService {
    */
   async saveRating(sessionId, rating) {
     try {
-      const allSessions = await this._getAllSessions();
-      
-      // Find the session by ID
-      let sessionFound = false;
-      const updatedSessions = { ...allSessions };
-      
-      for (const [date, sessions] of Object.entries(allSessions)) {
-        if (!Array.isArray(sessions)) continue; // Skip invalid entries
-        
-        const sessionIndex = sessions.findIndex(s => s && s.id === sessionId);
-        
-        if (sessionIndex !== -1) {
-          // Found it! Update the session
-          updatedSessions[date] = [...sessions];
-          updatedSessions[date][sessionIndex] = {
-            ...sessions[sessionIndex],
-            rating: {
-              rating: rating.rating,
-              focus: rating.focus,
-              productivity: rating.productivity,
-              // Structured reflection — four discrete fields for AI insight parsing
-              reflection: rating.reflection || null,
-              // Legacy alias: keeps old reads (summary screen, insights) working
-              notes: rating.reflection?.workedOn || rating.notes || null,
-              ratedAt: rating.ratedAt,
-            },
-          };
-          sessionFound = true;
-          break;
-        }
-      }
-      
-      if (!sessionFound) {
+      const session = await SessionRepository.getById(sessionId);
+
+      if (!session) {
         console.warn('⚠️ Session not found:', sessionId);
         // Don't throw - just continue
         return;
       }
-      
-      // Save back to storage
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(updatedSessions));
+
+      const now = Date.now();
+      const rated = {
+        ...session,
+        syncStatus: 'pending',
+        metadata: { ...session.metadata, modified: now },
+        rating: {
+          rating: rating.rating,
+          focus: rating.focus,
+          productivity: rating.productivity,
+          // Structured reflection — four discrete fields for AI insight parsing
+          reflection: rating.reflection || null,
+          // Legacy alias: keeps old reads (summary screen, insights) working
+          notes: rating.reflection?.workedOn || rating.notes || null,
+          // Whether the pre-session intention was met (utils/intentions)
+          intentionAchieved: isIntentionOutcome(rating.intentionAchieved) ? rating.intentionAchieved : null,
+          ratedAt: rating.ratedAt,
+        },
+      };
+      await SessionRepository.update(rated);
       console.log('✅ Rating saved successfully for session:', sessionId);
 
-      // Sync reflection to Firestore after AsyncStorage succeeds.
-      // Fire-and-forget — failure is non-critical, AsyncStorage is the source of truth.
-      updateSessionRatingInFirestore(sessionId, rating).catch(err =>
-        console.warn('[sessionService] Firestore rating sync failed:', err.message)
-      );
+      // Queue the edit for Firestore — syncService retries until it lands
+      await queueSessionUpsert(rated);
     } catch (error) {
       console.error('❌ Failed to save rating:', error);
       // Don't throw - allow user to continue
@@ -108,29 +77,25 @@ class SessionService {
    */
   async getSession(sessionId) {
     try {
-      const allSessions = await this._getAllSessions();
+      const session = await SessionRepository.getById(sessionId);
       const settings = await this._getSettings();
-      
-      // Find the session by ID
-      for (const [, sessions] of Object.entries(allSessions)) {
-        if (!Array.isArray(sessions)) continue; // Skip invalid entries
 
-        const session = sessions.find(s => s && s.id === sessionId);
-        
-        if (session) {
-          // Find activity details
-          const activity = settings.activities?.find(a => a.id === session.activity);
-          
-          return {
-            id: session.id,
-            activityName: activity?.name || 'Focus Session',
-            activityColor: activity?.color || '#2563eb',
-            duration: session.duration || 0,
-            completedAt: session.completedAt,
-            rating: session.rating,
-            notes: session.notes,
-          };
-        }
+      if (session) {
+        // Find activity details
+        const activity = settings.activities?.find(a => a.id === session.activity);
+
+        return {
+          id: session.id,
+          activity: session.activity,
+          activityName: activity?.name || 'Focus Session',
+          activityColor: activity?.color || '#2563eb',
+          duration: session.duration || 0,
+          completedAt: session.completedAt,
+          rating: session.rating,
+          notes: session.notes,
+          intention: session.intention || null,
+          parked: session.parked || [],
+        };
       }
       
       console.warn('⚠️ Session not found:', sessionId);
@@ -4,6 +4,7 @@ import messaging from '@react-native-firebase/messaging';
 import { firebase } from '@react-native-firebase/app';
 import auth from '@react-native-firebase/auth';
 import { Platform, Alert, Linking } from 'react-native';
+import Constants from 'expo-constants';
 import deviceIdService from '../services/deviceIdService';
 import notificationPreferences from '../services/notificationPreferences';
 
@@ -12,28 +13,54 @@ export function useNotificationSetup() {
   const [permissionGranted, setPermissionGranted] = useState(false);
   const [deviceId, setDeviceId] = useState(null);
 
+  // Tokens and preferences are keyed by the Firebase Auth uid, the same key
+  // the Cloud Functions read (fcm_tokens/{uid}/devices/{deviceId},
+  // users/{uid}/preferences/notifications). Each device registers its own
+  // token, so reminders reach all of a user's devices. Setup waits for a signed-in user
+  // and runs again whenever a different user signs in.
   useEffect(() => {
     if (!firebase.apps.length) {
       console.warn('⚠️ [FCM] Firebase not ready, skipping notification setup');
       return;
     }
-    setupNotifications();
+
+    let unsubscribeTokenRefresh = null;
+    let currentUid = null;
+
+    const unsubscribeAuth = auth().onAuthStateChanged(async (user) => {
+      if (user?.uid === currentUid) return;
+      currentUid = user?.uid ?? null;
+
+      unsubscribeTokenRefresh?.();
+      unsubscribeTokenRefresh = null;
+      if (!user) return;
+
+      const unsubscribe = await setupNotifications(user);
+      // Another user may have signed in while setup was running
+      if (currentUid === user.uid) {
+        unsubscribeTokenRefresh = unsubscribe || null;
+      } else {
+        unsubscribe?.();
+      }
+    });
+
+    return () => {
+      unsubscribeAuth();
+      unsubscribeTokenRefresh?.();
+    };
   }, []);
 
-  async function setupNotifications() {
+  async function setupNotifications(user) {
     try {
       console.log('🔔 [FCM] Starting notification setup...');
 
       const devId = await deviceIdService.getDeviceId();
       setDeviceId(devId);
-      console.log('🔔 [FCM] Device ID:', devId.substring(0, 20) + '...');
+      console.log('🔔 [FCM] Auth UID:', user.uid.substring(0, 20) + '...');
 
-      // Use Firebase Auth UID as the Firestore key so fcm_tokens/{uid} and
-      // users/{uid}/preferences/notifications align with what Cloud Functions expect.
-      // Fall back to devId only if auth is not available (should not happen after
-      // anonymous auth fix, but guards against timing edge cases).
-      const uid = auth().currentUser?.uid || devId;
-      console.log('🔔 [FCM] Auth UID:', uid.substring(0, 20) + '...');
+      // Before the permission prompt: the timezone in these preferences is
+      // also what the server buckets this user's days by
+      await notificationPreferences.initializeForUser(user.uid);
 
       const authStatus = await messaging().requestPermission();
       const enabled =
@@ -69,13 +96,12 @@ export function useNotificationSetup() {
       setFcmToken(token);
       console.log('🔑 [FCM] Token received:', token.substring(0, 20) + '...');
 
-      await registerTokenWithBackend(uid, token);
-      await initializePreferences(uid);
+      await registerTokenWithBackend(user, token, devId);
 
       const unsubscribe = messaging().onTokenRefresh(async (newToken) => {
         console.log('🔄 [FCM] Token refreshed');
         setFcmToken(newToken);
-        await registerTokenWithBackend(uid, newToken);
+        await registerTokenWithBackend(user, newToken, devId);
       });
 
       return unsubscribe;
@@ -84,18 +110,28 @@ export function useNotificationSetup() {
     }
   }
 
-  async function registerTokenWithBackend(userId, token) {
+  // The backend takes the uid from the verified ID token, never from the
+  // body. deviceId keys this device's entry in the user's token registry;
+  // the rest is metadata shown alongside it.
+  async function registerTokenWithBackend(user, token, devId) {
     try {
       console.log('📤 [FCM] Registering token with backend...');
+      const idToken = await user.getIdToken();
       const response = await fetch(
         'https://us-central1-deepwork-8416f.cloudfunctions.net/registerToken',
         {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${idToken}`,
+          },
           body: JSON.stringify({
             fcmToken: token,
+            deviceId: devId,
             platform: Platform.OS,
-            userId: userId,
+            osVersion: String(Platform.Version),
+            appVersion: Constants.expoConfig?.version ?? null,
+            deviceName: Constants.deviceName ?? null,
           }),
         }
       );
@@ -110,33 +146,5 @@ export function useNotificationSetup() {
     }
   }
 
-  async function initializePreferences(userId) {
-    try {
-      console.log('📋 [FCM] Initializing notification preferences...');
-      const existingPrefs = await notificationPreferences.getPreferences();
-      if (!existingPrefs.updatedAt) {
-        console.log('📋 [FCM] No existing preferences, creating defaults...');
-        const success = await notificationPreferences.savePreferences({
-          sessionComplete: true,
-          dailyReminder: {
-            enabled: true,
-            time: '09:00',
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-          },
-          weeklySummary: true,
-        });
-        if (success) {
-          console.log('✅ [FCM] Preferences initialized');
-        } else {
-          console.warn('⚠️ [FCM] Failed to initialize preferences');
-        }
-      } else {
-        console.log('📋 [FCM] Preferences already exist, skipping');
-      }
-    } catch (error) {
-      console.error('❌ [FCM] Error initializing preferences:', error);
-    }
-  }
-
   return { fcmToken, permissionGranted, deviceId };
 }
\ No newline at end of file
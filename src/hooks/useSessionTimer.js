@@ -10,6 +10,13 @@
 // External shape is unchanged for callers (start/pause/resume/stop) except
 // that start() now accepts an options object so DeepWorkSession can hand in
 // a restored endTime (running) or restored remainingAtPause (paused).
+//
+// start() may be called again on a running timer: an interval cycle moves to
+// its next phase with start({ endTime: nextPhaseEnd }), which clears isExpired
+// so the next expiry is seen as a new one.
+//
+// extend(ms) adds time whether the timer is running, paused or has just
+// expired, and returns the fields the caller persists to the active session.
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 
@@ -61,6 +68,7 @@ export const useSessionTimer = (totalDurationMs) => {
     if (endTime != null) {
       if (endTime > Date.now()) {
         endTimeRef.current = endTime;
+        setIsExpired(false);
         startInterval();
         return endTime;
       }
@@ -71,6 +79,7 @@ export const useSessionTimer = (totalDurationMs) => {
 
     const fresh = Date.now() + totalDurationMs;
     endTimeRef.current = fresh;
+    setIsExpired(false);
     startInterval();
     return fresh;
   }, [totalDurationMs, startInterval]);
@@ -98,6 +107,24 @@ export const useSessionTimer = (totalDurationMs) => {
     return endTime;
   }, [timeLeft, startInterval]);
 
+  // Returns { endTime, remainingAtPause } — endTime is null while paused,
+  // remainingAtPause is null while running.
+  const extend = useCallback((ms) => {
+    if (remainingAtPauseRef.current != null) {
+      remainingAtPauseRef.current += ms;
+      setTimeLeft(remainingAtPauseRef.current);
+      return { endTime: null, remainingAtPause: remainingAtPauseRef.current };
+    }
+
+    // An expired timer restarts from now, not from the end it already passed
+    const now = Date.now();
+    const base = endTimeRef.current && endTimeRef.current > now ? endTimeRef.current : now;
+    endTimeRef.current = base + ms;
+    setIsExpired(false);
+    startInterval();
+    return { endTime: endTimeRef.current, remainingAtPause: null };
+  }, [startInterval]);
+
   const stop = useCallback(() => {
     clearInterval_();
     endTimeRef.current = null;
@@ -108,5 +135,5 @@ export const useSessionTimer = (totalDurationMs) => {
     return () => clearInterval_();
   }, [clearInterval_]);
 
-  return { timeLeft, isPaused, isExpired, start, pause, resume, stop };
+  return { timeLeft, isPaused, isExpired, start, pause, resume, extend, stop };
 };
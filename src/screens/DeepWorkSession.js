@@ -1,8 +1,11 @@
 // src/screens/DeepWorkSession.js - COMPLETE VERSION with Enhanced Session Questions
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useSessionTimer } from '../hooks/useSessionTimer';
 import {
   scheduleSessionEndNotification,
+  scheduleCycleNotifications,
+  scheduleCheckpointNotifications,
+  cancelPhaseNotification,
   cancelSessionEndNotification,
 } from '../services/sessionEndNotification';
 import * as Notifications from 'expo-notifications';
@@ -19,17 +22,19 @@ import {
   ActivityIndicator,
   TouchableOpacity,
   PanResponder,
-  Platform
+  Platform,
+  TextInput,
+  Vibration
 } from 'react-native';
 
 import { deepWorkStore } from '../services/deepWorkStore';
 import SessionNotesModal from '../components/modals/SessionNotesModal';
-import { Pause, Play, ChevronLeft } from 'lucide-react-native';
+import ParkingLotModal from '../components/modals/ParkingLotModal';
+import { Pause, Play, ChevronLeft, Square, Plus, Inbox } from 'lucide-react-native';
 // PHASE 3: removed backgroundTimer import — the entire BackgroundFetch +
 // FCM-completion subsystem has been deleted. Session completion is owned by
 // useSessionTimer (foreground) and the OS notification (background/killed).
 import { useFocusLock } from '../context/FocusLockContext';
-import { saveSessionToFirestore } from '../services/firestoreSessionService';
 import {
   getActiveSession,
   setActiveSession,
@@ -41,6 +46,32 @@ import {
   incrementStreak,
   cancelStreakRiskNotification,
 } from '../services/streakService';
+import { toLocalDateString } from '../utils/dateHelpers';
+import { holdRemindersForSession } from '../services/quietHoursService';
+import {
+  PHASE_TYPES,
+  buildPhases,
+  advanceCycle,
+  phaseDurationMs,
+  describePhase,
+  focusMsSoFar,
+} from '../utils/intervalCycle';
+import {
+  STOPWATCH_MAX_MINUTES,
+  STOPWATCH_MAX_MS,
+  elapsedMinutes,
+  formatElapsed,
+} from '../utils/stopwatch';
+import {
+  PAUSE_REASONS,
+  MAX_REASON_LENGTH,
+  normalizePauses,
+  startPause,
+  endPause,
+  setLatestPauseReason,
+} from '../utils/pauseLog';
+import { normalizeParked, parkThought } from '../utils/parkingLot';
+import { getCarriedTodos, completeTodo } from '../services/parkingLotService';
 
 import {
   logSessionStart,
@@ -54,18 +85,62 @@ import {
 const { width, height } = Dimensions.get('window');
 const isTablet = width > 768 || height > 768;
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
+const BREAK_COLOR = '#10b981';
+const PHASE_ALARM_GRACE_MS = 5000;
+const EXTEND_OPTIONS = [5, 10, 15];
+// How long the completion screen offers "keep going" before saving
+const EXTEND_WINDOW_MS = 15000;
+// Shorter than this and a session finished early isn't worth saving
+const MIN_SAVED_SESSION_MS = 60 * 1000;
 
 const DeepWorkSession = ({ route, navigation }) => {
   console.log('🔍 DeepWorkSession starting with safe initialization...');
 
   // Destructure FIRST — using route.params before this declaration causes NaN
-  const { duration, activity, musicChoice, focusLockEnabled } = route.params;
-  const totalDuration = parseFloat(duration) * 60 * 1000;
+  // `intervals` is set for an interval cycle; `duration` is then its total focus time.
+  // `stopwatch` ({ checkpointMinutes }) is set for an open-ended session, which has no duration.
+  // `focusBlock` is the planned block occurrence (utils/focusBlocks) this session was started from.
+  // `intention` is what the user set out to do (utils/intentions), if they said.
+  const {
+    duration,
+    activity,
+    musicChoice,
+    focusLockEnabled,
+    intervals = null,
+    stopwatch = null,
+    focusBlock = null,
+    intention = null,
+  } = route.params;
+  const isStopwatch = stopwatch != null;
+  // A stopwatch counts down from its cap; elapsed = cap - timeLeft
+  const totalDuration = isStopwatch ? STOPWATCH_MAX_MS : parseFloat(duration) * 60 * 1000;
+  const plannedMinutes = isStopwatch ? 0 : parseFloat(duration);
+  // Minutes saved on the session — the plan plus any extension, unless the
+  // session is finished early or is a stopwatch
+  const savedMinutesRef = useRef(plannedMinutes);
+  const [extendedMinutes, setExtendedMinutes] = useState(0);
+  const extendedMinutesRef = useRef(0); // synchronous copy for save / timeout
+  const pausesRef          = useRef([]); // pause timeline (utils/pauseLog)
+  const [pauseReason, setPauseReason] = useState(null); // reason on the current pause
+  const [pauseReasonDraft, setPauseReasonDraft] = useState('');
+  const parkedRef          = useRef([]); // thoughts parked mid-session (utils/parkingLot)
+  const [parked, setParked] = useState([]);
+  const [carriedTodos, setCarriedTodos] = useState([]); // to-dos from earlier sessions
+  const [showParkingLot, setShowParkingLot] = useState(false);
+
+  // Interval cycle: the timer counts down one phase at a time
+  const phases = useMemo(() => (intervals ? buildPhases(intervals) : null), [intervals]);
+  const [phaseIndex, setPhaseIndex] = useState(0);
+  const phaseIndexRef    = useRef(0);    // synchronous copy for timer callbacks
+  const phaseEndTimeRef  = useRef(null); // end of the current phase, chains the next one
+  const currentPhase     = phases ? phases[phaseIndex] : null;
+  const isBreak          = currentPhase != null && currentPhase.type !== PHASE_TYPES.FOCUS;
+  const phaseDuration    = currentPhase ? phaseDurationMs(currentPhase) : totalDuration;
 
   const { startBlocking, stopBlocking, isReady: focusLockReady } = useFocusLock();
 
   // Timestamp-based timer — no drift, survives app reload
-  const { timeLeft, isPaused, isExpired, start, pause, resume, stop } = useSessionTimer(totalDuration);
+  const { timeLeft, isPaused, isExpired, start, pause, resume, extend, stop } = useSessionTimer(phaseDuration);
 
   // Core state
   const [isCompleted, setIsCompleted] = useState(false);
@@ -80,6 +155,14 @@ const DeepWorkSession = ({ route, navigation }) => {
   const isCleanedUpRef          = useRef(false); // prevents double cleanup
   const completionTimeoutRef    = useRef(null);  // 1500ms delay handle in handleTimeout
   const hasStartedBlockingRef   = useRef(false); // prevents double startBlocking call
+  const isAdvancingPhaseRef     = useRef(false); // prevents double handlePhaseEnd
+  const hasStartedMusicRef      = useRef(false); // music waits for the first focus phase
+  const startTimeRef            = useRef(null);  // stopwatch pausedMs, parked thought offsets
+  const lastCheckpointRef       = useRef(null);  // stopwatch: column laps / checkpoints passed
+  const nudgeTimeoutRef         = useRef(null);
+  const [checkpointNudge, setCheckpointNudge] = useState(null);
+  const [showExtendOptions, setShowExtendOptions] = useState(false);
+  const [canExtendAtEnd, setCanExtendAtEnd] = useState(false);
 
   // Services loaded dynamically to prevent crashes
   const [servicesReady, setServicesReady] = useState(false);
@@ -174,10 +257,14 @@ const DeepWorkSession = ({ route, navigation }) => {
       .catch(err => console.warn('🔒 Focus Lock start failed (non-critical):', err));
   }, [focusLockEnabled, servicesReady, focusLockReady]);
 
+  // The back handler and pan responder are created once; they go through this
+  // ref so the prompt sees the current timer state, not the first render's
+  const confirmEndSessionRef = useRef(null);
+
   // Handle back button (Android)
   useEffect(() => {
     const backHandler = BackHandler.addEventListener('hardwareBackPress', () => {
-      confirmEndSession();
+      confirmEndSessionRef.current?.();
       return true;
     });
 
@@ -192,13 +279,52 @@ const DeepWorkSession = ({ route, navigation }) => {
   }, []);
 
   // React to timer expiry — isCompleted guard prevents a second fire if the
-  // effect re-runs (e.g. strict-mode double-invoke in dev).
+  // effect re-runs (e.g. strict-mode double-invoke in dev). In a cycle, only
+  // the last phase's expiry completes the session.
   useEffect(() => {
     if (isExpired && !isCompleted) {
-      handleTimeout();
+      if (phases && phaseIndexRef.current < phases.length - 1) {
+        handlePhaseEnd();
+      } else {
+        handleTimeout();
+      }
     }
   }, [isExpired]);
 
+  // Stopwatch: the column fills once per checkpoint interval (or hour), and a
+  // soft nudge shows when a checkpoint passes with the app open
+  const stopwatchLapMs = (stopwatch?.checkpointMinutes ?? 60) * 60 * 1000;
+  const elapsed = STOPWATCH_MAX_MS - timeLeft;
+
+  useEffect(() => {
+    if (!isStopwatch || isPaused || isCompleted) return;
+    // Seeded by initializeSession once the restored elapsed time is known
+    if (lastCheckpointRef.current == null) return;
+    const lap = Math.floor(elapsed / stopwatchLapMs);
+    if (lap <= lastCheckpointRef.current) return;
+
+    lastCheckpointRef.current = lap;
+    animateColumn(stopwatchLapMs, stopwatchLapMs);
+    if (stopwatch.checkpointMinutes) {
+      Vibration.vibrate(200);
+      setCheckpointNudge(`${formatElapsed(lap * stopwatchLapMs)} in — keep going, or finish when you're ready`);
+      clearTimeout(nudgeTimeoutRef.current);
+      nudgeTimeoutRef.current = setTimeout(() => setCheckpointNudge(null), 8000);
+    }
+  }, [elapsed]);
+
+  useEffect(() => () => clearTimeout(nudgeTimeoutRef.current), []);
+
+  // Fill the column over what is left of the current phase
+  const animateColumn = (remainingMs, phaseMs) => {
+    animatedHeight.setValue(phaseMs > 0 ? 1 - remainingMs / phaseMs : 0);
+    Animated.timing(animatedHeight, {
+      toValue: 1,
+      duration: remainingMs,
+      useNativeDriver: false,
+    }).start();
+  };
+
   // SAFE: Session initialization
   const initializeSession = async () => {
     console.log('🔍 Initializing session...');
@@ -212,10 +338,22 @@ const DeepWorkSession = ({ route, navigation }) => {
         ? existing.config.remainingAtPause
         : null;
       const startTime        = existing?.config?.startTime ?? Date.now();
+      // getActiveSession has already moved a cycle past phases that ended while away
+      const restoredPhase    = phases ? (existing?.config?.phaseIndex ?? 0) : 0;
+      phaseIndexRef.current = restoredPhase;
+      setPhaseIndex(restoredPhase);
+      pausesRef.current = normalizePauses(existing?.config?.pauses);
+      setPauseReason(restoredPaused != null ? pausesRef.current[pausesRef.current.length - 1]?.reason ?? null : null);
+      parkedRef.current = normalizeParked(existing?.config?.parked);
+      setParked(parkedRef.current);
+      getCarriedTodos().then(setCarriedTodos);
+      extendedMinutesRef.current = existing?.config?.extendedMinutes ?? 0;
+      setExtendedMinutes(extendedMinutesRef.current);
 
       console.log('[Session] Init —', existing
         ? `restoring session | endTime: ${restoredEndTime ? new Date(restoredEndTime).toLocaleTimeString() : 'null'} | paused: ${restoredPaused != null}`
-        : 'fresh start');
+        : 'fresh start',
+        phases ? `| phase ${restoredPhase + 1} of ${phases.length}` : '');
 
       // start() now takes restored state and returns the effective endTime
       // (or null when paused / already-expired).
@@ -224,19 +362,28 @@ const DeepWorkSession = ({ route, navigation }) => {
         : restoredEndTime != null ? { endTime: restoredEndTime }
         : undefined
       );
+      phaseEndTimeRef.current = endTime;
+      startTimeRef.current = startTime;
+      const restoredPhaseMs = phases
+        ? phaseDurationMs(phases[restoredPhase])
+        : totalDuration + extendedMinutesRef.current * 60 * 1000;
 
       console.log('[Session] endTime from start():', endTime
         ? new Date(endTime).toLocaleTimeString()
         : 'null — notification will NOT be scheduled (paused or already expired)');
 
-      Animated.timing(animatedHeight, {
-        toValue: 1,
-        duration: totalDuration,
-        useNativeDriver: false,
-      }).start();
+      const initialRemaining = endTime ? endTime - Date.now() : restoredPaused ?? restoredPhaseMs;
+      if (isStopwatch) {
+        const elapsedSoFar = STOPWATCH_MAX_MS - initialRemaining;
+        lastCheckpointRef.current = Math.floor(elapsedSoFar / stopwatchLapMs);
+        animateColumn(stopwatchLapMs - (elapsedSoFar % stopwatchLapMs), stopwatchLapMs);
+        if (!endTime) animatedHeight.stopAnimation();
+      } else {
+        animateColumn(initialRemaining, restoredPhaseMs);
+      }
 
       try {
-        logSessionStart(parseFloat(duration), musicChoice, activityDetails?.name || activity).catch(() => {});
+        logSessionStart(plannedMinutes, musicChoice, activityDetails?.name || activity).catch(() => {});
       } catch (analyticsErr) {
         console.warn('[Session] logSessionStart failed (non-critical):', analyticsErr.message);
       }
@@ -248,24 +395,58 @@ const DeepWorkSession = ({ route, navigation }) => {
         startTime,
         endTime,
         activity,
-        duration,
+        duration:         isStopwatch ? null : duration,
         musicChoice,
         focusLockEnabled,
         notificationId:   existing?.config?.notificationId ?? null,
         isPaused:         restoredPaused != null,
         remainingAtPause: restoredPaused,
+        intervals,
+        phaseIndex:       restoredPhase,
+        phaseNotificationIds: existing?.config?.phaseNotificationIds ?? {},
+        stopwatch,
+        pausedMs:         existing?.config?.pausedMs ?? 0,
+        checkpointNotificationIds: existing?.config?.checkpointNotificationIds ?? [],
+        pauses:           pausesRef.current,
+        extendedMinutes:  extendedMinutesRef.current,
+        focusBlock,
+        intention,
+        parked:           parkedRef.current,
       });
 
       // Schedule OS-level notification at endTime — fires even if app is killed/locked.
       // Skipped when restoring a paused session (no endTime to schedule against).
-      if (endTime) {
+      if (endTime && isStopwatch) {
+        // No end to announce — just the checkpoint nudges, if any
+        scheduleCheckpointNotifications(
+          STOPWATCH_MAX_MS - (endTime - Date.now()),
+          stopwatch.checkpointMinutes,
+          activityDetails?.name || 'Focus Session'
+        );
+        holdRemindersForSession();
+      } else if (endTime && phases) {
+        // A cycle queues one notification per remaining phase
+        const ids = await scheduleCycleNotifications(
+          intervals,
+          restoredPhase,
+          endTime,
+          activityDetails?.name || 'Focus Session'
+        ).catch(err => {
+          console.error('[Session] CRITICAL: scheduleCycleNotifications threw:', err);
+          return [];
+        });
+        if (ids.length === 0) {
+          console.error('[Session] CRITICAL: no phase notifications scheduled (check permissions)');
+        }
+        holdRemindersForSession();
+      } else if (endTime) {
         try {
           console.log('[Session] Scheduling OS notification for', new Date(endTime).toLocaleTimeString(),
             '| in', Math.round((endTime - Date.now()) / 1000), 's');
           const notifId = await scheduleSessionEndNotification(
             endTime,
             activityDetails?.name || 'Focus Session',
-            parseFloat(duration)
+            plannedMinutes + extendedMinutesRef.current
           );
           if (notifId) {
             console.log('[Session] OS notification scheduled, id:', notifId);
@@ -282,6 +463,9 @@ const DeepWorkSession = ({ route, navigation }) => {
         } catch (schedErr) {
           console.error('[Session] CRITICAL: scheduleSessionEndNotification threw:', schedErr);
         }
+
+        // "I'm in a session" suppression — keep queued reminders from landing mid-session
+        holdRemindersForSession();
       }
 
       // ✅ Initialize everything else in parallel (non-blocking)
@@ -289,8 +473,8 @@ const DeepWorkSession = ({ route, navigation }) => {
       // PHASE 3: removed backgroundTimer.startTimerNotification — there is no
       // sticky timer notification or BackgroundFetch task to start anymore.
       Promise.all([
-        // Music initialization
-        initializeMusic(),
+        // Music initialization — a cycle restored into a break starts it at the next focus
+        !phases || phases[restoredPhase].type === PHASE_TYPES.FOCUS ? initializeMusic() : null,
 
         // Alarm service initialization (foreground fallback alarm)
         servicesRef.current.alarmService
@@ -323,6 +507,7 @@ const DeepWorkSession = ({ route, navigation }) => {
     }
 
     try {
+      hasStartedMusicRef.current = true;
       console.log(`🎵 Starting background music: ${musicChoice}`);
       const alreadyReady = servicesRef.current.audioService.isInitialized;
       console.log(`🎵 audioService.isInitialized before init(): ${alreadyReady}`);
@@ -334,6 +519,76 @@ const DeepWorkSession = ({ route, navigation }) => {
     }
   };
 
+  // Interval cycle: one phase ran out and another follows. The next phase
+  // starts from the previous phase's end, not from now, so the timer stays in
+  // step with the notifications already queued for it.
+  const handlePhaseEnd = async () => {
+    if (isAdvancingPhaseRef.current) return;
+    isAdvancingPhaseRef.current = true;
+
+    try {
+      const endedIndex = phaseIndexRef.current;
+      const endedAt = phaseEndTimeRef.current ?? Date.now();
+      const next = advanceCycle(phases, endedIndex, endedAt, Date.now());
+      if (next.completed) {
+        // The rest of the cycle ran out while the app wasn't looking
+        phaseIndexRef.current = phases.length - 1;
+        setPhaseIndex(phases.length - 1);
+        handleTimeout();
+        return;
+      }
+
+      const nextPhase = phases[next.phaseIndex];
+      console.log(`⏰ Phase ${endedIndex + 1} ended → ${describePhase(nextPhase, intervals.rounds)}`,
+        `until ${new Date(next.endTime).toLocaleTimeString()}`);
+
+      phaseIndexRef.current = next.phaseIndex;
+      phaseEndTimeRef.current = next.endTime;
+      setPhaseIndex(next.phaseIndex);
+      start({ endTime: next.endTime });
+      animateColumn(next.endTime - Date.now(), phaseDurationMs(nextPhase));
+      await updateActiveSession({ phaseIndex: next.phaseIndex, endTime: next.endTime });
+
+      // Music only plays while focusing
+      const audio = servicesRef.current.audioService;
+      if (audio) {
+        try {
+          if (nextPhase.type !== PHASE_TYPES.FOCUS) {
+            await audio.pauseMusic();
+          } else if (hasStartedMusicRef.current) {
+            await audio.resumeMusic();
+          } else {
+            await initializeMusic();
+          }
+        } catch (error) {
+          console.warn('🎵 Music phase change error:', error);
+        }
+      }
+
+      // Same split as handleTimeout: in the foreground the alarm plays in-app
+      // and the OS notification for this transition is withdrawn; otherwise
+      // the notification is the alarm. Transitions that happened while the
+      // app was in the background have had their notifications already.
+      const isLive = Date.now() - endedAt < PHASE_ALARM_GRACE_MS;
+      if (AppState.currentState === 'active' && isLive) {
+        for (let index = endedIndex; index < next.phaseIndex; index++) {
+          await cancelPhaseNotification(index);
+        }
+        if (servicesRef.current.alarmService) {
+          try {
+            await servicesRef.current.alarmService.playCompletionAlarm({ autoStopAfter: 4 });
+          } catch (alarmError) {
+            console.warn('🔔 Phase alarm failed (non-critical):', alarmError);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in handlePhaseEnd:', error);
+    } finally {
+      isAdvancingPhaseRef.current = false;
+    }
+  };
+
   const handleTimeout = async () => {
     // Synchronous re-entry guard — prevents double fire from strict-mode or
     // rapid state updates delivering isExpired=true more than once.
@@ -371,19 +626,24 @@ const DeepWorkSession = ({ route, navigation }) => {
         console.log('🔔 App not active — leaving OS notification to fire');
       }
 
+      // A stopwatch only times out by reaching its cap
+      if (isStopwatch) {
+        savedMinutesRef.current = STOPWATCH_MAX_MINUTES;
+      } else if (!phases) {
+        savedMinutesRef.current = plannedMinutes + extendedMinutesRef.current;
+      }
+      // Seen live, a single countdown can still be extended before it's saved
+      const offerExtension = !isStopwatch && !phases && AppState.currentState === 'active';
+      setCanExtendAtEnd(offerExtension);
+      setShowExtendOptions(false);
       setIsCompleted(true);
-      logSessionComplete(parseFloat(duration)).catch(() => {});
+      logSessionComplete(savedMinutesRef.current).catch(() => {});
 
       // Store the timeout handle so we can cancel it on unmount.
-      completionTimeoutRef.current = setTimeout(async () => {
-        completionTimeoutRef.current = null;
-        await handleNotesSubmit({
-          notes: '',
-          productivityRating: null,
-          focusRating: null,
-          energyLevel: null,
-        });
-      }, 800);
+      completionTimeoutRef.current = setTimeout(
+        saveCompletedSession,
+        offerExtension ? EXTEND_WINDOW_MS : 800
+      );
 
     } catch (error) {
       console.error('❌ Error in handleTimeout:', error);
@@ -395,14 +655,122 @@ const DeepWorkSession = ({ route, navigation }) => {
     }
   };
 
+  const saveCompletedSession = async () => {
+    completionTimeoutRef.current = null;
+    setCanExtendAtEnd(false);
+    await handleNotesSubmit({
+      notes: '',
+      productivityRating: null,
+      focusRating: null,
+      energyLevel: null,
+    });
+  };
+
+  // Focus time so far, from the clock: a stopwatch's elapsed time, a cycle's
+  // focus phases, or a countdown's plan (plus extensions) less what's left
+  const focusedMsSoFar = () => {
+    const remaining = isPaused ? timeLeft : Math.max(0, phaseEndTimeRef.current - Date.now());
+    if (isStopwatch) return STOPWATCH_MAX_MS - remaining;
+    if (phases) return focusMsSoFar(phases, phaseIndexRef.current, remaining);
+    return totalDuration + extendedMinutesRef.current * 60 * 1000 - remaining;
+  };
+
+  // Finish now and keep what was done — how a stopwatch always ends, and
+  // "finish early" for the others. Saves the real focused time through the
+  // same path as a countdown reaching zero.
+  const handleFinishEarly = () => {
+    const focusedMs = focusedMsSoFar();
+
+    if (focusedMs < MIN_SAVED_SESSION_MS) {
+      Alert.alert(
+        'Too short to save',
+        'Sessions under a minute aren\'t saved. Keep going?',
+        [
+          {
+            text: 'Keep Going',
+            onPress: () => Animated.spring(swipeAnim, { toValue: 0, useNativeDriver: true }).start(),
+            style: 'cancel',
+          },
+          {
+            text: 'Discard',
+            onPress: async () => {
+              logSessionAbandon(Math.round(focusedMs / 1000), plannedMinutes).catch(() => {});
+              await cleanup();
+              navigation.navigate('MainApp', { screen: 'Home' });
+            },
+            style: 'destructive',
+          },
+        ]
+      );
+      return;
+    }
+
+    if (isHandlingTimeoutRef.current) return;
+    isHandlingTimeoutRef.current = true;
+    console.log('⏱️ Session finished early after', formatElapsed(focusedMs), 'of focus');
+
+    savedMinutesRef.current = elapsedMinutes(focusedMs);
+    if (!isPaused) pause();
+    animatedHeight.stopAnimation();
+    servicesRef.current.audioService?.stopMusic().catch(() => {});
+    setCanExtendAtEnd(false);
+    setIsCompleted(true);
+    logSessionComplete(savedMinutesRef.current).catch(() => {});
+
+    completionTimeoutRef.current = setTimeout(saveCompletedSession, 800);
+  };
+
+  // Single countdown only: push the end back by `minutes`, either mid-session
+  // or from the completion screen before it saves. The end notification is
+  // rescheduled for the new end (scheduling replaces the queued one).
+  const extendSession = async (minutes) => {
+    setShowExtendOptions(false);
+    const fromCompletion = isHandlingTimeoutRef.current;
+    if (fromCompletion) {
+      // Completed: only while the save is still waiting on the user
+      if (!completionTimeoutRef.current) return;
+      clearTimeout(completionTimeoutRef.current);
+      completionTimeoutRef.current = null;
+      servicesRef.current.alarmService?.stopAlarm().catch(() => {});
+      isHandlingTimeoutRef.current = false;
+      setCanExtendAtEnd(false);
+      setIsCompleted(false);
+    }
+
+    extendedMinutesRef.current += minutes;
+    setExtendedMinutes(extendedMinutesRef.current);
+    const extendedMs = minutes * 60 * 1000;
+    const { endTime, remainingAtPause } = extend(extendedMs);
+    const plannedMs = totalDuration + extendedMinutesRef.current * 60 * 1000;
+    console.log(`⏱️ Session extended by ${minutes} min`,
+      endTime ? `→ ends ${new Date(endTime).toLocaleTimeString()}` : '(paused)');
+
+    await updateActiveSession({ endTime, remainingAtPause, extendedMinutes: extendedMinutesRef.current });
+    if (endTime) {
+      phaseEndTimeRef.current = endTime;
+      animateColumn(endTime - Date.now(), plannedMs);
+      scheduleSessionEndNotification(
+        endTime,
+        activityDetails?.name || 'Focus Session',
+        plannedMinutes + extendedMinutesRef.current
+      );
+      // handleTimeout stopped the music; extending from there picks it back up
+      if (fromCompletion) initializeMusic();
+    } else {
+      animatedHeight.setValue(1 - remainingAtPause / plannedMs);
+    }
+  };
+
   const togglePause = async () => {
     console.log('🔍 Toggle pause:', isPaused);
 
     if (isPaused) {
       // Resume — hook recomputes endTime from remaining; reschedule OS notification
       // with the new (extended) endTime so the lock-screen alert still fires correctly.
-      logSessionResume(Math.round((totalDuration - timeLeft) / 1000)).catch(() => {});
+      logSessionResume(Math.round((phaseDuration - timeLeft) / 1000)).catch(() => {});
       const newEndTime = resume();
+      phaseEndTimeRef.current = newEndTime;
+      pausesRef.current = endPause(pausesRef.current, Date.now());
       if (newEndTime) {
         // PHASE 2: persist the new endTime + clear paused fields BEFORE
         // scheduling. scheduleSessionEndNotification writes notificationId via
@@ -411,22 +779,40 @@ const DeepWorkSession = ({ route, navigation }) => {
           isPaused:         false,
           remainingAtPause: null,
           endTime:          newEndTime,
+          pauses:           pausesRef.current,
+          // Stopwatch: the pause so far, so elapsed = now - startTime - pausedMs
+          ...(isStopwatch && { pausedMs: newEndTime - STOPWATCH_MAX_MS - startTimeRef.current }),
         });
-        scheduleSessionEndNotification(
-          newEndTime,
-          activityDetails?.name || 'Focus Session',
-          parseFloat(duration)
-        );
+        if (isStopwatch) {
+          scheduleCheckpointNotifications(
+            STOPWATCH_MAX_MS - timeLeft,
+            stopwatch.checkpointMinutes,
+            activityDetails?.name || 'Focus Session'
+          );
+        } else if (phases) {
+          scheduleCycleNotifications(
+            intervals,
+            phaseIndexRef.current,
+            newEndTime,
+            activityDetails?.name || 'Focus Session'
+          );
+        } else {
+          scheduleSessionEndNotification(
+            newEndTime,
+            activityDetails?.name || 'Focus Session',
+            plannedMinutes + extendedMinutesRef.current
+          );
+        }
       }
       Animated.timing(animatedHeight, {
         toValue: 1,
-        duration: timeLeft,
+        duration: isStopwatch ? stopwatchLapMs - (elapsed % stopwatchLapMs) : timeLeft,
         useNativeDriver: false,
       }).start();
 
       // PHASE 3: removed backgroundTimer.updateTimerPauseState(false).
 
-      if (servicesRef.current.audioService) {
+      if (servicesRef.current.audioService && !isBreak) {
         try {
           await servicesRef.current.audioService.resumeMusic();
           console.log('🎵 Music resumed');
@@ -436,8 +822,11 @@ const DeepWorkSession = ({ route, navigation }) => {
       }
     } else {
       // Pause — hook captures endTime → remainingAtPause, clears interval
-      logSessionPause(Math.round((totalDuration - timeLeft) / 1000)).catch(() => {});
+      logSessionPause(Math.round((phaseDuration - timeLeft) / 1000)).catch(() => {});
       const remaining = pause();
+      pausesRef.current = startPause(pausesRef.current, Date.now());
+      setPauseReason(null);
+      setPauseReasonDraft('');
       animatedHeight.stopAnimation();
       // S1-4: Cancel the OS notification so it doesn't fire at the original end
       // time while the session is paused. scheduleSessionEndNotification() will
@@ -450,11 +839,12 @@ const DeepWorkSession = ({ route, navigation }) => {
         isPaused:         true,
         remainingAtPause: remaining,
         endTime:          null,
+        pauses:           pausesRef.current,
       });
 
       // PHASE 3: removed backgroundTimer.updateTimerPauseState(true).
 
-      if (servicesRef.current.audioService) {
+      if (servicesRef.current.audioService && !isBreak) {
         try {
           await servicesRef.current.audioService.pauseMusic();
           console.log('🎵 Music paused');
@@ -465,6 +855,27 @@ const DeepWorkSession = ({ route, navigation }) => {
     }
   };
 
+  // Why the current pause happened — a preset, typed text, or tapping the
+  // chosen preset again to clear it
+  const choosePauseReason = async (reason) => {
+    const next = reason === pauseReason ? null : reason;
+    pausesRef.current = setLatestPauseReason(pausesRef.current, next);
+    setPauseReason(pausesRef.current[pausesRef.current.length - 1]?.reason ?? null);
+    setPauseReasonDraft('');
+    await updateActiveSession({ pauses: pausesRef.current });
+  };
+
+  // Park a stray thought without pausing; stamped with how far in it came up
+  const handlePark = async (text) => {
+    parkedRef.current = parkThought(parkedRef.current, text, Date.now() - startTimeRef.current);
+    setParked(parkedRef.current);
+    await updateActiveSession({ parked: parkedRef.current });
+  };
+
+  const handleCompleteTodo = async (todoId) => {
+    setCarriedTodos(await completeTodo(todoId));
+  };
+
   // Pan responder for swipe to end
   const panResponder = useRef(
     PanResponder.create({
@@ -479,7 +890,7 @@ const DeepWorkSession = ({ route, navigation }) => {
       },
       onPanResponderRelease: (evt, gestureState) => {
         if (gestureState.dx > Dimensions.get('window').width / 3) {
-          confirmEndSession();
+          confirmEndSessionRef.current?.();
         } else {
           Animated.spring(swipeAnim, {
             toValue: 0,
@@ -490,11 +901,15 @@ const DeepWorkSession = ({ route, navigation }) => {
     })
   ).current;
 
-  // Confirm early session end
+  // Confirm early session end — keep the time focused so far, or throw it away
   const confirmEndSession = () => {
+    // Already completed — the save is on its way
+    if (isHandlingTimeoutRef.current) return;
     Alert.alert(
       'End Session?',
-      'Are you sure you want to end your deep work session early? This session will not be saved.',
+      isStopwatch
+        ? 'Save the time you\'ve focused so far, or discard this session?'
+        : 'End your deep work session early? Save the time you\'ve focused so far, or discard it.',
       [
         {
           text: 'Cancel',
@@ -507,18 +922,23 @@ const DeepWorkSession = ({ route, navigation }) => {
           style: 'cancel',
         },
         {
-          text: 'End Session',
+          text: 'Discard',
           onPress: async () => {
-            const elapsedSeconds = Math.round((totalDuration - timeLeft) / 1000);
-            logSessionAbandon(elapsedSeconds, parseFloat(duration)).catch(() => {});
+            const elapsedSeconds = Math.round(focusedMsSoFar() / 1000);
+            logSessionAbandon(elapsedSeconds, plannedMinutes).catch(() => {});
             await cleanup();
             navigation.navigate('MainApp', { screen: 'Home' });
           },
           style: 'destructive',
         },
+        {
+          text: 'Save',
+          onPress: handleFinishEarly,
+        },
       ]
     );
   };
+  confirmEndSessionRef.current = confirmEndSession;
 
   const cleanup = async () => {
     // Idempotency guard — cleanup is called from both handleSessionComplete and
@@ -641,13 +1061,22 @@ const handleSessionComplete = async (sessionData = {}) => {
     
     // Prepare session data
     const now = Date.now();
-    const dateString = new Date().toISOString().split('T')[0];
+    const dateString = toLocalDateString(now);
     
     const sessionToSave = {
       id: `${dateString}-${now}`,
       date: dateString,
       activity: activity,
-      duration: parseFloat(duration),
+      duration: savedMinutesRef.current,
+      // Planned vs actual: `duration` is what was actually focused
+      plannedDuration: isStopwatch ? null : plannedMinutes,
+      extendedMinutes: extendedMinutesRef.current,
+      // Finishing while paused ends that pause too
+      pauses: endPause(pausesRef.current, now),
+      pauseCount: pausesRef.current.length,
+      focusBlock,
+      intention,
+      parked: parkedRef.current,
       musicChoice: musicChoice || 'none',
       
       // CHANGED: Store structured session data instead of just notes string
@@ -700,14 +1129,8 @@ const handleSessionComplete = async (sessionData = {}) => {
 
     // Use the ID that was actually stored — deepWorkStore.addSession generates
     // its own ID internally, so result.session.id is the canonical ID.
-    // Pass the full sessionToSave fields (for timestamp, ratings, etc.) but
-    // override id so the Firestore doc matches AsyncStorage.
+    // addSession also queues the session for Firestore via syncService.
     const savedSessionId = result.session?.id || sessionToSave.id;
-    try {
-      await saveSessionToFirestore({ ...sessionToSave, id: savedSessionId });
-    } catch (firestoreError) {
-      console.log('❌ [DeepWorkSession] Firestore save failed (non-critical):', firestoreError.message);
-    }
     console.log('✅ Session saved successfully!');
     console.log('===================================\n');
     console.log('🐛 DEBUG: About to navigate to SessionRating with sessionId:', savedSessionId);
@@ -722,6 +1145,9 @@ const handleSessionComplete = async (sessionData = {}) => {
         activityName: activityDetails?.name || '',
         duration,
         musicChoice,
+        focusLockEnabled,
+        intervals,
+        stopwatch,
       }),
       incrementStreak(),
       cancelStreakRiskNotification(),
@@ -756,6 +1182,20 @@ const handleSessionComplete = async (sessionData = {}) => {
     return `${totalMinutes} min`;
   };
 
+  const renderExtendOptions = () => (
+    <View style={styles.chipRow}>
+      {EXTEND_OPTIONS.map(minutes => (
+        <TouchableOpacity
+          key={minutes}
+          style={styles.chip}
+          onPress={() => extendSession(minutes)}
+        >
+          <Text style={styles.chipText}>+{minutes} min</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
   // Show loading while services initialize
   if (!servicesReady || !activityDetails) {
     return (
@@ -776,8 +1216,23 @@ const handleSessionComplete = async (sessionData = {}) => {
           <Text style={{ fontSize: 48, marginBottom: 16 }}>🎉</Text>
           <Text style={[styles.timeText, { marginBottom: 8 }]}>Session Complete!</Text>
           <Text style={styles.totalTimeText}>
-            {formatTotalTime(totalDuration)} of focused work
+            {formatElapsed(savedMinutesRef.current * 60000)} of focused work
           </Text>
+          {canExtendAtEnd && !isSaving && (
+            <View style={styles.extendPrompt}>
+              <Text style={styles.statusText}>Keep going?</Text>
+              {renderExtendOptions()}
+              <TouchableOpacity
+                style={styles.saveNowButton}
+                onPress={() => {
+                  clearTimeout(completionTimeoutRef.current);
+                  saveCompletedSession();
+                }}
+              >
+                <Text style={styles.saveNowText}>Save now</Text>
+              </TouchableOpacity>
+            </View>
+          )}
           {isSaving && (
             <ActivityIndicator size="small" color="#2563eb" style={styles.savingIndicator} />
           )}
@@ -807,9 +1262,52 @@ const handleSessionComplete = async (sessionData = {}) => {
         <View style={styles.content}>
           {/* Timer Display */}
           <View style={styles.timerSection}>
-            <Text style={styles.timeText}>{formatTime(timeLeft)}</Text>
-            <Text style={styles.totalTimeText}>of {formatTotalTime(totalDuration)}</Text>
+            {currentPhase && (
+              <Text style={[styles.phaseText, isBreak && styles.phaseTextBreak]}>
+                {describePhase(currentPhase, intervals.rounds)}
+              </Text>
+            )}
+            <Text style={styles.timeText}>{formatTime(isStopwatch ? elapsed : timeLeft)}</Text>
+            <Text style={styles.totalTimeText}>
+              {isStopwatch
+                ? (stopwatch.checkpointMinutes
+                  ? `open-ended · nudge every ${stopwatch.checkpointMinutes} min`
+                  : 'open-ended')
+                : `of ${formatTotalTime(phases ? phaseDuration : totalDuration + extendedMinutes * 60 * 1000)}`}
+            </Text>
+            {extendedMinutes > 0 && (
+              <Text style={styles.statusText}>extended +{extendedMinutes} min</Text>
+            )}
             {isPaused && <Text style={styles.statusText}>PAUSED</Text>}
+            {isPaused && (
+              <View style={styles.pauseReasonBox}>
+                <Text style={styles.statusText}>What pulled you away?</Text>
+                <View style={styles.chipRow}>
+                  {PAUSE_REASONS.map(reason => (
+                    <TouchableOpacity
+                      key={reason}
+                      style={[styles.chip, pauseReason === reason && styles.chipSelected]}
+                      onPress={() => choosePauseReason(reason)}
+                    >
+                      <Text style={[styles.chipText, pauseReason === reason && styles.chipTextSelected]}>
+                        {reason}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <TextInput
+                  style={styles.pauseReasonInput}
+                  value={pauseReasonDraft}
+                  onChangeText={setPauseReasonDraft}
+                  onSubmitEditing={() => choosePauseReason(pauseReasonDraft)}
+                  placeholder={pauseReason && !PAUSE_REASONS.includes(pauseReason) ? pauseReason : 'Something else…'}
+                  placeholderTextColor="#9ca3af"
+                  maxLength={MAX_REASON_LENGTH}
+                  returnKeyType="done"
+                />
+              </View>
+            )}
+            {checkpointNudge && <Text style={styles.nudgeText}>{checkpointNudge}</Text>}
           </View>
 
           {/* Visual timer (column) */}
@@ -819,7 +1317,7 @@ const handleSessionComplete = async (sessionData = {}) => {
                 style={[
                   styles.column,
                   {
-                    backgroundColor: activityDetails.color,
+                    backgroundColor: isBreak ? BREAK_COLOR : activityDetails.color,
                     bottom: 0,
                     height: animatedHeight.interpolate({
                       inputRange: [0, 1],
@@ -835,20 +1333,61 @@ const handleSessionComplete = async (sessionData = {}) => {
           <View style={styles.activityInfoContainer}>
             <Text style={styles.activityText}>{activityDetails.name}</Text>
             
-            <TouchableOpacity
-              style={styles.pauseButton}
-              onPress={togglePause}
-            >
-              {isPaused ? (
-                <Play size={24} color="#1f2937" fill="#1f2937" />
-              ) : (
-                <Pause size={24} color="#1f2937" fill="#1f2937" />
+            <View style={styles.controlsRow}>
+              <TouchableOpacity
+                style={styles.pauseButton}
+                onPress={togglePause}
+              >
+                {isPaused ? (
+                  <Play size={24} color="#1f2937" fill="#1f2937" />
+                ) : (
+                  <Pause size={24} color="#1f2937" fill="#1f2937" />
+                )}
+              </TouchableOpacity>
+              {!isStopwatch && !phases && (
+                <TouchableOpacity
+                  style={styles.pauseButton}
+                  onPress={() => setShowExtendOptions(open => !open)}
+                >
+                  <Plus size={24} color="#1f2937" />
+                </TouchableOpacity>
               )}
-            </TouchableOpacity>
+              {isStopwatch && (
+                <TouchableOpacity
+                  style={[styles.pauseButton, styles.finishButton]}
+                  onPress={handleFinishEarly}
+                >
+                  <Square size={20} color="#ffffff" fill="#ffffff" />
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.pauseButton}
+                onPress={() => setShowParkingLot(true)}
+                accessibilityLabel="Park a thought"
+              >
+                <Inbox size={22} color="#1f2937" />
+                {parked.length > 0 && (
+                  <View style={styles.parkedBadge}>
+                    <Text style={styles.parkedBadgeText}>{parked.length}</Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            </View>
+            {showExtendOptions && renderExtendOptions()}
           </View>
         </View>
       </Animated.View>
 
+      {/* Parking lot — the timer keeps running underneath */}
+      <ParkingLotModal
+        visible={showParkingLot}
+        onClose={() => setShowParkingLot(false)}
+        parked={parked}
+        onPark={handlePark}
+        todos={carriedTodos}
+        onCompleteTodo={handleCompleteTodo}
+      />
+
       {/* Session Notes Modal */}
       <SessionNotesModal
         visible={showNotesModal}
@@ -902,6 +1441,23 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 4,
   },
+  phaseText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2563eb',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+    marginBottom: 4,
+  },
+  phaseTextBreak: {
+    color: BREAK_COLOR,
+  },
+  nudgeText: {
+    fontSize: 14,
+    color: '#2563eb',
+    marginTop: 8,
+    textAlign: 'center',
+  },
   statusText: {
     fontSize: 12,
     color: '#9ca3af',
@@ -944,6 +1500,73 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     marginBottom: 8,
   },
+  controlsRow: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  finishButton: {
+    backgroundColor: '#15803D',
+    borderColor: '#15803D',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    backgroundColor: '#f3f4f6',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  chipSelected: {
+    backgroundColor: '#2563eb',
+    borderColor: '#2563eb',
+  },
+  chipTextSelected: {
+    color: '#ffffff',
+  },
+  pauseReasonBox: {
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  pauseReasonInput: {
+    marginTop: 10,
+    minWidth: 200,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    fontSize: 14,
+    color: '#1f2937',
+    textAlign: 'center',
+  },
+  extendPrompt: {
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  saveNowButton: {
+    marginTop: 16,
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 20,
+    backgroundColor: '#2563eb',
+  },
+  saveNowText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
   pauseButton: {
     width: 56,
     height: 56,
@@ -960,6 +1583,23 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#e5e7eb',
   },
+  parkedBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    minWidth: 20,
+    height: 20,
+    borderRadius: 10,
+    paddingHorizontal: 5,
+    backgroundColor: '#2563eb',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  parkedBadgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#ffffff',
+  },
 });
 
 export default DeepWorkSession;
\ No newline at end of file
@@ -25,6 +25,8 @@ import {
   previewNotificationPayload,
 } from '../services/personalizedNotificationService';
 import { devModalService } from '../services/devModalService';
+import { listSnapshots, restoreSnapshot } from '../services/migrationSnapshotService';
+import { requestSync, getPendingCount } from '../services/syncService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const DevToolsScreen = ({ navigation }) => {
@@ -34,6 +36,7 @@ const DevToolsScreen = ({ navigation }) => {
   const [result, setResult] = useState(null);
   const [insight, setInsight] = useState(null);
   const [notifPreview, setNotifPreview] = useState(null);
+  const [snapshots, setSnapshots] = useState(null);
 
   const handleSeedData = async () => {
     Alert.alert(
@@ -408,6 +411,69 @@ const DevToolsScreen = ({ navigation }) => {
     }
   };
 
+  const handleListSnapshots = async () => {
+    setLoading(true);
+    try {
+      const list = await listSnapshots();
+      setSnapshots(list);
+      if (list.length === 0) {
+        Alert.alert('No Snapshots', 'Snapshots are taken before each local migration run.');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSyncNow = async () => {
+    setLoading(true);
+    try {
+      const sync = await requestSync();
+      const pending = await getPendingCount();
+      if (sync.skipped) {
+        Alert.alert('Sync Skipped', `Not signed in.\n\n⏳ ${pending} change(s) queued`);
+      } else if (sync.success) {
+        Alert.alert(
+          '✅ Sync Complete',
+          `📥 Pulled: ${sync.pulled}\n📤 Pushed: ${sync.pushed}\n⏳ Still queued: ${pending}`
+        );
+      } else {
+        Alert.alert('❌ Sync Failed', `${sync.error}\n\n⏳ ${pending} change(s) queued`);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestoreSnapshot = (snapshot) => {
+    Alert.alert(
+      'Restore Snapshot?',
+      `Replaces all sessions and settings with the copy taken ` +
+      `${new Date(snapshot.createdAt).toLocaleString()} (v${snapshot.fromVersion} → v${snapshot.toVersion}, ` +
+      `${snapshot.sessionCount} sessions).\n\nThe migration will re-run on next launch.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              const ok = await restoreSnapshot(snapshot.id);
+              Alert.alert(
+                ok ? '✅ Snapshot Restored' : '❌ Restore Failed',
+                ok ? 'Please RESTART the app now.' : 'Check console for details.'
+              );
+            } finally {
+              setLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleTestNotification = async (type) => {
     setLoading(true);
     setNotifPreview(null);
@@ -523,13 +589,16 @@ const DevToolsScreen = ({ navigation }) => {
 <TouchableOpacity
   style={[styles.button, { backgroundColor: '#10b981' }]}
   onPress={() => {
-    const { OPENAI_API_KEY } = require('../config/openai');
+    const { OPENAI_API_KEY, OPENAI_BASE_URL } = require('../config/openai');
+    const server = OPENAI_BASE_URL ? `\nServer: ${OPENAI_BASE_URL}` : '';
     
-    if (!OPENAI_API_KEY) {
-      Alert.alert('❌ Not Configured', 'API key is missing or undefined');
+    if (!OPENAI_API_KEY && !OPENAI_BASE_URL) {
+      Alert.alert('❌ Not Configured', 'API key is missing or undefined — insights use the offline template provider');
+    } else if (!OPENAI_API_KEY) {
+      Alert.alert('✅ Server Configured', `No API key (not required by most local servers)${server}`);
     } else {
       const preview = `${OPENAI_API_KEY.substring(0, 7)}...${OPENAI_API_KEY.substring(OPENAI_API_KEY.length - 4)}`;
-      Alert.alert('✅ Key Loaded', preview);
+      Alert.alert('✅ Key Loaded', preview + server);
     }
   }}
 >
@@ -617,6 +686,9 @@ const DevToolsScreen = ({ navigation }) => {
               <Text style={[styles.insightMeta, { color: colors.textSecondary }]}>
                 {insight.metadata.fromCache ? '📦 Cached' : '✨ Fresh'} • 
                 Generated {new Date(insight.metadata.generatedAt).toLocaleString()}
+                {insight.metadata.provider ? ` • ${insight.metadata.provider}` : ''}
+                {insight.metadata.confidence != null ? ` • confidence ${insight.metadata.confidence}` : ''}
+                {insight.metadata.repaired ? ' • repaired' : ''}
               </Text>
             </View>
           )}
@@ -670,6 +742,65 @@ const DevToolsScreen = ({ navigation }) => {
           )}
         </View>
 
+        {/* Firestore Sync */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>
+            Firestore Sync
+          </Text>
+          <Text style={[styles.subtitle, { color: colors.textSecondary, marginBottom: 12 }]}>
+            Pull remote changes, then push queued local changes.
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: '#2563eb' }]}
+            onPress={handleSyncNow}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>🔄 Sync Now</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Migration Snapshots */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>
+            Migration Snapshots
+          </Text>
+          <Text style={[styles.subtitle, { color: colors.textSecondary, marginBottom: 12 }]}>
+            Copies of local data taken before each migration run. Kept for the last 3 app versions.
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: '#0f766e' }]}
+            onPress={handleListSnapshots}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>📸 List Snapshots</Text>
+          </TouchableOpacity>
+
+          {snapshots && snapshots.map(snapshot => (
+            <View
+              key={snapshot.id}
+              style={[styles.resultBox, styles.snapshotRow, { backgroundColor: colors.cardBackground }]}
+            >
+              <View style={styles.snapshotInfo}>
+                <Text style={[styles.resultText, { color: colors.text, fontWeight: '600' }]}>
+                  v{snapshot.fromVersion} → v{snapshot.toVersion} • app {snapshot.appVersion}
+                </Text>
+                <Text style={[styles.resultText, { color: colors.textSecondary }]}>
+                  {new Date(snapshot.createdAt).toLocaleString()} • {snapshot.sessionCount} sessions
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.pill, { backgroundColor: '#ef4444' }]}
+                onPress={() => handleRestoreSnapshot(snapshot)}
+                disabled={loading}
+              >
+                <Text style={styles.pillText}>Restore</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+
         {/* Modal Testing */}
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: colors.text }]}>
@@ -849,6 +980,14 @@ const styles = StyleSheet.create({
     fontSize: 13,
     fontWeight: '700',
   },
+  snapshotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  snapshotInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
 });
 
 export default DevToolsScreen;
\ No newline at end of file
@@ -34,13 +34,40 @@ import {
   getLastStreakModalSeen,
   setLastStreakModalSeen,
 } from '../services/streakService';
+import { rescheduleFocusBlockNotifications } from '../services/focusBlockService';
 import { WeeklyStreakModal } from '../components/WeeklyStreakModal';
+import GoalProgressRing from '../components/GoalProgressRing';
+import { getGoalProgress, formatGoalValue } from '../services/goalService';
+import { getLocalToday } from '../utils/dateHelpers';
+import {
+  INTERVAL_PRESETS,
+  DEV_INTERVAL_PRESET,
+  focusMinutesOf,
+  formatIntervals,
+} from '../utils/intervalCycle';
+import {
+  CHECKPOINT_OPTIONS,
+  stopwatchElapsedMs,
+  elapsedMinutes,
+} from '../utils/stopwatch';
+import { normalizePauses } from '../utils/pauseLog';
+import { normalizeParked } from '../utils/parkingLot';
 import {
   getBlockingUsedToday,
   recordBlockingUsed,
   getQuickRestartsToday,
   incrementQuickRestarts,
+  FREE_QUICK_RESTARTS_PER_DAY,
 } from '../services/monetizationService';
+import { getPresets } from '../services/presetService';
+import IntentionModal from '../components/modals/IntentionModal';
+import { lastNextStepFor } from '../utils/intentions';
+import {
+  pinnedPresets,
+  presetSessionParams,
+  presetLongestFocus,
+  describePreset,
+} from '../utils/sessionPresets';
 
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
@@ -54,6 +81,11 @@ const getGreeting = () => {
   return 'Good evening — finish strong';
 };
 
+const sessionLengthLabel = (config) =>
+  config?.stopwatch
+    ? 'open-ended'
+    : `${parseFloat(config?.duration) + (config?.extendedMinutes ?? 0)}-min`;
+
 const calculateTotalHours = (sessions) =>
   Math.floor(
     Object.values(sessions).flat().reduce((sum, s) => sum + (s.duration || 0), 0) / 60
@@ -81,6 +113,9 @@ const HomeScreen = () => {
   
   // Core state for session configuration
   const [duration, setDuration] = useState('');
+  const [intervals, setIntervals] = useState(null); // interval cycle; duration is then its focus total
+  const [stopwatch, setStopwatch] = useState(null); // { checkpointMinutes } for an open-ended session
+  const [sessionMode, setSessionModeState] = useState('timer'); // 'timer' | 'intervals' | 'stopwatch'
   const [activity, setActivity] = useState('');
   const [musicChoice, setMusicChoice] = useState('');
   
@@ -94,6 +129,9 @@ const HomeScreen = () => {
   const [lastSessionConfig, setLastSessionConfig] = useState(null); // quick restart prompt
   const [streak, setStreak]                       = useState({ count: 0, lastSessionDate: null });
   const [totalHours, setTotalHours]               = useState(0);
+  const [goalProgress, setGoalProgress]           = useState([]); // one entry per activity with a goal
+  const [presets, setPresets]                     = useState([]); // pinned presets, in the user's order
+  const [intentionPrompt, setIntentionPrompt]     = useState(null); // { params, suggestion } before a manual start
 
   // ── Streak modal state ───────────────────────────────────────────────────────
   const [showStreakModal, setShowStreakModal] = useState(false);
@@ -121,6 +159,9 @@ const HomeScreen = () => {
         const currentStreak = await getStreak();
         if (!cancelled) setStreak(currentStreak);
         scheduleStreakRiskNotification(currentStreak);
+
+        // 4. Keep the next week of planned focus blocks queued
+        rescheduleFocusBlockNotifications();
       };
 
       checkSessionState();
@@ -137,6 +178,10 @@ const HomeScreen = () => {
       activity:         activeSession.config.activity,
       musicChoice:      activeSession.config.musicChoice,
       focusLockEnabled: activeSession.config.focusLockEnabled,
+      intervals:        activeSession.config.intervals ?? null,
+      stopwatch:        activeSession.config.stopwatch ?? null,
+      focusBlock:       activeSession.config.focusBlock ?? null,
+      intention:        activeSession.config.intention ?? null,
     });
   };
 
@@ -145,9 +190,23 @@ const HomeScreen = () => {
     if (!config) { setActiveSession(null); return; }
 
     try {
+      // A stopwatch only expires at its cap; its length comes from the clock.
+      // A countdown that ran out ran its plan plus any extension.
+      const plannedDuration = config.stopwatch ? null : parseFloat(config.duration);
+      const extendedMinutes = config.extendedMinutes ?? 0;
+      const pauses = normalizePauses(config.pauses);
       const result = await deepWorkStore.addSession({
         activity:    config.activity,
-        duration:    parseFloat(config.duration),
+        duration:    config.stopwatch
+          ? elapsedMinutes(stopwatchElapsedMs(config, activeSession.endTime))
+          : plannedDuration + extendedMinutes,
+        plannedDuration,
+        extendedMinutes,
+        pauses,
+        pauseCount:  pauses.length,
+        focusBlock:  config.focusBlock ?? null,
+        intention:   config.intention ?? null,
+        parked:      normalizeParked(config.parked),
         musicChoice: config.musicChoice || 'none',
         notes:       '',
         timestamp:   activeSession.endTime,
@@ -173,10 +232,10 @@ const HomeScreen = () => {
   // ── Quick restart handler ─────────────────────────────────────────────────────
 
   const handleQuickRestart = async () => {
-    // 🔒 GATE: second quick restart per day requires premium
+    // 🔒 GATE: second quick restart per day requires premium (presets count too)
     if (!isPremium) {
       const restartsToday = await getQuickRestartsToday();
-      if (restartsToday >= 1) {
+      if (restartsToday >= FREE_QUICK_RESTARTS_PER_DAY) {
         dismissQuickRestart();
         showGatedPaywall(
           'quick_restart',
@@ -190,10 +249,59 @@ const HomeScreen = () => {
     const cfg = lastSessionConfig;
     markRestartOffered();
     setLastSessionConfig(null);
-    setDuration(String(cfg.duration));
+    applySessionConfig(cfg);
+    await incrementQuickRestarts();
+  };
+
+  // Fill the setup sections from a saved config (last session or a preset)
+  const applySessionConfig = (cfg) => {
+    setSessionModeState(cfg.stopwatch ? 'stopwatch' : cfg.intervals ? 'intervals' : 'timer');
+    setDuration(cfg.stopwatch ? '' : String(cfg.duration));
+    setIntervals(cfg.intervals ?? null);
+    setStopwatch(cfg.stopwatch ?? null);
     setActivity(cfg.activity);
     setMusicChoice(cfg.musicChoice);
+  };
+
+  // ── Preset launch ─────────────────────────────────────────────────────────────
+
+  const handleLaunchPreset = async (preset) => {
+    if (!activities.some(a => a.id === preset.activity)) {
+      Alert.alert('Activity removed', `The activity in "${preset.name}" no longer exists. Edit the preset in Settings.`);
+      return;
+    }
+
+    if (!isPremium) {
+      // 🔒 GATE: shares the daily quick-restart allowance
+      if (await getQuickRestartsToday() >= FREE_QUICK_RESTARTS_PER_DAY) {
+        showGatedPaywall('quick_restart', 'Start manually', () => applySessionConfig(preset));
+        return;
+      }
+      // 🔒 GATE: same long-session gate as handleStartSession
+      if (presetLongestFocus(preset) >= 45) {
+        showGatedPaywall('long_session', 'Start 30 min session',
+          () => applySessionConfig({ ...preset, intervals: null, stopwatch: null, duration: 30 }));
+        return;
+      }
+      // 🔒 GATE: same blocking gate as the Focus Lock toggle
+      if (preset.focusLockEnabled && isAvailable && await getBlockingUsedToday()) {
+        showGatedPaywall('blocking_limit', 'Continue without blocking',
+          () => startPreset({ ...preset, focusLockEnabled: false }));
+        return;
+      }
+    }
+
+    startPreset(preset);
+  };
+
+  const startPreset = async (preset) => {
+    const params = presetSessionParams(preset);
+    params.focusLockEnabled = isAvailable && params.focusLockEnabled;
+    if (params.focusLockEnabled) recordBlockingUsed();
     await incrementQuickRestarts();
+
+    console.log(`✅ Starting preset "${preset.name}" - ${describePreset(preset)}`);
+    navigation.navigate('DeepWorkSession', params);
   };
 
   const dismissQuickRestart = () => {
@@ -206,6 +314,31 @@ const HomeScreen = () => {
     ? [0.25, 5, 10, 15, 20, 30, 45]  // 0.25 = 15 seconds
     : [5, 10, 15, 20, 30, 45];
 
+  const availableIntervals = __DEV__
+    ? [DEV_INTERVAL_PRESET, ...INTERVAL_PRESETS]
+    : INTERVAL_PRESETS;
+
+  const selectInterval = (preset) => {
+    setIntervals(preset);
+    setDuration(String(focusMinutesOf(preset)));
+  };
+
+  const availableCheckpoints = __DEV__
+    ? [...CHECKPOINT_OPTIONS, 0.25]  // 0.25 = every 15 seconds
+    : CHECKPOINT_OPTIONS;
+
+  // Switching between countdown, cycle and stopwatch starts the choice over.
+  // A stopwatch needs no length, so it starts out ready with no nudges.
+  const setSessionMode = (mode) => {
+    if (mode === sessionMode) return;
+    setSessionModeState(mode);
+    setIntervals(null);
+    setStopwatch(mode === 'stopwatch' ? { checkpointMinutes: null } : null);
+    setDuration('');
+  };
+
+  const hasLength = sessionMode === 'stopwatch' ? stopwatch != null : !!duration;
+
   // Music options
   const musicOptions = [
     { value: 'none', label: 'No music' },
@@ -233,7 +366,7 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
 
   const maybeShowStreakModal = async () => {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const today = getLocalToday();
       const lastSeen = await getLastStreakModalSeen();
       if (lastSeen === today) return;
 
@@ -271,6 +404,8 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
 
       const sessions = await deepWorkStore.getSessions();
       setTotalHours(calculateTotalHours(sessions));
+      setGoalProgress(await getGoalProgress());
+      setPresets(pinnedPresets(await getPresets()));
     } catch (error) {
       console.error('Failed to load settings:', error);
     } finally {
@@ -280,9 +415,9 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
   };
 
   // Handle starting a new deep work session
-  const handleStartSession = () => {
+  const handleStartSession = async () => {
 
-    if (!activity || !duration || !musicChoice) {
+    if (!activity || !hasLength || !musicChoice) {
       Alert.alert('Incomplete', 'Please select all options before starting');
       return;
     }
@@ -290,31 +425,59 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
     // Parse duration as number
     const selectedDuration = parseFloat(duration);
     
-    // 🔒 GATE: long sessions (45+ min) require premium
-    if (!isPremium && selectedDuration >= 45) {
+    // 🔒 GATE: long sessions (45+ min) require premium — for a cycle, long
+    // focus phases. A stopwatch has no set length to gate on.
+    const longestFocus = stopwatch ? 0
+      : intervals ? intervals.focusMinutes
+      : selectedDuration;
+    if (!isPremium && longestFocus >= 45) {
       showGatedPaywall(
         'long_session',
         'Start 30 min session',
-        () => setDuration('30'),
+        () => {
+          setSessionMode('timer');
+          setDuration('30');
+        },
       );
       return;
     }
     
-    console.log('✅ Starting session - duration:', selectedDuration, 'minutes');
+    console.log('✅ Starting session -',
+      stopwatch ? `open-ended | checkpoints: ${stopwatch.checkpointMinutes ?? 'none'}`
+      : `duration: ${selectedDuration} minutes`,
+      intervals ? `| cycle: ${formatIntervals(intervals)}` : '');
 
     const effectiveFocusLock = isAvailable && focusLockEnabled;
 
-    // Record blocking usage so the daily gate can check it on next session
-    if (effectiveFocusLock) {
-      recordBlockingUsed();
-    }
-
-    navigation.navigate('DeepWorkSession', {
+    const params = {
       duration,
       activity,
       musicChoice,
       focusLockEnabled: effectiveFocusLock,
-    });
+      intervals,
+      stopwatch,
+    };
+
+    // Optional intention step, prefilled from this activity's last next step
+    let suggestion = null;
+    try {
+      suggestion = lastNextStepFor(await deepWorkStore.getSessions(), activity);
+    } catch (err) {
+      console.warn('[HomeScreen] Intention prefill failed:', err);
+    }
+    setIntentionPrompt({ params, suggestion });
+  };
+
+  const handleIntentionStart = (intention) => {
+    const { params } = intentionPrompt;
+    setIntentionPrompt(null);
+
+    // Record blocking usage so the daily gate can check it on next session
+    if (params.focusLockEnabled) {
+      recordBlockingUsed();
+    }
+
+    navigation.navigate('DeepWorkSession', { ...params, intention });
   };
 
   // Render individual activity item in the horizontal list
@@ -372,6 +535,81 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
     );
   };
 
+  // Render an interval cycle preset in the horizontal list
+  const renderInterval = ({ item }) => {
+    const isSelected = intervals?.id === item.id;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.durationItem,
+          {
+            backgroundColor: isDark ? colors.card : colors.background,
+            borderColor: isSelected ? colors.primary : colors.border
+          },
+          isSelected && [
+            styles.durationItemSelected,
+            { backgroundColor: colors.primary }
+          ]
+        ]}
+        onPress={() => selectInterval(item)}
+      >
+        <Text
+          style={[
+            styles.durationText,
+            { color: isDark ? '#fff' : colors.text },
+            isSelected && styles.durationTextSelected
+          ]}
+        >
+          {item.label}
+        </Text>
+        <Text
+          style={[
+            styles.intervalSummary,
+            { color: isSelected ? 'white' : colors.textSecondary }
+          ]}
+        >
+          {formatIntervals(item)}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // Render a stopwatch checkpoint choice in the horizontal list
+  const renderCheckpoint = ({ item }) => {
+    const isSelected = stopwatch?.checkpointMinutes === item;
+    const displayText = item == null ? 'No nudges'
+      : item === 0.25 ? 'Every 15 sec'
+      : `Every ${item} min`;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.durationItem,
+          {
+            backgroundColor: isDark ? colors.card : colors.background,
+            borderColor: isSelected ? colors.primary : colors.border
+          },
+          isSelected && [
+            styles.durationItemSelected,
+            { backgroundColor: colors.primary }
+          ]
+        ]}
+        onPress={() => setStopwatch({ checkpointMinutes: item })}
+      >
+        <Text
+          style={[
+            styles.durationText,
+            { color: isDark ? '#fff' : colors.text },
+            isSelected && styles.durationTextSelected
+          ]}
+        >
+          {displayText}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   // Show loading screen while fetching settings
   if (isLoading) {
     return (
@@ -412,7 +650,82 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
         </View>
         
         <View style={[styles.divider, { backgroundColor: colors.divider }]} />
+
+        {/* Goal progress — tap a ring to pick that activity */}
+        {goalProgress.length > 0 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={homeStyles.goalsRow}
+            contentContainerStyle={homeStyles.goalsRowContent}
+          >
+            {goalProgress.map(goal => (
+              <TouchableOpacity
+                key={goal.activityId}
+                style={[
+                  homeStyles.goalCard,
+                  {
+                    backgroundColor: isDark ? '#1f1f1f' : colors.card,
+                    borderColor: activity === goal.activityId ? colors.primary : colors.border,
+                  },
+                ]}
+                onPress={() => setActivity(goal.activityId)}
+                activeOpacity={0.8}
+              >
+                <GoalProgressRing ratio={goal.ratio} color={goal.color} met={goal.met} />
+                <View style={homeStyles.goalText}>
+                  <Text style={[homeStyles.goalName, { color: colors.text }]} numberOfLines={1}>
+                    {goal.activityName}
+                  </Text>
+                  <Text style={[homeStyles.goalDetail, { color: colors.textSecondary }]}>
+                    {goal.current} / {formatGoalValue(goal.type, goal.target)}
+                  </Text>
+                  <Text style={[homeStyles.goalDetail, { color: colors.textSecondary }]}>
+                    {goal.periodLabel}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
         
+        {/* Pinned presets — one tap starts the session */}
+        {presets.length > 0 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={homeStyles.goalsRow}
+            contentContainerStyle={homeStyles.goalsRowContent}
+          >
+            {presets.map(preset => {
+              const presetActivity = activities.find(a => a.id === preset.activity);
+              return (
+                <TouchableOpacity
+                  key={preset.id}
+                  style={[
+                    homeStyles.presetCard,
+                    {
+                      backgroundColor: isDark ? '#1f1f1f' : colors.card,
+                      borderColor: colors.border,
+                      borderLeftColor: presetActivity?.color ?? colors.border,
+                    },
+                  ]}
+                  onPress={() => handleLaunchPreset(preset)}
+                  activeOpacity={0.8}
+                  accessibilityLabel={`Start ${preset.name}`}
+                >
+                  <Text style={[homeStyles.goalName, { color: colors.text }]} numberOfLines={1}>
+                    ▶ {preset.name}
+                  </Text>
+                  <Text style={[homeStyles.goalDetail, { color: colors.textSecondary }]} numberOfLines={1}>
+                    {describePreset(preset)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+
         {/* Activity Selection Section */}
         <View style={[
           styles.section, 
@@ -441,23 +754,72 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
           styles.section, 
           { 
             backgroundColor: isDark ? '#1f1f1f' : colors.card,
-            borderColor: duration ? colors.primary : colors.border 
+            borderColor: hasLength ? colors.primary : colors.border 
           },
-          duration && styles.sectionCompleted
+          hasLength && styles.sectionCompleted
         ]}>
           <View style={styles.sectionHeader}>
             <Clock stroke={colors.textSecondary} size={20} />
             <Text style={[styles.sectionTitle, { color: colors.text }]}>Session Duration</Text>
           </View>
-          <FlatList
-            data={availableDurations}
-            renderItem={renderDuration}
-            keyExtractor={item => item.toString()}
-            horizontal
-            showsHorizontalScrollIndicator={false}
-            style={styles.durationsList}
-            contentContainerStyle={styles.durationsListContent}
-          />
+          <View style={[styles.musicButtons, styles.modeButtons]}>
+            {[
+              { value: 'timer', label: 'Single' },
+              { value: 'intervals', label: 'Intervals' },
+              { value: 'stopwatch', label: 'Open-ended' },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.label}
+                style={[
+                  styles.musicButton,
+                  { backgroundColor: isDark ? '#2a2a2a' : '#f3f4f6' },
+                  sessionMode === option.value && { backgroundColor: colors.primary }
+                ]}
+                onPress={() => setSessionMode(option.value)}
+              >
+                <Text
+                  style={[
+                    styles.musicButtonText,
+                    { color: isDark ? colors.textSecondary : '#6b7280' },
+                    sessionMode === option.value && { color: 'white' }
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {sessionMode === 'stopwatch' ? (
+            <FlatList
+              data={availableCheckpoints}
+              renderItem={renderCheckpoint}
+              keyExtractor={item => String(item)}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.durationsList}
+              contentContainerStyle={styles.durationsListContent}
+            />
+          ) : sessionMode === 'intervals' ? (
+            <FlatList
+              data={availableIntervals}
+              renderItem={renderInterval}
+              keyExtractor={item => item.id}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.durationsList}
+              contentContainerStyle={styles.durationsListContent}
+            />
+          ) : (
+            <FlatList
+              data={availableDurations}
+              renderItem={renderDuration}
+              keyExtractor={item => item.toString()}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.durationsList}
+              contentContainerStyle={styles.durationsListContent}
+            />
+          )}
         </View>
 
         {/* Music Selection Section */}
@@ -574,10 +936,10 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
           style={[
             styles.startButton,
             { backgroundColor: '#2563EB' },
-            (!duration || !activity || !musicChoice) && styles.startButtonDisabled
+            (!hasLength || !activity || !musicChoice) && styles.startButtonDisabled
           ]}
           onPress={handleStartSession}
-          disabled={!duration || !activity || !musicChoice}
+          disabled={!hasLength || !activity || !musicChoice}
         >
           <Text style={[styles.startButtonText, { color: 'white' }]}>Begin Deep Work Timer</Text>
         </TouchableOpacity>
@@ -591,6 +953,14 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
         secondaryCtaText={paywallSecondaryText}
       />
 
+      <IntentionModal
+        visible={!!intentionPrompt}
+        onClose={() => setIntentionPrompt(null)}
+        onStart={handleIntentionStart}
+        activityName={activities.find(a => a.id === intentionPrompt?.params.activity)?.name}
+        suggestion={intentionPrompt?.suggestion}
+      />
+
       {/* ── Interrupted session modal ────────────────────────────────────────── */}
       <Modal
         visible={!!activeSession}
@@ -600,14 +970,15 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
       >
         <View style={homeStyles.overlay}>
           <View style={[homeStyles.sheet, { backgroundColor: colors.card || '#1a1a1a' }]}>
-            {activeSession?.status === 'running' ? (
+            {activeSession?.status !== 'expired' ? (
               <>
                 <Text style={[homeStyles.sheetTitle, { color: colors.text }]}>
                   Session in progress
                 </Text>
                 <Text style={[homeStyles.sheetBody, { color: colors.textSecondary }]}>
-                  Your {activeSession.config.duration}-min{' '}
-                  {activeSession.config.activity} session is still running.
+                  Your {sessionLengthLabel(activeSession.config)}{' '}
+                  {activeSession.config.activity} session is still{' '}
+                  {activeSession.status === 'paused' ? 'paused' : 'running'}.
                   Pick up where you left off?
                 </Text>
                 <TouchableOpacity
@@ -628,7 +999,7 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
                   Session ended while away
                 </Text>
                 <Text style={[homeStyles.sheetBody, { color: colors.textSecondary }]}>
-                  Your {activeSession?.config.duration}-min{' '}
+                  Your {sessionLengthLabel(activeSession?.config)}{' '}
                   {activeSession?.config.activity} session finished while the app
                   was closed. Save it to your history?
                 </Text>
@@ -664,7 +1035,11 @@ const [focusLockEnabled, setFocusLockEnabled] = useState(false);
             <Text style={[homeStyles.sheetBody, { color: colors.textSecondary }]}>
               Last session:{' '}
               {lastSessionConfig?.activityName || lastSessionConfig?.activity},{' '}
-              {lastSessionConfig?.duration} min
+              {lastSessionConfig?.stopwatch
+                ? 'open-ended'
+                : lastSessionConfig?.intervals
+                  ? formatIntervals(lastSessionConfig.intervals)
+                  : `${lastSessionConfig?.duration} min`}
             </Text>
             <TouchableOpacity
               style={[homeStyles.primaryBtn, { backgroundColor: '#2563EB' }]}
@@ -768,6 +1143,13 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '600',
   },
+  intervalSummary: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  modeButtons: {
+    marginBottom: 8,
+  },
   
   // Activity Styles
   activitiesList: {
@@ -936,6 +1318,41 @@ const homeStyles = StyleSheet.create({
     fontWeight: '600',
     color: '#15803D',
   },
+  goalsRow: {
+    marginBottom: 16,
+  },
+  goalsRowContent: {
+    gap: 10,
+  },
+  goalCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    minWidth: 190,
+  },
+  goalText: {
+    flexShrink: 1,
+  },
+  presetCard: {
+    borderWidth: 1,
+    borderLeftWidth: 4,
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    minWidth: 150,
+    maxWidth: 240,
+  },
+  goalName: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  goalDetail: {
+    fontSize: 12,
+  },
   overlay: {
     flex: 1,
     backgroundColor: 'rgba(0,0,0,0.55)',
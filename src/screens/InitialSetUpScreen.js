@@ -10,6 +10,7 @@ import {
   Text 
 } from 'react-native';
 import { deepWorkStore } from '../services/deepWorkStore';
+import notificationPreferences from '../services/notificationPreferences';
 
 import ActivitySetupModal from '../components/modals/ActivitySetupModal.js';
 import ReminderFrequencyModal from '../components/modals/ReminderFrequencyModal.js';
@@ -23,6 +24,7 @@ const InitialSetupScreen = ({navigation}) => {
     const [showActivityModal, setShowActivityModal] = useState(false);
     const [showReminderModal, setShowReminderModal] = useState(false);
     const [showWelcomeStats, setShowWelcomeStats] = useState(false);
+    const [quietHours, setQuietHours] = useState(undefined);
     
     // Loading state
     const [isLoading, setIsLoading] = useState(true);
@@ -106,6 +108,9 @@ const InitialSetupScreen = ({navigation}) => {
             // UPDATED: Skip to step 2 (reminders) instead of step 2 (durations)
             setSetupStep(2);
             
+            // Current quiet hours for the reminder step to start from
+            setQuietHours(await notificationPreferences.getQuietHours());
+            
             // Short delay before showing next modal to prevent UI glitches
             setTimeout(() => {
                 setShowReminderModal(true);
@@ -137,6 +142,9 @@ const InitialSetupScreen = ({navigation}) => {
                 throw new Error('Failed to save reminder settings');
             }
             
+            // Quiet hours live with the notification preferences
+            await notificationPreferences.setQuietHours(reminderSettings.quietHours);
+            
             // UPDATED: Move to step 3 (was step 4)
             setSetupStep(3);
             
@@ -218,6 +226,7 @@ const InitialSetupScreen = ({navigation}) => {
                 visible={showReminderModal}
                 onClose={handleModalClose}
                 onSave={handleReminderSave}
+                initialQuietHours={quietHours}
                 preventClose={true}
                 // Progress bar props - UPDATED to step 2 of 3
                 showProgress={true}
@@ -13,23 +13,39 @@ import {
   ActivityIndicator,
   Modal,
   Share,
+  TextInput,
+  Alert,
 } from 'react-native';
+import { Search, Target, CalendarPlus } from 'lucide-react-native';
 import ActivitySummaryModal from '../components/modals/ActivitySummaryModal';
-import { useFocusEffect } from '@react-navigation/native';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { deepWorkStore } from '../services/deepWorkStore';
 import SessionDetailsModal from '../components/modals/SessionDetailsModal';
 import { useTheme } from '../context/ThemeContext';
 import InsightGenerator from '../services/insights/InsightGenerator';
 import ExpandableInsight from '../components/ExpandableInsight';
+import InsightCards from '../components/InsightCards';
 import { useSubscription } from '../context/SubscriptionContext';
 import { PaywallModal } from '../components/PaywallModal';
 // At the top of src/screens/MetricsScreen.js
-import { getStartOfWeek } from '../utils/dateHelpers';
+import { getStartOfWeek, toLocalDateString } from '../utils/dateHelpers';
+import SessionSearchRepository, { splitHighlights } from '../services/database/SessionSearchRepository';
+import { getGoalHistory, describeGoal, formatGoalValue, GOAL_DEFINITIONS } from '../services/goalService';
+import { getFocusBlocks } from '../services/focusBlockService';
+import { planAdherence } from '../utils/focusBlocks';
+import { withoutManual } from '../utils/manualSessions';
+import LogSessionModal from '../components/modals/LogSessionModal';
+import EditSessionModal from '../components/modals/EditSessionModal';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const BOX_SIZE = 24;
 const MAX_BOXES_PER_ROW = 10;
 
+const SEARCH_DEBOUNCE_MS = 200;
+
+// How long a deleted session can be brought back
+const UNDO_WINDOW_MS = 5000;
+
 const MONTHS = [
   'Jan', 'Feb', 'Mar', 'Apr',
   'May', 'Jun', 'Jul', 'Aug',
@@ -50,7 +66,7 @@ const generateWeeklyChartData = (sessions) => {
   for (let i = 6; i >= 0; i--) {
     const date = new Date(today);
     date.setDate(today.getDate() - i);
-    const dateString = date.toISOString().split('T')[0];
+    const dateString = toLocalDateString(date);
     
     const daySessions = sessions[dateString] || [];
     const totalMinutes = daySessions.reduce((sum, session) => sum + session.duration, 0);
@@ -155,6 +171,55 @@ const TotalTimeCard = ({ sessions, selectedMonth }) => {
   );
 };
 
+// Planned focus blocks kept this month (utils/focusBlocks). Hidden until
+// something planned has come and gone.
+const PlanAdherenceCard = ({ blocks, sessions, selectedMonth }) => {
+  const { colors } = useTheme();
+  if (!selectedMonth || !blocks?.length) return null;
+
+  const [year, month] = selectedMonth.split('-').map(Number);
+  const { planned, kept, rate } = planAdherence(
+    blocks,
+    Object.values(sessions).flat(),
+    new Date(year, month - 1, 1).getTime(),
+    new Date(year, month, 1).getTime(),
+    Date.now(),
+  );
+  if (planned === 0) return null;
+
+  return (
+    <View style={[styles.planAdherenceRow, { borderBottomColor: colors.border }]}>
+      <Text style={[styles.planAdherenceLabel, { color: colors.textSecondary }]}>
+        Planned blocks kept
+      </Text>
+      <Text style={[styles.planAdherenceValue, { color: colors.text }]}>
+        {kept} of {planned} ({Math.round(rate * 100)}%)
+      </Text>
+    </View>
+  );
+};
+
+// Sessions logged after the fact (utils/manualSessions) count like any other
+// unless hidden here. Hidden until there's at least one.
+const ManualSessionsRow = ({ sessions, included, onToggle }) => {
+  const { colors } = useTheme();
+  const count = Object.values(sessions).flat().filter(s => s.manual).length;
+  if (count === 0) return null;
+
+  return (
+    <View style={[styles.planAdherenceRow, { borderBottomColor: colors.border }]}>
+      <Text style={[styles.planAdherenceLabel, { color: colors.textSecondary }]}>
+        {count} logged session{count !== 1 ? 's' : ''} {included ? 'included' : 'hidden'}
+      </Text>
+      <TouchableOpacity onPress={onToggle} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+        <Text style={[styles.planAdherenceValue, { color: colors.primary }]}>
+          {included ? 'Hide' : 'Show'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
 const CompactActivityGrid = ({ sessions }) => {
   const { colors } = useTheme();
   
@@ -170,7 +235,7 @@ const CompactActivityGrid = ({ sessions }) => {
         const daysAgo = week * 7 + day;
         const date = new Date(today);
         date.setDate(today.getDate() - daysAgo);
-        const dateString = date.toISOString().split('T')[0];
+        const dateString = toLocalDateString(date);
         
         const daySessions = sessions[dateString] || [];
         const activityCount = daySessions.length;
@@ -437,7 +502,7 @@ const SessionList = ({ sessions, activities, onSessionPress, selectedMonth, onAc
 // Count UP from 1 to last day
 for (let d = 1; d <= lastDay.getDate(); d++) {
   const date = new Date(year, month - 1, d);
-  const dateString = date.toISOString().split('T')[0];
+  const dateString = toLocalDateString(date);
   
   days.push({
     date: dateString,
@@ -491,7 +556,8 @@ for (let d = 1; d <= lastDay.getDate(); d++) {
                         key={session.id}
                         style={[
                           styles.sessionCube,
-                          { backgroundColor: getActivityColor(session.activity) }
+                          { backgroundColor: getActivityColor(session.activity) },
+                          session.manual && styles.sessionCubeManual,
                         ]}
                         onPress={() => onSessionPress(session)}
                         activeOpacity={0.7}
@@ -543,6 +609,7 @@ for (let d = 1; d <= lastDay.getDate(); d++) {
 
 const MetricsScreen = () => {
   const { colors, isDarkMode } = useTheme();
+  const navigation = useNavigation();
 
   // const { 
   //   isPremium,           // ← Remove ": actualIsPremium"
@@ -587,11 +654,20 @@ const MetricsScreen = () => {
   const [sessions, setSessions] = useState({});
   const [activities, setActivities] = useState([]);
   const [selectedSession, setSelectedSession] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showGoals, setShowGoals] = useState(false);
   const [isGeneratingInsight, setIsGeneratingInsight] = useState(false);
   const [currentInsight, setCurrentInsight] = useState(null);
   const [insightError, setInsightError] = useState(null);
   const [showPaywall, setShowPaywall] = useState(false);
   const [selectedMonth, setSelectedMonth] = useState(null);
+  const [focusBlocks, setFocusBlocks] = useState([]);
+  const [includeManual, setIncludeManual] = useState(true); // settings.includeManualSessions
+  const [showLogSession, setShowLogSession] = useState(false);
+  const [logError, setLogError] = useState(null);
+  const [editingSession, setEditingSession] = useState(null);
+  const [deletedSession, setDeletedSession] = useState(null); // undo toast
+  const undoTimeoutRef = useRef(null);
   const [selectedActivity, setSelectedActivity] = useState(null);
   const [isGeneratingAllInsights, setIsGeneratingAllInsights] = useState(false);
 const [showInsightsModal, setShowInsightsModal] = useState(false);
@@ -804,147 +880,27 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
       setSessions(loadedSessions);
       setWeeklyPatterns(computeWeeklyPatterns(loadedSessions));
       setActivities(loadedActivities);
+      setIncludeManual(settings.includeManualSessions !== false);
+      setFocusBlocks(await getFocusBlocks());
     } catch (error) {
       console.error('❌ [MetricsScreen] Error loading:', error.message);
       
-      // AGGRESSIVE REPAIR: Bypass all validation and directly fix storage
-      console.log('🔧 [MetricsScreen] Starting aggressive repair...');
-      
-      try {
-        const AsyncStorage = require('@react-native-async-storage/async-storage').default;
-        
-        // Read raw data
-        const rawSessions = await AsyncStorage.getItem('@deep_work_sessions');
-        console.log('📦 [MetricsScreen] Raw data exists?', !!rawSessions);
-        
-        if (!rawSessions) {
-          console.log('⚠️ [MetricsScreen] No session data in storage - initializing empty');
-          await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify({}));
-          setSessions({});
-          const settings = await deepWorkStore.getSettings();
-          setActivities(settings.activities || []);
-          return;
-        }
-        
-        console.log('📦 [MetricsScreen] Raw data length:', rawSessions.length);
-        
-        // Parse raw data
-        let parsed;
-        try {
-          parsed = JSON.parse(rawSessions);
-          console.log('✅ [MetricsScreen] JSON parse successful');
-        } catch (parseError) {
-          console.error('❌ [MetricsScreen] JSON parse failed:', parseError.message);
-          console.log('🗑️ [MetricsScreen] Clearing corrupt JSON');
-          await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify({}));
-          setSessions({});
-          const settings = await deepWorkStore.getSettings();
-          setActivities(settings.activities || []);
-          return;
-        }
-        
-        // Validate it's an object
-        if (!parsed || typeof parsed !== 'object') {
-          console.error('❌ [MetricsScreen] Data is not an object, type:', typeof parsed);
-          console.log('🗑️ [MetricsScreen] Clearing invalid data structure');
-          await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify({}));
-          setSessions({});
-          const settings = await deepWorkStore.getSettings();
-          setActivities(settings.activities || []);
-          return;
-        }
+      // Drop any rows that fail validation, then retry the load once
+      console.log('🔧 [MetricsScreen] Repairing storage...');
 
-        const hasAnyInsights = () => {
-          return insights.daily || insights.weekly || insights.monthly;
-        };
-        
-
-        
-        const dateKeys = Object.keys(parsed);
-        console.log(`📊 [MetricsScreen] Found ${dateKeys.length} date keys`);
-        
-        // Repair each date
-        const repairedSessions = {};
-        let totalValid = 0;
-        let totalInvalid = 0;
-        
-        dateKeys.forEach(date => {
-          const dateSessions = parsed[date];
-          
-          // Check if it's an array
-          if (!Array.isArray(dateSessions)) {
-            console.error(`❌ [MetricsScreen] ${date}: Not an array (${typeof dateSessions})`);
-            totalInvalid++;
-            return;
-          }
-          
-          // Filter valid sessions
-          const validSessions = dateSessions.filter((session, idx) => {
-            const isValid = (
-              session &&
-              typeof session.activity === 'string' &&
-              session.activity.length > 0 &&
-              typeof session.duration === 'number' &&
-              session.duration > 0 &&
-              typeof session.musicChoice === 'string'
-            );
-            
-            if (!isValid) {
-              console.error(`❌ [MetricsScreen] ${date}[${idx}] invalid:`, {
-                exists: !!session,
-                activity: session?.activity,
-                activityType: typeof session?.activity,
-                duration: session?.duration,
-                durationType: typeof session?.duration,
-                musicChoice: session?.musicChoice,
-                musicChoiceType: typeof session?.musicChoice
-              });
-              totalInvalid++;
-            } else {
-              totalValid++;
-            }
-            
-            return isValid;
-          });
-          
-          if (validSessions.length > 0) {
-            repairedSessions[date] = validSessions;
-          }
-        });
-        
-        console.log(`📊 [MetricsScreen] Repair complete:`);
-        console.log(`   Valid sessions: ${totalValid}`);
-        console.log(`   Invalid sessions: ${totalInvalid}`);
-        console.log(`   Repaired dates: ${Object.keys(repairedSessions).length}`);
-        
-        // Save repaired data
-        await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify(repairedSessions));
-        console.log('✅ [MetricsScreen] Repaired data saved');
-        
-        // Load settings
+      try {
+        await deepWorkStore.repairStorage();
+        const repairedSessions = await deepWorkStore.getSessions();
         const settings = await deepWorkStore.getSettings();
-        console.log(`✅ [MetricsScreen] Loaded ${settings.activities?.length || 0} activities`);
-        
-        // Set state
+
         setSessions(repairedSessions);
+        setWeeklyPatterns(computeWeeklyPatterns(repairedSessions));
         setActivities(settings.activities || []);
-        
+
         console.log('✅ [MetricsScreen] Repair successful, data loaded');
-        
       } catch (repairError) {
         console.error('❌ [MetricsScreen] Repair failed:', repairError);
-        console.error('❌ [MetricsScreen] Stack:', repairError.stack);
-        
-        // NUCLEAR OPTION: Clear everything and start fresh
-        console.log('☢️ [MetricsScreen] NUCLEAR: Clearing all session data');
-        try {
-          const AsyncStorage = require('@react-native-async-storage/async-storage').default;
-          await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify({}));
-          console.log('✅ [MetricsScreen] Storage cleared');
-        } catch (clearError) {
-          console.error('❌ [MetricsScreen] Even clear failed:', clearError);
-        }
-        
+
         // Set empty state
         setSessions({});
         setActivities([]);
@@ -982,6 +938,28 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
     }
   };
 
+  const toggleIncludeManual = async () => {
+    const next = !includeManual;
+    setIncludeManual(next);
+    const settings = await deepWorkStore.getSettings();
+    await deepWorkStore.updateSettings({ ...settings, includeManualSessions: next });
+  };
+
+  // Saved sessions go straight to the rating screen for their reflection
+  const handleLogSession = async (entry) => {
+    const result = await deepWorkStore.logPastSession(entry);
+    if (!result.success) {
+      setLogError(result.error);
+      return;
+    }
+    setShowLogSession(false);
+    setLogError(null);
+    navigation.navigate('SessionRating', { sessionId: result.session.id });
+  };
+
+  // What the charts, totals and day list count
+  const shownSessions = includeManual ? sessions : withoutManual(sessions);
+
   const handleSessionPress = (session) => {
     setSelectedSession(session);
   };
@@ -990,6 +968,59 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
     setSelectedSession(null);
   };
 
+  // Details close first — iOS won't present two modals at once
+  const handleEditSession = (session) => {
+    setSelectedSession(null);
+    setEditingSession(session);
+  };
+
+  const handleSaveEdit = async (changes) => {
+    const result = await deepWorkStore.updateSession(editingSession.id, changes);
+    if (!result.success) {
+      Alert.alert('Could not save changes', result.error);
+      return;
+    }
+    setEditingSession(null);
+    await loadData();
+  };
+
+  const clearUndo = () => {
+    if (undoTimeoutRef.current) clearTimeout(undoTimeoutRef.current);
+    undoTimeoutRef.current = null;
+    setDeletedSession(null);
+  };
+
+  const handleDeleteSession = async (session) => {
+    setSelectedSession(null);
+    const result = await deepWorkStore.deleteSession(session.id);
+    if (!result.success) {
+      Alert.alert('Could not delete session', result.error);
+      return;
+    }
+    clearUndo();
+    setDeletedSession(result.session);
+    undoTimeoutRef.current = setTimeout(clearUndo, UNDO_WINDOW_MS);
+    await loadData();
+  };
+
+  const handleUndoDelete = async () => {
+    const session = deletedSession;
+    clearUndo();
+    if (!session) return;
+    await deepWorkStore.restoreSession(session);
+    await loadData();
+  };
+
+  useEffect(() => () => {
+    if (undoTimeoutRef.current) clearTimeout(undoTimeoutRef.current);
+  }, []);
+
+  // Close search before opening details — iOS won't present two modals at once
+  const handleSearchResultPress = (session) => {
+    setShowSearch(false);
+    setSelectedSession(session);
+  };
+
   const handleActivityPress = (activity) => {
     console.log('📊 Activity pressed:', activity.name);
     setSelectedActivity(activity);
@@ -1015,6 +1046,28 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
         <Animated.Text style={[styles.headerSubtitle, { color: colors.text, opacity: headerOpacity }]}>
           Metrics
         </Animated.Text>
+        <TouchableOpacity
+          style={styles.searchButton}
+          onPress={() => setShowSearch(true)}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+          <Search size={20} color={colors.text} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.goalsButton}
+          onPress={() => setShowGoals(true)}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+          <Target size={20} color={colors.text} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.logButton}
+          onPress={() => { setLogError(null); setShowLogSession(true); }}
+          hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          accessibilityLabel="Log a past session"
+        >
+          <CalendarPlus size={20} color={colors.text} />
+        </TouchableOpacity>
       </Animated.View>
 
       <View style={styles.content}>
@@ -1072,7 +1125,8 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
         </View>
       </View>
       <Text style={[styles.insightPreviewText, { color: colors.text }]} numberOfLines={3}>
-        {insights.weekly?.insightText || insights.daily?.insightText || 'Tap to view insights'}
+        {insights.weekly?.insight?.headline || insights.daily?.insight?.headline ||
+          insights.weekly?.insightText || insights.daily?.insightText || 'Tap to view insights'}
       </Text>
       <Text style={[styles.tapToSeeMore, { color: colors.primary }]}>Tap to see more →</Text>
     </Animated.View>
@@ -1084,18 +1138,21 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
           {/* Metrics Row */}
           <View style={[styles.chartsRow, { borderBottomColor: colors.border }]}>
             <View style={styles.compactActivitySection}>
-              <CompactActivityGrid sessions={sessions} />
+              <CompactActivityGrid sessions={shownSessions} />
             </View>
             
             <View style={styles.weeklyChartSection}>
-              <WeeklyFocusChart sessions={sessions} />
+              <WeeklyFocusChart sessions={shownSessions} />
             </View>
             
             <View style={styles.totalTimeSection}>
-              <TotalTimeCard sessions={sessions} selectedMonth={selectedMonth} />
+              <TotalTimeCard sessions={shownSessions} selectedMonth={selectedMonth} />
             </View>
           </View>
 
+          <PlanAdherenceCard blocks={focusBlocks} sessions={sessions} selectedMonth={selectedMonth} />
+          <ManualSessionsRow sessions={sessions} included={includeManual} onToggle={toggleIncludeManual} />
+
           {/* Month Selector — collapses on scroll */}
           <Animated.View style={{
             height: monthSelectorHeight,
@@ -1112,7 +1169,7 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
 
         {/* Scrollable Section: Session List Only */}
         <SessionList
-          sessions={sessions}
+          sessions={shownSessions}
           activities={activities}
           onSessionPress={handleSessionPress}
           selectedMonth={selectedMonth}
@@ -1129,6 +1186,38 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
         session={selectedSession}
         activities={activities}
         onClose={handleCloseModal}
+        onEdit={handleEditSession}
+        onDelete={handleDeleteSession}
+      />
+
+      <EditSessionModal
+        visible={!!editingSession}
+        session={editingSession}
+        activities={activities}
+        onClose={() => setEditingSession(null)}
+        onSave={handleSaveEdit}
+      />
+
+      <LogSessionModal
+        visible={showLogSession}
+        onClose={() => setShowLogSession(false)}
+        onSave={handleLogSession}
+        activities={activities}
+        error={logError}
+      />
+
+      <GoalHistoryModal
+        visible={showGoals}
+        onClose={() => setShowGoals(false)}
+        colors={colors}
+      />
+
+      <SessionSearchModal
+        visible={showSearch}
+        onClose={() => setShowSearch(false)}
+        onSelectSession={handleSearchResultPress}
+        activities={activities}
+        colors={colors}
       />
 
            {/* Insights Modal */}
@@ -1146,7 +1235,7 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
         <ActivitySummaryModal
         visible={!!selectedActivity}
         activity={selectedActivity}
-        sessions={sessions}
+        sessions={shownSessions}
         selectedMonth={selectedMonth}
         onClose={() => setSelectedActivity(null)}
       />
@@ -1161,6 +1250,15 @@ const [hasGeneratedInsights, setHasGeneratedInsights] = useState(false);
   limitType="historical_data"
 />
 
+      {deletedSession && (
+        <View style={[styles.undoToast, { backgroundColor: colors.primary }]}>
+          <Text style={styles.undoText}>Session deleted</Text>
+          <TouchableOpacity onPress={handleUndoDelete} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <Text style={styles.undoButtonText}>Undo</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
     </SafeAreaView>
   )
   
@@ -1187,6 +1285,43 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     letterSpacing: 0.5,
   },
+  searchButton: {
+    position: 'absolute',
+    right: 16,
+    top: 14,
+    padding: 4,
+  },
+  goalsButton: {
+    position: 'absolute',
+    right: 52,
+    top: 14,
+    padding: 4,
+  },
+  logButton: {
+    position: 'absolute',
+    right: 88,
+    top: 14,
+    padding: 4,
+  },
+  undoToast: {
+    position: 'absolute',
+    bottom: 20,
+    left: 20,
+    right: 20,
+    padding: 15,
+    borderRadius: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  undoText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+  undoButtonText: {
+    color: 'white',
+    fontWeight: '700',
+  },
   content: {
     flex: 1,
     // marginBottom: 6
@@ -1396,6 +1531,23 @@ const styles = StyleSheet.create({
     lineHeight: 10,  // ✅ ADD THIS - locks vertical space
 
   },
+  planAdherenceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  planAdherenceLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
+  planAdherenceValue: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   totalTimeContainer: {
     padding: 4,
     alignItems: 'center',
@@ -1482,6 +1634,10 @@ const styles = StyleSheet.create({
     height: 24,
     borderRadius: 4,
   },
+  // Logged after the fact rather than timed
+  sessionCubeManual: {
+    opacity: 0.5,
+  },
   totalColumn: {
     width: 60,
     alignItems: 'flex-end',
@@ -1791,6 +1947,17 @@ const InsightsModal = ({ visible, onClose, insights, weeklyPatterns, colors, isP
       await Share.share({ message: parts.join('\n\n---\n\n') + '\n\nTracked with DeepWork.io' });
     } catch (_) {}
   };
+  // Structured insights render as cards; anything else falls back to text
+  const renderInsight = (result) => (
+    result.insight ? (
+      <InsightCards insight={result.insight} />
+    ) : (
+      <Text style={[styles.insightSectionText, { color: colors.text }]}>
+        {result.insightText}
+      </Text>
+    )
+  );
+
   // Render one stat pill
   const StatPill = ({ label, value }) => (
     <View style={[insightModalStyles.statPill, { backgroundColor: colors.card || colors.cardBackground || '#1a1a1a' }]}>
@@ -1916,9 +2083,7 @@ const InsightsModal = ({ visible, onClose, insights, weeklyPatterns, colors, isP
                 <Text style={[styles.insightSectionLabel, { color: colors.primary }]}>
                   YESTERDAY
                 </Text>
-                <Text style={[styles.insightSectionText, { color: colors.text }]}>
-                  {insights.daily.insightText}
-                </Text>
+                {renderInsight(insights.daily)}
               </View>
               <View style={[styles.insightDivider, { backgroundColor: colors.border }]} />
             </>
@@ -1931,9 +2096,7 @@ const InsightsModal = ({ visible, onClose, insights, weeklyPatterns, colors, isP
                 <Text style={[styles.insightSectionLabel, { color: colors.primary }]}>
                   LAST 7 DAYS
                 </Text>
-                <Text style={[styles.insightSectionText, { color: colors.text }]}>
-                  {insights.weekly.insightText}
-                </Text>
+                {renderInsight(insights.weekly)}
               </View>
               <View style={[styles.insightDivider, { backgroundColor: colors.border }]} />
             </>
@@ -1946,9 +2109,7 @@ const InsightsModal = ({ visible, onClose, insights, weeklyPatterns, colors, isP
                 <Text style={[styles.insightSectionLabel, { color: colors.primary }]}>
                   LAST 30 DAYS
                 </Text>
-                <Text style={[styles.insightSectionText, { color: colors.text }]}>
-                  {insights.monthly.insightText}
-                </Text>
+                {renderInsight(insights.monthly)}
               </View>
             ) : null
           ) : (
@@ -1982,6 +2143,349 @@ const InsightsModal = ({ visible, onClose, insights, weeklyPatterns, colors, isP
   );
 };
 
+// ─── Goal History ────────────────────────────────────────────────────────────
+
+const GOAL_BAR_HEIGHT = 56;
+const GOAL_MET_COLOR = '#10b981';
+
+const goalPeriodLabel = (type, periodStart) => {
+  const date = new Date(periodStart);
+  switch (GOAL_DEFINITIONS[type].period) {
+    case 'day':   return date.toLocaleDateString('en-US', { weekday: 'narrow' });
+    case 'week':  return `${date.getMonth() + 1}/${date.getDate()}`;
+    default:      return MONTHS[date.getMonth()];
+  }
+};
+
+const GoalHistoryModal = ({ visible, onClose, colors }) => {
+  const [goals, setGoals] = useState(null);
+
+  // Recomputed on every open so sessions logged since are included
+  useEffect(() => {
+    if (!visible) return undefined;
+    let cancelled = false;
+    getGoalHistory().then(history => {
+      if (!cancelled) setGoals(history);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [visible]);
+
+  const renderGoal = (goal) => {
+    const current = goal.history[goal.history.length - 1];
+    return (
+      <View key={goal.activityId} style={[goalModalStyles.goal, { borderBottomColor: colors.border }]}>
+        <View style={goalModalStyles.goalHeader}>
+          <View style={[goalModalStyles.activityDot, { backgroundColor: goal.color || colors.primary }]} />
+          <Text style={[goalModalStyles.activityName, { color: colors.text }]} numberOfLines={1}>
+            {goal.activityName}
+          </Text>
+          <Text style={[goalModalStyles.meta, { color: colors.textSecondary }]}>
+            {describeGoal(goal)}
+          </Text>
+        </View>
+
+        <Text style={[goalModalStyles.attainment, { color: colors.textSecondary }]}>
+          Met {goal.metCount} of the last {goal.completedCount} {GOAL_DEFINITIONS[goal.type].period}s
+        </Text>
+
+        <View style={goalModalStyles.bars}>
+          {goal.history.map(period => (
+            <View key={period.periodStart} style={goalModalStyles.barColumn}>
+              <View style={[goalModalStyles.barTrack, { backgroundColor: colors.border }]}>
+                <View style={[
+                  goalModalStyles.barFill,
+                  {
+                    height: Math.max(period.ratio * GOAL_BAR_HEIGHT, period.current > 0 ? 3 : 0),
+                    backgroundColor: period.met ? GOAL_MET_COLOR : goal.color || colors.primary,
+                    opacity: period.inProgress ? 0.5 : 1,
+                  },
+                ]} />
+              </View>
+              <Text style={[goalModalStyles.barLabel, { color: colors.textSecondary }]}>
+                {period.inProgress ? 'Now' : goalPeriodLabel(goal.type, period.periodStart)}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        <Text style={[goalModalStyles.meta, { color: colors.textSecondary }]}>
+          {GOAL_DEFINITIONS[goal.type].periodLabel}: {current.current} / {formatGoalValue(goal.type, goal.target)}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={[styles.insightModalContainer, { backgroundColor: colors.background }]}>
+        <View style={[styles.insightModalHeader, { borderBottomColor: colors.border }]}>
+          <Text style={[styles.insightModalTitle, { color: colors.text }]}>
+            Goals
+          </Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={[styles.closeButtonText, { color: colors.text }]}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView>
+          {goals === null ? (
+            <ActivityIndicator style={{ marginTop: 32 }} color={colors.primary} />
+          ) : goals.length === 0 ? (
+            <Text style={[searchModalStyles.empty, { color: colors.textSecondary }]}>
+              No goals yet. Tap the target next to an activity in Settings to set one.
+            </Text>
+          ) : (
+            goals.map(renderGoal)
+          )}
+          <View style={{ height: 40 }} />
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+// ─── Session Search ──────────────────────────────────────────────────────────
+
+const SessionSearchModal = ({ visible, onClose, onSelectSession, activities, colors }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+
+  // Debounced so typing doesn't fire a query per keystroke
+  useEffect(() => {
+    if (!visible) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const found = await SessionSearchRepository.search(query, { activities });
+      if (!cancelled) setResults(found);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, activities, visible]);
+
+  const getActivity = (activityId) => activities.find(a => a.id === activityId);
+
+  const renderSnippet = (snippet) => (
+    <Text style={[searchModalStyles.snippet, { color: colors.textSecondary }]} numberOfLines={2}>
+      {splitHighlights(snippet).map((segment, i) => (
+        <Text
+          key={i}
+          style={segment.highlighted ? [searchModalStyles.highlight, { color: colors.text }] : null}
+        >
+          {segment.text}
+        </Text>
+      ))}
+    </Text>
+  );
+
+  const renderResult = ({ session, field, snippet }) => {
+    const activity = getActivity(session.activity);
+    const when = new Date(session.completedAt || session.timestamp).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+
+    return (
+      <TouchableOpacity
+        key={session.id}
+        style={[searchModalStyles.result, { borderBottomColor: colors.border }]}
+        onPress={() => onSelectSession(session)}
+        activeOpacity={0.7}
+      >
+        <View style={searchModalStyles.resultHeader}>
+          <View style={[searchModalStyles.activityDot, { backgroundColor: activity?.color || colors.primary }]} />
+          <Text style={[searchModalStyles.activityName, { color: colors.text }]} numberOfLines={1}>
+            {activity?.name || session.activity}
+          </Text>
+          <Text style={[searchModalStyles.meta, { color: colors.textSecondary }]}>
+            {when} · {session.duration}m
+          </Text>
+        </View>
+        {snippet && (
+          <>
+            <Text style={[searchModalStyles.fieldLabel, { color: colors.primary }]}>
+              {field.toUpperCase()}
+            </Text>
+            {renderSnippet(snippet)}
+          </>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const hasQuery = query.trim().length > 0;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={[styles.insightModalContainer, { backgroundColor: colors.background }]}>
+        <View style={[styles.insightModalHeader, { borderBottomColor: colors.border }]}>
+          <Text style={[styles.insightModalTitle, { color: colors.text }]}>
+            Search Sessions
+          </Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={[styles.closeButtonText, { color: colors.text }]}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={[searchModalStyles.inputRow, { borderColor: colors.border }]}>
+          <Search size={16} color={colors.textSecondary} />
+          <TextInput
+            style={[searchModalStyles.input, { color: colors.text }]}
+            value={query}
+            onChangeText={setQuery}
+            placeholder='Reflections or activities — "exact phrase"'
+            placeholderTextColor={colors.textSecondary}
+            autoFocus
+            autoCorrect={false}
+            autoCapitalize="none"
+            returnKeyType="search"
+            clearButtonMode="while-editing"
+          />
+        </View>
+
+        <ScrollView keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+          {results.map(renderResult)}
+          {hasQuery && results.length === 0 && (
+            <Text style={[searchModalStyles.empty, { color: colors.textSecondary }]}>
+              No sessions match "{query.trim()}"
+            </Text>
+          )}
+          <View style={{ height: 40 }} />
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const goalModalStyles = StyleSheet.create({
+  goal: {
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    gap: 8,
+  },
+  goalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  activityDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 3,
+  },
+  activityName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: 12,
+  },
+  attainment: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  bars: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  barColumn: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  barTrack: {
+    width: 14,
+    height: GOAL_BAR_HEIGHT,
+    borderRadius: 4,
+    justifyContent: 'flex-end',
+    overflow: 'hidden',
+  },
+  barFill: {
+    width: '100%',
+    borderRadius: 4,
+  },
+  barLabel: {
+    fontSize: 10,
+    marginTop: 4,
+  },
+});
+
+const searchModalStyles = StyleSheet.create({
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginHorizontal: 16,
+    marginVertical: 12,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderRadius: 10,
+  },
+  input: {
+    flex: 1,
+    fontSize: 15,
+    paddingVertical: 10,
+  },
+  result: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  activityDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 3,
+  },
+  activityName: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: 12,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 1,
+    marginTop: 8,
+    marginBottom: 2,
+  },
+  snippet: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  highlight: {
+    fontWeight: '700',
+  },
+  empty: {
+    textAlign: 'center',
+    fontSize: 14,
+    marginTop: 32,
+  },
+});
+
 const insightModalStyles = StyleSheet.create({
   patternSection: {
     marginBottom: 20,
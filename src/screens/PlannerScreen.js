@@ -0,0 +1,284 @@
+// src/screens/PlannerScreen.js
+//
+// Plan focus blocks ahead of time (utils/focusBlocks). Shows a week from
+// today; each day lists its planned blocks and whether they were kept.
+// Blocks are stored and notified by focusBlockService.
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  Dimensions,
+  Platform,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useTheme } from '../context/ThemeContext';
+import { useSubscription } from '../context/SubscriptionContext';
+import { useFocusLock } from '../context/FocusLockContext';
+import SharedHeader from '../components/SharedHeader';
+import { PaywallModal } from '../components/PaywallModal';
+import FocusBlockModal from '../components/modals/FocusBlockModal';
+import { deepWorkStore } from '../services/deepWorkStore';
+import { getFocusBlocks, saveFocusBlock, deleteFocusBlock } from '../services/focusBlockService';
+import {
+  allOccurrencesBetween,
+  matchOccurrences,
+  describeRepeat,
+  startOf,
+} from '../utils/focusBlocks';
+import { addDaysToDateString, getLocalToday } from '../utils/dateHelpers';
+
+const isTablet = Platform.isPad || Dimensions.get('window').width > 768;
+const HEADER_HEIGHT = isTablet ? 60 : 50;
+
+const DAYS_SHOWN = 7;
+
+const STATUS_LABELS = {
+  kept: '✓ Kept',
+  missed: 'Missed',
+  upcoming: 'Planned',
+};
+
+const dayLabel = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const d = new Date(year, month - 1, day);
+  return {
+    weekday: d.toLocaleDateString('en-US', { weekday: 'short' }),
+    day: d.getDate(),
+  };
+};
+
+const PlannerScreen = () => {
+  const { colors } = useTheme();
+  const { isPremium } = useSubscription();
+  const { isAvailable: focusLockAvailable } = useFocusLock();
+
+  const today = getLocalToday();
+  const [selectedDate, setSelectedDate] = useState(today);
+  const [blocks, setBlocks] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [activities, setActivities] = useState([]);
+  const [showBlockModal, setShowBlockModal] = useState(false);
+  const [editingBlock, setEditingBlock] = useState(null);
+  const [showPaywall, setShowPaywall] = useState(false);
+
+  const loadData = async () => {
+    try {
+      const [storedBlocks, settings, storedSessions] = await Promise.all([
+        getFocusBlocks(),
+        deepWorkStore.getSettings(),
+        deepWorkStore.getSessions(),
+      ]);
+      setBlocks(storedBlocks);
+      setActivities(settings.activities);
+      setSessions(Object.values(storedSessions).flat());
+    } catch (error) {
+      console.error('[PlannerScreen] Failed to load plan:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [])
+  );
+
+  const days = Array.from({ length: DAYS_SHOWN }, (_, i) => addDaysToDateString(today, i));
+  const occurrences = matchOccurrences(
+    allOccurrencesBetween(blocks, startOf(selectedDate, '00:00'), startOf(addDaysToDateString(selectedDate, 1), '00:00')),
+    sessions,
+    Date.now(),
+  );
+
+  const openNewBlock = () => {
+    setEditingBlock(null);
+    setShowBlockModal(true);
+  };
+
+  const openBlock = (block) => {
+    setEditingBlock(block);
+    setShowBlockModal(true);
+  };
+
+  const handleSave = async (block) => {
+    await saveFocusBlock(block);
+    setShowBlockModal(false);
+    loadData();
+  };
+
+  const handleDelete = async (blockId) => {
+    await deleteFocusBlock(blockId);
+    setShowBlockModal(false);
+    loadData();
+  };
+
+  const statusColor = (status) =>
+    status === 'kept' ? '#16a34a' : status === 'missed' ? '#dc2626' : colors.textSecondary;
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+      <SharedHeader title="Plan" />
+      <ScrollView contentContainerStyle={{ paddingTop: HEADER_HEIGHT, paddingHorizontal: 12, paddingBottom: 24 }}>
+        {/* Week strip */}
+        <View style={styles.weekStrip}>
+          {days.map(date => {
+            const { weekday, day } = dayLabel(date);
+            const selected = date === selectedDate;
+            return (
+              <TouchableOpacity
+                key={date}
+                style={[
+                  styles.dayButton,
+                  { borderColor: colors.border, backgroundColor: colors.card },
+                  selected && { backgroundColor: colors.primary, borderColor: colors.primary },
+                ]}
+                onPress={() => setSelectedDate(date)}
+                accessibilityLabel={`Show ${weekday} ${day}`}
+              >
+                <Text style={[styles.dayWeekday, { color: selected ? 'white' : colors.textSecondary }]}>
+                  {weekday}
+                </Text>
+                <Text style={[styles.dayNumber, { color: selected ? 'white' : colors.text }]}>{day}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {/* Blocks on the selected day */}
+        {occurrences.length === 0 ? (
+          <Text style={[styles.emptyText, { color: colors.textSecondary }]}>
+            Nothing planned for this day.
+          </Text>
+        ) : occurrences.map(occurrence => {
+          const { block, status } = occurrence;
+          const blockActivity = activities.find(a => a.id === block.activity);
+          return (
+            <TouchableOpacity
+              key={occurrence.key}
+              style={[styles.blockCard, { backgroundColor: colors.card, borderColor: colors.border }]}
+              onPress={() => openBlock(block)}
+            >
+              <View style={[styles.colorBar, { backgroundColor: blockActivity?.color ?? colors.border }]} />
+              <View style={styles.blockInfo}>
+                <Text style={[styles.blockTitle, { color: colors.text }]}>
+                  {block.time} · {blockActivity?.name ?? 'Removed activity'}
+                </Text>
+                <Text style={[styles.blockDetail, { color: colors.textSecondary }]}>
+                  {block.duration} min · {describeRepeat(block)}
+                </Text>
+              </View>
+              <Text style={[styles.blockStatus, { color: statusColor(status) }]}>
+                {STATUS_LABELS[status]}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+
+        <TouchableOpacity
+          style={[styles.planButton, { backgroundColor: colors.primary }]}
+          onPress={openNewBlock}
+          disabled={activities.length === 0}
+        >
+          <Text style={styles.planButtonText}>+ Plan a block</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      <FocusBlockModal
+        visible={showBlockModal}
+        onClose={() => setShowBlockModal(false)}
+        onSave={handleSave}
+        onDelete={handleDelete}
+        onPremiumRequired={() => setShowPaywall(true)}
+        activities={activities}
+        initialBlock={editingBlock}
+        initialDate={selectedDate}
+        isPremium={isPremium}
+        focusLockAvailable={focusLockAvailable}
+      />
+
+      <PaywallModal
+        visible={showPaywall}
+        onClose={() => setShowPaywall(false)}
+        limitType="long_session"
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  weekStrip: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginVertical: 16,
+  },
+  dayButton: {
+    width: 44,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    alignItems: 'center',
+  },
+  dayWeekday: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  dayNumber: {
+    fontSize: 16,
+    fontWeight: '700',
+    marginTop: 2,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: 14,
+    marginVertical: 24,
+  },
+  blockCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 12,
+    marginBottom: 10,
+    overflow: 'hidden',
+  },
+  colorBar: {
+    width: 6,
+    alignSelf: 'stretch',
+  },
+  blockInfo: {
+    flex: 1,
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+  },
+  blockTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  blockDetail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  blockStatus: {
+    fontSize: 13,
+    fontWeight: '600',
+    paddingRight: 12,
+  },
+  planButton: {
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  planButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default PlannerScreen;
@@ -30,7 +30,7 @@ import {
   Platform,
   Modal,
 } from 'react-native';
-import { Plus, X } from 'lucide-react-native';
+import { Plus, X, Target } from 'lucide-react-native';
 import { useTheme, THEMES } from '../context/ThemeContext';
 import { useSubscription } from '../context/SubscriptionContext';
 import { useNavigation } from '@react-navigation/native';
@@ -42,6 +42,19 @@ import { useAuth } from '../context/AuthContext';
 import { signOut } from '../services/authService';
 import { PaywallModal } from '../components/PaywallModal';
 import * as Updates from 'expo-updates';
+import { exportSessions } from '../services/exportService';
+import { File } from 'expo-file-system';
+import GoalSetupModal from '../components/modals/GoalSetupModal';
+import { describeGoal, GOAL_DEFINITIONS } from '../services/goalService';
+import PresetModal from '../components/modals/PresetModal';
+import {
+  getPresets,
+  savePreset,
+  deletePreset,
+  movePreset,
+  setPresetPinned,
+} from '../services/presetService';
+import { describePreset, pinnedPresets, MAX_PINNED_PRESETS } from '../utils/sessionPresets';
 
 const isTablet = Platform.isPad || Dimensions.get('window').width > 768;
 const HEADER_HEIGHT = isTablet ? 60 : 50;
@@ -71,9 +84,20 @@ const SettingsScreen = () => {
   const [totalSessions, setTotalSessions] = useState(0);
 
   // Focus Lock
-  const { isAuthorized, selectionCount, refreshSelection } = useFocusLock();
+  const { isAuthorized, isAvailable, selectionCount, refreshSelection } = useFocusLock();
   const [focusLockSelecting, setFocusLockSelecting] = useState(false);
 
+  // Data export — holds the format currently being written, or null
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Activity goals — id of the activity whose goal is being edited, or null
+  const [goalActivityId, setGoalActivityId] = useState(null);
+
+  // Session presets — the preset being edited ({} for a new one), or null
+  const [presets, setPresets] = useState([]);
+  const [editingPreset, setEditingPreset] = useState(null);
+
 
 
   const colorPalette = [
@@ -93,6 +117,7 @@ const SettingsScreen = () => {
       const settings = await deepWorkStore.getSettings();
       setActivities(settings.activities);
       setSelectedDurations(settings.durations);
+      setPresets(await getPresets());
       const sessions = await deepWorkStore.getSessions();
       setTotalSessions(Object.values(sessions).flat().length);
     } catch (error) {
@@ -206,6 +231,76 @@ const SettingsScreen = () => {
     }
   };
 
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const result = await exportSessions(format);
+      if (!result.success) {
+        showFeedback('Export failed. Please try again.');
+      }
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const runImport = async (contents, mode) => {
+    setIsImporting(true);
+    try {
+      const result = await deepWorkStore.importBackup(contents, { mode });
+      if (!result.success) {
+        Alert.alert('Import failed', result.error || 'Please try again.');
+        return;
+      }
+      await loadSettings();
+      Alert.alert(
+        'Import complete',
+        `Added ${result.added} session${result.added !== 1 ? 's' : ''}.\n` +
+        `Skipped ${result.skipped} already on this phone.\n` +
+        `Rejected ${result.rejected} invalid.` +
+        (result.activitiesAdded > 0 ? `\n${result.activitiesAdded} activit${result.activitiesAdded !== 1 ? 'ies' : 'y'} restored.` : '')
+      );
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Pick a JSON backup, then let the user choose merge or replace before
+  // anything is written
+  const handleImport = async () => {
+    let contents;
+    try {
+      const picked = await File.pickFileAsync(undefined, 'application/json');
+      const file = Array.isArray(picked) ? picked[0] : picked;
+      if (!file) return;
+      contents = await file.text();
+    } catch (error) {
+      // Dismissing the picker rejects as well — nothing to report
+      console.log('[Settings] Backup pick cancelled or failed:', error?.message);
+      return;
+    }
+
+    const summary = deepWorkStore.inspectBackup(contents);
+    if (!summary.valid) {
+      Alert.alert('Not a backup', 'Choose a JSON file exported from DeepWork.io.');
+      return;
+    }
+
+    const exported = summary.exportedAt
+      ? ` exported ${new Date(summary.exportedAt).toLocaleDateString()}`
+      : '';
+    Alert.alert(
+      'Restore backup?',
+      `This backup has ${summary.sessionCount} session${summary.sessionCount !== 1 ? 's' : ''}${exported}.\n\n` +
+      'Merge keeps everything on this phone and adds what is missing.\n' +
+      'Replace deletes this phone\'s sessions and settings first.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => runImport(contents, 'replace') },
+        { text: 'Merge', onPress: () => runImport(contents, 'merge') },
+      ]
+    );
+  };
+
   const handleSaveSettings = async () => {
     try {
       setIsSaving(true);
@@ -229,6 +324,44 @@ const SettingsScreen = () => {
     }
   };
 
+  const handleSaveGoal = async (activityId, goal) => {
+    const success = await deepWorkStore.updateActivityGoal(activityId, goal);
+    if (success) {
+      const settings = await deepWorkStore.getSettings();
+      setActivities(settings.activities);
+      setGoalActivityId(null);
+      showFeedback(goal ? 'Goal saved!' : 'Goal removed');
+    } else {
+      showFeedback('Error saving goal');
+    }
+  };
+
+  const handleSavePreset = async (preset) => {
+    try {
+      await savePreset(preset);
+      setPresets(await getPresets());
+      setEditingPreset(null);
+      showFeedback('Preset saved!');
+    } catch (error) {
+      showFeedback('Error saving preset');
+      console.error('Failed to save preset:', error);
+    }
+  };
+
+  const handleDeletePreset = async (presetId) => {
+    setPresets(await deletePreset(presetId));
+    setEditingPreset(null);
+    showFeedback('Preset deleted');
+  };
+
+  const handleTogglePin = async (preset) => {
+    if (!preset.pinned && pinnedPresets(presets).length >= MAX_PINNED_PRESETS) {
+      showFeedback(`Up to ${MAX_PINNED_PRESETS} presets can be pinned`);
+      return;
+    }
+    setPresets(await setPresetPinned(preset.id, !preset.pinned));
+  };
+
   const renderActivity = ({ item }) => (
     <View style={[
       styles.activityItem,
@@ -242,6 +375,13 @@ const SettingsScreen = () => {
       <View style={styles.activityInfo}>
         <View style={[styles.colorDot, { backgroundColor: item.color }]} />
         <Text style={[styles.activityName, { color: colors.text }]}>{item.name}</Text>
+        <TouchableOpacity
+          onPress={() => setGoalActivityId(item.id)}
+          style={styles.deleteButton}
+          disabled={isSaving}
+        >
+          <Target size={16} color={item.goal ? colors.primary : colors.textSecondary} />
+        </TouchableOpacity>
         <TouchableOpacity
           onPress={() => handleDeleteActivity(item.id)}
           style={styles.deleteButton}
@@ -250,6 +390,11 @@ const SettingsScreen = () => {
           <X size={16} color={colors.textSecondary} />
         </TouchableOpacity>
       </View>
+      {item.goal && GOAL_DEFINITIONS[item.goal.type] && (
+        <Text style={[styles.activityGoal, { color: colors.textSecondary }]}>
+          Goal: {describeGoal(item.goal)}
+        </Text>
+      )}
     </View>
   );
 
@@ -414,6 +559,69 @@ const SettingsScreen = () => {
           )}
         </View>
 
+        {/* Session Presets Section */}
+        <View style={[
+          styles.section,
+          {
+            backgroundColor: isDark ? '#1f1f1f' : colors.card,
+            borderColor: colors.border,
+            borderWidth: 1,
+            borderRadius: 12,
+          }
+        ]}>
+          <View style={styles.sectionHeader}>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>
+              Session Presets
+            </Text>
+            <TouchableOpacity
+              style={[styles.addButton, { backgroundColor: colors.primary }]}
+              onPress={() => setEditingPreset({})}
+              disabled={activities.length === 0}
+            >
+              <Plus size={16} color="white" />
+              <Text style={styles.buttonText}>New</Text>
+            </TouchableOpacity>
+          </View>
+
+          {presets.length === 0 ? (
+            <Text style={[styles.helpText, { color: colors.textSecondary }]}>
+              Save a setup you use often, like "Morning writing: 90 min, lo-fi", and pin it to Home to start it in one tap.
+            </Text>
+          ) : presets.map((preset, index) => (
+            <View key={preset.id} style={[styles.presetRow, { borderColor: colors.border }]}>
+              <TouchableOpacity style={styles.presetInfo} onPress={() => setEditingPreset(preset)}>
+                <Text style={[styles.activityName, { color: colors.text }]}>{preset.name}</Text>
+                <Text style={[styles.activityGoal, { color: colors.textSecondary }]}>
+                  {describePreset(preset)}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleTogglePin(preset)}
+                style={styles.deleteButton}
+                accessibilityLabel={preset.pinned ? `Unpin ${preset.name}` : `Pin ${preset.name} to Home`}
+              >
+                <Text style={{ fontSize: 16, opacity: preset.pinned ? 1 : 0.3 }}>📌</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={async () => setPresets(await movePreset(preset.id, -1))}
+                style={styles.deleteButton}
+                disabled={index === 0}
+                accessibilityLabel={`Move ${preset.name} up`}
+              >
+                <Text style={{ color: index === 0 ? colors.border : colors.textSecondary }}>▲</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={async () => setPresets(await movePreset(preset.id, 1))}
+                style={styles.deleteButton}
+                disabled={index === presets.length - 1}
+                accessibilityLabel={`Move ${preset.name} down`}
+              >
+                <Text style={{ color: index === presets.length - 1 ? colors.border : colors.textSecondary }}>▼</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+
         {/* Focus Lock Section */}
         {focusLockService.isSupported && (
           <View style={[
@@ -472,6 +680,77 @@ const SettingsScreen = () => {
           </View>
         )}
 
+        {/* Your Data Section */}
+        <View style={[
+          styles.section,
+          {
+            backgroundColor: isDark ? '#1f1f1f' : colors.card,
+            borderColor: colors.border,
+            borderWidth: 1,
+            borderRadius: 12,
+          }
+        ]}>
+          <View style={styles.sectionHeader}>
+            <Text style={{ fontSize: 20 }}>💾</Text>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>
+              Your Data
+            </Text>
+          </View>
+
+          <Text style={[styles.helpText, { color: colors.textSecondary, marginHorizontal: 4 }]}>
+            Export all {totalSessions} session{totalSessions !== 1 ? 's' : ''} with reflections.
+            JSON is a full backup, CSV opens in spreadsheets, Calendar adds each session as an event.
+            Restore a JSON backup to move your history to a new phone.
+          </Text>
+
+          <View style={styles.exportRow}>
+            {[
+              { format: 'json', label: 'JSON' },
+              { format: 'csv', label: 'CSV' },
+              { format: 'ics', label: 'Calendar' },
+            ].map(({ format, label }) => (
+              <TouchableOpacity
+                key={format}
+                style={[
+                  styles.changeAppsBtn,
+                  styles.exportButton,
+                  { borderColor: colors.primary },
+                  (exportingFormat || isImporting) && { opacity: 0.5 },
+                ]}
+                onPress={() => handleExport(format)}
+                disabled={!!exportingFormat || isImporting}
+              >
+                {exportingFormat === format ? (
+                  <ActivityIndicator size="small" color={colors.primary} />
+                ) : (
+                  <Text style={[styles.changeAppsBtnText, { color: colors.primary }]}>
+                    {label}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[
+              styles.changeAppsBtn,
+              styles.importButton,
+              { borderColor: colors.border },
+              (isImporting || exportingFormat) && { opacity: 0.5 },
+            ]}
+            onPress={handleImport}
+            disabled={isImporting || !!exportingFormat}
+          >
+            {isImporting ? (
+              <ActivityIndicator size="small" color={colors.text} />
+            ) : (
+              <Text style={[styles.changeAppsBtnText, { color: colors.text }]}>
+                Restore from Backup
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
         {/* Save Button */}
         <TouchableOpacity
           style={[
@@ -571,6 +850,31 @@ const SettingsScreen = () => {
         </SafeAreaView>
       </Modal>
 
+      {/* Session Preset Modal */}
+      <PresetModal
+        visible={editingPreset !== null}
+        onClose={() => setEditingPreset(null)}
+        onSave={handleSavePreset}
+        onDelete={handleDeletePreset}
+        onPremiumRequired={() => {
+          setEditingPreset(null);
+          setShowPaywall(true);
+        }}
+        activities={activities}
+        initialPreset={editingPreset?.id ? editingPreset : null}
+        isPremium={isPremium}
+        focusLockAvailable={isAvailable}
+      />
+
+      {/* Activity Goal Modal */}
+      <GoalSetupModal
+        visible={goalActivityId !== null}
+        onClose={() => setGoalActivityId(null)}
+        onSave={handleSaveGoal}
+        activities={activities}
+        initialActivityId={goalActivityId}
+      />
+
       {/* Paywall Modal */}
       <PaywallModal
         visible={showPaywall}
@@ -793,6 +1097,20 @@ const styles = StyleSheet.create({
   deleteButton: {
     padding: 4,
   },
+  activityGoal: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  presetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    paddingVertical: 10,
+    gap: 4,
+  },
+  presetInfo: {
+    flex: 1,
+  },
   toggleButton: {
     width: 50,
     height: 28,
@@ -844,6 +1162,17 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  exportRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  exportButton: {
+    flex: 1,
+  },
+  importButton: {
+    marginTop: 8,
+  },
   updateButton: {
     padding: 16,
     borderRadius: 8,
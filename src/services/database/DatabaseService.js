@@ -1,35 +1,68 @@
-// DatabaseService.js - AsyncStorage Version (Temporary)
+// DatabaseService.js - SQLite connection owner
+//
+// Sessions live in the SQLite `sessions` table (see schema.js). The insights
+// cache is still kept in AsyncStorage under 'insights_cache' until
+// InsightCacheRepository is moved over as well. `sessions_fts` is the
+// full-text index over session reflections, maintained by triggers;
+// `sync_outbox` queues session changes for syncService to push.
+import * as SQLite from 'expo-sqlite';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  SCHEMA_VERSION,
+  CREATE_SESSIONS_TABLE,
+  CREATE_SESSIONS_INDEXES,
+  CREATE_SESSIONS_FTS_TABLE,
+  CREATE_SESSIONS_FTS_TRIGGERS,
+  REBUILD_SESSIONS_FTS,
+  CREATE_SYNC_OUTBOX_TABLE,
+} from './schema';
+
+const DB_NAME = 'deepwork.db';
 
 class DatabaseService {
   constructor() {
+    this.db = null;
     this.initialized = false;
   }
 
   async init() {
+    if (this.initialized) return true;
+
     try {
-      console.log('💾 Using AsyncStorage (temporary SQLite replacement)...');
-      
-      // Initialize storage keys if they don't exist
-      const sessions = await AsyncStorage.getItem('sessions');
-      if (!sessions) {
-        await AsyncStorage.setItem('sessions', JSON.stringify([]));
-        console.log('📦 Initialized sessions storage');
+      console.log('💾 Opening SQLite database...');
+      this.db = await SQLite.openDatabaseAsync(DB_NAME);
+
+      // WAL lets reads (MetricsScreen, insights) proceed while a write is open
+      await this.db.execAsync('PRAGMA journal_mode = WAL;');
+      await this.db.execAsync(CREATE_SESSIONS_TABLE);
+      await this.db.execAsync(CREATE_SESSIONS_INDEXES);
+      await this.db.execAsync(CREATE_SESSIONS_FTS_TABLE);
+      await this.db.execAsync(CREATE_SESSIONS_FTS_TRIGGERS);
+      await this.db.execAsync(CREATE_SYNC_OUTBOX_TABLE);
+
+      const { user_version: storedVersion } = await this.db.getFirstAsync('PRAGMA user_version');
+      if (storedVersion < SCHEMA_VERSION) {
+        // v3 added sessions_fts; rows written before then have no index entry
+        if (storedVersion < 3) {
+          await this.db.execAsync(REBUILD_SESSIONS_FTS);
+          console.log('🔎 Built search index for existing sessions');
+        }
+        await this.db.execAsync(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+        console.log(`📦 SQLite schema v${storedVersion} → v${SCHEMA_VERSION}`);
       }
-      
+
       const insights = await AsyncStorage.getItem('insights_cache');
       if (!insights) {
         await AsyncStorage.setItem('insights_cache', JSON.stringify([]));
         console.log('📦 Initialized insights cache storage');
       }
-      
+
       this.initialized = true;
-      console.log('📦 Storage initialized successfully');
-      console.log('✅ Database initialized (AsyncStorage mode)');
-      
+      console.log('✅ Database initialized (SQLite)');
+
       return true;
     } catch (error) {
-      console.error('❌ Storage init failed:', error);
+      console.error('❌ Database init failed:', error);
       throw error;
     }
   }
@@ -38,20 +71,24 @@ class DatabaseService {
     if (!this.initialized) {
       throw new Error('Database not initialized. Call init() first.');
     }
-    // Return self for compatibility
-    return this;
+    return this.db;
   }
 
   async close() {
+    if (this.db) {
+      await this.db.closeAsync();
+    }
+    this.db = null;
     this.initialized = false;
-    console.log('💾 Storage closed');
+    console.log('💾 Database closed');
   }
 
   // Utility: Clear all data (for testing)
   async clearAll() {
-    await AsyncStorage.multiRemove(['sessions', 'insights_cache']);
+    await this.getDB().execAsync('DELETE FROM sessions; DELETE FROM sync_outbox;');
+    await AsyncStorage.removeItem('insights_cache');
     console.log('🗑️ All storage cleared');
   }
 }
 
-export default new DatabaseService();
\ No newline at end of file
+export default new DatabaseService();
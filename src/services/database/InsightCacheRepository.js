@@ -23,7 +23,11 @@ class InsightCacheRepository {
       insight_type: insightData.insight_type,
       generated_at: Date.now(),
       data_hash: insightData.data_hash,
+      // Structured insight (InsightSchema); insight_text is its text rendering
+      insight: insightData.insight || null,
       insight_text: insightData.insight_text,
+      provider: insightData.provider || null,
+      repaired: !!insightData.repaired,
       time_period_start: insightData.time_period_start,
       time_period_end: insightData.time_period_end
     };
@@ -55,6 +59,22 @@ class InsightCacheRepository {
     return insight || null;
   }
 
+  // Delete insights whose period covers any of the given session timestamps,
+  // so an edited or deleted session isn't described by a stale insight
+  async deleteCovering(timestamps) {
+    DatabaseService.getDB();
+    
+    const cacheJson = await AsyncStorage.getItem('insights_cache');
+    const cache = JSON.parse(cacheJson || '[]');
+    
+    const filtered = cache.filter(c => !timestamps.some(t =>
+      t >= c.time_period_start && t <= c.time_period_end
+    ));
+    await AsyncStorage.setItem('insights_cache', JSON.stringify(filtered));
+    
+    return cache.length - filtered.length; // Return number deleted
+  }
+
   // Delete old insights (cleanup)
   async deleteOlderThan(timestamp) {
     DatabaseService.getDB();
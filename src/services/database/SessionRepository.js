@@ -1,102 +1,335 @@
 // src/services/database/SessionRepository.js
+//
+// SQLite-backed session store. Rows hold the full session JSON in `data`;
+// the remaining columns mirror fields from that JSON for indexed lookups.
+//
+// Two shapes come out of this class:
+//   - store sessions  (getAll, getById, getRange, ...) — exactly what
+//     deepWorkStore.addSession wrote, used by screens via deepWorkStore
+//   - insight sessions (getSessionsByDateRange, ...)   — the flat
+//     activity_type / start_time shape DataAggregator consumes
 
-import { deepWorkStore } from '../deepWorkStore';
+import DatabaseService from './DatabaseService';
+import SyncOutboxRepository from './SyncOutboxRepository';
+import { toLocalDateString } from '../../utils/dateHelpers';
+
+const INSERT_SQL = `
+  INSERT INTO sessions (id, date, activity, duration, timestamp, sync_status, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`;
+
+const toParams = (session) => [
+  session.id,
+  session.date,
+  session.activity,
+  session.duration,
+  session.timestamp,
+  session.syncStatus || null,
+  JSON.stringify(session),
+];
+
+const parseRow = (row) => {
+  try {
+    return JSON.parse(row.data);
+  } catch (_) {
+    console.warn('[SessionRepository] Skipping unparseable row:', row.id);
+    return null;
+  }
+};
+
+const parseRows = (rows) => rows.map(parseRow).filter(Boolean);
+
+/**
+ * Map a stored session to the shape used by the insights pipeline
+ */
+const toInsightSession = (session) => ({
+  id: session.id,
+  activity_type: session.activity,
+  duration: session.duration * 60,
+  start_time: session.timestamp,
+  end_time: session.timestamp + (session.duration * 60 * 1000),
+  // Priority: structured reflection → legacy rating.notes → top-level notes
+  description: session.rating?.reflection?.workedOn
+            || session.rating?.notes
+            || session.notes
+            || null,
+  // Pass full reflection through so DataAggregator can use all four fields
+  reflection: session.rating?.reflection || null,
+  // null for sessions saved before pauses were tracked (no pauseCount either),
+  // so they don't read as sessions that were never interrupted
+  pauses: session.pauses || (session.pauseCount != null ? [] : null),
+  intention: session.intention || null,
+  intentionAchieved: session.rating?.intentionAchieved || null,
+  parked: session.parked || [],
+  created_at: session.timestamp,
+});
 
 class SessionRepository {
-  
+
+  // ─── Store-shape reads ──────────────────────────────────────────────────────
+
+  /**
+   * All sessions, oldest first
+   */
+  async getAll() {
+    const rows = await DatabaseService.getDB().getAllAsync(
+      'SELECT id, data FROM sessions ORDER BY timestamp ASC'
+    );
+    return parseRows(rows);
+  }
+
+  async getById(id) {
+    const row = await DatabaseService.getDB().getFirstAsync(
+      'SELECT id, data FROM sessions WHERE id = ?',
+      [id]
+    );
+    return row ? parseRow(row) : null;
+  }
+
+  async getAllIds() {
+    const rows = await DatabaseService.getDB().getAllAsync('SELECT id FROM sessions');
+    return rows.map(r => r.id);
+  }
+
+  /**
+   * Sessions that started within [startTime, endTime], oldest first
+   */
+  async getRange(startTime, endTime) {
+    const rows = await DatabaseService.getDB().getAllAsync(
+      'SELECT id, data FROM sessions WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp ASC',
+      [startTime, endTime]
+    );
+    return parseRows(rows);
+  }
+
+  async count() {
+    const row = await DatabaseService.getDB().getFirstAsync(
+      'SELECT COUNT(*) AS total FROM sessions'
+    );
+    return row?.total ?? 0;
+  }
+
+  // ─── Writes ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Insert a single session. Throws if the id already exists.
+   */
+  async insert(session) {
+    await DatabaseService.getDB().runAsync(INSERT_SQL, toParams(session));
+    return session.id;
+  }
+
+  /**
+   * Insert many sessions in one transaction.
+   *
+   * @param {Array} sessions
+   * @param {Object} options
+   * @param {boolean} options.ignoreExisting - Skip ids already stored instead of failing
+   * @returns {Promise<number>} - Rows actually inserted
+   */
+  async insertMany(sessions, { ignoreExisting = false } = {}) {
+    const db = DatabaseService.getDB();
+    const sql = ignoreExisting
+      ? INSERT_SQL.replace('INSERT INTO', 'INSERT OR IGNORE INTO')
+      : INSERT_SQL;
+    let inserted = 0;
+
+    await db.withTransactionAsync(async () => {
+      for (const session of sessions) {
+        const result = await db.runAsync(sql, toParams(session));
+        inserted += result.changes;
+      }
+    });
+
+    return inserted;
+  }
+
+  /**
+   * Replace a stored session with the given object (matched by id)
+   * @returns {Promise<boolean>} - false if no session has that id
+   */
+  async update(session) {
+    const [id, date, activity, duration, timestamp, syncStatus, data] = toParams(session);
+    const result = await DatabaseService.getDB().runAsync(
+      `UPDATE sessions
+       SET date = ?, activity = ?, duration = ?, timestamp = ?, sync_status = ?, data = ?
+       WHERE id = ?`,
+      [date, activity, duration, timestamp, syncStatus, data, id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Flag a session as pushed to Firestore — unless it was edited again while
+   * the push was in flight, i.e. its metadata.modified no longer matches.
+   */
+  async markSynced(id, modified) {
+    await DatabaseService.getDB().runAsync(
+      `UPDATE sessions
+       SET sync_status = 'synced', data = json_set(data, '$.syncStatus', 'synced')
+       WHERE id = ? AND IFNULL(json_extract(data, '$.metadata.modified'), 0) = ?`,
+      [id, modified]
+    );
+  }
+
+  /**
+   * @returns {Promise<boolean>} - false if no session has that id
+   */
+  async deleteById(id) {
+    const result = await DatabaseService.getDB().runAsync(
+      'DELETE FROM sessions WHERE id = ?',
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  async deleteByActivity(activity) {
+    const result = await DatabaseService.getDB().runAsync(
+      'DELETE FROM sessions WHERE activity = ?',
+      [activity]
+    );
+    return result.changes;
+  }
+
+  async deleteAll() {
+    await DatabaseService.getDB().runAsync('DELETE FROM sessions');
+  }
+
+  /**
+   * Swap the entire table contents for `sessions` in one transaction.
+   * Used to roll back to a migration snapshot, and by a replacing import.
+   *
+   * With `deletedAt`, every removed session gets a sync tombstone stamped
+   * with it in the same transaction — otherwise the next pull could bring
+   * removed sessions back from Firestore.
+   *
+   * @param {Object[]} sessions
+   * @param {{ deletedAt?: number }} options
+   */
+  async replaceAll(sessions, { deletedAt = null } = {}) {
+    const db = DatabaseService.getDB();
+    await db.withTransactionAsync(async () => {
+      if (deletedAt !== null) {
+        const keptIds = new Set(sessions.map(s => s.id));
+        const rows = await db.getAllAsync('SELECT id FROM sessions');
+        for (const { id } of rows) {
+          if (!keptIds.has(id)) await SyncOutboxRepository.enqueue(id, 'delete', deletedAt);
+        }
+      }
+      await db.runAsync('DELETE FROM sessions');
+      for (const session of sessions) {
+        await db.runAsync(INSERT_SQL, toParams(session));
+      }
+    });
+  }
+
+  /**
+   * Delete rows whose JSON is unparseable or fails `isValid`
+   * @returns {Promise<number>} - Number of rows removed
+   */
+  async deleteInvalid(isValid) {
+    const db = DatabaseService.getDB();
+    const rows = await db.getAllAsync('SELECT id, data FROM sessions');
+    const badIds = rows
+      .filter(row => {
+        const session = parseRow(row);
+        return !session || !isValid(session);
+      })
+      .map(row => row.id);
+
+    if (badIds.length === 0) return 0;
+
+    await db.withTransactionAsync(async () => {
+      for (const id of badIds) {
+        await db.runAsync('DELETE FROM sessions WHERE id = ?', [id]);
+      }
+    });
+    return badIds.length;
+  }
+
+  // ─── Insight-shape reads ────────────────────────────────────────────────────
+
   /**
    * Get sessions by date range
-   * Converts date-keyed object to flat array
-   * 
+   *
    * @param {number} startTime - Start timestamp
    * @param {number} endTime - End timestamp
-   * @returns {Promise<Array>} - Flat array of sessions
+   * @returns {Promise<Array>} - Flat array of insight-shaped sessions
    */
   async getSessionsByDateRange(startTime, endTime) {
     try {
-      // Get all sessions from deepWorkStore (returns date-keyed object)
-      const allSessions = await deepWorkStore.getSessions();
-      
-      const flatSessions = [];
-      
-      // Convert object to array and filter by date range
-      Object.entries(allSessions).forEach(([dateString, sessions]) => {
-        // Date keys are stored as UTC dates (YYYY-MM-DD from toISOString).
-        // Parse as local midnight by appending T00:00:00 without a Z suffix so
-        // the JS engine uses the device timezone, matching how InsightGenerator
-        // computes its local-midnight start/end boundaries.
-        const dateTimestamp = new Date(`${dateString}T00:00:00`).getTime();
-        const dateEndTimestamp = dateTimestamp + 24 * 60 * 60 * 1000 - 1;
-
-        // Include this date if its local day overlaps the requested range
-        if (dateEndTimestamp >= startTime && dateTimestamp <= endTime) {
-          // Add all sessions from this date
-          sessions.forEach(session => {
-            flatSessions.push({
-              id: session.id,
-              activity_type: session.activity,
-              duration: session.duration * 60,
-              start_time: session.timestamp,
-              end_time: session.timestamp + (session.duration * 60 * 1000),
-              // Priority: structured reflection → legacy rating.notes → top-level notes
-              description: session.rating?.reflection?.workedOn
-                        || session.rating?.notes
-                        || session.notes
-                        || null,
-              // Pass full reflection through so DataAggregator can use all four fields
-              reflection: session.rating?.reflection || null,
-              created_at: session.timestamp,
-            });
-          });
-        }
-      });
-      
-      console.log(`[SessionRepository] Found ${flatSessions.length} sessions in range`);
-      
-      return flatSessions;
-      
+      const sessions = await this.getRange(startTime, endTime);
+      console.log(`[SessionRepository] Found ${sessions.length} sessions in range`);
+      return sessions.map(toInsightSession);
     } catch (error) {
       console.error('[SessionRepository] Error getting sessions:', error);
       return [];
     }
   }
-  
+
   /**
    * Get sessions by activity and date range
    */
   async getSessionsByActivityAndDateRange(activityType, startTime, endTime) {
-    const allSessions = await this.getSessionsByDateRange(startTime, endTime);
-    return allSessions.filter(s => s.activity_type === activityType);
+    try {
+      const rows = await DatabaseService.getDB().getAllAsync(
+        `SELECT id, data FROM sessions
+         WHERE activity = ? AND timestamp BETWEEN ? AND ?
+         ORDER BY timestamp ASC`,
+        [activityType, startTime, endTime]
+      );
+      return parseRows(rows).map(toInsightSession);
+    } catch (error) {
+      console.error('[SessionRepository] Error getting activity sessions:', error);
+      return [];
+    }
   }
-  
+
   /**
-   * Create a new session
+   * Create a new session from insight-shaped data (used by testDatabase)
    */
   async create(sessionData) {
     try {
-      await deepWorkStore.addSession({
+      const timestamp = sessionData.start_time;
+      const date = toLocalDateString(timestamp);
+      const id = `${date}-${timestamp}`;
+
+      await this.insert({
+        id,
+        date,
         activity: sessionData.activity_type,
         duration: sessionData.duration / 60, // Convert seconds to minutes
-        timestamp: sessionData.start_time,
-        notes: sessionData.description || '',
         musicChoice: 'none',
+        notes: sessionData.description || '',
+        timestamp,
+        completedAt: new Date(sessionData.end_time || timestamp).toISOString(),
+        syncStatus: 'pending',
+        metadata: {
+          appVersion: '1.0.0',
+          created: timestamp,
+          modified: timestamp,
+        },
       });
-      
-      return true;
+
+      return id;
     } catch (error) {
       console.error('[SessionRepository] Error creating session:', error);
       throw error;
     }
   }
-  
+
   /**
    * Get all unique activity types
    */
   async getActivityTypes() {
-    const allSessions = await this.getSessionsByDateRange(0, Date.now());
-    const types = new Set(allSessions.map(s => s.activity_type));
-    return Array.from(types);
+    const rows = await DatabaseService.getDB().getAllAsync(
+      'SELECT DISTINCT activity FROM sessions'
+    );
+    return rows.map(r => r.activity);
   }
 }
 
-export default new SessionRepository();
\ No newline at end of file
+export default new SessionRepository();
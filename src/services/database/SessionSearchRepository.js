@@ -0,0 +1,175 @@
+// src/services/database/SessionSearchRepository.js
+//
+// Full-text search over session reflections and activity names, backed by the
+// `sessions_fts` table (see schema.js).
+//
+// Query syntax:
+//   deep focus      → every word must match, each as a prefix (deep*, focus*)
+//   "deep focus"    → exact phrase
+//   Both can be mixed: "code review" bug
+//
+// A word or phrase also matches sessions whose activity name contains it, so
+// "writ" finds every session of a "Writing" activity.
+//
+// Snippets come back with matched text wrapped in HIGHLIGHT_START /
+// HIGHLIGHT_END; splitHighlights() turns one into segments for <Text>.
+
+import DatabaseService from './DatabaseService';
+import { REBUILD_SESSIONS_FTS } from './schema';
+
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+const DEFAULT_LIMIT = 50;
+const SNIPPET_TOKENS = 12;
+
+// sessions_fts column order, minus `activity` (column 0)
+const TEXT_COLUMNS = [
+  { index: 1, label: 'Worked on' },
+  { index: 2, label: 'Went well' },
+  { index: 3, label: 'Distractions' },
+  { index: 4, label: 'Next step' },
+  { index: 5, label: 'Notes' },
+];
+const TEXT_COLSET = '{worked_on went_well distractions next_step notes}';
+
+const snippetSql = (index) =>
+  `snippet(sessions_fts, ${index}, char(2), char(3), '…', ${SNIPPET_TOKENS}) AS snippet_${index}`;
+
+const SEARCH_SQL = `
+  SELECT s.id, s.data, ${TEXT_COLUMNS.map(c => snippetSql(c.index)).join(', ')}
+  FROM sessions_fts
+  JOIN sessions s ON s.rowid = sessions_fts.rowid
+  WHERE sessions_fts MATCH ?
+  ORDER BY rank, s.timestamp DESC
+  LIMIT ?
+`;
+
+// FTS5 string literal: wrap in double quotes, double any inside
+const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+
+// Terms with no letters or digits tokenize to nothing and make FTS5 error
+const hasToken = (text) => /[a-z0-9\u00C0-\uFFFF]/i.test(text);
+
+/**
+ * Split raw input into quoted phrases and bare words
+ * @returns {Array<{ text: string, phrase: boolean }>}
+ */
+export const parseQuery = (input) => {
+  const terms = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(input || '')) !== null) {
+    const phrase = match[1] !== undefined;
+    const text = (phrase ? match[1] : match[2]).trim().toLowerCase();
+    if (text && hasToken(text)) terms.push({ text, phrase });
+  }
+  return terms;
+};
+
+/**
+ * Activity ids whose name matches a term: phrases as a substring of the name,
+ * words as a prefix of any word in the name
+ */
+const matchingActivityIds = (term, activities) =>
+  activities
+    .filter(activity => {
+      const name = (activity.name || '').toLowerCase();
+      if (term.phrase) return name.includes(term.text);
+      return name.split(/\s+/).some(word => word.startsWith(term.text));
+    })
+    .map(activity => String(activity.id));
+
+/**
+ * Build the FTS5 MATCH expression. Each term becomes
+ *   ({text columns} : "term"* OR activity : "id" ...)
+ * and terms are ANDed, so a query can mix activity names and reflection text.
+ */
+export const buildMatchQuery = (terms, activities = []) =>
+  terms
+    .map(term => {
+      const text = term.phrase ? quote(term.text) : `${quote(term.text)}*`;
+      const alternatives = [
+        `${TEXT_COLSET} : ${text}`,
+        ...matchingActivityIds(term, activities).map(id => `activity : ${quote(id)}`),
+      ];
+      return `(${alternatives.join(' OR ')})`;
+    })
+    .join(' AND ');
+
+/**
+ * Turn a highlighted snippet into [{ text, highlighted }] segments
+ */
+export const splitHighlights = (snippet) => {
+  if (!snippet) return [];
+  const segments = [];
+  snippet.split(HIGHLIGHT_START).forEach((chunk, i) => {
+    if (i === 0) {
+      if (chunk) segments.push({ text: chunk, highlighted: false });
+      return;
+    }
+    const [hit, rest] = chunk.split(HIGHLIGHT_END);
+    if (hit) segments.push({ text: hit, highlighted: true });
+    if (rest) segments.push({ text: rest, highlighted: false });
+  });
+  return segments;
+};
+
+class SessionSearchRepository {
+
+  /**
+   * Search sessions, best match first.
+   *
+   * @param {string} input - Raw user query
+   * @param {Object} options
+   * @param {Array} options.activities - settings.activities, for name matching
+   * @param {number} options.limit
+   * @returns {Promise<Array<{ session: Object, field: string|null, snippet: string|null }>>}
+   *   `field`/`snippet` are null when only the activity name matched
+   */
+  async search(input, { activities = [], limit = DEFAULT_LIMIT } = {}) {
+    const terms = parseQuery(input);
+    if (terms.length === 0) return [];
+
+    try {
+      const rows = await DatabaseService.getDB().getAllAsync(
+        SEARCH_SQL,
+        [buildMatchQuery(terms, activities), limit]
+      );
+
+      return rows
+        .map(row => {
+          let session;
+          try {
+            session = JSON.parse(row.data);
+          } catch (_) {
+            return null;
+          }
+          // First column whose snippet actually contains a hit
+          const column = TEXT_COLUMNS.find(c =>
+            row[`snippet_${c.index}`]?.includes(HIGHLIGHT_START)
+          );
+          return {
+            session,
+            field: column ? column.label : null,
+            snippet: column ? row[`snippet_${column.index}`] : null,
+          };
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error('[SessionSearchRepository] Search failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Rebuild the index from the sessions table. Triggers keep it current, so
+   * this is only needed if the index is suspected to have drifted.
+   */
+  async rebuild() {
+    await DatabaseService.getDB().execAsync(REBUILD_SESSIONS_FTS);
+    console.log('[SessionSearchRepository] Search index rebuilt');
+  }
+}
+
+export default new SessionSearchRepository();
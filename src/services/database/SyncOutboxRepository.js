@@ -0,0 +1,120 @@
+// src/services/database/SyncOutboxRepository.js
+//
+// The `sync_outbox` table: session changes syncService still has to push to
+// Firestore. Rows are keyed by session id, so queueing a second change to the
+// same session replaces the first and resets its backoff.
+//
+// op is 'upsert' (push the session's current row) or 'delete' (push a
+// tombstone so other devices drop their copy).
+
+import DatabaseService from './DatabaseService';
+
+class SyncOutboxRepository {
+
+  /**
+   * Queue a change, replacing any pending change for the same session
+   * @param {string} sessionId
+   * @param {'upsert'|'delete'} op
+   * @param {number} modified - metadata.modified of the change
+   */
+  async enqueue(sessionId, op, modified) {
+    await DatabaseService.getDB().runAsync(
+      `INSERT INTO sync_outbox (session_id, op, modified) VALUES (?, ?, ?)
+       ON CONFLICT(session_id) DO UPDATE SET
+         op = excluded.op,
+         modified = excluded.modified,
+         attempts = 0,
+         next_attempt_at = 0,
+         last_error = NULL`,
+      [sessionId, op, modified]
+    );
+  }
+
+  /**
+   * Queue an upsert for every session not yet marked synced that has no
+   * pending change. Catches rows written before the outbox existed, and any
+   * write path that didn't queue itself.
+   * @returns {Promise<number>} - Rows queued
+   */
+  async enqueueUnsynced() {
+    const result = await DatabaseService.getDB().runAsync(
+      `INSERT OR IGNORE INTO sync_outbox (session_id, op, modified)
+       SELECT id, 'upsert', IFNULL(json_extract(data, '$.metadata.modified'), 0)
+       FROM sessions
+       WHERE IFNULL(sync_status, 'pending') != 'synced'`
+    );
+    return result.changes;
+  }
+
+  async get(sessionId) {
+    return DatabaseService.getDB().getFirstAsync(
+      'SELECT * FROM sync_outbox WHERE session_id = ?',
+      [sessionId]
+    );
+  }
+
+  /**
+   * Changes whose backoff has elapsed, oldest change first
+   */
+  async getDue(now, limit) {
+    return DatabaseService.getDB().getAllAsync(
+      `SELECT * FROM sync_outbox
+       WHERE next_attempt_at <= ?
+       ORDER BY modified ASC
+       LIMIT ?`,
+      [now, limit]
+    );
+  }
+
+  /**
+   * Earliest time a queued change becomes due, or null if the outbox is empty
+   */
+  async nextAttemptAt() {
+    const row = await DatabaseService.getDB().getFirstAsync(
+      'SELECT MIN(next_attempt_at) AS next FROM sync_outbox'
+    );
+    return row?.next ?? null;
+  }
+
+  async count() {
+    const row = await DatabaseService.getDB().getFirstAsync(
+      'SELECT COUNT(*) AS total FROM sync_outbox'
+    );
+    return row?.total ?? 0;
+  }
+
+  /**
+   * Clear a change after a successful push. A no-op if a newer change for
+   * the session was queued meanwhile, so that one still gets pushed.
+   */
+  async complete(sessionId, modified) {
+    await DatabaseService.getDB().runAsync(
+      'DELETE FROM sync_outbox WHERE session_id = ? AND modified = ?',
+      [sessionId, modified]
+    );
+  }
+
+  /**
+   * Record a failed push and when to try again
+   */
+  async fail(sessionId, attempts, nextAttemptAt, errorMessage) {
+    await DatabaseService.getDB().runAsync(
+      `UPDATE sync_outbox
+       SET attempts = ?, next_attempt_at = ?, last_error = ?
+       WHERE session_id = ?`,
+      [attempts, nextAttemptAt, errorMessage, sessionId]
+    );
+  }
+
+  /**
+   * Drop any pending change — used when a newer remote copy wins
+   */
+  async remove(sessionId) {
+    await DatabaseService.getDB().runAsync(
+      'DELETE FROM sync_outbox WHERE session_id = ?',
+      [sessionId]
+    );
+  }
+}
+
+export default new SyncOutboxRepository();
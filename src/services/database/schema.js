@@ -1,15 +1,96 @@
 // schema.js
-export const SCHEMA_VERSION = 1;
+export const SCHEMA_VERSION = 4;
 
+// Sessions are stored as full JSON in `data` so every field the app writes
+// (rating, reflection, metadata, ...) round-trips unchanged. The other columns
+// are projections of that JSON, kept only so range and activity lookups can
+// use an index instead of parsing every row.
 export const CREATE_SESSIONS_TABLE = `
   CREATE TABLE IF NOT EXISTS sessions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    activity_type TEXT NOT NULL,
-    duration INTEGER NOT NULL,
-    start_time INTEGER NOT NULL,
-    end_time INTEGER NOT NULL,
-    description TEXT,
-    created_at INTEGER NOT NULL
+    id TEXT PRIMARY KEY NOT NULL,
+    date TEXT NOT NULL,
+    activity TEXT NOT NULL,
+    duration REAL NOT NULL,
+    timestamp INTEGER NOT NULL,
+    sync_status TEXT,
+    data TEXT NOT NULL
+  );
+`;
+
+// Full-text index over reflection text. Standalone FTS5 table whose rowid is
+// the sessions rowid; the triggers below keep it in step with every write to
+// `sessions`, so SessionRepository never has to touch it.
+//
+// `activity` holds the activity id, not its name — names live in settings and
+// can be renamed — so SessionSearchRepository resolves names to ids at query
+// time and matches them against this column.
+//
+// prefix='2 3' builds prefix indexes so `foc*`-style queries stay fast with
+// thousands of rows.
+export const CREATE_SESSIONS_FTS_TABLE = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS sessions_fts USING fts5(
+    activity,
+    worked_on,
+    went_well,
+    distractions,
+    next_step,
+    notes,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  );
+`;
+
+const FTS_COLUMNS = 'rowid, activity, worked_on, went_well, distractions, next_step, notes';
+
+// Column values for a sessions row aliased as `src`. `notes` folds the legacy
+// rating.notes and top-level notes fields together.
+const ftsValues = (src) => `
+    ${src}.rowid,
+    ${src}.activity,
+    json_extract(${src}.data, '$.rating.reflection.workedOn'),
+    json_extract(${src}.data, '$.rating.reflection.wentWell'),
+    json_extract(${src}.data, '$.rating.reflection.distractions'),
+    json_extract(${src}.data, '$.rating.reflection.nextStep'),
+    trim(
+      coalesce(json_extract(${src}.data, '$.rating.notes'), '') || ' ' ||
+      coalesce(json_extract(${src}.data, '$.notes'), '')
+    )
+`;
+
+export const CREATE_SESSIONS_FTS_TRIGGERS = `
+  CREATE TRIGGER IF NOT EXISTS sessions_fts_insert AFTER INSERT ON sessions BEGIN
+    INSERT INTO sessions_fts (${FTS_COLUMNS}) VALUES (${ftsValues('new')});
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS sessions_fts_delete AFTER DELETE ON sessions BEGIN
+    DELETE FROM sessions_fts WHERE rowid = old.rowid;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS sessions_fts_update AFTER UPDATE ON sessions BEGIN
+    DELETE FROM sessions_fts WHERE rowid = old.rowid;
+    INSERT INTO sessions_fts (${FTS_COLUMNS}) VALUES (${ftsValues('new')});
+  END;
+`;
+
+// Re-index every existing row (schema upgrade to v3, or a manual rebuild)
+export const REBUILD_SESSIONS_FTS = `
+  DELETE FROM sessions_fts;
+  INSERT INTO sessions_fts (${FTS_COLUMNS}) SELECT ${ftsValues('sessions')} FROM sessions;
+`;
+
+// Local session changes waiting to be pushed to Firestore (see syncService).
+// One row per session: a newer change replaces the older one, because a push
+// always sends the session's current state. `modified` is the
+// metadata.modified of the change, so a push only clears the row if no newer
+// change arrived while it was in flight.
+export const CREATE_SYNC_OUTBOX_TABLE = `
+  CREATE TABLE IF NOT EXISTS sync_outbox (
+    session_id TEXT PRIMARY KEY NOT NULL,
+    op TEXT NOT NULL,
+    modified INTEGER NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT
   );
 `;
 
@@ -28,17 +109,20 @@ export const CREATE_INSIGHTS_CACHE_TABLE = `
 
 // Create indexes for faster queries
 export const CREATE_SESSIONS_INDEXES = `
-  CREATE INDEX IF NOT EXISTS idx_sessions_created_at 
-  ON sessions(created_at);
-  
-  CREATE INDEX IF NOT EXISTS idx_sessions_activity_type 
-  ON sessions(activity_type);
+  CREATE INDEX IF NOT EXISTS idx_sessions_timestamp
+  ON sessions(timestamp);
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_activity_timestamp
+  ON sessions(activity, timestamp);
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_date
+  ON sessions(date);
 `;
 
 export const CREATE_INSIGHTS_INDEXES = `
-  CREATE INDEX IF NOT EXISTS idx_insights_insight_type 
+  CREATE INDEX IF NOT EXISTS idx_insights_insight_type
   ON insights_cache(insight_type);
-  
-  CREATE INDEX IF NOT EXISTS idx_insights_time_period 
+
+  CREATE INDEX IF NOT EXISTS idx_insights_time_period
   ON insights_cache(time_period_start, time_period_end);
-`;
\ No newline at end of file
+`;
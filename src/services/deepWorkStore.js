@@ -2,12 +2,20 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { isMigrationRunning } from './localMigrationService';
+import SessionRepository from './database/SessionRepository';
+import InsightCacheRepository from './database/InsightCacheRepository';
+import { queueSessionUpsert, queueSessionDelete, requestSync } from './syncService';
+import { isValidSession, isValidSettings, isValidBackup, isValidGoal } from '../utils/storageValidators';
+import { toLocalDateString } from '../utils/dateHelpers';
+import { normalizePauses } from '../utils/pauseLog';
+import { cleanIntention } from '../utils/intentions';
+import { normalizeParked } from '../utils/parkingLot';
+import { validateManualSession, manualSessionSpan, overlapError, sessionSpan } from '../utils/manualSessions';
 
 // Storage configuration
-const STORAGE_KEY = '@deep_work_sessions';
+// Sessions live in the SQLite `sessions` table (SessionRepository); only
+// settings remain in AsyncStorage.
 const SETTINGS_KEY = '@deep_work_settings';
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // milliseconds
 const DEBUG = true;
 
 // UPDATED: Default settings with reminder frequency instead of goals
@@ -27,60 +35,116 @@ const log = (message, data) => {
   }
 };
 
-// Validation function for individual session objects
-const isValidSession = (session) => {
-  return (
-    session &&
-    typeof session.activity === 'string' &&
-    typeof session.duration === 'number' &&
-    typeof session.musicChoice === 'string' &&
-    (!session.notes || typeof session.notes === 'string') && // Make notes optional but must be string if present
-    session.duration > 0
-  );
+// An edited rating, in the shape sessionService.saveRating writes. A score
+// given as null is cleared; one left out is kept.
+const editedRating = (previous, changes) => {
+  const focus = 'focus' in changes ? changes.focus : previous?.focus ?? null;
+  const productivity = 'productivity' in changes ? changes.productivity : previous?.productivity ?? null;
+  const scoresChanged = 'focus' in changes || 'productivity' in changes;
+  const reflection = changes.reflection !== undefined ? changes.reflection : previous?.reflection ?? null;
+  return {
+    ...previous,
+    focus,
+    productivity,
+    rating: !scoresChanged
+      ? previous?.rating ?? null
+      : focus != null && productivity != null
+        ? Math.round((focus + productivity) / 2)
+        : null,
+    reflection,
+    // Legacy alias for workedOn, as saveRating keeps it
+    notes: changes.reflection !== undefined ? reflection?.workedOn || null : previous?.notes ?? null,
+    ratedAt: previous?.ratedAt ?? new Date().toISOString(),
+  };
 };
 
-// Validation function for the entire sessions storage structure
-const isValidStorage = (sessions) => {
-  if (!sessions || typeof sessions !== 'object') return false;
-  
-  return Object.entries(sessions).every(([date, daySessions]) => {
-    return (
-      // Validate date format (YYYY-MM-DD)
-      /^\d{4}-\d{2}-\d{2}$/.test(date) &&
-      // Validate sessions array
-      Array.isArray(daySessions) &&
-      daySessions.every(isValidSession)
-    );
-  });
+// Group a flat, timestamp-ordered session list into { 'YYYY-MM-DD': Session[] },
+// the shape every screen has consumed since sessions lived in one JSON blob.
+const groupByDate = (sessions) => {
+  return sessions.reduce((byDate, session) => {
+    (byDate[session.date] = byDate[session.date] || []).push(session);
+    return byDate;
+  }, {});
 };
 
-// UPDATED: Validation function for settings structure with reminder frequency
-// IMPORTANT: This shows how to validate transformed data structures in React Native
-// CHANGED: Updated to accept 'none' instead of 'multiple_daily'
-const isValidSettings = (settings) => {
-  return (
-    settings &&
-    Array.isArray(settings.activities) &&
-    settings.activities.every(activity => 
-      activity.id && 
-      activity.name && 
-      activity.color
-    ) &&
-    Array.isArray(settings.durations) &&
-    settings.durations.every(duration => 
-      typeof duration === 'number' && 
-      duration > 0
-    ) &&
-    // UPDATED: Validate reminder frequency with 'none' option
-    // We accept string values that match our expected options
-    typeof settings.reminderFrequency === 'string' &&
-    ['none', 'daily', 'weekly'].includes(settings.reminderFrequency)
-  );
+// ─── Backup import helpers ───────────────────────────────────────────────────
+
+/**
+ * Accept file contents or an already-parsed object
+ * @returns {Object|null} - The backup, or null if it isn't one
+ */
+const parseBackup = (backup) => {
+  let parsed = backup;
+  if (typeof backup === 'string') {
+    try {
+      parsed = JSON.parse(backup);
+    } catch (_) {
+      return null;
+    }
+  }
+  return isValidBackup(parsed) ? parsed : null;
 };
 
-// Serializes all addSession writes to prevent concurrent read-modify-write races.
-// Each call waits for the previous one to finish before reading storage.
-let _addSessionLock = Promise.resolve();
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Fold backup activities into the local list.
+ *
+ *   same name as a local activity  → backup sessions move to the local id
+ *                                    (local color wins)
+ *   new name, id free locally      → added as-is
+ *   new name, id already taken     → added under a suffixed id
+ *
+ * @returns {{ activities: Array, idMap: Object, added: number }}
+ *   idMap maps backup activity ids to the local id their sessions should use
+ */
+const reconcileActivities = (localActivities, backupActivities) => {
+  const activities = [...localActivities];
+  const idMap = {};
+  let added = 0;
+
+  backupActivities.forEach((incoming) => {
+    const sameName = activities.find(a => normalizeName(a.name) === normalizeName(incoming.name));
+    if (sameName) {
+      if (sameName.id !== incoming.id) idMap[incoming.id] = sameName.id;
+      return;
+    }
+
+    let id = incoming.id;
+    for (let n = 2; activities.some(a => a.id === id); n++) {
+      id = `${incoming.id}-${n}`;
+    }
+    if (id !== incoming.id) idMap[incoming.id] = id;
+
+    activities.push({ ...incoming, id });
+    added++;
+  });
+
+  return { activities, idMap, added };
+};
+
+/**
+ * Fill in the columns SessionRepository indexes on, for backups from older
+ * builds that may lack them
+ * @returns {Object|null} - null if no timestamp can be recovered
+ */
+const normalizeImportedSession = (session, idMap) => {
+  const timestamp = session.timestamp
+    || session.metadata?.created
+    || Date.parse(session.completedAt);
+  if (!timestamp) return null;
+
+  const date = session.date || toLocalDateString(timestamp);
+  return {
+    ...session,
+    id: session.id || `${date}-${timestamp}`,
+    date,
+    timestamp,
+    activity: idMap[session.activity] || session.activity,
+    // New to this device's store, so it still has to reach this account
+    syncStatus: 'pending',
+  };
+};
 
 export const deepWorkStore = {
   /**
@@ -94,7 +158,6 @@ export const deepWorkStore = {
         
         // Only initialize if storage doesn't exist
         if (!settings) {
-            await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({}));
             await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify({
                 activities: [],
                 durations: [],
@@ -183,58 +246,13 @@ patchSettings: async (partial) => {
  */
 getSessions: async () => {
   try {
-    const sessions = await AsyncStorage.getItem(STORAGE_KEY);
-    
-    if (!sessions) {
-      log('No sessions found, returning empty object');
-      return {};
-    }
-
-    const parsed = JSON.parse(sessions);
-    
-    // AUTO-REPAIR: Instead of throwing, repair and return
-    if (!isValidStorage(parsed)) {
-      log('⚠️ Invalid storage detected, auto-repairing...');
-      
-      // Repair the storage
-      const repairedSessions = {};
-      
-      if (typeof parsed === 'object' && !Array.isArray(parsed)) {
-        for (const [key, value] of Object.entries(parsed)) {
-          // Valid date format: YYYY-MM-DD
-          if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) {
-            log(`Skipping invalid date key: ${key}`);
-            continue;
-          }
-          
-          // Must be array
-          if (!Array.isArray(value)) {
-            log(`Skipping invalid value for ${key} (not an array)`);
-            continue;
-          }
-          
-          // Filter to only valid sessions
-          const validSessions = value.filter(isValidSession);
-          if (validSessions.length > 0) {
-            repairedSessions[key] = validSessions;
-          }
-        }
-      }
-      
-      // Save the repaired version
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(repairedSessions));
-      log('✅ Storage auto-repaired and saved');
-      
-      return repairedSessions;
-    }
-
-    log('Retrieved sessions successfully');
-    return parsed;
+    const sessions = await SessionRepository.getAll();
+    log('Retrieved sessions successfully', sessions.length);
+    return groupByDate(sessions);
   } catch (error) {
     log('Error getting sessions:', error);
     // Return empty instead of throwing
     log('⚠️ Returning empty sessions object due to error');
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({}));
     return {};
   }
 },
@@ -280,30 +298,50 @@ getSessions: async () => {
     }
   },
 
+  /**
+   * Set or clear the goal on one activity
+   * @param {string} activityId
+   * @param {{ type: string, target: number }|null} goal - null removes the goal
+   */
+  updateActivityGoal: async (activityId, goal) => {
+    try {
+      if (goal !== null && !isValidGoal(goal)) {
+        throw new Error('Invalid goal');
+      }
+
+      const currentSettings = await deepWorkStore.getSettings();
+      if (!currentSettings.activities.some(a => a.id === activityId)) {
+        throw new Error(`Unknown activity: ${activityId}`);
+      }
+
+      const activities = currentSettings.activities.map(activity => {
+        if (activity.id !== activityId) return activity;
+        const { goal: _previous, ...rest } = activity;
+        return goal
+          ? { ...rest, goal: { type: goal.type, target: goal.target, setAt: new Date().toISOString() } }
+          : rest;
+      });
+
+      return await deepWorkStore.updateActivities(activities);
+    } catch (error) {
+      log('Error updating activity goal:', error);
+      return false;
+    }
+  },
+
   deleteSessionsByActivity: async (activityName) => {
     try {
       log('Deleting sessions for activity:', activityName);
-      
-      const allSessions = await deepWorkStore.getSessions();
-      let deletedCount = 0;
-      const cleanedSessions = {};
-      
-      Object.entries(allSessions).forEach(([date, sessions]) => {
-        const filteredSessions = sessions.filter(session => {
-          if (session.activity === activityName) {
-            deletedCount++;
-            return false;
-          }
-          return true;
-        });
-        
-        if (filteredSessions.length > 0) {
-          cleanedSessions[date] = filteredSessions;
-        }
-      });
-      
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(cleanedSessions));
+
+      const doomed = (await SessionRepository.getAll()).filter(s => s.activity === activityName);
+      const deletedCount = await SessionRepository.deleteByActivity(activityName);
       log(`Deleted ${deletedCount} sessions for: ${activityName}`);
+
+      // Tombstone each one so signed-in devices drop them too
+      const now = Date.now();
+      for (const session of doomed) {
+        await queueSessionDelete(session.id, now);
+      }
       return { success: true, deletedCount };
       
     } catch (error) {
@@ -312,6 +350,99 @@ getSessions: async () => {
     }
   },
 
+  /**
+   * Edit one session's activity, duration, reflection or ratings. A null
+   * focus or productivity clears that score; a longer duration must not
+   * overlap another session.
+   * @param {string} sessionId
+   * @param {{ activity?: string, duration?: number, rating?: { focus?, productivity?, reflection? } }} changes
+   * @returns {Promise<{ success: boolean, session?: Object, error?: string }>}
+   */
+  updateSession: async (sessionId, changes) => {
+    try {
+      const session = await SessionRepository.getById(sessionId);
+      if (!session) throw new Error('Session not found');
+
+      const edited = {
+        ...session,
+        ...(changes.activity && { activity: changes.activity }),
+        ...(changes.duration != null && { duration: parseFloat(changes.duration) }),
+        ...(changes.rating && { rating: editedRating(session.rating, changes.rating) }),
+        syncStatus: 'pending',
+        metadata: { ...session.metadata, modified: Date.now() },
+      };
+      if (!isValidSession(edited)) throw new Error('Invalid session data');
+
+      // A session ends at its timestamp, so a longer one starts earlier and
+      // may run into the one before. A shorter one can't newly overlap.
+      if (edited.duration > session.duration) {
+        const others = (await SessionRepository.getAll()).filter(s => s.id !== sessionId);
+        const error = overlapError(others, sessionSpan(edited));
+        if (error) return { success: false, error };
+      }
+
+      await SessionRepository.update(edited);
+      await queueSessionUpsert(edited);
+      await InsightCacheRepository.deleteCovering([edited.timestamp]);
+
+      log('Session updated:', sessionId);
+      return { success: true, session: edited };
+    } catch (error) {
+      log('Error updating session:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Delete one session. The deleted row is returned so it can be handed to
+   * restoreSession for an undo.
+   * @param {string} sessionId
+   * @returns {Promise<{ success: boolean, session?: Object, error?: string }>}
+   */
+  deleteSession: async (sessionId) => {
+    try {
+      const session = await SessionRepository.getById(sessionId);
+      if (!session) throw new Error('Session not found');
+
+      await SessionRepository.deleteById(sessionId);
+      // Tombstone it so signed-in devices drop it too
+      await queueSessionDelete(sessionId, Date.now());
+      await InsightCacheRepository.deleteCovering([session.timestamp]);
+
+      log('Session deleted:', sessionId);
+      return { success: true, session };
+    } catch (error) {
+      log('Error deleting session:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Put back a session removed by deleteSession, as it was. Only
+   * metadata.modified moves on, so the restore outranks the queued or
+   * already-pushed tombstone.
+   * @param {Object} session - As returned by deleteSession
+   * @returns {Promise<{ success: boolean, session?: Object, error?: string }>}
+   */
+  restoreSession: async (session) => {
+    try {
+      const restored = {
+        ...session,
+        syncStatus: 'pending',
+        metadata: { ...session.metadata, modified: Date.now() },
+      };
+      await SessionRepository.insert(restored);
+      await queueSessionUpsert(restored);
+      await InsightCacheRepository.deleteCovering([restored.timestamp]);
+
+      log('Session restored:', session.id);
+      return { success: true, session: restored };
+    } catch (error) {
+      log('Error restoring session:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   /**
    * Update just the durations list
    * @param {Array} durations - New durations array
@@ -399,43 +530,39 @@ getSessions: async () => {
       return { success: false, error: 'Migration in progress — please try again shortly' };
     }
 
-    // Acquire write lock — waits for any concurrent addSession to finish first.
-    const prevLock = _addSessionLock;
-    let releaseLock;
-    _addSessionLock = new Promise(resolve => { releaseLock = resolve; });
-    await prevLock.catch(() => {}); // wait, ignore errors from prior call
-
     try {
       if (!isValidSession(session)) {
         throw new Error('Invalid session data');
       }
 
-      // Get existing sessions with retry mechanism
-      let existingSessions = {};
-      let retryCount = 0;
-
-      while (retryCount < MAX_RETRIES) {
-        try {
-          existingSessions = await deepWorkStore.getSessions();
-          break;
-        } catch (error) {
-          retryCount++;
-          if (retryCount === MAX_RETRIES) throw error;
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-        }
-      }
-      
-      const date = new Date().toISOString().split('T')[0];
       const now = Date.now();
+      const timestamp = session.timestamp || now;
+      // Bucket by the local day the session ended, like every other date —
+      // unless the caller knows better (a logged session goes on the day it started)
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(session.date ?? '') ? session.date : toLocalDateString(timestamp);
       const newSession = {
         id: `${date}-${now}`,
         date,
         activity: session.activity,
         duration: parseFloat(session.duration),
+        // Planned vs actual — duration is what was actually focused. Older
+        // sessions and manual entries simply don't carry these.
+        ...(session.plannedDuration != null && { plannedDuration: parseFloat(session.plannedDuration) }),
+        ...(session.extendedMinutes > 0 && { extendedMinutes: session.extendedMinutes }),
+        ...(Number.isInteger(session.pauseCount) && { pauseCount: session.pauseCount }),
+        ...(session.pauses?.length > 0 && { pauses: normalizePauses(session.pauses) }),
+        // Planned block occurrence this session kept (utils/focusBlocks)
+        ...(typeof session.focusBlock === 'string' && { focusBlock: session.focusBlock }),
+        // What the user meant to get done (utils/intentions); the rating says if they did
+        ...(cleanIntention(session.intention) && { intention: cleanIntention(session.intention) }),
+        // Thoughts parked mid-session (utils/parkingLot)
+        ...(session.parked?.length > 0 && { parked: normalizeParked(session.parked) }),
+        // Logged after the fact rather than timed (utils/manualSessions)
+        ...(session.manual === true && { manual: true }),
         musicChoice: session.musicChoice,
         notes: session.notes || '',
-        timestamp: session.timestamp || now,
-        completedAt: new Date().toISOString(),
+        timestamp,
+        completedAt: new Date(timestamp).toISOString(),
         syncStatus: 'pending',
         metadata: {
           appVersion: '1.0.0',
@@ -443,31 +570,50 @@ getSessions: async () => {
           modified: now,
         }
       };
-      
-      // Add to existing sessions or create new array
-      if (existingSessions[date]) {
-        existingSessions[date].push(newSession);
-      } else {
-        existingSessions[date] = [newSession];
-      }
-      
-      // Save and verify
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(existingSessions));
-      
-      const verifiedSessions = await AsyncStorage.getItem(STORAGE_KEY);
-      const parsed = JSON.parse(verifiedSessions);
-      
-      if (!parsed[date]?.some(s => s.id === newSession.id)) {
+
+      // Single-row INSERT is atomic, so concurrent saves can no longer
+      // clobber each other the way read-modify-write of the old blob could.
+      await SessionRepository.insert(newSession);
+
+      const verified = await SessionRepository.getById(newSession.id);
+      if (!verified) {
         throw new Error('Session verification failed');
       }
 
+      await queueSessionUpsert(newSession);
+
       log('Session saved successfully:', newSession);
       return { success: true, session: newSession };
     } catch (error) {
       log('Error saving session:', error);
       return { success: false, error: error.message };
-    } finally {
-      releaseLock();
+    }
+  },
+
+  /**
+   * Log a session done away from the app. Rejected if it hasn't finished
+   * yet or overlaps a stored session (utils/manualSessions).
+   * @param {{ date: string, time: string, duration: number, activity: string }} entry
+   * @returns {Promise<{ success: boolean, session?: Object, error?: string }>}
+   */
+  logPastSession: async (entry) => {
+    try {
+      const sessions = Object.values(await deepWorkStore.getSessions()).flat();
+      const error = validateManualSession(entry, sessions, Date.now());
+      if (error) return { success: false, error };
+
+      return deepWorkStore.addSession({
+        activity: entry.activity,
+        duration: entry.duration,
+        musicChoice: 'none',
+        notes: '',
+        timestamp: manualSessionSpan(entry).end,
+        date: entry.date,
+        manual: true,
+      });
+    } catch (error) {
+      log('Error logging past session:', error);
+      return { success: false, error: error.message };
     }
   },
 
@@ -544,20 +690,15 @@ getSessions: async () => {
    */
   verifyStorageIntegrity: async () => {
     try {
-      const [sessions, settings] = await Promise.all([
-        AsyncStorage.getItem(STORAGE_KEY),
+      // Sessions are validated before every insert; getAll() drops rows whose
+      // JSON no longer parses, so compare its count against the raw row count.
+      const [sessions, total, settings] = await Promise.all([
+        SessionRepository.getAll(),
+        SessionRepository.count(),
         AsyncStorage.getItem(SETTINGS_KEY)
       ]);
-      
-      // Verify sessions
-      if (sessions) {
-        try {
-          const parsedSessions = JSON.parse(sessions);
-          if (!isValidStorage(parsedSessions)) return false;
-        } catch (error) {
-          return false;
-        }
-      }
+
+      if (sessions.length !== total || !sessions.every(isValidSession)) return false;
 
       // Verify settings
       if (settings) {
@@ -581,26 +722,10 @@ getSessions: async () => {
    */
   repairStorage: async () => {
     try {
-      // Repair sessions storage
-      const sessions = await AsyncStorage.getItem(STORAGE_KEY);
-      if (sessions) {
-        try {
-          const parsed = JSON.parse(sessions);
-          const repairedSessions = {};
-          
-          Object.entries(parsed).forEach(([date, dateSessions]) => {
-            if (Array.isArray(dateSessions)) {
-              const validSessions = dateSessions.filter(isValidSession);
-              if (validSessions.length > 0) {
-                repairedSessions[date] = validSessions;
-              }
-            }
-          });
-
-          await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(repairedSessions));
-        } catch (error) {
-          await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({}));
-        }
+      // Repair sessions storage: drop only the rows that fail validation
+      const removed = await SessionRepository.deleteInvalid(isValidSession);
+      if (removed > 0) {
+        log(`Removed ${removed} invalid session row(s)`);
       }
 
       // Repair settings storage with reminder frequency migration
@@ -635,12 +760,117 @@ getSessions: async () => {
     }
   },
 
+  /**
+   * Summarise a backup before asking the user how to import it. Writes nothing.
+   *
+   * @param {string|Object} backup - File contents or parsed object
+   * @returns {{ valid: boolean, sessionCount?: number, exportedAt?: string }}
+   */
+  inspectBackup: (backup) => {
+    const parsed = parseBackup(backup);
+    if (!parsed) return { valid: false };
+    return {
+      valid: true,
+      sessionCount: parsed.sessions.length,
+      exportedAt: parsed.exportedAt || null,
+    };
+  },
+
+  /**
+   * Restore a JSON backup written by exportService.
+   *
+   * Every session is checked with isValidSession and every duplicate id is
+   * skipped, so a backup can be imported twice without doubling anything.
+   *
+   * @param {string|Object} backup - File contents or parsed object
+   * @param {Object} options
+   * @param {'merge'|'replace'} options.mode
+   *   merge   — keep local sessions and add backup sessions with new ids;
+   *             backup activities are reconciled into the local list
+   *   replace — local sessions and settings are swapped for the backup's;
+   *             refused if the backup's settings fail isValidSettings, as
+   *             its sessions would point at activities that don't exist.
+   *             Removed local sessions are tombstoned for sync.
+   * @returns {Promise<{ success: boolean, added: number, skipped: number,
+   *   rejected: number, activitiesAdded: number, error?: string }>}
+   */
+  importBackup: async (backup, { mode = 'merge' } = {}) => {
+    const report = { success: false, added: 0, skipped: 0, rejected: 0, activitiesAdded: 0 };
+
+    if (isMigrationRunning()) {
+      return { ...report, error: 'Migration in progress — please try again shortly' };
+    }
+
+    const parsed = parseBackup(backup);
+    if (!parsed) {
+      return { ...report, error: 'Not a DeepWork backup file' };
+    }
+
+    try {
+      const localSettings = await deepWorkStore.getSettings();
+      const backupSettings = isValidSettings(parsed.settings) ? parsed.settings : null;
+      if (mode === 'replace' && !backupSettings) {
+        return { ...report, error: "This backup's settings are damaged, so it can only be merged" };
+      }
+
+      let nextSettings = null;
+      let idMap = {};
+      if (mode === 'replace') {
+        nextSettings = backupSettings;
+        report.activitiesAdded = backupSettings.activities.length;
+      } else if (backupSettings) {
+        const reconciled = reconcileActivities(localSettings.activities, backupSettings.activities);
+        idMap = reconciled.idMap;
+        report.activitiesAdded = reconciled.added;
+        if (reconciled.added > 0) {
+          nextSettings = { ...localSettings, activities: reconciled.activities };
+        }
+      }
+
+      // Validate, normalize and dedupe within the file (first occurrence wins)
+      const unique = new Map();
+      parsed.sessions.forEach((session) => {
+        const normalized = isValidSession(session) ? normalizeImportedSession(session, idMap) : null;
+        if (!normalized) {
+          report.rejected++;
+        } else if (unique.has(normalized.id)) {
+          report.skipped++;
+        } else {
+          unique.set(normalized.id, normalized);
+        }
+      });
+      const sessions = [...unique.values()];
+
+      if (mode === 'replace') {
+        await SessionRepository.replaceAll(sessions, { deletedAt: Date.now() });
+        report.added = sessions.length;
+      } else {
+        report.added = await SessionRepository.insertMany(sessions, { ignoreExisting: true });
+        report.skipped += sessions.length - report.added;
+      }
+
+      if (nextSettings && !(await deepWorkStore.updateSettings(nextSettings))) {
+        throw new Error('Sessions imported but settings could not be saved');
+      }
+
+      // Imported rows are 'pending'; the sync cycle queues and pushes them,
+      // along with any tombstones the replace queued
+      requestSync();
+
+      log(`Backup imported (${mode}):`, report);
+      return { ...report, success: true };
+    } catch (error) {
+      log('Error importing backup:', error);
+      return { ...report, error: error.message };
+    }
+  },
+
   /**
    * Clear all stored sessions
    */
   clearSessions: async () => {
     try {
-      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({}));
+      await SessionRepository.deleteAll();
       log('Storage cleared successfully');
       return true;
     } catch (error) {
@@ -648,4 +878,4 @@ getSessions: async () => {
       return false;
     }
   }
-};
\ No newline at end of file
+};
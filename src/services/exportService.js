@@ -0,0 +1,226 @@
+// src/services/exportService.js
+//
+// Export the full focus history as a file and hand it to the share sheet.
+//
+// Formats:
+//   json — full-fidelity backup: every session exactly as stored, plus
+//          settings. deepWorkStore.importBackup() restores from this file.
+//   csv  — one row per session with the reflection fields flattened, for
+//          spreadsheets.
+//   ics  — iCalendar; one VEVENT per session with the activity name as the
+//          SUMMARY and the reflection as the DESCRIPTION.
+//
+// Files are written to the cache directory and overwritten on each export.
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import Constants from 'expo-constants';
+import SessionRepository from './database/SessionRepository';
+import { deepWorkStore } from './deepWorkStore';
+import { BACKUP_FORMAT, BACKUP_VERSION } from '../utils/storageValidators';
+import { getLocalToday } from '../utils/dateHelpers';
+
+const APP_VERSION = Constants.expoConfig?.version ?? '0.0.0';
+
+const FORMATS = ['json', 'csv', 'ics'];
+
+// What the share sheet is told each file is (iOS goes by UTI)
+const FILE_TYPES = {
+  json: { mimeType: 'application/json', UTI: 'public.json' },
+  csv:  { mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  ics:  { mimeType: 'text/calendar', UTI: 'com.apple.ical.ics' },
+};
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const activityNameFor = (activities) => (id) =>
+  activities.find(a => a.id === id)?.name || id;
+
+// Sessions are saved when they complete: completedAt is the end, and the
+// start is derived from the planned duration
+const sessionBounds = (session) => {
+  const end = new Date(session.completedAt || session.timestamp);
+  const start = new Date(end.getTime() - session.duration * 60 * 1000);
+  return { start, end };
+};
+
+const reflectionOf = (session) => session.rating?.reflection || {};
+
+// ─── JSON ─────────────────────────────────────────────────────────────────────
+
+export const toJsonBackup = (sessions, settings) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  appVersion: APP_VERSION,
+  settings,
+  sessions,
+}, null, 2);
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  'id', 'date', 'start', 'end', 'activity_id', 'activity', 'duration_minutes',
+  'music', 'rating', 'focus', 'productivity',
+  'worked_on', 'went_well', 'distractions', 'next_step', 'notes',
+];
+
+// RFC 4180: quote fields containing a delimiter, quote or line break
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (sessions, activities) => {
+  const nameOf = activityNameFor(activities);
+  const rows = sessions.map(session => {
+    const { start, end } = sessionBounds(session);
+    const reflection = reflectionOf(session);
+    return [
+      session.id,
+      session.date,
+      start.toISOString(),
+      end.toISOString(),
+      session.activity,
+      nameOf(session.activity),
+      session.duration,
+      session.musicChoice,
+      session.rating?.rating,
+      session.rating?.focus,
+      session.rating?.productivity,
+      reflection.workedOn,
+      reflection.wentWell,
+      reflection.distractions,
+      reflection.nextStep,
+      session.rating?.notes || session.notes,
+    ].map(csvField).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+// ─── ICS ──────────────────────────────────────────────────────────────────────
+
+// 20260118T093000Z
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 §3.3.11 TEXT escaping
+const icsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const REFLECTION_LABELS = [
+  ['workedOn', 'Worked on'],
+  ['wentWell', 'Went well'],
+  ['distractions', 'Distractions'],
+  ['nextStep', 'Next step'],
+];
+
+export const toIcs = (sessions, activities) => {
+  const nameOf = activityNameFor(activities);
+  const stamp = icsDate(new Date());
+
+  const events = sessions.map(session => {
+    const { start, end } = sessionBounds(session);
+    const reflection = reflectionOf(session);
+    const description = REFLECTION_LABELS
+      .filter(([key]) => reflection[key])
+      .map(([key, label]) => `${label}: ${reflection[key]}`);
+    const notes = session.rating?.notes || session.notes;
+    if (description.length === 0 && notes) description.push(notes);
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${session.id}@deepwork.io`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(start)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsText(nameOf(session.activity))}`,
+      ...(description.length > 0 ? [`DESCRIPTION:${icsText(description.join('\n'))}`] : []),
+      'END:VEVENT',
+    ];
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DeepWork.io//Focus History//EN',
+    'CALSCALE:GREGORIAN',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Write every session in `format` and share the file itself, so it can be
+ * saved or sent whole on either platform.
+ *
+ * @param {'json'|'csv'|'ics'} format
+ * @returns {Promise<{ success: boolean, sessionCount?: number, error?: string }>}
+ */
+export const exportSessions = async (format) => {
+  if (!FORMATS.includes(format)) return { success: false, error: `Unknown export format: ${format}` };
+
+  try {
+    const [sessions, settings] = await Promise.all([
+      SessionRepository.getAll(),
+      deepWorkStore.getSettings(),
+    ]);
+    const activities = settings?.activities || [];
+
+    const contents = format === 'json'
+      ? toJsonBackup(sessions, settings)
+      : format === 'csv'
+        ? toCsv(sessions, activities)
+        : toIcs(sessions, activities);
+
+    const today = getLocalToday();
+    const file = new File(Paths.cache, `deepwork-${today}.${format}`);
+    file.create({ overwrite: true });
+    file.write(contents);
+    console.log(`[Export] Wrote ${sessions.length} sessions to ${file.uri}`);
+
+    if (!(await Sharing.isAvailableAsync())) {
+      return { success: false, error: 'Sharing is not available on this device' };
+    }
+    await Sharing.shareAsync(file.uri, {
+      ...FILE_TYPES[format],
+      dialogTitle: 'Export focus history',
+    });
+
+    return { success: true, sessionCount: sessions.length };
+  } catch (error) {
+    console.error('[Export] Failed:', error);
+    return { success: false, error: error.message };
+  }
+};
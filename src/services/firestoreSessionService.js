@@ -2,18 +2,43 @@
  * firestoreSessionService.js
  * Firestore read/write operations for session data.
  *
- * This service is purely additive — it never replaces AsyncStorage writes.
- * Called alongside existing AsyncStorage saves in DeepWorkSession.js.
+ * This service is purely additive — it never replaces local writes.
+ * Ongoing session changes are pushed and pulled by syncService through
+ * writeSessionChange / fetchSessionsUpdatedSince; the other reads serve
+ * profile stats and DevTools.
  *
- * All methods are safe to call when user is logged out — they exit
- * immediately if no authenticated user is present.
+ * Every write stamps `updatedAt` with the server time; that is the cursor
+ * syncService pulls by. Deleted sessions stay as `deleted: true` tombstones
+ * so other devices learn about the delete.
+ *
+ * The auth-aware methods are safe to call when user is logged out — they
+ * exit immediately if no authenticated user is present.
  */
 
 import firestore from '../config/firebaseConfig';
 import auth from '@react-native-firebase/auth';
+import { toLocalDateString } from '../utils/dateHelpers';
 
 const SESSIONS_SUBCOLLECTION = 'sessions';
 
+// The session fields that sync: written to every session doc and read back
+// into the local row by syncService. Everything else on a doc (savedAt,
+// updatedAt, migratedFromLocal, ...) is Firestore bookkeeping.
+//
+// 'rating' (singular) is written by sessionService.saveRating after navigation.
+// 'ratings' (plural, legacy) is the pre-reflection field from handleSessionComplete.
+// Both are included so whichever is present gets synced.
+export const SESSION_FIELDS = [
+  'id', 'date', 'activity', 'duration', 'musicChoice',
+  'notes', 'rating', 'ratings', 'timestamp', 'completedAt', 'metadata',
+  'plannedDuration', 'extendedMinutes', 'pauseCount', 'pauses', 'focusBlock', 'intention', 'parked', 'manual',
+];
+
+const sessionsCollection = (uid) => firestore()
+  .collection('users')
+  .doc(uid)
+  .collection(SESSIONS_SUBCOLLECTION);
+
 /**
  * Save a single completed session to Firestore.
  * Safe to call regardless of auth state — no-ops if logged out.
@@ -43,7 +68,9 @@ export const saveSessionToFirestore = async (session) => {
       ...sanitizeSession(session),
       migratedFromLocal: false,
       syncStatus: 'synced',
+      deleted: false,
       savedAt: firestore.FieldValue.serverTimestamp(),
+      updatedAt: firestore.FieldValue.serverTimestamp(),
     }, { merge: true });
 
     console.log('✅ [firestoreSessionService] Session saved to Firestore:', sessionId);
@@ -81,10 +108,9 @@ export const getSessionsFromFirestore = async () => {
       .orderBy('timestamp', 'desc')
       .get();
 
-    const sessions = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const sessions = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((session) => !session.deleted);
 
     console.log(`✅ [firestoreSessionService] Fetched ${sessions.length} sessions from Firestore`);
     return sessions;
@@ -118,17 +144,20 @@ export const getUserStats = async () => {
       .collection(SESSIONS_SUBCOLLECTION)
       .get();
 
+    let totalSessions = 0;
     let totalMinutes = 0;
 
     snapshot.docs.forEach((doc) => {
       const data = doc.data();
+      if (data.deleted) return;
+      totalSessions += 1;
       if (typeof data.duration === 'number') {
         totalMinutes += data.duration;
       }
     });
 
     const stats = {
-      totalSessions: snapshot.size,
+      totalSessions,
       totalMinutes,
     };
 
@@ -142,67 +171,85 @@ export const getUserStats = async () => {
 };
 
 /**
- * Patch the rating + reflection onto an existing Firestore session document.
- * Called from sessionService.saveRating() after AsyncStorage is updated.
+ * Push one outbox change for `uid`. Unlike the methods above this throws on
+ * failure, so syncService can back off and retry.
+ *
+ * Upserts write the full session; deletes leave a tombstone carrying the
+ * delete's metadata.modified so other devices can resolve it against edits.
+ * Either replaces the whole doc, so a field dropped locally is dropped here.
  *
- * Uses { merge: true } so it is safe to call multiple times — subsequent
- * calls overwrite with the same data rather than creating duplicates.
+ * Last writer wins on metadata.modified: the remote doc is read in the same
+ * transaction, and the change is skipped if the doc is newer — another device
+ * may have written it after this device's last pull.
  *
- * @param {string} sessionId - The session doc ID (format: YYYY-MM-DD-<timestamp>)
- * @param {object} rating    - Full rating object including reflection sub-object
- * @returns {Promise<boolean>}
+ * @param {string} uid
+ * @param {{ op: 'upsert'|'delete', sessionId: string, session?: object, modified: number }} change
+ * @returns {Promise<boolean>} - false if skipped for a newer remote doc
  */
-export const updateSessionRatingInFirestore = async (sessionId, rating) => {
-  const user = auth().currentUser;
+export const writeSessionChange = async (uid, change) => {
+  const docRef = sessionsCollection(uid).doc(change.sessionId);
 
-  if (!user) {
-    console.log('[firestoreSessionService] No user — skipping rating sync');
-    return false;
-  }
+  const doc = change.op === 'delete'
+    ? { id: change.sessionId, deleted: true, metadata: { modified: change.modified } }
+    : { ...sanitizeSession(change.session), syncStatus: 'synced', deleted: false };
 
-  try {
-    await firestore()
-      .collection('users')
-      .doc(user.uid)
-      .collection(SESSIONS_SUBCOLLECTION)
-      .doc(sessionId)
-      .set(
-        {
-          rating: sanitizeRating(rating),
-          syncStatus: 'synced',
-          ratingUpdatedAt: firestore.FieldValue.serverTimestamp(),
-        },
-        { merge: true }   // never overwrites base session fields
-      );
-
-    console.log('[firestoreSessionService] Rating synced to Firestore:', sessionId);
+  return firestore().runTransaction(async (transaction) => {
+    const remote = await transaction.get(docRef);
+    if ((remote.data()?.metadata?.modified ?? 0) > change.modified) return false;
+
+    transaction.set(docRef, { ...doc, updatedAt: firestore.FieldValue.serverTimestamp() });
     return true;
+  });
+};
 
-  } catch (error) {
-    console.log('[firestoreSessionService] Rating sync failed (non-critical):', error.message);
-    return false;
+/**
+ * Fetch session docs (tombstones included) whose `updatedAt` is after
+ * `sinceMillis`, or every doc when `sinceMillis` is null. Always reads from
+ * the server — a cached result could let the sync cursor skip docs.
+ * Throws on failure.
+ *
+ * @param {string} uid
+ * @param {number|null} sinceMillis
+ * @returns {Promise<object[]>} - docs with `updatedAt` as epoch millis (or null)
+ */
+export const fetchSessionsUpdatedSince = async (uid, sinceMillis) => {
+  let query = sessionsCollection(uid);
+  if (sinceMillis) {
+    query = query.where('updatedAt', '>', firestore.Timestamp.fromMillis(sinceMillis));
   }
+
+  const snapshot = await query.get({ source: 'server' });
+
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      ...data,
+      id: doc.id,
+      updatedAt: data.updatedAt?.toMillis?.() ?? null,
+    };
+  });
 };
 
 // ─── Private Helpers ─────────────────────────────────────────────────────────
 
-const sanitizeSession = (session) => {
+/**
+ * The SESSION_FIELDS of a session, without the undefined and null values
+ * Firestore rejects. Shared with migrationService's first upload.
+ */
+export const sanitizeSession = (session) => {
   const sanitized = {};
 
-  // 'rating' (singular) is written by sessionService.saveRating after navigation.
-  // 'ratings' (plural, legacy) is the pre-reflection field from handleSessionComplete.
-  // Both are included so whichever is present gets synced.
-  const fields = [
-    'id', 'date', 'activity', 'duration', 'musicChoice',
-    'notes', 'rating', 'ratings', 'timestamp', 'completedAt', 'metadata',
-  ];
-
-  fields.forEach((field) => {
+  SESSION_FIELDS.forEach((field) => {
     if (session[field] !== undefined && session[field] !== null) {
       sanitized[field] = session[field];
     }
   });
 
+  // Firestore rejects undefined nested values, which a partial rating can carry
+  if (sanitized.rating) {
+    sanitized.rating = sanitizeRating(sanitized.rating);
+  }
+
   return sanitized;
 };
 
@@ -213,6 +260,8 @@ const sanitizeRating = (rating) => {
     rating:      rating.rating      ?? null,
     focus:       rating.focus       ?? null,
     productivity: rating.productivity ?? null,
+    notes:       rating.notes       ?? null,
+    intentionAchieved: rating.intentionAchieved ?? null,
     ratedAt:     rating.ratedAt     ?? null,
   };
 
@@ -230,7 +279,7 @@ const sanitizeRating = (rating) => {
 };
 
 const generateSessionId = (session) => {
-  const date = session.date || new Date().toISOString().split('T')[0];
   const ts = session.timestamp || Date.now();
+  const date = session.date || toLocalDateString(ts);
   return `${date}-${ts}`;
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/services/focusBlockService.js
+//
+// Planned focus blocks (see utils/focusBlocks): storage, and the local
+// notification each occurrence gets at its start time.
+//
+// Storage key: @focus_blocks  [block, ...]
+//
+// Tapping a block's notification opens DeepWorkSession with the block's
+// settings — App.js routes it through getBlockSessionParams(), which reads
+// the block as it is now, so an edit after the notification was queued still
+// applies and a deleted block opens nothing.
+//
+// The OS notification queue is shared with the rest of the app and capped
+// (64 on iOS), so only the occurrences in the next SCHEDULE_AHEAD_DAYS, at
+// most MAX_QUEUED_BLOCKS of them, are queued at a time.
+// rescheduleFocusBlockNotifications() rebuilds that window; it runs after
+// every change and on every Home focus.
+//
+// Quiet hours don't apply: a block is an appointment the user made, at a time
+// they picked.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { deepWorkStore } from './deepWorkStore';
+import {
+  allOccurrencesBetween,
+  lastStartedDate,
+  occurrenceKey,
+} from '../utils/focusBlocks';
+
+const BLOCKS_KEY = '@focus_blocks';
+const NOTIFICATION_TYPE = 'focus_block';
+const SCHEDULE_AHEAD_DAYS = 7;
+const MAX_QUEUED_BLOCKS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Storage ──────────────────────────────────────────────────────────────────
+
+/**
+ * All blocks, including ones that have ended (kept for adherence history).
+ * @returns {Promise<Array>}
+ */
+export const getFocusBlocks = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(BLOCKS_KEY);
+    const blocks = raw ? JSON.parse(raw) : [];
+    return Array.isArray(blocks) ? blocks : [];
+  } catch (error) {
+    console.warn('[FocusBlocks] getFocusBlocks failed:', error);
+    return [];
+  }
+};
+
+const writeBlocks = async (blocks) => {
+  await AsyncStorage.setItem(BLOCKS_KEY, JSON.stringify(blocks));
+};
+
+/**
+ * Add a block, or replace the one with the same id.
+ * @param {Object} block - Without an id to add
+ * @returns {Promise<Object>} The stored block
+ */
+export const saveFocusBlock = async (block) => {
+  const blocks = await getFocusBlocks();
+  const saved = {
+    ...block,
+    id: block.id ?? `block-${Date.now()}`,
+    until: block.until ?? null,
+    createdAt: block.createdAt ?? Date.now(),
+  };
+  const index = blocks.findIndex(b => b.id === saved.id);
+  if (index >= 0) blocks[index] = saved;
+  else blocks.push(saved);
+
+  await writeBlocks(blocks);
+  console.log(`[FocusBlocks] Saved ${saved.id} (${saved.repeat ? 'repeating' : 'one-off'})`);
+  await rescheduleFocusBlockNotifications();
+  return saved;
+};
+
+/**
+ * Remove a block from the plan. A block that has already happened is ended
+ * instead (`until` set to its last started day), so past adherence doesn't
+ * change; a block that never started is deleted outright.
+ * @param {string} blockId
+ */
+export const deleteFocusBlock = async (blockId) => {
+  const blocks = await getFocusBlocks();
+  const block = blocks.find(b => b.id === blockId);
+  if (!block) return;
+
+  const lastDate = lastStartedDate(block, Date.now());
+  const next = lastDate
+    ? blocks.map(b => (b.id === blockId ? { ...b, until: lastDate } : b))
+    : blocks.filter(b => b.id !== blockId);
+
+  await writeBlocks(next);
+  console.log(`[FocusBlocks] ${lastDate ? `Ended ${blockId} after ${lastDate}` : `Deleted ${blockId}`}`);
+  await rescheduleFocusBlockNotifications();
+};
+
+// ─── Notifications ────────────────────────────────────────────────────────────
+
+/**
+ * Replace every queued block notification with the ones for the coming
+ * window. Safe to call as often as needed.
+ */
+export const rescheduleFocusBlockNotifications = async () => {
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(scheduled
+      .filter(n => n.content?.data?.type === NOTIFICATION_TYPE)
+      .map(n => Notifications.cancelScheduledNotificationAsync(n.identifier).catch(() => {})));
+
+    const now = Date.now();
+    const [blocks, settings] = await Promise.all([getFocusBlocks(), deepWorkStore.getSettings()]);
+    const upcoming = allOccurrencesBetween(blocks, now + 1000, now + SCHEDULE_AHEAD_DAYS * DAY_MS)
+      .slice(0, MAX_QUEUED_BLOCKS);
+
+    for (const occurrence of upcoming) {
+      const { block, date, startAt } = occurrence;
+      const activityName = settings.activities.find(a => a.id === block.activity)?.name || 'Focus';
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: `Time for ${activityName}`,
+          body: `Your ${block.duration}-minute focus block starts now. Tap to begin.`,
+          data: { type: NOTIFICATION_TYPE, blockId: block.id, date },
+          sound: true,
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: new Date(startAt),
+        },
+      });
+    }
+    console.log(`[FocusBlocks] ${upcoming.length} block notification(s) queued`);
+  } catch (error) {
+    console.warn('[FocusBlocks] rescheduleFocusBlockNotifications failed:', error);
+  }
+};
+
+/**
+ * DeepWorkSession route params for a tapped block notification.
+ * @param {string} blockId
+ * @param {string} date - 'YYYY-MM-DD' of the occurrence
+ * @returns {Promise<Object|null>} null if the block no longer exists
+ */
+export const getBlockSessionParams = async (blockId, date) => {
+  const block = (await getFocusBlocks()).find(b => b.id === blockId);
+  if (!block) return null;
+  return {
+    duration: String(block.duration),
+    activity: block.activity,
+    musicChoice: block.musicChoice,
+    focusLockEnabled: !!block.focusLockEnabled,
+    focusBlock: occurrenceKey(block.id, date),
+  };
+};
@@ -0,0 +1,30 @@
+// src/services/focusPresenceService.js
+//
+// Mirrors "a session is running until <endTime>" to users/{uid}
+// (focusSessionEndsAt, ms or null) so the reminder batches can hold pushes
+// while the user is focusing — see quietHours.suppressDuringSession.
+//
+// Called by sessionStateService whenever the active session record starts,
+// pauses, resumes or ends. Fire-and-forget: never throws, never blocks the
+// timer, and does nothing while signed out.
+
+import auth from '@react-native-firebase/auth';
+import firestore from '../config/firebaseConfig';
+
+/**
+ * Publish the running session's end time, or null when none is running
+ * (ended, abandoned or paused).
+ * @param {number|null} endTime - Unix ms
+ */
+export const publishFocusSession = (endTime) => {
+  const uid = auth().currentUser?.uid;
+  if (!uid) return;
+
+  firestore()
+    .collection('users')
+    .doc(uid)
+    .set({ focusSessionEndsAt: endTime ?? null }, { merge: true })
+    .catch((error) => {
+      console.warn('[FocusPresence] Publish failed (non-critical):', error.message);
+    });
+};
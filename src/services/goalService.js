@@ -0,0 +1,266 @@
+// src/services/goalService.js
+//
+// Per-activity goals: definitions live on the activity in settings
+// (`activity.goal = { type, target, setAt }`, written by
+// deepWorkStore.updateActivityGoal) and progress is always computed from the
+// stored sessions — nothing about progress is persisted.
+//
+// Goal types:
+//   weekly_hours     — focus hours per week (Monday–Sunday)
+//   daily_sessions   — completed sessions per day
+//   monthly_minutes  — focus minutes per calendar month
+//
+// Periods are local calendar periods. A session counts toward the period its
+// `timestamp` (save time) falls in.
+
+import SessionRepository from './database/SessionRepository';
+import { deepWorkStore } from './deepWorkStore';
+import { isValidGoal } from '../utils/storageValidators';
+import { getStartOfDay, getStartOfWeek, getStartOfMonth } from '../utils/dateHelpers';
+
+export const GOAL_DEFINITIONS = {
+  weekly_hours:    { period: 'week',  unit: 'h',        label: 'hours per week',    periodLabel: 'this week' },
+  daily_sessions:  { period: 'day',   unit: 'sessions', label: 'sessions per day',  periodLabel: 'today' },
+  monthly_minutes: { period: 'month', unit: 'min',      label: 'minutes per month', periodLabel: 'this month' },
+};
+
+export const DEFAULT_HISTORY_PERIODS = 8;
+
+// ─── Periods ──────────────────────────────────────────────────────────────────
+
+const periodStartOf = (period, timestamp) => {
+  switch (period) {
+    case 'day':   return getStartOfDay(timestamp);
+    case 'week':  return getStartOfWeek(timestamp);
+    default:      return getStartOfMonth(timestamp);
+  }
+};
+
+// Calendar arithmetic rather than fixed lengths, so DST days and 28–31 day
+// months come out right
+const shiftPeriod = (period, start, count) => {
+  const date = new Date(start);
+  if (period === 'day') date.setDate(date.getDate() + count);
+  else if (period === 'week') date.setDate(date.getDate() + count * 7);
+  else date.setMonth(date.getMonth() + count);
+  return date.getTime();
+};
+
+const periodBounds = (period, timestamp) => {
+  const start = periodStartOf(period, timestamp);
+  return { start, end: shiftPeriod(period, start, 1) - 1 };
+};
+
+// ─── Measurement ──────────────────────────────────────────────────────────────
+
+const sessionTime = (session) => new Date(session.timestamp).getTime();
+
+/**
+ * Progress value of `sessions` (already filtered to one activity and period)
+ * in the goal's unit
+ */
+const measure = (type, sessions) => {
+  const minutes = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+  switch (type) {
+    case 'weekly_hours':   return Math.round((minutes / 60) * 10) / 10;
+    case 'daily_sessions': return sessions.length;
+    default:               return Math.round(minutes);
+  }
+};
+
+const toProgress = (goal, sessions, bounds) => {
+  const inPeriod = sessions.filter(s => {
+    const t = sessionTime(s);
+    return t >= bounds.start && t <= bounds.end;
+  });
+  const current = measure(goal.type, inPeriod);
+  return {
+    periodStart: bounds.start,
+    periodEnd: bounds.end,
+    current,
+    target: goal.target,
+    ratio: Math.min(current / goal.target, 1),
+    met: current >= goal.target,
+  };
+};
+
+/**
+ * Format a goal value with its unit, e.g. "3.5h", "2 sessions", "90 min"
+ */
+export const formatGoalValue = (type, value) => {
+  const { unit } = GOAL_DEFINITIONS[type];
+  if (unit === 'h') return `${value}h`;
+  if (unit === 'sessions') return `${value} session${value === 1 ? '' : 's'}`;
+  return `${value} min`;
+};
+
+/**
+ * One-line goal description, e.g. "5h per week", "2 sessions per day"
+ */
+export const describeGoal = (goal) =>
+  `${formatGoalValue(goal.type, goal.target)} per ${GOAL_DEFINITIONS[goal.type].period}`;
+
+// ─── Pure computations ────────────────────────────────────────────────────────
+
+/**
+ * Progress toward an activity's goal in the period containing `now`
+ *
+ * @param {Object} activity - Settings activity with a valid `goal`
+ * @param {Array} sessions - Sessions of any activity and date
+ * @returns {Object} { activityId, activityName, color, type, label, periodLabel,
+ *   periodStart, periodEnd, current, target, ratio, met }
+ */
+export const computeGoalProgress = (activity, sessions, now = Date.now()) => {
+  const { goal } = activity;
+  const definition = GOAL_DEFINITIONS[goal.type];
+  const own = sessions.filter(s => s.activity === activity.id);
+
+  return {
+    activityId: activity.id,
+    activityName: activity.name,
+    color: activity.color,
+    type: goal.type,
+    label: definition.label,
+    periodLabel: definition.periodLabel,
+    ...toProgress(goal, own, periodBounds(definition.period, now)),
+  };
+};
+
+/**
+ * Attainment for the last `periods` periods, oldest first. The newest entry
+ * is the current period and is marked `inProgress`.
+ */
+export const computeGoalHistory = (activity, sessions, { periods = DEFAULT_HISTORY_PERIODS, now = Date.now() } = {}) => {
+  const { goal } = activity;
+  const { period } = GOAL_DEFINITIONS[goal.type];
+  const own = sessions.filter(s => s.activity === activity.id);
+  const currentStart = periodStartOf(period, now);
+
+  const history = [];
+  for (let i = periods - 1; i >= 0; i--) {
+    const start = shiftPeriod(period, currentStart, -i);
+    const bounds = { start, end: shiftPeriod(period, start, 1) - 1 };
+    history.push({ ...toProgress(goal, own, bounds), inProgress: i === 0 });
+  }
+  return history;
+};
+
+/**
+ * Goal results for one week, for the weekly insight prompt. Daily goals are
+ * reported as days met; monthly goals as month-to-date progress at week end.
+ *
+ * @param {number} weekStart - Local Monday midnight
+ * @returns {Array<Object>} One entry per activity with a valid goal
+ */
+export const summarizeGoalsForWeek = (activities, sessions, weekStart) => {
+  const weekEnd = shiftPeriod('week', weekStart, 1) - 1;
+
+  return (activities || [])
+    .filter(activity => isValidGoal(activity.goal))
+    .map(activity => {
+      const { goal } = activity;
+      const own = sessions.filter(s => s.activity === activity.id);
+      const summary = {
+        activityName: activity.name,
+        type: goal.type,
+        label: GOAL_DEFINITIONS[goal.type].label,
+        target: goal.target,
+      };
+
+      if (goal.type === 'daily_sessions') {
+        let daysMet = 0;
+        for (let day = 0; day < 7; day++) {
+          const start = shiftPeriod('day', weekStart, day);
+          if (toProgress(goal, own, { start, end: shiftPeriod('day', start, 1) - 1 }).met) daysMet++;
+        }
+        return { ...summary, daysMet, daysTotal: 7, met: daysMet === 7 };
+      }
+
+      const bounds = goal.type === 'weekly_hours'
+        ? { start: weekStart, end: weekEnd }
+        : { start: getStartOfMonth(weekEnd), end: weekEnd };
+      const { current, met } = toProgress(goal, own, bounds);
+      return { ...summary, current, met };
+    });
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+const loadGoalActivities = async () => {
+  const settings = await deepWorkStore.getSettings();
+  return (settings.activities || []).filter(a => isValidGoal(a.goal));
+};
+
+/**
+ * Current-period progress for every activity with a goal
+ * @returns {Promise<Array>} See computeGoalProgress; [] on error
+ */
+export const getGoalProgress = async (now = Date.now()) => {
+  try {
+    const activities = await loadGoalActivities();
+    if (activities.length === 0) return [];
+
+    // Widest current period is the month, and weeks can start in the previous one
+    const rangeStart = Math.min(getStartOfMonth(now), getStartOfWeek(now));
+    const sessions = await SessionRepository.getRange(rangeStart, now);
+    return activities.map(activity => computeGoalProgress(activity, sessions, now));
+  } catch (error) {
+    console.log('❌ [goalService] Failed to compute goal progress:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Attainment history for every activity with a goal
+ * @returns {Promise<Array<{ activityId, activityName, color, type, label, history, metCount, completedCount }>>}
+ *   metCount / completedCount exclude the in-progress period; [] on error
+ */
+export const getGoalHistory = async ({ periods = DEFAULT_HISTORY_PERIODS, now = Date.now() } = {}) => {
+  try {
+    const activities = await loadGoalActivities();
+    if (activities.length === 0) return [];
+
+    const earliest = Math.min(...activities.map(a => {
+      const { period } = GOAL_DEFINITIONS[a.goal.type];
+      return shiftPeriod(period, periodStartOf(period, now), -(periods - 1));
+    }));
+    const sessions = await SessionRepository.getRange(earliest, now);
+
+    return activities.map(activity => {
+      const history = computeGoalHistory(activity, sessions, { periods, now });
+      const completed = history.filter(h => !h.inProgress);
+      return {
+        activityId: activity.id,
+        activityName: activity.name,
+        color: activity.color,
+        type: activity.goal.type,
+        label: GOAL_DEFINITIONS[activity.goal.type].label,
+        target: activity.goal.target,
+        history,
+        metCount: completed.filter(h => h.met).length,
+        completedCount: completed.length,
+      };
+    });
+  } catch (error) {
+    console.log('❌ [goalService] Failed to compute goal history:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Goal results for the week starting `weekStart`, for InsightGenerator
+ * @returns {Promise<Array>} See summarizeGoalsForWeek; [] on error
+ */
+export const getWeeklyGoalSummary = async (weekStart) => {
+  try {
+    const activities = await loadGoalActivities();
+    if (activities.length === 0) return [];
+
+    const weekEnd = shiftPeriod('week', weekStart, 1) - 1;
+    const sessions = await SessionRepository.getRange(Math.min(weekStart, getStartOfMonth(weekEnd)), weekEnd);
+    return summarizeGoalsForWeek(activities, sessions, weekStart);
+  } catch (error) {
+    console.log('❌ [goalService] Failed to summarize weekly goals:', error.message);
+    return [];
+  }
+};
@@ -1,6 +1,7 @@
 // DataAggregator.js - Transform raw sessions into compact summaries
 
 import { secondsToHours, secondsToMinutes } from '../../utils/dateHelpers';
+import { intentionStats } from '../../utils/intentions';
 
 class DataAggregator {
   
@@ -168,19 +169,23 @@ class DataAggregator {
   /**
    * Compute behavioral patterns from sessions
    * Includes time-of-day distribution, peak time, avg duration per bucket,
-   * most common workedOn topics, and recurring distractions.
+   * most common workedOn topics, recurring distractions (including thoughts
+   * parked mid-session), interruptions, and how often pre-session intentions
+   * were met.
    * @private
    */
   _computePatterns(sessions) {
     const buckets = {
-      morning:   { count: 0, totalDuration: 0 }, // 05:00–11:59
-      afternoon: { count: 0, totalDuration: 0 }, // 12:00–16:59
-      evening:   { count: 0, totalDuration: 0 }, // 17:00–20:59
-      night:     { count: 0, totalDuration: 0 }, // 21:00–04:59
+      morning:   { count: 0, totalDuration: 0, tracked: 0, pauses: 0 }, // 05:00–11:59
+      afternoon: { count: 0, totalDuration: 0, tracked: 0, pauses: 0 }, // 12:00–16:59
+      evening:   { count: 0, totalDuration: 0, tracked: 0, pauses: 0 }, // 17:00–20:59
+      night:     { count: 0, totalDuration: 0, tracked: 0, pauses: 0 }, // 21:00–04:59
     };
 
     const workedOnFreq = {};
     const distractionFreq = {};
+    let parkedThoughts = 0;
+    let sessionsWithParked = 0;
 
     sessions.forEach(session => {
       // Time-of-day bucket
@@ -194,6 +199,12 @@ class DataAggregator {
       buckets[bucket].count++;
       buckets[bucket].totalDuration += session.duration;
 
+      // Pauses — only sessions that tracked them (pauses is null on older ones)
+      if (Array.isArray(session.pauses)) {
+        buckets[bucket].tracked++;
+        buckets[bucket].pauses += session.pauses.length;
+      }
+
       // workedOn topic frequency
       const wo = session.description || session.reflection?.workedOn;
       if (wo && wo.trim().length > 0) {
@@ -201,11 +212,21 @@ class DataAggregator {
         workedOnFreq[key] = (workedOnFreq[key] || 0) + 1;
       }
 
-      // Distraction frequency
-      const dist = session.reflection?.distractions;
-      if (dist && dist.trim().length > 0) {
-        const key = dist.trim().toLowerCase();
+      // Distraction frequency — the reflection answer plus anything parked
+      // mid-session, once per session (the answer is often prefilled from them)
+      const parked = session.parked || [];
+      const sessionDistractions = new Set(
+        [session.reflection?.distractions, ...parked.map(p => p.text)]
+          .filter(d => d && d.trim().length > 0)
+          .map(d => d.trim().toLowerCase())
+      );
+      sessionDistractions.forEach(key => {
         distractionFreq[key] = (distractionFreq[key] || 0) + 1;
+      });
+
+      if (parked.length > 0) {
+        parkedThoughts += parked.length;
+        sessionsWithParked++;
       }
     });
 
@@ -253,6 +274,53 @@ class DataAggregator {
       longestSessionsTime,
       topWorkedOn: topWorkedOn.length > 0 ? topWorkedOn : null,
       topDistractions: topDistractions.length > 0 ? topDistractions : null,
+      interruptions: this._computeInterruptions(sessions, buckets),
+      intentions: intentionStats(sessions),
+      parkedThoughts: parkedThoughts > 0
+        ? { total: parkedThoughts, sessions: sessionsWithParked }
+        : null,
+    };
+  }
+
+  /**
+   * Interruption patterns from each session's pause timeline: how often
+   * sessions get paused, for how long, why, and when it happens most.
+   * Null when no session in the range tracked its pauses.
+   * @private
+   */
+  _computeInterruptions(sessions, buckets) {
+    const tracked = sessions.filter(s => Array.isArray(s.pauses));
+    if (tracked.length === 0) return null;
+
+    const pauses = tracked.flatMap(s => s.pauses);
+    const closed = pauses.filter(p => p.resumedAt != null);
+    const pausedMs = closed.reduce((sum, p) => sum + (p.resumedAt - p.pausedAt), 0);
+
+    const reasonFreq = {};
+    pauses.forEach(p => {
+      if (p.reason) {
+        const key = p.reason.trim().toLowerCase();
+        reasonFreq[key] = (reasonFreq[key] || 0) + 1;
+      }
+    });
+    const topReasons = Object.entries(reasonFreq)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([reason]) => reason);
+
+    // Most pauses per session, among windows with enough sessions to say
+    const mostInterrupted = Object.entries(buckets)
+      .filter(([, d]) => d.tracked >= 2 && d.pauses > 0)
+      .sort((a, b) => (b[1].pauses / b[1].tracked) - (a[1].pauses / a[1].tracked))[0];
+
+    return {
+      trackedSessions: tracked.length,
+      interruptedSessions: tracked.filter(s => s.pauses.length > 0).length,
+      totalPauses: pauses.length,
+      avgPausesPerSession: Math.round((pauses.length / tracked.length) * 10) / 10,
+      avgPauseMinutes: closed.length > 0 ? Math.round(pausedMs / closed.length / 60000) : 0,
+      topReasons: topReasons.length > 0 ? topReasons : null,
+      mostInterruptedTime: mostInterrupted ? mostInterrupted[0] : null,
     };
   }
 
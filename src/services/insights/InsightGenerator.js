@@ -12,7 +12,10 @@ import {
   getDateDaysAgo 
 } from '../../utils/dateHelpers';
 import OpenAIService from './OpenAIService';
+import TemplateInsightProvider from './TemplateInsightProvider';
 import PromptBuilder from './PromptBuilder';
+import { parseInsight, insightToText } from './InsightSchema';
+import { getWeeklyGoalSummary } from '../goalService';
 
 /**
  * InsightGenerator - Orchestrates the insight generation flow
@@ -20,8 +23,8 @@ import PromptBuilder from './PromptBuilder';
  * Responsibilities:
  * 1. Load relevant sessions
  * 2. Check cache validity
- * 3. Coordinate generation with OpenAI
- * 4. Persist results
+ * 3. Coordinate generation with the provider chain (see InsightProvider)
+ * 4. Validate the structured result (see InsightSchema) and persist it
  * 
  * Pattern: Service Layer / Orchestrator
  * - Coordinates multiple repositories and utilities
@@ -33,6 +36,8 @@ export class InsightGenerator {
     this.sessionRepo = SessionRepository;
     this.cacheRepo = InsightCacheRepository;
     this.aggregator = DataAggregator;
+    // Remote first; the template provider works offline and never fails
+    this.providers = [OpenAIService, TemplateInsightProvider];
   }
 
   /**
@@ -43,7 +48,9 @@ export class InsightGenerator {
    * @param {Date} options.referenceDate - Date to generate insight for (defaults to now)
    * @param {string} options.activityType - Required if insightType starts with 'activity_'
    * @param {boolean} options.forceRegenerate - Bypass cache
-   * @returns {Promise<Object>} - Insight object with text and metadata
+   * @returns {Promise<Object>} - { success, insight, insightText, metadata }
+   *   `insight` is the structured form (InsightSchema); `insightText` is its
+   *   plain-text rendering, for sharing and previews
    */
   async generate(insightType, options = {}) {
     try {
@@ -101,8 +108,14 @@ export class InsightGenerator {
         return this._generateEmptyInsight(insightType, timePeriod);
       }
 
+      // Weekly insights report goal progress; changing a goal invalidates the cache
+      const goals = insightType === 'weekly'
+        ? await getWeeklyGoalSummary(getStartOfWeek(timePeriod.end))
+        : [];
+
       // Step 4: Generate hash of current data
-      const currentDataHash = hashSessions(filteredSessions); // ✅ FIXED: was generateDataHash
+      const currentDataHash = hashSessions(filteredSessions) + // ✅ FIXED: was generateDataHash
+        (goals.length > 0 ? `:${goals.map(g => `${g.activityName}/${g.type}/${g.target}`).join(',')}` : '');
 
       // Step 5: Check cache (unless force regenerate)
       if (!forceRegenerate) {
@@ -117,21 +130,23 @@ export class InsightGenerator {
           // were written when the API key was missing and should be regenerated.
           const isErrorCached = cachedInsight.insight_text?.includes('Please check your API') ||
             cachedInsight.insight_text?.includes('Unable to generate insight at this time');
-          if (!isErrorCached) {
+          // Offline output is a stopgap — upgrade it once a remote provider can run
+          const isUpgradeable = this._isUpgradeable(cachedInsight);
+          if (!isErrorCached && !isUpgradeable) {
             console.log(`[InsightGenerator] Cache hit for ${insightType}`);
             return this._formatCachedInsight(cachedInsight);
           }
-          console.log(`[InsightGenerator] Cache hit but contains error text — regenerating`);
+          console.log(`[InsightGenerator] Cache hit but ${isErrorCached ? 'contains error text' : 'is from an offline provider'} — regenerating`);
         }
       }
 
       console.log('[InsightGenerator] Cache miss or force regenerate - generating new insight');
 
       // Step 6: Aggregate data (reduce tokens from ~1250 to ~200)
-      const aggregatedData = this.aggregator.aggregateSessions(
-        filteredSessions,
-        { timePeriod }
-      );
+      const aggregatedData = {
+        ...this.aggregator.aggregateSessions(filteredSessions, { timePeriod }),
+        goals,
+      };
 
       // ✅ ADD THIS DEBUG BLOCK
 console.log('[InsightGenerator] === DEBUG AGGREGATED DATA ===');
@@ -139,8 +154,8 @@ console.log('Keys:', Object.keys(aggregatedData));
 console.log('Full structure:', JSON.stringify(aggregatedData, null, 2).substring(0, 1000));
 console.log('==========================================');
 
-      // Step 7: Generate insight using OpenAI
-      const insightText = await this._generateInsightText(
+      // Step 7: Generate insight with the first provider that succeeds
+      const { insight, provider, repaired } = await this._generateInsight(
         aggregatedData,
         insightType,
         activityType
@@ -151,7 +166,10 @@ console.log('==========================================');
         insight_type: insightType,
         generated_at: Date.now(),
         data_hash: currentDataHash,
-        insight_text: insightText,
+        insight,
+        insight_text: insightToText(insight),
+        provider,
+        repaired,
         time_period_start: timePeriod.start,
         time_period_end: timePeriod.end,
       });
@@ -173,6 +191,7 @@ console.log('==========================================');
       // Return graceful fallback instead of throwing
       return {
         success: false,
+        insight: null,
         insightText: 'Unable to generate insight at this time. Please try again later.',
         metadata: {
           error: error.message,
@@ -229,84 +248,95 @@ console.log('==========================================');
     }
   }
 
-/**
- * Generate insight text using OpenAI
- * @private
- */
-async _generateInsightText(aggregatedData, insightType, activityType) {
-  try {
-    // Debug: Log aggregated data structure
-    console.log('[InsightGenerator] Aggregated data keys:', Object.keys(aggregatedData || {}));
-    
-    // Build appropriate prompt based on insight type
-    let prompt;
-    
+  /**
+   * Replace the provider chain (DevTools / manual testing)
+   * @param {Array<InsightProvider>} providers - Tried in order
+   */
+  setProviders(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Build the language-model prompt for an insight type
+   * @private
+   */
+  _buildPrompt(aggregatedData, insightType, activityType) {
     switch (insightType) {
       case 'daily':
-        prompt = PromptBuilder.buildDailyPrompt(aggregatedData);
-        break;
-      
+        return PromptBuilder.buildDailyPrompt(aggregatedData);
+
       case 'weekly':
-        prompt = PromptBuilder.buildWeeklyPrompt(aggregatedData);
-        break;
-      
+        return PromptBuilder.buildWeeklyPrompt(aggregatedData);
+
       case 'monthly':
-        prompt = PromptBuilder.buildMonthlyPrompt(aggregatedData);
-        break;
-      
+        return PromptBuilder.buildMonthlyPrompt(aggregatedData);
+
       default:
         if (insightType.startsWith('activity_')) {
-          prompt = PromptBuilder.buildActivityPrompt(aggregatedData, activityType);
-        } else {
-          throw new Error(`Unknown insight type: ${insightType}`);
+          return PromptBuilder.buildActivityPrompt(aggregatedData, activityType);
         }
+        throw new Error(`Unknown insight type: ${insightType}`);
     }
+  }
 
-    console.log('[InsightGenerator] Calling OpenAI service...');
-    console.log('[InsightGenerator] Prompt preview:', prompt.substring(0, 200));
-
-    // Generate insight using OpenAI
-    const insightText = await OpenAIService.generateInsight(prompt);
-    
-    console.log('[InsightGenerator] OpenAI generation successful');
-
-    return insightText;
-
-  } catch (error) {
-    console.error('[InsightGenerator] Error generating insight text:', error);
-    console.error('[InsightGenerator] Error message:', error.message);
-    console.error('[InsightGenerator] Error code:', error.code || 'N/A');
-    
-    // ✅ ENHANCED: Log more details for debugging
-    console.log('[InsightGenerator] Insight type:', insightType);
-    console.log('[InsightGenerator] Aggregated data keys:', Object.keys(aggregatedData || {}));
-    
-    // ✅ FIXED: Use correct property names from DataAggregator
-    if (aggregatedData && typeof aggregatedData === 'object') {
-      const { totalSessions, totalHours } = aggregatedData;
-      
-      if (totalSessions !== undefined && totalSessions > 0) {
-        console.log(`[InsightGenerator] Using fallback: ${totalSessions} sessions, ${totalHours}h`);
-        
-        const hoursText = totalHours ? totalHours.toFixed(1) : '0.0';
-        return `• This period, you completed ${totalSessions} focus session${totalSessions === 1 ? '' : 's'} totaling ${hoursText} hours.\n• Keep showing up — consistency compounds faster than intensity.`;
+  /**
+   * Generate an insight with the first provider that is available and
+   * returns something InsightSchema can validate or repair. The template
+   * provider ends the chain, so this only falls back to it directly if the
+   * chain was replaced without one.
+   *
+   * @private
+   * @returns {Promise<{ insight: Object, provider: string, repaired: boolean }>}
+   */
+  async _generateInsight(aggregatedData, insightType, activityType) {
+    const request = {
+      prompt: this._buildPrompt(aggregatedData, insightType, activityType),
+      aggregatedData,
+      insightType,
+      activityType,
+    };
+
+    for (const provider of this.providers) {
+      if (!provider.isAvailable()) {
+        console.log(`[InsightGenerator] Provider ${provider.id} not configured — skipping`);
+        continue;
+      }
+
+      try {
+        console.log(`[InsightGenerator] Generating with ${provider.id}...`);
+        const { insight, repaired } = parseInsight(await provider.generate(request));
+        if (insight) {
+          console.log(`[InsightGenerator] ${provider.id} generation successful${repaired ? ' (repaired)' : ''}`);
+          return { insight, provider: provider.id, repaired };
+        }
+        console.warn(`[InsightGenerator] ${provider.id} returned nothing usable`);
+      } catch (error) {
+        console.error(`[InsightGenerator] ${provider.id} failed:`, error.message);
       }
     }
 
-    // Last resort fallback
-    console.error('[InsightGenerator] Could not extract stats, using generic message');
-    return `• This week, you showed up for your focus practice.\n• Keep logging sessions — the more data you add, the sharper your insights get.`;
+    return {
+      insight: TemplateInsightProvider.buildInsight(aggregatedData, insightType, activityType),
+      provider: TemplateInsightProvider.id,
+      repaired: false,
+    };
   }
-}
 
   /**
    * Generate fallback insight for empty data
    * @private
    */
   _generateEmptyInsight(insightType, timePeriod) {
+    const insight = {
+      headline: `No focus sessions recorded during ${timePeriod.label}`,
+      observations: [],
+      recommendation: 'Start a session to see personalized insights!',
+      confidence: 1,
+    };
     return {
       success: true,
-      insightText: `No focus sessions recorded during ${timePeriod.label}. Start a session to see personalized insights!`,
+      insight,
+      insightText: insightToText(insight),
       metadata: {
         insightType,
         timePeriod,
@@ -317,17 +347,35 @@ async _generateInsightText(aggregatedData, insightType, activityType) {
     };
   }
 
+  /**
+   * Whether a cached insight came from a local provider while a remote one
+   * is now available. Entries cached before providers existed have no
+   * `provider` and are left alone.
+   * @private
+   */
+  _isUpgradeable(cachedInsight) {
+    const cachedProvider = this.providers.find(p => p.id === cachedInsight.provider);
+    if (!cachedProvider || cachedProvider.isRemote) return false;
+    return this.providers.some(p => p.isRemote && p.isAvailable());
+  }
+
   /**
    * Format cached insight for consistent return structure
    * @private
    */
   _formatCachedInsight(cachedInsight) {
+    // Entries cached before the structured format only have text
+    const insight = cachedInsight.insight || parseInsight(cachedInsight.insight_text).insight;
     return {
       success: true,
-      insightText: cachedInsight.insight_text,
+      insight,
+      insightText: cachedInsight.insight_text || insightToText(insight),
       metadata: {
         insightType: cachedInsight.insight_type,
         generatedAt: cachedInsight.generated_at,
+        provider: cachedInsight.provider || null,
+        confidence: insight?.confidence ?? null,
+        repaired: !!cachedInsight.repaired || !cachedInsight.insight,
         timePeriod: {
           start: cachedInsight.time_period_start,
           end: cachedInsight.time_period_end,
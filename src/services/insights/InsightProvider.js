@@ -0,0 +1,57 @@
+// src/services/insights/InsightProvider.js
+
+/**
+ * InsightProvider - Contract every insight backend implements
+ *
+ * InsightGenerator walks its provider chain in order and uses the first
+ * provider that is available and succeeds, so a provider only has to report
+ * whether it can run and turn one request into an insight.
+ *
+ * Implementations:
+ * - OpenAIService            — OpenAI, or any OpenAI-compatible server via
+ *                              EXPO_PUBLIC_OPENAI_BASE_URL
+ * - TemplateInsightProvider  — deterministic, offline; always last in the chain
+ *
+ * Request shape passed to generate():
+ * {
+ *   prompt,          // string from PromptBuilder (for language-model providers)
+ *   aggregatedData,  // DataAggregator output (for providers that work on numbers)
+ *   insightType,     // 'daily' | 'weekly' | 'monthly' | 'activity_X_week'
+ *   activityType,    // activity id for activity insights, else null
+ * }
+ */
+export class InsightProvider {
+  /**
+   * Stable identifier, stored with cached insights
+   */
+  get id() {
+    throw new Error(`${this.constructor.name} must define id`);
+  }
+
+  /**
+   * Whether the provider calls a network service. Cached output from a
+   * local provider is regenerated once a remote provider is available.
+   */
+  get isRemote() {
+    return false;
+  }
+
+  /**
+   * Cheap, synchronous check that the provider is configured to run.
+   * Reachability is only known by trying — generate() throws if unreachable.
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * @param {Object} request - See shape above
+   * @returns {Promise<string|Object>} - Raw model text, or an insight already
+   *   in the InsightSchema shape. InsightGenerator validates either.
+   */
+  async generate(_request) {
+    throw new Error(`${this.constructor.name} must implement generate()`);
+  }
+}
+
+export default InsightProvider;
@@ -0,0 +1,228 @@
+// src/services/insights/InsightSchema.js
+
+/**
+ * InsightSchema - Shape, validation and repair of structured insights
+ *
+ * Every insight — from a language model, the template provider, or an old
+ * free-text cache entry — is normalized to:
+ *
+ * {
+ *   headline: string,                 // one-line takeaway
+ *   observations: [{
+ *     text: string,                   // one sentence
+ *     stat: { value, label } | null,  // the number behind it, e.g. { value: '3.5h', label: 'Writing' }
+ *   }],
+ *   recommendation: string | null,    // one concrete suggestion
+ *   confidence: number,               // 0–1: how well the data supports the insight
+ * }
+ *
+ * Models don't always follow instructions, so parseInsight() repairs what it
+ * can (code fences, trailing commas, smart quotes, strings where objects were
+ * asked for, bullet text instead of JSON) and only gives up when there is no
+ * usable text at all.
+ */
+
+export const MAX_OBSERVATIONS = 5;
+const MAX_HEADLINE_LENGTH = 90;
+const MAX_TEXT_LENGTH = 280;
+const MAX_STAT_LENGTH = 24;
+
+// Confidence given to insights rebuilt from free text
+const FREE_TEXT_CONFIDENCE = 0.4;
+
+const CONFIDENCE_WORDS = { low: 0.25, medium: 0.5, moderate: 0.5, high: 0.85 };
+
+/**
+ * Output-format instructions shared by every PromptBuilder prompt
+ */
+export const INSIGHT_JSON_INSTRUCTIONS = `Respond with a single JSON object and nothing else — no markdown, no code fences:
+{
+  "headline": string,        // the single most important takeaway, under 12 words
+  "observations": [          // 2 to ${MAX_OBSERVATIONS} items, most important first
+    {
+      "text": string,        // one sentence in second person ("You ...")
+      "stat": { "value": string, "label": string } | null
+                             // the number the sentence rests on, copied from the DATA,
+                             // e.g. { "value": "3.5h", "label": "Writing" }
+    }
+  ],
+  "recommendation": string | null,  // one concrete next step grounded in the data, or null
+  "confidence": number       // 0 to 1 — lower when there are few sessions or little reflection text
+}`;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const clip = (text, max) => {
+  const trimmed = text.replace(/\s+/g, ' ').trim();
+  return trimmed.length > max ? `${trimmed.slice(0, max - 1).trimEnd()}…` : trimmed;
+};
+
+const cleanString = (value, max = MAX_TEXT_LENGTH) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value !== 'string') return null;
+  const text = clip(value.replace(/^\s*(?:[•\-*]|\d+[.)])\s+/, ''), max);
+  return text.length > 0 ? text : null;
+};
+
+/**
+ * Pull the JSON object out of a model response and parse it, fixing the
+ * mistakes models commonly make
+ * @returns {Object|null}
+ */
+const extractJson = (raw) => {
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  const candidate = raw.slice(start, end + 1);
+  const attempts = [
+    candidate,
+    candidate
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/,\s*([}\]])/g, '$1'),
+  ];
+
+  for (const text of attempts) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (_) {
+      // try the next repair
+    }
+  }
+  return null;
+};
+
+const normalizeStat = (stat) => {
+  if (!stat || typeof stat !== 'object') return null;
+  const value = cleanString(stat.value, MAX_STAT_LENGTH);
+  if (!value) return null;
+  return { value, label: cleanString(stat.label, MAX_STAT_LENGTH) || '' };
+};
+
+const normalizeObservation = (observation) => {
+  if (typeof observation === 'string') {
+    const text = cleanString(observation);
+    return text ? { text, stat: null } : null;
+  }
+  if (!observation || typeof observation !== 'object') return null;
+
+  const text = cleanString(observation.text ?? observation.observation ?? observation.detail);
+  if (!text) return null;
+  return { text, stat: normalizeStat(observation.stat ?? observation.metric) };
+};
+
+export const normalizeConfidence = (value) => {
+  if (typeof value === 'string') {
+    const word = CONFIDENCE_WORDS[value.trim().toLowerCase()];
+    if (word !== undefined) return word;
+    value = parseFloat(value);
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 0.5;
+  // 0–100 scale
+  if (value > 1) value = value / 100;
+  return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+};
+
+/**
+ * Normalize a parsed object to the insight shape
+ * @returns {{ insight: Object|null, repaired: boolean }}
+ */
+const normalizeObject = (parsed) => {
+  let repaired = false;
+
+  const rawObservations = Array.isArray(parsed.observations)
+    ? parsed.observations
+    : Array.isArray(parsed.insights) ? parsed.insights : [];
+  const observations = rawObservations
+    .map(normalizeObservation)
+    .filter(Boolean)
+    .slice(0, MAX_OBSERVATIONS);
+  if (observations.length !== rawObservations.length) repaired = true;
+
+  let headline = cleanString(parsed.headline ?? parsed.title, MAX_HEADLINE_LENGTH);
+  if (!headline) {
+    if (observations.length === 0) return { insight: null, repaired: true };
+    // Promote the first observation
+    headline = clip(observations.shift().text, MAX_HEADLINE_LENGTH);
+    repaired = true;
+  }
+
+  const recommendation = cleanString(parsed.recommendation ?? parsed.nextStep);
+  const confidence = normalizeConfidence(parsed.confidence);
+  if (typeof parsed.confidence !== 'number' || parsed.confidence !== confidence) repaired = true;
+
+  return {
+    insight: { headline, observations, recommendation, confidence },
+    repaired,
+  };
+};
+
+/**
+ * Rebuild an insight from bullet or paragraph text — free-text model output
+ * and insights cached before the structured format
+ */
+const fromFreeText = (raw) => {
+  const lines = raw
+    .split(/\n+|\s+(?=•)/)
+    .map(line => cleanString(line))
+    .filter(Boolean);
+  if (lines.length === 0) return null;
+
+  const [first, ...rest] = lines;
+  return {
+    headline: clip(first, MAX_HEADLINE_LENGTH),
+    observations: [
+      ...(first.length > MAX_HEADLINE_LENGTH ? [{ text: first, stat: null }] : []),
+      ...rest.map(text => ({ text, stat: null })),
+    ].slice(0, MAX_OBSERVATIONS),
+    recommendation: null,
+    confidence: FREE_TEXT_CONFIDENCE,
+  };
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate and, where needed, repair a provider response.
+ *
+ * @param {string|Object} raw - Model text, or an already structured insight
+ * @returns {{ insight: Object|null, repaired: boolean }}
+ *   `insight` is null only when nothing usable could be recovered
+ */
+export const parseInsight = (raw) => {
+  if (raw && typeof raw === 'object') return normalizeObject(raw);
+  if (typeof raw !== 'string' || raw.trim().length === 0) return { insight: null, repaired: true };
+
+  const parsed = extractJson(raw);
+  if (parsed) {
+    const result = normalizeObject(parsed);
+    if (result.insight) {
+      const hadExtraText = raw.trim() !== raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1).trim();
+      return { insight: result.insight, repaired: result.repaired || hadExtraText };
+    }
+  }
+
+  // A half-written JSON object isn't worth reading as prose
+  if (raw.trim().startsWith('{')) return { insight: null, repaired: true };
+
+  return { insight: fromFreeText(raw), repaired: true };
+};
+
+/**
+ * Plain-text rendering, for sharing and single-line previews
+ */
+export const insightToText = (insight) => {
+  if (!insight) return '';
+  const lines = [insight.headline];
+  insight.observations.forEach(o => lines.push(`• ${o.text}`));
+  if (insight.recommendation) lines.push(`→ ${insight.recommendation}`);
+  return lines.join('\n');
+};
+
+export const confidenceLabel = (confidence) => {
+  if (confidence >= 0.7) return 'High';
+  if (confidence >= 0.4) return 'Medium';
+  return 'Low';
+};
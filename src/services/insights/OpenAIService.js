@@ -1,7 +1,8 @@
 // src/services/insights/OpenAIService.js
 
 import OpenAI from 'openai';
-import { OPENAI_API_KEY, OPENAI_CONFIG } from '../../config/openai';
+import { OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_CONFIG, isConfigured } from '../../config/openai';
+import { InsightProvider } from './InsightProvider';
 
 /**
  * OpenAIService - Handles all OpenAI API interactions
@@ -11,29 +12,60 @@ import { OPENAI_API_KEY, OPENAI_CONFIG } from '../../config/openai';
  * - Error handling and retries
  * - Rate limiting
  * - Response validation
+ *
+ * Implements InsightProvider. Talks to api.openai.com by default, or to any
+ * OpenAI-compatible server when OPENAI_BASE_URL is set (see config/openai.js).
  */
 
-class OpenAIService {
+class OpenAIService extends InsightProvider {
   constructor() {
-    if (!OPENAI_API_KEY || OPENAI_API_KEY === 'sk-proj-your-key-here') {
-      console.warn('⚠️ OpenAI API key not configured. Insights will use placeholder text.');
+    super();
+
+    if (!isConfigured()) {
+      console.warn('⚠️ OpenAI API key not configured. Insights will use the offline template provider.');
       this.client = null;
     } else {
       this.client = new OpenAI({
-        apiKey: OPENAI_API_KEY,
+        // The SDK requires a key; local servers ignore whatever is sent
+        apiKey: OPENAI_API_KEY || 'not-needed',
+        baseURL: OPENAI_BASE_URL || undefined,
+        timeout: OPENAI_CONFIG.timeout,
+        // Retries are handled by _handleError with our own backoff
+        maxRetries: 0,
       });
+      if (OPENAI_BASE_URL) {
+        console.log(`[OpenAI] Using OpenAI-compatible server at ${OPENAI_BASE_URL}`);
+      }
     }
     
     this.requestCount = 0;
     this.lastRequestTime = 0;
   }
 
+  // ─── InsightProvider ──────────────────────────────────────────────────────
+
+  get id() {
+    return OPENAI_BASE_URL ? 'openai-compatible' : 'openai';
+  }
+
+  get isRemote() {
+    return true;
+  }
+
+  isAvailable() {
+    return this.client !== null;
+  }
+
+  async generate({ prompt }) {
+    return this.generateInsight(prompt);
+  }
+
   /**
    * Generate insight text from aggregated data
    * 
    * @param {string} prompt - The formatted prompt
    * @param {Object} options - Generation options
-   * @returns {Promise<string>} - Generated insight text
+   * @returns {Promise<string>} - Generated insight text (JSON, see InsightSchema)
    */
   async generateInsight(prompt, options = {}) {
     if (!this.client) {
@@ -71,7 +103,7 @@ Tone: Professional, observational, fact-based. Avoid:
 - Prescriptive advice without data support
 - Assumptions about the user's goals or feelings
 
-Response length: 2-3 sentences maximum (under 100 words).`,
+Output: a single JSON object in the format the user message specifies. Keep every sentence short — the whole insight should be under 120 words.`,
           },
           {
             role: 'user',
@@ -80,6 +112,9 @@ Response length: 2-3 sentences maximum (under 100 words).`,
         ],
         max_tokens: maxTokens,
         temperature: temperature,
+        // JSON mode isn't implemented by every OpenAI-compatible server;
+        // InsightSchema.parseInsight repairs their output instead
+        ...(OPENAI_BASE_URL ? {} : { response_format: { type: 'json_object' } }),
       });
 
       // Extract and validate response
@@ -90,7 +125,8 @@ Response length: 2-3 sentences maximum (under 100 words).`,
       }
 
       this.requestCount++;
-      console.log(`[OpenAI] ✅ Insight generated (${response.usage.total_tokens} tokens)`);
+      // Some compatible servers omit usage
+      console.log(`[OpenAI] ✅ Insight generated (${response.usage?.total_tokens ?? '?'} tokens)`);
       
       return insightText.trim();
 
@@ -135,13 +171,12 @@ Response length: 2-3 sentences maximum (under 100 words).`,
       return false;
     }
 
-    // Retry on rate limits and network errors
+    // Retry on rate limits and dropped connections. Offline errors ('Network
+    // request failed', 'Connection error') are not retried — InsightGenerator
+    // falls through to the template provider instead
     const retryableErrors = [
       'rate_limit_exceeded',
-      'timeout',
-      'network',
       'ECONNRESET',
-      'ETIMEDOUT',
     ];
 
     return retryableErrors.some(type => 
@@ -1,5 +1,7 @@
 // src/services/insights/PromptBuilder.js
 
+import { INSIGHT_JSON_INSTRUCTIONS } from './InsightSchema';
+
 class PromptBuilder {
 
   // ─── Shared helpers ───────────────────────────────────────────────────────
@@ -43,12 +45,15 @@ class PromptBuilder {
   /**
    * Build the behavioral patterns section included in every prompt.
    * Covers: time-of-day distribution, peak focus window, avg duration per window,
-   * most common topics, and recurring distractions.
+   * most common topics, recurring distractions, interruptions, and intentions met.
    */
   static _buildPatternBlock(patterns) {
     if (!patterns) return 'No pattern data available.';
 
-    const { timeOfDay, peakTimeOfDay, longestSessionsTime, topWorkedOn, topDistractions } = patterns;
+    const {
+      timeOfDay, peakTimeOfDay, longestSessionsTime, topWorkedOn, topDistractions, interruptions,
+      intentions, parkedThoughts,
+    } = patterns;
 
     const lines = [];
 
@@ -77,13 +82,59 @@ class PromptBuilder {
       lines.push(`Recurring distractions: ${topDistractions.join(', ')}`);
     }
 
+    if (parkedThoughts) {
+      lines.push(`Stray thoughts parked without pausing: ${parkedThoughts.total} ` +
+        `across ${parkedThoughts.sessions} sessions`);
+    }
+
+    if (interruptions) {
+      const {
+        trackedSessions, interruptedSessions, totalPauses, avgPauseMinutes, topReasons, mostInterruptedTime,
+      } = interruptions;
+      lines.push(`Interruptions: ${interruptedSessions} of ${trackedSessions} sessions paused, ` +
+        `${totalPauses} pauses in total, avg ${avgPauseMinutes} min each`);
+      if (topReasons) {
+        lines.push(`Pause reasons: ${topReasons.map(r => this._sanitize(r, 60)).join(', ')}`);
+      }
+      if (mostInterruptedTime) {
+        lines.push(`Most interrupted window: ${mostInterruptedTime}`);
+      }
+    }
+
+    if (intentions) {
+      const { answered, achieved, partly, missed, achievedRate } = intentions;
+      lines.push(`Intentions: ${answered} sessions started with an intention and rated — ` +
+        `${achieved} achieved, ${partly} partly, ${missed} missed ` +
+        `(${Math.round(achievedRate * 100)}% achieved rate, partly counts as half)`);
+    }
+
     return lines.length > 0 ? lines.join('\n') : 'No pattern data available.';
   }
 
+  /**
+   * Build the goals section of the weekly prompt from goalService's weekly
+   * summary. Returns null when the user has no goals.
+   */
+  static _buildGoalBlock(goals) {
+    if (!goals || goals.length === 0) return null;
+
+    return goals.map(goal => {
+      const name = this._sanitize(goal.activityName, 40);
+      const status = goal.met ? 'MET' : 'NOT MET';
+      if (goal.type === 'daily_sessions') {
+        return `- ${name}: ${goal.target} sessions per day — reached on ${goal.daysMet} of ${goal.daysTotal} days (${status})`;
+      }
+      if (goal.type === 'monthly_minutes') {
+        return `- ${name}: ${goal.target} minutes per month — ${goal.current} min month-to-date by the end of the week (${status})`;
+      }
+      return `- ${name}: ${goal.target} hours per week — ${goal.current}h logged (${status})`;
+    }).join('\n');
+  }
+
   // ─── Weekly ───────────────────────────────────────────────────────────────
 
   static buildWeeklyPrompt(aggregatedData) {
-    const { totalSessions, totalHours, avgSessionMinutes, activitiesBreakdown, patterns } = aggregatedData;
+    const { totalSessions, totalHours, avgSessionMinutes, activitiesBreakdown, patterns, goals } = aggregatedData;
 
     if (totalSessions === 0) return this._buildEmptyPrompt('weekly');
 
@@ -92,6 +143,16 @@ class PromptBuilder {
       .join('\n\n');
 
     const patternBlock = this._buildPatternBlock(patterns);
+    const goalBlock = this._buildGoalBlock(goals);
+
+    const goalSection = goalBlock ? `\nGOALS (set by the user):\n${goalBlock}\n` : '';
+    const goalObservation = goalBlock
+      ? '  4. Goal progress — which goals were met or missed and by how much; stat = the closest miss or the goal met\n' +
+        '  5. Optional: one behavioral observation — recurring distractions, peak focus window, or a notable pattern\n'
+      : '  4. Optional: one behavioral observation — recurring distractions, peak focus window, or a notable pattern\n';
+    const recommendation = goalBlock
+      ? '- recommendation: one specific change for next week that would help with a missed goal, or with the patterns above if every goal was met'
+      : '- recommendation: one specific change for next week that follows from the patterns above';
 
     return `You are writing a brief weekly focus review for a user of a deep work app.
 
@@ -105,17 +166,18 @@ ${activityText}
 
 BEHAVIORAL PATTERNS:
 ${patternBlock}
-
-Write exactly 3 bullet points. Each bullet must:
-- Start with "• This week, you" or "• You" (second person, personal)
-- Be one sentence, specific to the data above
-
-The three bullets must follow this exact order:
-1. The activity with the most focus time — name it and state how many hours were spent on it
-2. Total sessions completed, average session length, and total focus time
-3. Accomplishments — briefly summarize what was worked on or what went well from the reflection data above (if no reflection data is present, nudge the user to add reflections next time); end with one behavioral observation such as recurring distractions, peak focus window, or a notable pattern
-
-Tone: direct, warm, specific. No generic motivation. No paragraph text — bullets only.`;
+${goalSection}
+Write a weekly review as JSON.
+- headline: the main story of the week
+- observations, in this order:
+  1. The activity with the most focus time — name it; stat = its hours
+  2. Total sessions, average session length and total focus time; stat = total hours
+  3. What was worked on or went well, from the reflection data (if there is none, nudge the user to add reflections); stat may be null
+${goalObservation}${recommendation}
+
+Tone: direct, warm, specific. No generic motivation. Every number must come from the DATA above.
+
+${INSIGHT_JSON_INSTRUCTIONS}`;
   }
 
   // ─── Daily ────────────────────────────────────────────────────────────────
@@ -144,16 +206,18 @@ ${activityText}
 BEHAVIORAL PATTERNS:
 ${patternBlock}
 
-Write exactly 3 bullet points. Each bullet must:
-- Start with "• Yesterday, you" (second person, personal)
-- Be one sentence, specific to the data above
+Write a review of yesterday as JSON.
+- headline: the main story of the day
+- observations, in this order:
+  1. The activity with the most focus time — name it; stat = its hours or minutes
+  2. Total sessions, average session length and total focus time; stat = session count
+  3. What was worked on or went well, from the reflection data (if there is none, nudge the user to add a reflection); stat may be null
+  4. Optional: one behavioral observation — distractions noted, time of day, or a pattern worth calling out
+- recommendation: one specific thing to try today
 
-The three bullets must follow this exact order:
-1. The activity with the most focus time — name it and state how many hours/minutes were spent on it
-2. Total sessions completed, average session length, and total focus time
-3. Accomplishments — briefly summarize what was worked on or what went well from the reflection data above (if no reflection data is present, nudge the user to add a reflection next time); end with one behavioral observation such as distractions noted, time of day, or a pattern worth calling out
+Tone: direct, warm, specific. No generic motivation. Every number must come from the DATA above.
 
-Tone: direct, warm, specific. No generic motivation. No paragraph text — bullets only.`;
+${INSIGHT_JSON_INSTRUCTIONS}`;
   }
 
   // ─── Monthly ──────────────────────────────────────────────────────────────
@@ -182,16 +246,18 @@ ${activityText}
 BEHAVIORAL PATTERNS:
 ${patternBlock}
 
-Write exactly 3 bullet points. Each bullet must:
-- Start with "• This month, you" or "• You" (second person, personal)
-- Be one sentence, specific to the data above
+Write a monthly review as JSON.
+- headline: the main story of the month
+- observations, in this order:
+  1. The activity with the most focus time — name it; stat = its hours
+  2. Total sessions, average session length and total focus time; stat = total hours
+  3. What was worked on or went well, from the reflection data (if there is none, nudge the user to add reflections); stat may be null
+  4. Optional: one behavioral observation — recurring distractions, time-of-day pattern, or consistency across the month
+- recommendation: one specific change for next month that follows from the patterns above
 
-The three bullets must follow this exact order:
-1. The activity with the most focus time — name it and state how many hours were spent on it
-2. Total sessions completed, average session length, and total focus time
-3. Accomplishments — briefly summarize what was worked on or what went well from the reflection data above (if no reflection data is present, nudge the user to add reflections next time); end with one behavioral observation such as recurring distractions, time-of-day pattern, or consistency across the month
+Tone: direct, warm, specific. No generic motivation. Every number must come from the DATA above.
 
-Tone: direct, warm, specific. No generic motivation. No paragraph text — bullets only.`;
+${INSIGHT_JSON_INSTRUCTIONS}`;
   }
 
   // ─── Activity-specific ────────────────────────────────────────────────────
@@ -218,15 +284,16 @@ ${activityBlock}
 BEHAVIORAL PATTERNS:
 ${patternBlock}
 
-Write exactly 2 bullet points. Each bullet must:
-- Start with "• This week, you" (second person, personal)
-- Be one sentence, specific to the data above
+Write a review of this activity as JSON.
+- headline: the main story for "${activityType}" this week
+- observations, in this order:
+  1. Volume, what they specifically worked on, and when (morning/afternoon/evening); stat = hours
+  2. A pattern, win, or blocker worth noting — reference distractions or next steps if available
+- recommendation: one specific next step for this activity
 
-The two bullets should cover:
-1. Volume, what they specifically worked on, and when (morning/afternoon/evening)
-2. A pattern, win, or blocker worth noting — reference distractions or next steps if available
+Tone: direct, warm, specific. Every number must come from the DATA above.
 
-Tone: direct, warm, specific. No paragraph text — bullets only.`;
+${INSIGHT_JSON_INSTRUCTIONS}`;
   }
 
   // ─── Fallback ─────────────────────────────────────────────────────────────
@@ -0,0 +1,193 @@
+// src/services/insights/TemplateInsightProvider.js
+
+import { InsightProvider } from './InsightProvider';
+import { MAX_OBSERVATIONS } from './InsightSchema';
+
+/**
+ * TemplateInsightProvider - Offline insights built from DataAggregator output
+ *
+ * Last in InsightGenerator's provider chain. Needs no network and no key, and
+ * the same aggregated data always produces the same insight, so it can't fail
+ * for reasons outside the app.
+ *
+ * Returns an insight in the InsightSchema shape directly; every observation
+ * carries the number it was built from.
+ */
+
+const PERIOD_PHRASES = {
+  daily: 'Yesterday',
+  weekly: 'Last week',
+  monthly: 'Last month',
+};
+
+const PERIOD_NOUNS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const formatHours = (hours) => `${Number(hours || 0).toFixed(1)}h`;
+
+class TemplateInsightProvider extends InsightProvider {
+
+  get id() {
+    return 'template';
+  }
+
+  async generate({ aggregatedData, insightType, activityType }) {
+    return this.buildInsight(aggregatedData, insightType, activityType);
+  }
+
+  /**
+   * Synchronous core of generate(), also used as InsightGenerator's last resort
+   * @returns {Object} - Insight in the InsightSchema shape
+   */
+  buildInsight(aggregatedData, insightType = 'weekly', activityType = null) {
+    const data = aggregatedData || {};
+    const topActivity = activityType ? null : this._topActivity(data);
+
+    const observations = [
+      this._totalsObservation(data, insightType, activityType),
+      topActivity && this._topActivityObservation(topActivity, data.totalHours),
+      this._goalObservation(data.goals),
+      this._timeOfDayObservation(data.patterns),
+      this._distractionObservation(data.patterns),
+      this._interruptionObservation(data.patterns),
+      this._intentionObservation(data.patterns),
+    ].filter(Boolean);
+
+    return {
+      headline: this._headline(data, insightType, activityType, topActivity),
+      observations: observations.slice(0, MAX_OBSERVATIONS),
+      recommendation: this._recommendation(data),
+      confidence: this._confidence(data),
+    };
+  }
+
+  // ─── Sections ─────────────────────────────────────────────────────────────
+
+  _topActivity({ activitiesBreakdown }) {
+    const entries = Object.entries(activitiesBreakdown || {});
+    if (entries.length < 2) return null;
+    const [name, stats] = entries.sort((a, b) => b[1].totalHours - a[1].totalHours)[0];
+    return { name, ...stats };
+  }
+
+  _headline({ totalSessions = 0, totalHours = 0 }, insightType, activityType, topActivity) {
+    const noun = PERIOD_NOUNS[insightType] || 'week';
+    if (activityType) return `${formatHours(totalHours)} of ${activityType} this ${noun}`;
+    if (topActivity) return `${topActivity.name} led your ${noun}`;
+    return `${plural(totalSessions, 'session')}, ${formatHours(totalHours)} of focus`;
+  }
+
+  _totalsObservation({ totalSessions = 0, totalHours = 0, avgSessionMinutes = 0 }, insightType, activityType) {
+    const period = PERIOD_PHRASES[insightType] || 'Over the last 7 days';
+    const subject = activityType ? ` of ${activityType}` : '';
+    const average = totalSessions > 1 ? `, averaging ${avgSessionMinutes} min each` : '';
+    return {
+      text: `${period}, you completed ${plural(totalSessions, 'focus session')}${subject} ` +
+        `totaling ${Number(totalHours).toFixed(1)} hours${average}.`,
+      stat: { value: String(totalSessions), label: totalSessions === 1 ? 'Session' : 'Sessions' },
+    };
+  }
+
+  _topActivityObservation(top, totalHours) {
+    if (!totalHours) return null;
+    const share = Math.round((top.totalHours / totalHours) * 100);
+    return {
+      text: `${top.name} took the largest share of your focus time: ${share}% across ${plural(top.sessionCount, 'session')}.`,
+      stat: { value: formatHours(top.totalHours), label: top.name },
+    };
+  }
+
+  _goalObservation(goals) {
+    if (!goals?.length) return null;
+
+    const metCount = goals.filter(g => g.met).length;
+    const missed = goals.find(g => !g.met);
+    const missedText = missed
+      ? ` ${missed.activityName} fell short of ${missed.target} ${missed.label}` +
+        (missed.daysTotal ? ` (met on ${missed.daysMet} of ${missed.daysTotal} days).` : ` (${missed.current} logged).`)
+      : '';
+    return {
+      text: `You met ${metCount} of ${plural(goals.length, 'goal')}.${missedText}`,
+      stat: { value: `${metCount}/${goals.length}`, label: 'Goals met' },
+    };
+  }
+
+  _timeOfDayObservation(patterns) {
+    if (!patterns?.peakTimeOfDay) return null;
+
+    const { timeOfDay, peakTimeOfDay, longestSessionsTime } = patterns;
+    const peak = timeOfDay?.[peakTimeOfDay];
+    if (!peak || peak.count < 2) return null;
+
+    const longest = timeOfDay?.[longestSessionsTime];
+    const longestText = longestSessionsTime && longestSessionsTime !== peakTimeOfDay && longest
+      ? `, though your longest sessions (avg ${longest.avgMinutes} min) came in the ${longestSessionsTime}`
+      : '';
+    return {
+      text: `Most of your sessions happened in the ${peakTimeOfDay}${longestText}.`,
+      stat: { value: String(peak.count), label: `${peakTimeOfDay} sessions` },
+    };
+  }
+
+  _distractionObservation(patterns) {
+    const top = patterns?.topDistractions?.[0];
+    if (!top) return null;
+    return {
+      text: `The distraction you noted most often was "${top}".`,
+      stat: null,
+    };
+  }
+
+  _interruptionObservation(patterns) {
+    const interruptions = patterns?.interruptions;
+    if (!interruptions?.interruptedSessions) return null;
+
+    const { trackedSessions, interruptedSessions, topReasons, mostInterruptedTime } = interruptions;
+    const reasonText = topReasons ? `, most often for "${topReasons[0]}"` : '';
+    const timeText = mostInterruptedTime ? ` Pauses were most frequent in the ${mostInterruptedTime}.` : '';
+    return {
+      text: `You paused ${interruptedSessions} of ${plural(trackedSessions, 'session')}${reasonText}.${timeText}`,
+      stat: { value: `${interruptedSessions}/${trackedSessions}`, label: 'Sessions paused' },
+    };
+  }
+
+  _intentionObservation(patterns) {
+    const intentions = patterns?.intentions;
+    if (!intentions) return null;
+
+    const { answered, achieved, partly, achievedRate } = intentions;
+    const partlyText = partly ? ` and partly met ${partly} more` : '';
+    return {
+      text: `You fully met the intention you set in ${achieved} of ${plural(answered, 'session')}${partlyText}.`,
+      stat: { value: `${Math.round(achievedRate * 100)}%`, label: 'Intentions met' },
+    };
+  }
+
+  _recommendation({ activitiesBreakdown, patterns }) {
+    const nextStep = Object.values(activitiesBreakdown || {})
+      .map(stats => stats.sampleNextSteps?.[0])
+      .find(Boolean);
+    if (nextStep) return `Pick up where you left off: "${nextStep}".`;
+
+    const peak = patterns?.peakTimeOfDay;
+    if (peak && patterns.timeOfDay?.[peak]?.count >= 2) {
+      return `Schedule your next deep work block in the ${peak} — it's when you focus most often.`;
+    }
+
+    return 'Add a short reflection after each session so future insights can be more specific.';
+  }
+
+  // More sessions and more reflection text give the numbers more to stand on.
+  // Capped below model confidence, since nothing here is interpreted.
+  _confidence({ totalSessions = 0, descriptionDensity = 0 }) {
+    const score = 0.2 + Math.min(totalSessions, 10) * 0.04 + descriptionDensity * 0.2;
+    return Math.round(Math.min(score, 0.8) * 100) / 100;
+  }
+}
+
+export default new TemplateInsightProvider();
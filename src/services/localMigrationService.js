@@ -10,15 +10,28 @@
 //   - Atomic: version is only advanced AFTER the migration succeeds
 //   - Concurrent-safe: module-level flag prevents multiple simultaneous runs
 //   - Never throws to caller — failure is logged and retried on next launch
+//   - Reversible: every run snapshots affected data first (migrationSnapshotService)
+//     and restores it if a step throws or the result fails validation
 //
 // Version history:
 //   0 → 1: Normalize sessions — add missing 'id', backfill 'syncStatus: pending'
+//   1 → 2: Move '@deep_work_sessions' into the SQLite sessions table
+//   2 → 3: Re-bucket session dates (and the streak) from UTC to local calendar days
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import SessionRepository from './database/SessionRepository';
+import { isValidSession } from '../utils/storageValidators';
+import { toLocalDateString } from '../utils/dateHelpers';
+import {
+  createSnapshot,
+  restoreSnapshot,
+  validateAgainstSnapshot,
+} from './migrationSnapshotService';
 
 const DATA_VERSION_KEY = '@data_version';
-const CURRENT_VERSION  = 1;
+const CURRENT_VERSION  = 3;
 const SESSIONS_KEY     = '@deep_work_sessions';
+const STREAK_KEY       = '@streak_data';
 
 // Prevent concurrent runs within a single app session
 let _running = false;
@@ -35,8 +48,8 @@ export const isMigrationRunning = () => _running;
  * Check current local schema version and run any outstanding migrations.
  * Safe to call on every app launch — exits immediately if already current.
  *
- * Never throws. On failure the version is NOT advanced, so the next launch
- * will retry automatically.
+ * Never throws. On failure the pre-run snapshot (including '@data_version')
+ * is restored, so the next launch will retry automatically.
  */
 export const runLocalMigrationsIfNeeded = async () => {
   if (_running) {
@@ -56,12 +69,34 @@ export const runLocalMigrationsIfNeeded = async () => {
 
     console.log(`[LocalMigration] Migrating v${storedVersion} → v${CURRENT_VERSION}`);
 
-    for (let v = storedVersion; v < CURRENT_VERSION; v++) {
-      await runStep(v);
-      // Advance version after EACH step so a mid-run crash only replays
-      // the remaining steps, not the whole sequence.
-      await AsyncStorage.setItem(DATA_VERSION_KEY, String(v + 1));
-      console.log(`[LocalMigration] Step v${v}→v${v + 1} complete`);
+    // No snapshot, no migration — if this throws we fall through to the
+    // outer catch with nothing touched.
+    const snapshot = await createSnapshot({
+      fromVersion: storedVersion,
+      toVersion: CURRENT_VERSION,
+    });
+
+    try {
+      for (let v = storedVersion; v < CURRENT_VERSION; v++) {
+        await runStep(v);
+        // Advance version after EACH step so a mid-run crash only replays
+        // the remaining steps, not the whole sequence.
+        await AsyncStorage.setItem(DATA_VERSION_KEY, String(v + 1));
+        console.log(`[LocalMigration] Step v${v}→v${v + 1} complete`);
+      }
+
+      const problems = await validateAgainstSnapshot(snapshot.id);
+      if (problems.length > 0) {
+        throw new Error(`Validation failed: ${problems.join('; ')}`);
+      }
+    } catch (stepError) {
+      // Roll back data AND @data_version so the next launch retries cleanly
+      const restored = await restoreSnapshot(snapshot.id);
+      console.warn(
+        `[LocalMigration] ${stepError.message} — ` +
+        (restored ? `rolled back to snapshot ${snapshot.id}` : 'ROLLBACK FAILED')
+      );
+      throw stepError;
     }
 
     console.log(`[LocalMigration] All migrations complete — now at v${CURRENT_VERSION}`);
@@ -78,6 +113,8 @@ export const runLocalMigrationsIfNeeded = async () => {
 const runStep = async (fromVersion) => {
   switch (fromVersion) {
     case 0: return migrateV0toV1();
+    case 1: return migrateV1toV2();
+    case 2: return migrateV2toV3();
     default:
       console.warn(`[LocalMigration] No handler for v${fromVersion} — skipping`);
   }
@@ -157,3 +194,135 @@ const migrateV0toV1 = async () => {
     console.log('[LocalMigration] v0→v1: all sessions already normalized');
   }
 };
+
+/**
+ * v1 → v2: Copy every session from the '@deep_work_sessions' blob into the
+ * SQLite `sessions` table, then drop the blob.
+ *
+ * Requires DatabaseService.init() to have run (App.js does this first).
+ * Uses INSERT OR IGNORE keyed on session id, so a crash between the insert
+ * and the version bump simply replays the copy on next launch.
+ * Sessions that fail isValidSession are dropped, exactly as
+ * deepWorkStore.getSessions() auto-repair used to drop them on read.
+ * The blob is only removed once every copied id is confirmed in SQLite.
+ */
+const migrateV1toV2 = async () => {
+  console.log('[LocalMigration] v1→v2: moving sessions into SQLite');
+
+  const raw = await AsyncStorage.getItem(SESSIONS_KEY);
+
+  if (!raw) {
+    console.log('[LocalMigration] v1→v2: no session blob — nothing to move');
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (_) {
+    console.warn('[LocalMigration] v1→v2: sessions JSON unparseable — nothing to move');
+    return;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.warn('[LocalMigration] v1→v2: unexpected sessions shape — nothing to move');
+    return;
+  }
+
+  const sessions = [];
+  let droppedCount = 0;
+
+  for (const [date, daySessions] of Object.entries(parsed)) {
+    if (!Array.isArray(daySessions)) continue;
+
+    daySessions.forEach((session) => {
+      if (!isValidSession(session)) {
+        droppedCount++;
+        return;
+      }
+
+      const timestamp = session.timestamp
+        || session.metadata?.created
+        || Date.parse(session.completedAt)
+        || Date.parse(`${date}T12:00:00`);
+
+      sessions.push({
+        ...session,
+        id: session.id || `${date}-${timestamp}`,
+        date: session.date || date,
+        timestamp,
+      });
+    });
+  }
+
+  const inserted = await SessionRepository.insertMany(sessions, { ignoreExisting: true });
+
+  const storedIds = new Set(await SessionRepository.getAllIds());
+  const missing = sessions.filter(s => !storedIds.has(s.id));
+  if (missing.length > 0) {
+    // Throw so the version is not advanced and the blob is kept for a retry
+    throw new Error(`v1→v2: ${missing.length} session(s) missing after copy`);
+  }
+
+  await AsyncStorage.removeItem(SESSIONS_KEY);
+  console.log(
+    `[LocalMigration] v1→v2: moved ${inserted} session(s)` +
+    (droppedCount > 0 ? `, dropped ${droppedCount} invalid` : '')
+  );
+};
+
+/**
+ * v2 → v3: Recompute every session's `date` as the local calendar day of its
+ * `timestamp`.
+ *
+ * Earlier builds stored the UTC date, so an evening session west of UTC sat
+ * under the next day and an early-morning one east of UTC under the previous
+ * day. `id` keeps its old date prefix — Firestore docs and outbox entries are
+ * keyed on it. Moved sessions get a fresh `metadata.modified` and
+ * `syncStatus: 'pending'` so the next sync cycle pushes the corrected date.
+ *
+ * The streak's lastSessionDate was written as a UTC date by the same
+ * completion, so it moves with the newest session.
+ */
+const migrateV2toV3 = async () => {
+  console.log('[LocalMigration] v2→v3: re-bucketing sessions by local date');
+
+  const sessions = await SessionRepository.getAll();
+  const now = Date.now();
+  let movedCount = 0;
+
+  for (const session of sessions) {
+    const localDate = toLocalDateString(session.timestamp);
+    if (localDate === session.date) continue;
+
+    await SessionRepository.update({
+      ...session,
+      date: localDate,
+      syncStatus: 'pending',
+      metadata: { ...session.metadata, modified: now },
+    });
+    movedCount++;
+  }
+
+  console.log(
+    `[LocalMigration] v2→v3: moved ${movedCount} of ${sessions.length} session(s) to their local date`
+  );
+
+  const newest = sessions[sessions.length - 1];
+  const rawStreak = await AsyncStorage.getItem(STREAK_KEY);
+  if (!newest || !rawStreak) return;
+
+  let streak;
+  try {
+    streak = JSON.parse(rawStreak);
+  } catch (_) {
+    return; // streakService.getStreak() already treats unparseable data as no streak
+  }
+
+  const utcDate = new Date(newest.timestamp).toISOString().split('T')[0];
+  const localDate = toLocalDateString(newest.timestamp);
+  if (streak?.lastSessionDate === utcDate && utcDate !== localDate) {
+    await AsyncStorage.setItem(STREAK_KEY, JSON.stringify({ ...streak, lastSessionDate: localDate }));
+    console.log(`[LocalMigration] v2→v3: streak date ${utcDate} → ${localDate}`);
+  }
+};
@@ -13,6 +13,8 @@
 import firestore from '../config/firebaseConfig';
 import { hasMigrated, setMigrationComplete } from './authService';
 import { deepWorkStore } from './deepWorkStore';
+import { sanitizeSession } from './firestoreSessionService';
+import { toLocalDateString } from '../utils/dateHelpers';
 
 const SESSIONS_SUBCOLLECTION = 'sessions';
 const BATCH_SIZE = 100;
@@ -113,7 +115,7 @@ const writeBatches = async (userId, sessions) => {
           .collection(SESSIONS_SUBCOLLECTION)
           .doc(sessionId);
 
-        batch.set(docRef, sanitizeSession(session), { merge: true });
+        batch.set(docRef, toMigratedDoc(session), { merge: true });
       });
 
       await batch.commit();
@@ -131,39 +133,23 @@ const writeBatches = async (userId, sessions) => {
 };
 
 /**
- * Sanitize a session object before writing to Firestore.
- * - Removes undefined values (Firestore rejects them)
- * - Adds migratedFromLocal flag
- * - Converts numeric timestamps to Firestore Timestamps where appropriate
+ * A session as first uploaded: the synced fields (firestoreSessionService
+ * SESSION_FIELDS, without undefined values Firestore rejects) plus the
+ * migratedFromLocal flag.
  */
-const sanitizeSession = (session) => {
-  const sanitized = {
-    migratedFromLocal: true,
-    syncStatus: 'synced',
-  };
-
-  // Copy all defined fields
-  const fields = [
-    'id', 'date', 'activity', 'duration', 'musicChoice',
-    'notes', 'rating', 'ratings', 'timestamp', 'completedAt', 'metadata',
-  ];
-
-  fields.forEach((field) => {
-    if (session[field] !== undefined && session[field] !== null) {
-      sanitized[field] = session[field];
-    }
-  });
-
-  return sanitized;
-};
+const toMigratedDoc = (session) => ({
+  ...sanitizeSession(session),
+  migratedFromLocal: true,
+  syncStatus: 'synced',
+});
 
 /**
  * Generate a fallback session ID if one doesn't exist.
  * Format matches existing AsyncStorage id pattern.
  */
 const generateSessionId = (session) => {
-  const date = session.date || new Date().toISOString().split('T')[0];
   const ts = session.timestamp || Date.now();
+  const date = session.date || toLocalDateString(ts);
   return `${date}-${ts}`;
 };
 
@@ -0,0 +1,277 @@
+// src/services/migrationSnapshotService.js
+//
+// Point-in-time copies of local data, taken by localMigrationService before
+// every migration run so a failed or corrupting step can be rolled back.
+//
+// A snapshot captures:
+//   - the raw AsyncStorage values of SNAPSHOT_KEYS (missing keys stored as null)
+//   - every row of the SQLite sessions table
+//
+// Storage:
+//   @migration_snapshots          = [{ id, createdAt, appVersion, fromVersion,
+//                                      toVersion, sessionCount }]   (index, newest first)
+//   @migration_snapshot:<id>      = { chunks }   (manifest, written last)
+//   @migration_snapshot:<id>:<n>  = n-th slice of the JSON
+//                                   { keys: { [key]: string|null }, sessions: Session[] }
+//
+// The payload is split because Android reads each AsyncStorage value through
+// a ~2 MB CursorWindow — a long history in one value could be written but
+// never read back. Snapshots from before chunking are one value under the
+// manifest key and are still read.
+//
+// Retention: snapshots are kept for the last RETAINED_APP_VERSIONS distinct
+// app versions, capped at MAX_SNAPSHOTS in total.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import SessionRepository from './database/SessionRepository';
+import { isValidSession, isValidStorage, isValidSettings } from '../utils/storageValidators';
+
+const INDEX_KEY             = '@migration_snapshots';
+const SNAPSHOT_KEY_PREFIX   = '@migration_snapshot:';
+const RETAINED_APP_VERSIONS = 3;
+const MAX_SNAPSHOTS         = 10;
+const CHUNK_CHARS           = 256 * 1024; // well under the CursorWindow even as UTF-16
+
+// Every key a local migration may read or write
+const SNAPSHOT_KEYS = [
+  '@data_version',
+  '@deep_work_sessions',
+  '@deep_work_settings',
+  '@streak_data',
+];
+
+const APP_VERSION = Constants.expoConfig?.version ?? '0.0.0';
+
+// ─── Index helpers ────────────────────────────────────────────────────────────
+
+const readIndex = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(INDEX_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+};
+
+const writeIndex = (index) => AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+
+// ─── Snapshot storage ─────────────────────────────────────────────────────────
+
+const chunkKey = (id, n) => `${SNAPSHOT_KEY_PREFIX}${id}:${n}`;
+
+/**
+ * Every stored key of the given snapshots: manifest and chunks
+ */
+const storageKeysOf = async (ids) => {
+  const allKeys = await AsyncStorage.getAllKeys();
+  return allKeys.filter(key => ids.some(id =>
+    key === SNAPSHOT_KEY_PREFIX + id || key.startsWith(`${SNAPSHOT_KEY_PREFIX}${id}:`)
+  ));
+};
+
+const removeSnapshots = async (ids) => {
+  const keys = await storageKeysOf(ids);
+  if (keys.length > 0) await AsyncStorage.multiRemove(keys);
+};
+
+/**
+ * Chunks first, manifest last, so a half-written snapshot has no manifest
+ */
+const writeSnapshot = async (id, payload) => {
+  const json = JSON.stringify(payload);
+  const chunks = [];
+  for (let start = 0; start < json.length; start += CHUNK_CHARS) {
+    chunks.push([chunkKey(id, chunks.length), json.slice(start, start + CHUNK_CHARS)]);
+  }
+  await AsyncStorage.multiSet(chunks);
+  await AsyncStorage.setItem(SNAPSHOT_KEY_PREFIX + id, JSON.stringify({ chunks: chunks.length }));
+};
+
+/**
+ * @returns {Promise<{ keys: Object, sessions: Object[] }|null>} — null if missing
+ * @throws if the snapshot is incomplete or unreadable
+ */
+const readSnapshot = async (id) => {
+  const raw = await AsyncStorage.getItem(SNAPSHOT_KEY_PREFIX + id);
+  if (!raw) return null;
+  const manifest = JSON.parse(raw);
+  if (!Number.isInteger(manifest.chunks)) return manifest; // written whole, before chunking
+
+  const keys = Array.from({ length: manifest.chunks }, (_, n) => chunkKey(id, n));
+  const pairs = await AsyncStorage.multiGet(keys);
+  if (pairs.some(([, value]) => value === null)) {
+    throw new Error(`snapshot ${id} is missing chunks`);
+  }
+  return JSON.parse(pairs.map(([, value]) => value).join(''));
+};
+
+/**
+ * Drop snapshots from app versions older than the last RETAINED_APP_VERSIONS,
+ * then trim to MAX_SNAPSHOTS. Index is newest-first, so order of first
+ * appearance is the order versions were installed.
+ */
+const prune = async (index) => {
+  const keptVersions = [...new Set(index.map(s => s.appVersion))].slice(0, RETAINED_APP_VERSIONS);
+  const kept = index
+    .filter(s => keptVersions.includes(s.appVersion))
+    .slice(0, MAX_SNAPSHOTS);
+  const dropped = index.filter(s => !kept.includes(s));
+
+  if (dropped.length > 0) {
+    await removeSnapshots(dropped.map(s => s.id));
+    console.log(`[MigrationSnapshot] Pruned ${dropped.length} old snapshot(s)`);
+  }
+  return kept;
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Capture SNAPSHOT_KEYS and the sessions table, then read it back.
+ * Throws on failure — callers must not migrate without a snapshot.
+ *
+ * @param {{ fromVersion: number, toVersion: number }} meta
+ * @returns {Promise<Object>} — the index entry for the new snapshot
+ */
+export const createSnapshot = async ({ fromVersion, toVersion }) => {
+  const createdAt = Date.now();
+  const id = `${createdAt}-v${fromVersion}`;
+
+  const pairs = await AsyncStorage.multiGet(SNAPSHOT_KEYS);
+  const keys = Object.fromEntries(pairs);
+  const sessions = await SessionRepository.getAll();
+
+  try {
+    await writeSnapshot(id, { keys, sessions });
+    // A snapshot that can't be read back can't roll anything back
+    const written = await readSnapshot(id);
+    if (written?.sessions?.length !== sessions.length) {
+      throw new Error('snapshot did not read back intact');
+    }
+  } catch (error) {
+    await removeSnapshots([id]).catch(() => {});
+    throw new Error(`Snapshot ${id} could not be saved: ${error.message}`);
+  }
+
+  const entry = {
+    id,
+    createdAt,
+    appVersion: APP_VERSION,
+    fromVersion,
+    toVersion,
+    sessionCount: sessions.length,
+  };
+  const index = await prune([entry, ...(await readIndex())]);
+  await writeIndex(index);
+
+  console.log(`[MigrationSnapshot] Created ${id} (${sessions.length} sessions)`);
+  return entry;
+};
+
+/**
+ * List retained snapshots, newest first.
+ */
+export const listSnapshots = async () => readIndex();
+
+/**
+ * Put SNAPSHOT_KEYS and the sessions table back exactly as captured.
+ * Restoring '@data_version' means the rolled-back migration re-runs on the
+ * next launch.
+ *
+ * @returns {Promise<boolean>}
+ */
+export const restoreSnapshot = async (id) => {
+  try {
+    const snapshot = await readSnapshot(id);
+    if (!snapshot) {
+      console.warn(`[MigrationSnapshot] Snapshot ${id} not found`);
+      return false;
+    }
+    const { keys, sessions } = snapshot;
+
+    await SessionRepository.replaceAll(sessions);
+
+    const toSet = Object.entries(keys).filter(([, value]) => value !== null);
+    const toRemove = Object.entries(keys).filter(([, value]) => value === null).map(([key]) => key);
+    if (toSet.length > 0) await AsyncStorage.multiSet(toSet);
+    if (toRemove.length > 0) await AsyncStorage.multiRemove(toRemove);
+
+    console.log(`[MigrationSnapshot] Restored ${id}`);
+    return true;
+  } catch (error) {
+    console.warn(`[MigrationSnapshot] Restore of ${id} failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Check current data against the snapshot taken before the run.
+ *
+ * Only regressions count: settings that were already invalid before the run
+ * are left to deepWorkStore.getSettings() to repair, and invalid sessions a
+ * migration deliberately drops don't count as lost.
+ *
+ * @returns {Promise<string[]>} — problems found; empty means the run is good
+ */
+export const validateAgainstSnapshot = async (id) => {
+  const problems = [];
+  const snapshot = await readSnapshot(id);
+  if (!snapshot) return [`snapshot ${id} missing`];
+  const { keys, sessions: snapshotRows } = snapshot;
+
+  const parse = (value) => {
+    try { return value ? JSON.parse(value) : null; } catch (_) { return undefined; }
+  };
+
+  // Settings: valid before → must still be valid
+  const settingsBefore = parse(keys['@deep_work_settings']);
+  if (settingsBefore && isValidSettings(settingsBefore)) {
+    const settingsAfter = parse(await AsyncStorage.getItem('@deep_work_settings'));
+    if (!isValidSettings(settingsAfter)) {
+      problems.push('settings no longer pass isValidSettings');
+    }
+  }
+
+  // Sessions: every row in SQLite must be valid, and any leftover blob must
+  // still have the date-keyed shape
+  const [rowsAfter, rowCount] = await Promise.all([
+    SessionRepository.getAll(),
+    SessionRepository.count(),
+  ]);
+  if (rowsAfter.length !== rowCount) {
+    problems.push(`${rowCount - rowsAfter.length} session row(s) unparseable`);
+  }
+  const invalidRows = rowsAfter.filter(s => !isValidSession(s)).length;
+  if (invalidRows > 0) {
+    problems.push(`${invalidRows} session row(s) fail isValidSession`);
+  }
+
+  const blobAfter = parse(await AsyncStorage.getItem('@deep_work_sessions'));
+  if (blobAfter === undefined || (blobAfter !== null && !isValidStorage(blobAfter))) {
+    problems.push('@deep_work_sessions no longer a valid date-keyed blob');
+  }
+
+  // No valid session present before the run may disappear
+  const blobBefore = parse(keys['@deep_work_sessions']);
+  const idsBefore = new Set(snapshotRows.filter(isValidSession).map(s => s.id));
+  if (blobBefore && typeof blobBefore === 'object') {
+    Object.values(blobBefore).forEach((daySessions) => {
+      if (!Array.isArray(daySessions)) return;
+      daySessions.filter(isValidSession).forEach(s => s.id && idsBefore.add(s.id));
+    });
+  }
+  const idsAfter = new Set(rowsAfter.map(s => s.id));
+  if (blobAfter && typeof blobAfter === 'object') {
+    Object.values(blobAfter).forEach(daySessions =>
+      daySessions.forEach(s => idsAfter.add(s.id))
+    );
+  }
+  const lost = [...idsBefore].filter(sessionId => !idsAfter.has(sessionId)).length;
+  if (lost > 0) {
+    problems.push(`${lost} valid session(s) lost`);
+  }
+
+  return problems;
+};
@@ -5,6 +5,7 @@
 // conservative defaults (i.e., no gate fires on missing data).
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getLocalToday } from '../utils/dateHelpers';
 
 // ─── Storage keys ─────────────────────────────────────────────────────────────
 
@@ -17,7 +18,7 @@ const KEYS = {
 
 // ─── Date helpers ─────────────────────────────────────────────────────────────
 
-const todayStr = () => new Date().toISOString().split('T')[0];
+const todayStr = () => getLocalToday();
 
 /** Compare two YYYY-MM-DD strings for same-day equality. */
 export const isSameDay = (d1, d2) =>
@@ -52,6 +53,10 @@ export const recordBlockingUsed = async () => {
 
 // ─── Quick-restart gate ───────────────────────────────────────────────────────
 
+// One-tap starts a free user gets each day. Quick restarts and preset launches
+// share the allowance — both skip setting a session up by hand.
+export const FREE_QUICK_RESTARTS_PER_DAY = 1;
+
 /**
  * Returns how many quick restarts the user has performed today (0 if none or
  * if the stored date is not today).
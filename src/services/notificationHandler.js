@@ -3,8 +3,9 @@
 // PHASE 4: strict, minimal rule. The handler dispatches on
 // notification.request.content.data.type:
 //
-//   'session_end' → shouldPlaySound: true (the OS plays completion_alarm.wav)
-//   anything else → shouldPlaySound: false
+//   'session_end'        → shouldPlaySound: true (the OS plays completion_alarm.wav)
+//   'session_checkpoint' → not shown; the session screen shows its own nudge
+//   anything else        → shouldPlaySound: false
 //
 // The handler MUST NOT trigger alarms or any other side effect — it returns
 // only the display flags. Session-end alarm playback while the app is in the
@@ -27,6 +28,16 @@ export const setupNotificationHandler = () => {
           };
         }
 
+        // Only reaches the handler in the foreground, where DeepWorkSession
+        // already shows the stopwatch checkpoint in-app
+        if (type === 'session_checkpoint') {
+          return {
+            shouldShowAlert: false,
+            shouldPlaySound: false,
+            shouldSetBadge: false,
+          };
+        }
+
         // All other types (re-engagement, streak risk, anything else)
         // are displayed silently. Sound is reserved for session completion.
         return {
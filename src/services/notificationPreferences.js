@@ -2,26 +2,36 @@
 /**
  * Notification Preferences Service
  * 
- * ARCHITECTURE v2 (Realtime Database):
- * - Primary storage: Firebase Realtime Database (cloud, syncs across devices)
- * - Fallback: AsyncStorage (local cache for offline)
- * - Smart defaults: All notifications ON by default
+ * ARCHITECTURE v3 (Firestore, keyed by auth uid):
+ * - Primary storage: Firestore users/{uid}/preferences/notifications — the
+ *   same document dailyRemindersBatch and weeklySummaryBatch read
+ * - Fallback: AsyncStorage (local cache for offline and signed-out use)
+ * - Smart defaults: All notifications ON by default, quiet hours OFF
  * 
- * WHY REALTIME DATABASE:
- * - Multi-device sync (preferences follow user across devices)
- * - Real-time updates (changes sync instantly)
- * - Simple structure (perfect for user preferences)
- * - No gRPC issues (unlike Firestore)
+ * QUIET HOURS:
+ * quietHours (see utils/quietHours) is read by every scheduler — the local
+ * ones through quietHoursService, the Cloud Function batches from the copy
+ * in their reminder_schedule index.
+ * 
+ * MIGRATION:
+ * v2 kept preferences in Realtime Database under /users/{deviceId}/..., which
+ * the Cloud Functions never read. initializeForUser() copies that record to
+ * the uid document on first sign-in and removes it.
  */
 
 import database from '@react-native-firebase/database';
+import auth from '@react-native-firebase/auth';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import firestore from '../config/firebaseConfig';
 import deviceIdService from './deviceIdService';
+import { DEFAULT_QUIET_HOURS, normalizeQuietHours } from '../utils/quietHours';
 
 const PREFS_STORAGE_KEY = '@notification_preferences';
+const MIGRATED_KEY_PREFIX = '@notification_prefs_migrated:';
 
 /**
- * Default notification preferences
+ * Default notification preferences. No updatedAt — a preferences object
+ * without one has never been saved.
  */
 const DEFAULT_PREFERENCES = {
   sessionComplete: true,
@@ -31,40 +41,49 @@ const DEFAULT_PREFERENCES = {
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
   },
   weeklySummary: true,
-  updatedAt: new Date().toISOString(),
+  quietHours: DEFAULT_QUIET_HOURS,
 };
 
+const prefsDoc = (uid) => firestore()
+  .collection('users')
+  .doc(uid)
+  .collection('preferences')
+  .doc('notifications');
+
+const legacyPrefsRef = (deviceId) => database()
+  .ref(`/users/${deviceId}/preferences/notifications`);
+
 class NotificationPreferencesService {
   
   /**
    * Get user's notification preferences
    * 
    * FLOW:
-   * 1. Try Realtime Database (cloud)
-   * 2. Fallback to AsyncStorage cache (offline)
+   * 1. Try Firestore (cloud, signed-in users only)
+   * 2. Fallback to AsyncStorage cache (offline / signed out)
    * 3. Return defaults if nothing exists
    */
   async getPreferences() {
     try {
-      const deviceId = await deviceIdService.getDeviceId();
+      const uid = auth().currentUser?.uid;
       
-      // Try Realtime Database first
-      try {
-        const snapshot = await database()
-          .ref(`/users/${deviceId}/preferences/notifications`)
-          .once('value');
-        
-        if (snapshot.exists()) {
-          console.log('📋 [NotificationPrefs] Loaded from Realtime Database');
-          const prefs = snapshot.val();
-          
-          // Cache locally for offline access
-          await this._cachePreferences(prefs);
+      // Try Firestore first
+      if (uid) {
+        try {
+          const snapshot = await prefsDoc(uid).get();
           
-          return prefs;
+          if (snapshot.exists) {
+            console.log('📋 [NotificationPrefs] Loaded from Firestore');
+            const prefs = snapshot.data();
+            
+            // Cache locally for offline access
+            await this._cachePreferences(prefs);
+            
+            return prefs;
+          }
+        } catch (dbError) {
+          console.warn('⚠️ [NotificationPrefs] Firestore unavailable:', dbError.message);
         }
-      } catch (dbError) {
-        console.warn('⚠️ [NotificationPrefs] Realtime Database unavailable:', dbError.message);
       }
       
       // Fallback to local cache
@@ -76,11 +95,11 @@ class NotificationPreferencesService {
       
       // No preferences exist - return defaults
       console.log('📋 [NotificationPrefs] Using defaults');
-      return DEFAULT_PREFERENCES;
+      return { ...DEFAULT_PREFERENCES };
       
     } catch (error) {
       console.error('❌ [NotificationPrefs] Error getting preferences:', error);
-      return DEFAULT_PREFERENCES;
+      return { ...DEFAULT_PREFERENCES };
     }
   }
   
@@ -88,12 +107,13 @@ class NotificationPreferencesService {
    * Save user's notification preferences
    * 
    * DUAL-WRITE PATTERN:
-   * - Realtime Database (primary, cloud-synced)
+   * - Firestore (primary, read by Cloud Functions) — skipped when signed out;
+   *   initializeForUser() uploads the cached copy on the next sign-in
    * - AsyncStorage (backup, offline support)
    */
   async savePreferences(preferences) {
     try {
-      const deviceId = await deviceIdService.getDeviceId();
+      const uid = auth().currentUser?.uid;
       
       // Validate preferences
       const validatedPrefs = this._validatePreferences(preferences);
@@ -104,15 +124,14 @@ class NotificationPreferencesService {
         updatedAt: new Date().toISOString(),
       };
       
-      // Save to Realtime Database
-      try {
-        await database()
-          .ref(`/users/${deviceId}/preferences/notifications`)
-          .set(prefsWithTimestamp);
-        
-        console.log('✅ [NotificationPrefs] Saved to Realtime Database');
-      } catch (dbError) {
-        console.warn('⚠️ [NotificationPrefs] Realtime Database save failed:', dbError.message);
+      // Save to Firestore
+      if (uid) {
+        try {
+          await prefsDoc(uid).set(prefsWithTimestamp);
+          console.log('✅ [NotificationPrefs] Saved to Firestore');
+        } catch (dbError) {
+          console.warn('⚠️ [NotificationPrefs] Firestore save failed:', dbError.message);
+        }
       }
       
       // Save to local cache (always succeeds)
@@ -193,6 +212,87 @@ class NotificationPreferencesService {
     return await this.updatePreference('weeklySummary', enabled);
   }
   
+  /**
+   * Quiet-hours settings, always complete (defaults filled in)
+   */
+  async getQuietHours() {
+    const prefs = await this.getPreferences();
+    return normalizeQuietHours(prefs.quietHours);
+  }
+  
+  /**
+   * Replace the quiet-hours settings
+   * @param {Object} quietHours - { enabled, days, suppressDuringSession }
+   */
+  async setQuietHours(quietHours) {
+    return await this.updatePreference('quietHours', normalizeQuietHours(quietHours));
+  }
+  
+  /**
+   * Make sure the signed-in user has a preferences document the Cloud
+   * Functions can read. Call whenever a user signs in.
+   * 
+   * FLOW:
+   * 1. Once per uid: move the v2 Realtime Database record for this device
+   *    (or, failing that, the local cache) into Firestore, then delete the
+   *    RTDB record
+   * 2. Create the document from defaults if there is still none
+   * 3. Keep dailyReminder.timezone in step with the device
+   * 
+   * @param {string} uid - Firebase Auth uid
+   * @returns {Promise<boolean>}
+   */
+  async initializeForUser(uid) {
+    try {
+      const snapshot = await prefsDoc(uid).get();
+      let prefs = snapshot.exists ? snapshot.data() : null;
+      
+      const migratedKey = MIGRATED_KEY_PREFIX + uid;
+      if (!(await AsyncStorage.getItem(migratedKey))) {
+        const deviceId = await deviceIdService.getDeviceId();
+        let legacy = null;
+        try {
+          const legacySnapshot = await legacyPrefsRef(deviceId).once('value');
+          legacy = legacySnapshot.exists() ? legacySnapshot.val() : null;
+        } catch (dbError) {
+          console.warn('⚠️ [NotificationPrefs] Could not read legacy preferences:', dbError.message);
+        }
+        
+        if (!prefs) {
+          const source = legacy || (await this._getCachedPreferences());
+          if (source) {
+            prefs = { ...this._validatePreferences(source), updatedAt: new Date().toISOString() };
+            await prefsDoc(uid).set(prefs);
+            console.log(`✅ [NotificationPrefs] Migrated ${legacy ? 'device' : 'cached'} preferences to uid`);
+          }
+        }
+        
+        if (legacy) {
+          await legacyPrefsRef(deviceId).remove().catch(() => {});
+        }
+        await AsyncStorage.setItem(migratedKey, new Date().toISOString());
+      }
+      
+      if (!prefs) {
+        console.log('📋 [NotificationPrefs] No preferences for this user, creating defaults');
+        return await this.savePreferences(DEFAULT_PREFERENCES);
+      }
+      
+      const deviceTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      if (prefs.dailyReminder?.timezone !== deviceTimezone) {
+        console.log(`🌍 [NotificationPrefs] Timezone changed → ${deviceTimezone}`);
+        return await this.updateTimezone(deviceTimezone);
+      }
+      
+      await this._cachePreferences(prefs);
+      return true;
+      
+    } catch (error) {
+      console.error('❌ [NotificationPrefs] Error initializing for user:', error);
+      return false;
+    }
+  }
+  
   /**
    * Reset to default preferences
    */
@@ -222,6 +322,8 @@ class NotificationPreferencesService {
       weeklySummary: typeof prefs.weeklySummary === 'boolean'
         ? prefs.weeklySummary
         : true,
+      
+      quietHours: normalizeQuietHours(prefs.quietHours),
     };
     
     // Validate time format
@@ -265,12 +367,12 @@ class NotificationPreferencesService {
    */
   async clearAll() {
     try {
-      const deviceId = await deviceIdService.getDeviceId();
+      const uid = auth().currentUser?.uid;
       
-      // Clear Realtime Database
-      await database()
-        .ref(`/users/${deviceId}/preferences/notifications`)
-        .remove();
+      // Clear Firestore
+      if (uid) {
+        await prefsDoc(uid).delete();
+      }
       
       // Clear cache
       await AsyncStorage.removeItem(PREFS_STORAGE_KEY);
@@ -0,0 +1,57 @@
+// src/services/parkingLotService.js
+//
+// To-dos carried out of a session's parking lot (see utils/parkingLot).
+// The rating screen carries the thoughts the user picks; the next session's
+// parking lot lists them until they're ticked off.
+//
+// Storage key: @parking_lot_todos  [{ id, text, activity, sessionId, createdAt }, ...] oldest first
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { cleanParkedText } from '../utils/parkingLot';
+
+const TODOS_KEY = '@parking_lot_todos';
+
+/**
+ * @returns {Promise<Array>} Carried to-dos, oldest first
+ */
+export const getCarriedTodos = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(TODOS_KEY);
+    const todos = raw ? JSON.parse(raw) : [];
+    return Array.isArray(todos) ? todos : [];
+  } catch (error) {
+    console.warn('[ParkingLot] getCarriedTodos failed:', error);
+    return [];
+  }
+};
+
+const writeTodos = async (todos) => {
+  await AsyncStorage.setItem(TODOS_KEY, JSON.stringify(todos));
+  return todos;
+};
+
+/**
+ * Carry parked thoughts into the next session.
+ * @param {Array<{ text }>} items
+ * @param {{ activity: string, sessionId: string }} from - The session they were parked in
+ * @returns {Promise<Array>} All carried to-dos
+ */
+export const carryTodos = async (items, { activity, sessionId }) => {
+  const now = Date.now();
+  const added = items
+    .map(item => cleanParkedText(item.text))
+    .filter(Boolean)
+    .map((text, i) => ({ id: `todo-${now}-${i}`, text, activity, sessionId, createdAt: now }));
+  if (added.length === 0) return getCarriedTodos();
+
+  console.log(`[ParkingLot] Carried ${added.length} to-do(s) from ${sessionId}`);
+  return writeTodos([...(await getCarriedTodos()), ...added]);
+};
+
+/**
+ * Tick a to-do off.
+ * @param {string} todoId
+ * @returns {Promise<Array>} The remaining to-dos
+ */
+export const completeTodo = async (todoId) =>
+  writeTodos((await getCarriedTodos()).filter(t => t.id !== todoId));
@@ -10,9 +10,13 @@
 //
 // All payloads are logged to console before scheduling so they can be
 // inspected from the Dev Tools screen.
+//
+// Scheduled notifications go through the user's quiet hours (deferred or
+// dropped); the Dev Tools test sends bypass them.
 
 import * as Notifications from 'expo-notifications';
 import { deepWorkStore } from './deepWorkStore';
+import { getDeliveryDecision, QUIET_KINDS } from './quietHoursService';
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -77,7 +81,17 @@ function buildFallbackPayload() {
 
 // ─── Schedule helper ──────────────────────────────────────────────────────────
 
-async function schedulePayload(payload, delaySeconds = 0) {
+async function schedulePayload(payload, delaySeconds = 0, { respectQuietHours = true } = {}) {
+  if (respectQuietHours) {
+    const fireAt = new Date(Date.now() + delaySeconds * 1000);
+    const delivery = await getDeliveryDecision(fireAt, QUIET_KINDS.REMINDER);
+    if (delivery.action === 'drop') {
+      console.log(`[PersonalizedNotification] "${payload.type}" dropped (${delivery.reason})`);
+      return null;
+    }
+    delaySeconds = Math.max(delaySeconds, Math.ceil((delivery.at.getTime() - Date.now()) / 1000));
+  }
+
   console.log(`\n[PersonalizedNotification] Scheduling "${payload.type}" notification`);
   console.log('  title:', payload.title);
   console.log('  body: ', payload.body);
@@ -169,7 +183,7 @@ export async function testNotification(type) {
       }
     }
 
-    return await schedulePayload(payload, 0); // immediate
+    return await schedulePayload(payload, 0, { respectQuietHours: false }); // immediate
   } catch (error) {
     console.error('[PersonalizedNotification] Test failed:', error);
     return null;
@@ -0,0 +1,80 @@
+// src/services/presetService.js
+//
+// Storage for named session presets (see utils/sessionPresets).
+//
+// Storage key: @session_presets  [preset, ...] in the user's order
+//
+// Launching a preset counts as a quick restart for the free-tier limit in
+// monetizationService — HomeScreen applies the gate; nothing here does.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { cleanPresetName, movePreset as move, setPinned } from '../utils/sessionPresets';
+
+const PRESETS_KEY = '@session_presets';
+
+/**
+ * @returns {Promise<Array>} Presets in the user's order
+ */
+export const getPresets = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(PRESETS_KEY);
+    const presets = raw ? JSON.parse(raw) : [];
+    return Array.isArray(presets) ? presets : [];
+  } catch (error) {
+    console.warn('[Presets] getPresets failed:', error);
+    return [];
+  }
+};
+
+const writePresets = async (presets) => {
+  await AsyncStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+/**
+ * Add a preset at the end, or replace the one with the same id.
+ * @param {Object} preset - Without an id to add
+ * @returns {Promise<Object>} The stored preset
+ * @throws {Error} If the name is blank
+ */
+export const savePreset = async (preset) => {
+  const name = cleanPresetName(preset.name);
+  if (!name) throw new Error('Preset name is required');
+
+  const presets = await getPresets();
+  const saved = {
+    ...preset,
+    name,
+    id: preset.id ?? `preset-${Date.now()}`,
+    pinned: preset.pinned ?? false,
+    createdAt: preset.createdAt ?? Date.now(),
+  };
+  const index = presets.findIndex(p => p.id === saved.id);
+  if (index >= 0) presets[index] = saved;
+  else presets.push(saved);
+
+  await writePresets(presets);
+  console.log(`[Presets] Saved "${saved.name}"`);
+  return saved;
+};
+
+/**
+ * @param {string} presetId
+ * @returns {Promise<Array>} The remaining presets
+ */
+export const deletePreset = async (presetId) =>
+  writePresets((await getPresets()).filter(p => p.id !== presetId));
+
+/**
+ * Move a preset one place up (-1) or down (+1).
+ * @returns {Promise<Array>} The reordered presets
+ */
+export const movePreset = async (presetId, offset) =>
+  writePresets(move(await getPresets(), presetId, offset));
+
+/**
+ * Pin a preset to HomeScreen, or unpin it. Pinning past the limit is ignored.
+ * @returns {Promise<Array>} The updated presets
+ */
+export const setPresetPinned = async (presetId, pinned) =>
+  writePresets(setPinned(await getPresets(), presetId, pinned));
@@ -0,0 +1,69 @@
+// src/services/quietHoursService.js
+//
+// The local schedulers' door to the quiet-hours policy in utils/quietHours:
+// sessionEndNotification, streakService and personalizedNotificationService
+// ask getDeliveryDecision() before handing anything to the OS, and
+// DeepWorkSession calls holdRemindersForSession() when a session starts so
+// reminders already queued with the OS don't land mid-session.
+//
+// Fails open: if preferences can't be read, notifications go out as before.
+
+import * as Notifications from 'expo-notifications';
+import notificationPreferences from './notificationPreferences';
+import { getActiveSession, sessionEndsAt } from './sessionStateService';
+import { QUIET_KINDS, resolveQuietDeliveryAt } from '../utils/quietHours';
+
+export { QUIET_KINDS };
+
+// OS-queued notifications that count as reminders (content.data.type)
+const REMINDER_TYPES = ['streak_risk', 'reengagement'];
+
+/**
+ * Decide whether, when and how loudly a notification due at `fireAt` goes out.
+ * @param {Date} fireAt
+ * @param {string} kind - QUIET_KINDS.REMINDER or QUIET_KINDS.SESSION_END
+ * @returns {Promise<{ action: 'send'|'defer'|'drop', at: Date, silent: boolean, reason?: string }>}
+ */
+export const getDeliveryDecision = async (fireAt, kind = QUIET_KINDS.REMINDER) => {
+  try {
+    const [quietHours, active] = await Promise.all([
+      notificationPreferences.getQuietHours(),
+      getActiveSession(),
+    ]);
+    const inSession = active?.status === 'running' && fireAt.getTime() < sessionEndsAt(active.config);
+
+    const decision = resolveQuietDeliveryAt(quietHours, fireAt, { kind, inSession });
+    if (decision.action !== 'send') {
+      console.log(`[QuietHours] ${kind} at ${fireAt.toLocaleTimeString()} → ${decision.action}` +
+        (decision.action === 'defer' ? ` until ${decision.at.toLocaleTimeString()}` : '') +
+        ` (${decision.reason})`);
+    }
+    return decision;
+  } catch (error) {
+    console.warn('[QuietHours] Decision failed, delivering as scheduled:', error);
+    return { action: 'send', at: fireAt, silent: false };
+  }
+};
+
+/**
+ * Cancel reminders already queued with the OS when a session starts, if the
+ * user asked for "I'm in a session" suppression. Their schedulers queue them
+ * again on the next app open (streak risk on Home focus).
+ */
+export const holdRemindersForSession = async () => {
+  try {
+    const { suppressDuringSession } = await notificationPreferences.getQuietHours();
+    if (!suppressDuringSession) return;
+
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    const reminders = scheduled.filter(n => REMINDER_TYPES.includes(n.content?.data?.type));
+    await Promise.all(reminders.map(n =>
+      Notifications.cancelScheduledNotificationAsync(n.identifier).catch(() => {})
+    ));
+    if (reminders.length > 0) {
+      console.log(`[QuietHours] Held ${reminders.length} reminder(s) for the session`);
+    }
+  } catch (error) {
+    console.warn('[QuietHours] holdRemindersForSession failed (non-critical):', error);
+  }
+};
@@ -20,9 +20,24 @@
 // PHASE 3: the parallel Firebase FCM completion path (backgroundTimer.js +
 // triggerSessionEndNotification Cloud Function) has been removed. This OS
 // scheduled local notification is now the sole background completion mechanism.
+//
+// Interval cycles get one of these per phase, all queued up front by
+// scheduleCycleNotifications() — the JS timer can't move a cycle on while the
+// app is closed, but the OS can still announce every break and every return
+// to focus on time.
+//
+// Open-ended (stopwatch) sessions have no end to announce; they get silent
+// checkpoint nudges instead, from scheduleCheckpointNotifications().
 
 import * as Notifications from 'expo-notifications';
 import { getActiveSession, updateActiveSession } from './sessionStateService';
+import { getDeliveryDecision, QUIET_KINDS } from './quietHoursService';
+import { PHASE_TYPES, buildPhases, remainingPhaseEnds } from '../utils/intervalCycle';
+import { upcomingCheckpoints, formatElapsed } from '../utils/stopwatch';
+
+// Checkpoints queued at a time — re-queued on every resume and restore, and
+// well under iOS's 64 pending notifications per app
+const MAX_QUEUED_CHECKPOINTS = 8;
 
 // PHASE 2: notificationId is now stored inside @active_session_config via
 // sessionStateService — no more standalone @session_end_notification_id key,
@@ -79,6 +94,32 @@ export const ensureNotificationPermissions = async () => {
 // Schedule the OS-level session end notification
 // ---------------------------------------------------------------------------
 
+// Title + body for the end of one phase of a cycle, announcing the next one
+const phaseContent = ({ ended, next, rounds }, activityName) => {
+  if (!next) {
+    return {
+      title: 'Cycle Complete 🎉',
+      body: `Break's over — all ${rounds} rounds of ${activityName} are done.`,
+    };
+  }
+  if (next.type === PHASE_TYPES.FOCUS) {
+    return {
+      title: 'Back to Focus 🎯',
+      body: `Round ${next.round} of ${rounds}: ${Math.round(next.minutes)} minutes of ${activityName}.`,
+    };
+  }
+  if (next.type === PHASE_TYPES.LONG_BREAK) {
+    return {
+      title: 'Cycle Complete 🎉',
+      body: `All ${rounds} rounds of ${activityName} done. Enjoy a ${Math.round(next.minutes)}-minute break.`,
+    };
+  }
+  return {
+    title: 'Break Time ☕',
+    body: `Round ${ended.round} of ${rounds} done. Take ${Math.round(next.minutes)} minutes.`,
+  };
+};
+
 /**
  * Schedule a local notification to fire at endTimeMs.
  *
@@ -88,12 +129,16 @@ export const ensureNotificationPermissions = async () => {
  * @param {number} endTimeMs     - Unix ms timestamp when the session ends
  * @param {string} activityName  - Human-readable activity label
  * @param {number} durationMinutes - Session duration for the notification body
+ * @param {Object} [phase] - { index, ended, next, rounds } when this is the
+ *   end of one phase of a cycle. The id is then stored under
+ *   phaseNotificationIds[index], and other phases' notifications are left alone.
  * @returns {string|null} notification identifier, or null if scheduling failed
  */
 export const scheduleSessionEndNotification = async (
   endTimeMs,
   activityName = 'Focus Session',
-  durationMinutes
+  durationMinutes,
+  phase = null
 ) => {
   try {
     const permitted = await ensureNotificationPermissions();
@@ -103,8 +148,9 @@ export const scheduleSessionEndNotification = async (
     }
 
     // Cancel any stale scheduled notification first (prevents duplicates on
-    // quick session restart or app reload that calls initializeSession again)
-    await cancelSessionEndNotification();
+    // quick session restart or app reload that calls initializeSession again).
+    // scheduleCycleNotifications does this once for the whole cycle.
+    if (!phase) await cancelSessionEndNotification();
 
     const endDate = new Date(endTimeMs);
 
@@ -114,6 +160,10 @@ export const scheduleSessionEndNotification = async (
       return null;
     }
 
+    // Quiet hours never hold this one back — inside a quiet window it is
+    // delivered without sound or vibration
+    const { silent } = await getDeliveryDecision(endDate, QUIET_KINDS.SESSION_END);
+
     const durationLabel = durationMinutes != null
       ? `${Math.round(durationMinutes)}-minute `
       : '';
@@ -121,22 +171,35 @@ export const scheduleSessionEndNotification = async (
     const secondsUntilEnd = Math.max(1, Math.round((endTimeMs - Date.now()) / 1000));
     console.log('[SessionEnd] Scheduling TIME_INTERVAL trigger — seconds:', secondsUntilEnd,
       '| endTime:', endDate.toLocaleTimeString(),
-      '| sound: completion_alarm.wav');
+      `| sound: ${silent ? 'none (quiet hours)' : 'completion_alarm.wav'}`);
+
+    const { title, body } = phase
+      ? phaseContent(phase, activityName)
+      : {
+          title: 'Session Complete 🎉',
+          body: `Great work! Your ${durationLabel}${activityName} session is done.`,
+        };
 
     const id = await Notifications.scheduleNotificationAsync({
       content: {
-        title: 'Session Complete 🎉',
-        body: `Great work! Your ${durationLabel}${activityName} session is done.`,
-        sound: 'completion_alarm.wav',
-        data: { type: 'session_end' },
+        title,
+        body,
+        sound: silent ? false : 'completion_alarm.wav',
+        data: phase ? { type: 'session_end', phaseIndex: phase.index } : { type: 'session_end' },
         badge: 1,
+        ...(silent && { interruptionLevel: 'passive' }),
 
         // Android: HIGH importance shows heads-up banner on lock screen + vibration
-        ...(require('react-native').Platform.OS === 'android' && {
-          channelId: 'session-completion',
-          priority: Notifications.AndroidNotificationPriority.HIGH,
-          vibrate: [0, 500, 200, 500, 200, 500],
-        }),
+        ...(require('react-native').Platform.OS === 'android' && (silent
+          ? {
+              channelId: 'session-completion-quiet',
+              priority: Notifications.AndroidNotificationPriority.LOW,
+            }
+          : {
+              channelId: 'session-completion',
+              priority: Notifications.AndroidNotificationPriority.HIGH,
+              vibrate: [0, 500, 200, 500, 200, 500],
+            })),
       },
       trigger: {
         // TIME_INTERVAL is simpler and more reliable than DATE trigger.
@@ -149,7 +212,14 @@ export const scheduleSessionEndNotification = async (
 
     // PHASE 2: persist the OS notification id inside the active session record.
     // No more @session_end_notification_id or @session_end_time keys.
-    await updateActiveSession({ notificationId: id });
+    if (phase) {
+      const active = await getActiveSession();
+      await updateActiveSession({
+        phaseNotificationIds: { ...active?.config?.phaseNotificationIds, [phase.index]: id },
+      });
+    } else {
+      await updateActiveSession({ notificationId: id });
+    }
 
     console.log(
       `[SessionEnd] Notification scheduled for ${endDate.toLocaleTimeString()}, ` +
@@ -163,6 +233,119 @@ export const scheduleSessionEndNotification = async (
   }
 };
 
+/**
+ * Queue the end-of-phase notification for the current phase of a cycle and
+ * every phase after it, replacing anything scheduled before. Call at cycle
+ * start, on restore and on resume from pause.
+ *
+ * @param {Object} intervals     - The cycle (utils/intervalCycle)
+ * @param {number} phaseIndex    - Current phase
+ * @param {number} endTimeMs     - When the current phase ends
+ * @param {string} activityName
+ * @returns {string[]} identifiers of the notifications that were scheduled
+ */
+export const scheduleCycleNotifications = async (
+  intervals,
+  phaseIndex,
+  endTimeMs,
+  activityName = 'Focus Session'
+) => {
+  await cancelSessionEndNotification();
+
+  const phases = buildPhases(intervals);
+  const ids = [];
+  // One at a time — each call read-modify-writes phaseNotificationIds
+  for (const { index, endTime } of remainingPhaseEnds(phases, phaseIndex, endTimeMs)) {
+    const id = await scheduleSessionEndNotification(endTime, activityName, phases[index].minutes, {
+      index,
+      ended: phases[index],
+      next: phases[index + 1] ?? null,
+      rounds: intervals.rounds,
+    });
+    if (id) ids.push(id);
+  }
+
+  console.log(`[SessionEnd] Cycle: ${ids.length} phase notification(s) scheduled from phase ${phaseIndex}`);
+  return ids;
+};
+
+/**
+ * Queue silent "still going?" nudges for an open-ended session at every
+ * `checkpointMinutes` of elapsed time, replacing anything scheduled before.
+ * Call at start, on restore and on resume from pause.
+ *
+ * @param {number} elapsedMs         - Elapsed focus time right now
+ * @param {number} checkpointMinutes
+ * @param {string} activityName
+ * @returns {string[]} identifiers of the notifications that were scheduled
+ */
+export const scheduleCheckpointNotifications = async (
+  elapsedMs,
+  checkpointMinutes,
+  activityName = 'Focus Session'
+) => {
+  await cancelSessionEndNotification();
+
+  const marks = upcomingCheckpoints(elapsedMs, checkpointMinutes, MAX_QUEUED_CHECKPOINTS);
+  if (marks.length === 0) return [];
+
+  try {
+    const permitted = await ensureNotificationPermissions();
+    if (!permitted) return [];
+
+    const ids = [];
+    for (const mark of marks) {
+      const id = await Notifications.scheduleNotificationAsync({
+        content: {
+          title: `${formatElapsed(mark)} in 🕐`,
+          body: `Still in the zone with ${activityName}? Keep going, or finish when you're ready.`,
+          sound: false,
+          data: { type: 'session_checkpoint' },
+          interruptionLevel: 'passive',
+          ...(require('react-native').Platform.OS === 'android' && {
+            channelId: 'session-completion-quiet',
+            priority: Notifications.AndroidNotificationPriority.LOW,
+          }),
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+          seconds: Math.max(1, Math.round((mark - elapsedMs) / 1000)),
+          repeats: false,
+        },
+      });
+      ids.push(id);
+    }
+
+    await updateActiveSession({ checkpointNotificationIds: ids });
+    console.log(`[SessionEnd] Stopwatch: ${ids.length} checkpoint(s) every ${checkpointMinutes} min scheduled`);
+    return ids;
+  } catch (error) {
+    console.warn('[SessionEnd] Failed to schedule checkpoints (non-critical):', error);
+    return [];
+  }
+};
+
+/**
+ * Withdraw one phase's notification — the app is in the foreground and
+ * handling that transition itself (alarm in-app).
+ */
+export const cancelPhaseNotification = async (phaseIndex) => {
+  try {
+    const active = await getActiveSession();
+    const ids = active?.config?.phaseNotificationIds ?? {};
+    const id = ids[phaseIndex];
+    if (!id) return;
+
+    await Notifications.cancelScheduledNotificationAsync(id);
+    // The OS may have beaten the JS timer to it by a moment
+    await Notifications.dismissNotificationAsync(id).catch(() => {});
+    const { [phaseIndex]: _, ...rest } = ids;
+    await updateActiveSession({ phaseNotificationIds: rest });
+  } catch (error) {
+    console.warn('[SessionEnd] Phase cancel failed (non-critical):', error);
+  }
+};
+
 // ---------------------------------------------------------------------------
 // Cancel — call when session ends normally (in-app) or is abandoned
 // ---------------------------------------------------------------------------
@@ -178,10 +361,19 @@ export const cancelSessionEndNotification = async () => {
     // record), not from the retired @session_end_notification_id key.
     const active = await getActiveSession();
     const id = active?.config?.notificationId;
-    if (id) {
-      await Notifications.cancelScheduledNotificationAsync(id);
-      await updateActiveSession({ notificationId: null });
-      console.log('[SessionEnd] Scheduled notification cancelled, id:', id);
+    const ids = [
+      id,
+      ...Object.values(active?.config?.phaseNotificationIds ?? {}),
+      ...(active?.config?.checkpointNotificationIds ?? []),
+    ].filter(Boolean);
+    if (ids.length > 0) {
+      await Promise.all(ids.map(n => Notifications.cancelScheduledNotificationAsync(n)));
+      await updateActiveSession({
+        notificationId: null,
+        phaseNotificationIds: {},
+        checkpointNotificationIds: [],
+      });
+      console.log('[SessionEnd] Scheduled notification(s) cancelled, ids:', ids);
     } else {
       console.log('[SessionEnd] cancelSessionEndNotification — no id found, nothing to cancel');
     }
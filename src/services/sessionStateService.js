@@ -15,13 +15,40 @@
 //     notificationId,    // OS-scheduled session-end notification id (or null)
 //     isPaused,          // bool
 //     remainingAtPause,  // ms remaining at the moment of pause (null when running)
+//     intervals,         // interval cycle (utils/intervalCycle) or null for a single countdown
+//     phaseIndex,        // current phase of the cycle (0 for a single countdown)
+//     phaseNotificationIds, // { [phaseIndex]: OS notification id } for a cycle
+//     stopwatch,         // { checkpointMinutes } for an open-ended session, else null
+//     pausedMs,          // stopwatch: total ms spent paused so far
+//     checkpointNotificationIds, // stopwatch: queued checkpoint nudge ids
+//     pauses,            // pause timeline (utils/pauseLog) — saved on the session
+//     extendedMinutes,   // minutes added on top of duration (single countdown)
+//     focusBlock,        // planned block occurrence key (utils/focusBlocks) or null
+//     intention,         // what the user set out to do (utils/intentions) or null
+//     parked,            // thoughts parked without pausing (utils/parkingLot) — saved on the session
 //   }
 //
+// For a cycle, endTime and remainingAtPause describe the current phase, and
+// duration is the cycle's total focus minutes. getActiveSession() moves a
+// cycle on past any phases that ended while the app was closed, so a restore
+// always lands in the right phase.
+//
+// A stopwatch counts down to its cap (utils/stopwatch), so endTime works as
+// for any session; its elapsed time is rebuilt from startTime and pausedMs.
+// Unlike a countdown, a paused stopwatch survives an app kill — it has no
+// end to fall back on, and dropping it would lose the time already tracked.
+//
 // The legacy keys @session_end_time and @session_remaining_ms are no longer
 // read or written anywhere in the app. They have been folded into the record
 // above as endTime + remainingAtPause.
+//
+// Every change to endTime is also published to Firestore (focusPresenceService)
+// so server-sent reminders can be held while a session — or the rest of a
+// cycle — is running.
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { publishFocusSession } from './focusPresenceService';
+import { buildPhases, advanceCycle, cycleEndTime } from '../utils/intervalCycle';
 
 const ACTIVE_KEY = '@active_session_config';
 const LAST_KEY   = '@last_session_config';
@@ -29,21 +56,40 @@ const LAST_KEY   = '@last_session_config';
 // ─── Active session (in-flight) ───────────────────────────────────────────────
 
 /**
- * Persist the full session record. Called once at session start.
+ * When the whole session is over: endTime, or for a cycle the end of its
+ * last phase. Null while paused.
+ */
+export const sessionEndsAt = (config) => {
+  if (config?.endTime == null) return null;
+  if (!config.intervals) return config.endTime;
+  return cycleEndTime(buildPhases(config.intervals), config.phaseIndex ?? 0, config.endTime);
+};
+
+/**
+ * Persist the full session record. Called at session start, and again when
+ * a restored session starts back up. Every field given is kept — the ones
+ * below only get defaults — so a field added to the record survives a
+ * restore without a change here.
  */
 export const setActiveSession = async (session) => {
   try {
     await AsyncStorage.setItem(ACTIVE_KEY, JSON.stringify({
-      startTime:        session.startTime,
+      ...session,
       endTime:          session.endTime ?? null,
-      activity:         session.activity,
-      duration:         session.duration,
-      musicChoice:      session.musicChoice,
       focusLockEnabled: session.focusLockEnabled ?? false,
       notificationId:   session.notificationId ?? null,
       isPaused:         session.isPaused ?? false,
       remainingAtPause: session.remainingAtPause ?? null,
+      intervals:        session.intervals ?? null,
+      phaseIndex:       session.phaseIndex ?? 0,
+      phaseNotificationIds: session.phaseNotificationIds ?? {},
+      stopwatch:        session.stopwatch ?? null,
+      pausedMs:         session.pausedMs ?? 0,
+      checkpointNotificationIds: session.checkpointNotificationIds ?? [],
+      pauses:           session.pauses ?? [],
+      extendedMinutes:  session.extendedMinutes ?? 0,
     }));
+    publishFocusSession(sessionEndsAt(session));
   } catch (error) {
     console.warn('[sessionStateService] setActiveSession failed:', error);
   }
@@ -56,13 +102,15 @@ export const setActiveSession = async (session) => {
  * Patch a subset of fields on the active session. Used to:
  *   - write notificationId once scheduleSessionEndNotification returns
  *   - flip isPaused / remainingAtPause / endTime on pause and resume
+ *   - move a cycle on to its next phase (phaseIndex + endTime)
  */
 export const updateActiveSession = async (partial) => {
   try {
     const raw = await AsyncStorage.getItem(ACTIVE_KEY);
     if (!raw) return;
-    const current = JSON.parse(raw);
-    await AsyncStorage.setItem(ACTIVE_KEY, JSON.stringify({ ...current, ...partial }));
+    const next = { ...JSON.parse(raw), ...partial };
+    await AsyncStorage.setItem(ACTIVE_KEY, JSON.stringify(next));
+    if ('endTime' in partial) publishFocusSession(sessionEndsAt(next));
   } catch (error) {
     console.warn('[sessionStateService] updateActiveSession failed:', error);
   }
@@ -75,6 +123,7 @@ export const updateActiveSession = async (partial) => {
 export const clearActiveSession = async () => {
   try {
     await AsyncStorage.removeItem(ACTIVE_KEY);
+    publishFocusSession(null);
   } catch (_) {}
 };
 
@@ -84,12 +133,27 @@ export const clearActiveSession = async () => {
  */
 export const discardActiveSession = clearActiveSession;
 
+/**
+ * The stored record as it is, or null. Unlike getActiveSession() this never
+ * drops a paused countdown or catches a cycle up — for callers that only need
+ * to know whether a session is under way.
+ */
+export const peekActiveSession = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(ACTIVE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (_) {
+    return null;
+  }
+};
+
 /**
  * Read the in-flight session. Returns:
  *   null                                       — no active session
  *   { config, endTime, status: 'running' }     — timer hasn't expired yet
  *   { config, endTime, status: 'expired' }     — timer expired while app was away
- *   { config, endTime: null, status: 'paused' } — session was paused
+ *                                                (for a cycle: its last phase did)
+ *   { config, endTime: null, status: 'paused' } — a stopwatch was paused
  *
  * `config` is the full record (matches the shape stored by setActiveSession).
  * `endTime` is mirrored to the top level for backward-compatible call sites
@@ -107,6 +171,10 @@ export const getActiveSession = async () => {
       return null;
     }
 
+    if (config.isPaused && config.stopwatch) {
+      return { config, endTime: null, status: 'paused' };
+    }
+
     if (config.isPaused) {
       // Match pre-Phase-2 behavior: paused sessions don't survive an app kill.
       // The old useSessionTimer.pause() removed @session_end_time, and the old
@@ -118,10 +186,27 @@ export const getActiveSession = async () => {
       return null;
     }
 
+    // A cycle keeps running while the app is closed — catch up to the phase
+    // the clock is in now and save that, so every caller sees the same phase.
+    const now = Date.now();
+    if (config.intervals && config.endTime <= now) {
+      const caughtUp = advanceCycle(
+        buildPhases(config.intervals),
+        config.phaseIndex ?? 0,
+        config.endTime,
+        now
+      );
+      if (caughtUp.phaseIndex !== config.phaseIndex) {
+        config.phaseIndex = caughtUp.phaseIndex;
+        config.endTime = caughtUp.endTime;
+        await AsyncStorage.setItem(ACTIVE_KEY, JSON.stringify(config));
+      }
+    }
+
     return {
       config,
       endTime: config.endTime,
-      status: config.endTime > Date.now() ? 'running' : 'expired',
+      status: config.endTime > now ? 'running' : 'expired',
     };
   } catch (_) {
     return null;
@@ -137,6 +222,9 @@ export const saveLastSessionConfig = async (config) => {
       activityName:     config.activityName || '',
       duration:         config.duration,
       musicChoice:      config.musicChoice,
+      focusLockEnabled: !!config.focusLockEnabled,
+      intervals:        config.intervals ?? null,
+      stopwatch:        config.stopwatch ?? null,
       completedAt:      Date.now(),
       hasOfferedRestart: false,
     }));
@@ -2,29 +2,22 @@
 //
 // Streak tracking: counts consecutive days on which the user completed at least
 // one focus session. Also manages the "streak risk" local notification that fires
-// at 7 pm if the user hasn't focused yet that day.
+// at 7 pm if the user hasn't focused yet that day (moved or skipped by the
+// user's quiet hours — see quietHoursService).
 //
 // Storage key: @streak_data  { count: number, lastSessionDate: 'YYYY-MM-DD' }
-// All dates are UTC ISO date strings (toISOString().split('T')[0]) for consistency
-// across time zones.
+// All dates are local calendar dates in the user's time zone (dateHelpers),
+// the same buckets sessions are stored under.
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from 'expo-notifications';
+import { getLocalToday, addDaysToDateString } from '../utils/dateHelpers';
+import { getDeliveryDecision, QUIET_KINDS } from './quietHoursService';
 
 const STREAK_KEY              = '@streak_data';
 const STREAK_RISK_NOTIF_KEY   = '@streak_risk_notif_id';
 const LAST_STREAK_MODAL_KEY   = '@last_streak_modal_seen';
 
-// ─── Date helpers ─────────────────────────────────────────────────────────────
-
-const utcToday = () => new Date().toISOString().split('T')[0];
-
-const utcYesterday = () => {
-  const d = new Date();
-  d.setUTCDate(d.getUTCDate() - 1);
-  return d.toISOString().split('T')[0];
-};
-
 // ─── Streak read / write ──────────────────────────────────────────────────────
 
 /**
@@ -38,8 +31,8 @@ export const getStreak = async () => {
     if (!raw) return { count: 0, lastSessionDate: null };
 
     const data = JSON.parse(raw);
-    const today     = utcToday();
-    const yesterday = utcYesterday();
+    const today     = getLocalToday();
+    const yesterday = addDaysToDateString(today, -1);
 
     // Streak is still live today or yesterday — no reset needed
     if (
@@ -66,8 +59,8 @@ export const getStreak = async () => {
  */
 export const incrementStreak = async () => {
   try {
-    const today     = utcToday();
-    const yesterday = utcYesterday();
+    const today     = getLocalToday();
+    const yesterday = addDaysToDateString(today, -1);
     const current   = await getStreak();
 
     if (current.lastSessionDate === today) {
@@ -86,7 +79,7 @@ export const incrementStreak = async () => {
     return updated;
   } catch (error) {
     console.warn('[StreakService] incrementStreak failed:', error);
-    return { count: 1, lastSessionDate: utcToday() };
+    return { count: 1, lastSessionDate: getLocalToday() };
   }
 };
 
@@ -102,7 +95,7 @@ export const incrementStreak = async () => {
 export const scheduleStreakRiskNotification = async (streak) => {
   try {
     // If user already focused today, no risk — cancel any pending notification
-    if (streak.lastSessionDate === utcToday()) {
+    if (streak.lastSessionDate === getLocalToday()) {
       await cancelStreakRiskNotification();
       return;
     }
@@ -117,8 +110,13 @@ export const scheduleStreakRiskNotification = async (streak) => {
     const existingId = await AsyncStorage.getItem(STREAK_RISK_NOTIF_KEY);
     if (existingId) {
       await Notifications.cancelScheduledNotificationAsync(existingId).catch(() => {});
+      await AsyncStorage.removeItem(STREAK_RISK_NOTIF_KEY);
     }
 
+    // Quiet hours: 7 pm may move to the end of today's window, or not happen
+    const delivery = await getDeliveryDecision(sevenPm, QUIET_KINDS.REMINDER);
+    if (delivery.action === 'drop') return;
+
     const title = streak.count > 1
       ? `Keep your ${streak.count}-day streak alive 🔥`
       : 'Time for a focus session 🧠';
@@ -132,12 +130,12 @@ export const scheduleStreakRiskNotification = async (streak) => {
       },
       trigger: {
         type: Notifications.SchedulableTriggerInputTypes.DATE,
-        date: sevenPm,
+        date: delivery.at,
       },
     });
 
     await AsyncStorage.setItem(STREAK_RISK_NOTIF_KEY, id);
-    console.log(`[StreakService] Risk notification scheduled for 7pm (id: ${id})`);
+    console.log(`[StreakService] Risk notification scheduled for ${delivery.at.toLocaleTimeString()} (id: ${id})`);
   } catch (error) {
     console.warn('[StreakService] scheduleStreakRiskNotification failed:', error);
   }
@@ -160,7 +158,7 @@ export const getLastStreakModalSeen = async () => {
 
 /**
  * Persist the date on which the streak modal was shown.
- * @param {string} dateString — YYYY-MM-DD (use utcToday() for consistency)
+ * @param {string} dateString — YYYY-MM-DD (use dateHelpers.getLocalToday())
  */
 export const setLastStreakModalSeen = async (dateString) => {
   try {
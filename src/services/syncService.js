@@ -0,0 +1,339 @@
+// src/services/syncService.js
+//
+// Two-way session sync between the local SQLite store and
+// users/{uid}/sessions in Firestore.
+//
+// ─── Push ─────────────────────────────────────────────────────────────────────
+// Every local change is queued in the sync_outbox table (SyncOutboxRepository)
+// and pushed one session at a time. A failed push stays queued and is retried
+// with exponential backoff, so nothing is lost to a dropped connection or a
+// crash between the local write and the push.
+//
+// ─── Pull ─────────────────────────────────────────────────────────────────────
+// Each push stamps the doc's `updatedAt` with the server time. A pull fetches
+// docs updated since the per-user cursor in '@sync_cursor:<uid>' (everything
+// on the first pull), applies them locally, and advances the cursor.
+//
+// ─── Conflicts ────────────────────────────────────────────────────────────────
+// Last writer wins on `metadata.modified`, for edits and deletes alike
+// (deletes travel as `deleted: true` tombstones). Each cycle pulls before it
+// pushes, and each push re-reads the remote doc in the same transaction as
+// its write, so a queued local change that is older than the remote copy is
+// dropped instead of overwriting the newer edit from another device — even
+// one written between this cycle's pull and push.
+//
+// All exports are safe to call when logged out — a cycle is skipped if no
+// user is signed in — and never throw.
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import auth from '@react-native-firebase/auth';
+import SessionRepository from './database/SessionRepository';
+import SyncOutboxRepository from './database/SyncOutboxRepository';
+import { writeSessionChange, fetchSessionsUpdatedSince, SESSION_FIELDS } from './firestoreSessionService';
+import { isValidSession } from '../utils/storageValidators';
+
+const CURSOR_KEY_PREFIX = '@sync_cursor:';
+
+const PUSH_BATCH_LIMIT = 50;
+const BACKOFF_BASE_MS  = 30 * 1000;
+const BACKOFF_MAX_MS   = 60 * 60 * 1000;
+
+// A push is a transaction, which needs the server; a stalled connection would
+// hang the cycle without this. The retry is idempotent.
+const PUSH_TIMEOUT_MS = 15 * 1000;
+
+// Server timestamps from concurrent writers can land slightly out of order,
+// so each pull re-reads a little before the cursor. Re-applied docs are
+// no-ops under the modified comparison.
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+let syncInFlight = null;
+let rerunRequested = false;
+let retryTimer = null;
+let pullFailures = 0;
+let appStateSubscription = null;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const modifiedOf = (session) => session?.metadata?.modified ?? 0;
+
+// 30s, 1m, 2m, 4m ... capped at 1h, with up to 20% jitter so many queued
+// changes don't retry in lockstep
+const backoffDelay = (attempts) => {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return base + Math.floor(Math.random() * base * 0.2);
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms)),
+]);
+
+/**
+ * Remote doc → local session row, or null if it can't be stored
+ */
+const toLocalSession = (doc) => {
+  const session = { syncStatus: 'synced' };
+  SESSION_FIELDS.forEach((field) => {
+    if (doc[field] !== undefined && doc[field] !== null) {
+      session[field] = doc[field];
+    }
+  });
+  if (!session.id || !session.date || !session.timestamp || !isValidSession(session)) {
+    return null;
+  }
+  return session;
+};
+
+// ─── Pull ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Apply one remote doc if it is newer than the local copy
+ * @returns {Promise<boolean>} - true if local data changed
+ */
+const applyRemote = async (doc) => {
+  const local = await SessionRepository.getById(doc.id);
+  const remoteModified = modifiedOf(doc);
+
+  if (doc.deleted) {
+    if (!local || remoteModified < modifiedOf(local)) return false;
+    await SessionRepository.deleteById(doc.id);
+    await SyncOutboxRepository.remove(doc.id);
+    return true;
+  }
+
+  const remote = toLocalSession(doc);
+  if (!remote) {
+    console.log('⚠️ [syncService] Skipping malformed remote session:', doc.id);
+    return false;
+  }
+
+  if (!local) {
+    // Deleted here after the remote edit — the queued tombstone wins
+    const pending = await SyncOutboxRepository.get(doc.id);
+    if (pending?.op === 'delete' && pending.modified >= remoteModified) return false;
+
+    await SessionRepository.insert(remote);
+    await SyncOutboxRepository.remove(doc.id);
+    return true;
+  }
+
+  if (remoteModified <= modifiedOf(local)) return false;
+
+  await SessionRepository.update(remote);
+  await SyncOutboxRepository.remove(doc.id);
+  return true;
+};
+
+const pull = async (uid) => {
+  const cursorKey = CURSOR_KEY_PREFIX + uid;
+  const cursor = Number(await AsyncStorage.getItem(cursorKey)) || 0;
+
+  const docs = await fetchSessionsUpdatedSince(uid, cursor ? cursor - CURSOR_OVERLAP_MS : null);
+
+  let applied = 0;
+  let newCursor = cursor;
+  for (const doc of docs) {
+    if (await applyRemote(doc)) applied++;
+    if (doc.updatedAt && doc.updatedAt > newCursor) newCursor = doc.updatedAt;
+  }
+
+  // Docs written before `updatedAt` existed only come back on the first full
+  // pull; a non-zero cursor keeps later pulls incremental even if none had it
+  newCursor = Math.max(newCursor, 1);
+  if (newCursor !== cursor) {
+    await AsyncStorage.setItem(cursorKey, String(newCursor));
+  }
+
+  return applied;
+};
+
+// ─── Push ─────────────────────────────────────────────────────────────────────
+
+// Another device wrote a newer copy after this cycle's pull. The local change
+// is dropped; a follow-up cycle pulls the newer copy in.
+const supersededRemotely = (sessionId) => {
+  console.log('⚠️ [syncService] Remote copy is newer — dropped local change to', sessionId);
+  requestSync();
+};
+
+const pushEntry = async (uid, entry) => {
+  if (entry.op === 'delete') {
+    const written = await withTimeout(
+      writeSessionChange(uid, { op: 'delete', sessionId: entry.session_id, modified: entry.modified }),
+      PUSH_TIMEOUT_MS
+    );
+    await SyncOutboxRepository.complete(entry.session_id, entry.modified);
+    if (!written) supersededRemotely(entry.session_id);
+    return;
+  }
+
+  const session = await SessionRepository.getById(entry.session_id);
+  if (!session) {
+    // Row is gone without a queued delete (e.g. local repair) — nothing to send
+    await SyncOutboxRepository.remove(entry.session_id);
+    return;
+  }
+
+  const written = await withTimeout(
+    writeSessionChange(uid, { op: 'upsert', sessionId: session.id, session, modified: entry.modified }),
+    PUSH_TIMEOUT_MS
+  );
+  await SyncOutboxRepository.complete(entry.session_id, entry.modified);
+  if (!written) {
+    supersededRemotely(session.id);
+    return;
+  }
+  await SessionRepository.markSynced(session.id, entry.modified);
+};
+
+const push = async (uid) => {
+  const due = await SyncOutboxRepository.getDue(Date.now(), PUSH_BATCH_LIMIT);
+  let pushed = 0;
+
+  for (const entry of due) {
+    try {
+      await pushEntry(uid, entry);
+      pushed++;
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      await SyncOutboxRepository.fail(
+        entry.session_id,
+        attempts,
+        Date.now() + backoffDelay(attempts),
+        error.message
+      );
+      console.log(`❌ [syncService] Push of ${entry.session_id} failed (attempt ${attempts}):`, error.message);
+    }
+  }
+
+  return pushed;
+};
+
+// ─── Scheduling ───────────────────────────────────────────────────────────────
+
+const scheduleRetry = (delay) => {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  if (delay === null || AppState.currentState !== 'active') return;
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    requestSync();
+  }, Math.max(delay, 1000));
+};
+
+const runSync = async () => {
+  const user = auth().currentUser;
+  if (!user) {
+    return { success: false, skipped: true };
+  }
+
+  try {
+    await SyncOutboxRepository.enqueueUnsynced();
+
+    let pulled = 0;
+    try {
+      pulled = await pull(user.uid);
+      pullFailures = 0;
+    } catch (error) {
+      // Without a fresh pull a push could overwrite a newer remote edit
+      pullFailures++;
+      console.log('❌ [syncService] Pull failed — skipping push:', error.message);
+      scheduleRetry(backoffDelay(pullFailures));
+      return { success: false, error: error.message };
+    }
+
+    const pushed = await push(user.uid);
+
+    const nextAttemptAt = await SyncOutboxRepository.nextAttemptAt();
+    scheduleRetry(nextAttemptAt === null ? null : nextAttemptAt - Date.now());
+
+    if (pulled > 0 || pushed > 0) {
+      console.log(`✅ [syncService] Sync complete — pulled ${pulled}, pushed ${pushed}`);
+    }
+    return { success: true, pulled, pushed };
+  } catch (error) {
+    console.log('❌ [syncService] Sync failed:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Run a sync cycle now. Calls made while a cycle is running coalesce into
+ * one follow-up cycle.
+ *
+ * @returns {Promise<{ success: boolean, pulled?: number, pushed?: number, skipped?: boolean, error?: string }>}
+ */
+export const requestSync = () => {
+  if (syncInFlight) {
+    rerunRequested = true;
+    return syncInFlight;
+  }
+
+  syncInFlight = runSync().finally(() => {
+    syncInFlight = null;
+    if (rerunRequested) {
+      rerunRequested = false;
+      requestSync();
+    }
+  });
+  return syncInFlight;
+};
+
+/**
+ * Start syncing: one cycle now, and another each time the app returns to
+ * the foreground. Idempotent — called after every sign-in.
+ */
+export const startSync = () => {
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        requestSync();
+      } else {
+        scheduleRetry(null);
+      }
+    });
+  }
+  return requestSync();
+};
+
+/**
+ * Queue a created or edited session for push and kick off a sync.
+ * Callers must bump `metadata.modified` before saving the edit locally.
+ */
+export const queueSessionUpsert = async (session) => {
+  try {
+    await SyncOutboxRepository.enqueue(session.id, 'upsert', modifiedOf(session));
+    requestSync();
+  } catch (error) {
+    // enqueueUnsynced() picks the row up on the next cycle
+    console.log('❌ [syncService] Could not queue session:', error.message);
+  }
+};
+
+/**
+ * Queue a tombstone for a session deleted locally and kick off a sync.
+ */
+export const queueSessionDelete = async (sessionId, modified = Date.now()) => {
+  try {
+    await SyncOutboxRepository.enqueue(sessionId, 'delete', modified);
+    requestSync();
+  } catch (error) {
+    console.log('❌ [syncService] Could not queue delete:', error.message);
+  }
+};
+
+/**
+ * Outbox size, for DevTools
+ */
+export const getPendingCount = async () => {
+  try {
+    return await SyncOutboxRepository.count();
+  } catch (_) {
+    return 0;
+  }
+};
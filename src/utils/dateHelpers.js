@@ -119,4 +119,85 @@ export function getDateDaysAgo(daysAgo) {
    */
   export function secondsToMinutes(seconds) {
     return Math.round(seconds / 60);
-  }
\ No newline at end of file
+  }
+
+  // ─── Local calendar dates ───────────────────────────────────────────────────
+  //
+  // Sessions, streaks and daily counters are bucketed by 'YYYY-MM-DD' in the
+  // user's time zone, never by the UTC date from toISOString() — otherwise an
+  // evening session in the Americas lands on tomorrow.
+
+  const pad2 = (n) => String(n).padStart(2, '0');
+
+  const zoneFormatters = {};
+
+  // Intl formatters are expensive to build; one per zone is enough
+  const getZoneFormatter = (timeZone) => {
+    if (!zoneFormatters[timeZone]) {
+      zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+      });
+    }
+    return zoneFormatters[timeZone];
+  };
+
+  /**
+   * The user's IANA time zone (from the device), e.g. 'America/New_York'
+   */
+  export function getUserTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (_) {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Calendar date of a moment in the user's time zone
+   * @param {number|Date} timestamp - Defaults to now
+   * @param {string} timeZone - IANA zone; defaults to the device zone
+   * @returns {string} - 'YYYY-MM-DD'
+   */
+  export function toLocalDateString(timestamp = Date.now(), timeZone = null) {
+    const date = new Date(timestamp);
+
+    if (!timeZone) {
+      return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+    }
+
+    const parts = {};
+    getZoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  /**
+   * Today's date in the user's time zone
+   * @returns {string} - 'YYYY-MM-DD'
+   */
+  export function getLocalToday(timeZone = null) {
+    return toLocalDateString(Date.now(), timeZone);
+  }
+
+  /**
+   * Move a 'YYYY-MM-DD' date by whole calendar days. Pure calendar arithmetic,
+   * so a 23- or 25-hour DST day still counts as one day.
+   * @returns {string} - 'YYYY-MM-DD'
+   */
+  export function addDaysToDateString(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+  }
+
+  /**
+   * Day of week (0 = Sunday) of a 'YYYY-MM-DD' date
+   */
+  export function getDayOfWeek(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
@@ -0,0 +1,200 @@
+// src/utils/focusBlocks.js - Planned focus blocks
+//
+// A block is a session planned ahead of time:
+//
+//   { id, activity, duration, musicChoice, focusLockEnabled,
+//     date,    // 'YYYY-MM-DD' — the day it happens, or the first day it repeats
+//     time,    // 'HH:MM' local start time
+//     repeat,  // null for a one-off, else weekday indexes (Date#getDay, 0 = Sunday)
+//     until,   // 'YYYY-MM-DD' last day a repeating block runs, or null
+//     createdAt }
+//
+// Each day a block happens on is an occurrence, keyed `${blockId}@${date}`.
+// Nothing about occurrences is stored: they are expanded from the block, and
+// whether one was kept is worked out from the saved sessions — a session
+// started from the block's notification carries the key as `focusBlock`, and
+// any session of the same activity started close to the planned time counts
+// too, so starting from Home on time isn't held against the user.
+
+import { addDaysToDateString, getDayOfWeek, toLocalDateString } from './dateHelpers';
+
+export const REPEAT_OPTIONS = [
+  { id: 'once',     label: 'Once' },
+  { id: 'daily',    label: 'Every day',     days: [0, 1, 2, 3, 4, 5, 6] },
+  { id: 'weekdays', label: 'Every weekday', days: [1, 2, 3, 4, 5] },
+  { id: 'weekly',   label: 'Every week' },  // on the block's own weekday
+];
+
+// A session starting this close to the planned time keeps the block
+export const MATCH_WINDOW_MS = 30 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const occurrenceKey = (blockId, date) => `${blockId}@${date}`;
+
+/**
+ * Weekday indexes for a REPEAT_OPTIONS id.
+ * @param {string} optionId
+ * @param {string} date - 'YYYY-MM-DD', for 'weekly'
+ * @returns {number[]|null}
+ */
+export function repeatDaysFor(optionId, date) {
+  if (optionId === 'weekly') return [getDayOfWeek(date)];
+  return REPEAT_OPTIONS.find(option => option.id === optionId)?.days ?? null;
+}
+
+/**
+ * The REPEAT_OPTIONS id a block's repeat matches, for editing.
+ * @param {Object} block
+ * @returns {string}
+ */
+export function repeatOptionOf({ repeat, date }) {
+  if (!repeat) return 'once';
+  const match = REPEAT_OPTIONS.find(option =>
+    option.id !== 'once' && sameDays(repeatDaysFor(option.id, date), repeat));
+  return match?.id ?? 'weekly';
+}
+
+const sameDays = (a, b) => a.length === b.length && a.every(day => b.includes(day));
+
+// Monday first, as people read a week
+const weekOrder = (day) => (day + 6) % 7;
+
+/**
+ * "Every weekday at 09:00" / "Mon, Wed at 18:30" / "Once at 14:00".
+ * @param {Object} block
+ * @returns {string}
+ */
+export function describeRepeat(block) {
+  const option = repeatOptionOf(block);
+  let days = REPEAT_OPTIONS.find(o => o.id === option).label;
+  if (option === 'weekly') {
+    days = block.repeat.length === 1
+      ? `Every ${DAY_NAMES[block.repeat[0]]}`
+      : [...block.repeat].sort((a, b) => weekOrder(a) - weekOrder(b)).map(day => DAY_NAMES[day]).join(', ');
+  }
+  return `${days} at ${block.time}`;
+}
+
+/**
+ * Local start of a block on a given day.
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @returns {number} ms
+ */
+export function startOf(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+const happensOn = (block, date) => {
+  if (date < block.date || (block.until && date > block.until)) return false;
+  return block.repeat ? block.repeat.includes(getDayOfWeek(date)) : date === block.date;
+};
+
+/**
+ * Occurrences of one block starting in [fromMs, toMs), oldest first.
+ * @param {Object} block
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Array<{ key: string, block: Object, date: string, startAt: number, endAt: number }>}
+ */
+export function occurrencesBetween(block, fromMs, toMs) {
+  const occurrences = [];
+  const lastDate = toLocalDateString(toMs);
+  let date = toLocalDateString(fromMs);
+  if (date < block.date) date = block.date;
+  if (!block.repeat && date > block.date) return occurrences;
+
+  for (; date <= lastDate; date = addDaysToDateString(date, 1)) {
+    if (!happensOn(block, date)) continue;
+    const startAt = startOf(date, block.time);
+    if (startAt >= fromMs && startAt < toMs) {
+      occurrences.push({
+        key: occurrenceKey(block.id, date),
+        block,
+        date,
+        startAt,
+        endAt: startAt + block.duration * MINUTE_MS,
+      });
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Occurrences of every block starting in [fromMs, toMs), by start time.
+ * @param {Array} blocks
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Array}
+ */
+export const allOccurrencesBetween = (blocks, fromMs, toMs) =>
+  blocks
+    .flatMap(block => occurrencesBetween(block, fromMs, toMs))
+    .sort((a, b) => a.startAt - b.startAt);
+
+/**
+ * The date of a block's last occurrence that has already started, for ending
+ * a repeating block without losing its history.
+ * @param {Object} block
+ * @param {number} now - ms
+ * @returns {string|null}
+ */
+export function lastStartedDate(block, now) {
+  const started = occurrencesBetween(block, startOf(block.date, '00:00'), now + 1);
+  return started.length > 0 ? started[started.length - 1].date : null;
+}
+
+const sessionStart = (session) => session.timestamp - (session.duration || 0) * MINUTE_MS;
+
+/**
+ * Mark each occurrence kept, missed or upcoming against the saved sessions.
+ * A session keeps at most one occurrence.
+ * @param {Array} occurrences - From allOccurrencesBetween
+ * @param {Array} sessions - Stored sessions (duration in minutes, timestamp at save)
+ * @param {number} now - ms
+ * @returns {Array} occurrences with `status` ('kept' | 'missed' | 'upcoming') and `sessionId`
+ */
+export function matchOccurrences(occurrences, sessions, now) {
+  const used = new Set();
+  const byKey = new Map(sessions.filter(s => s.focusBlock).map(s => [s.focusBlock, s]));
+
+  return occurrences.map(occurrence => {
+    const linked = byKey.get(occurrence.key);
+    const session = linked && !used.has(linked.id)
+      ? linked
+      : sessions.find(s =>
+        !used.has(s.id) &&
+        s.activity === occurrence.block.activity &&
+        Math.abs(sessionStart(s) - occurrence.startAt) <= MATCH_WINDOW_MS);
+
+    if (session) {
+      used.add(session.id);
+      return { ...occurrence, status: 'kept', sessionId: session.id };
+    }
+    // Not missed while it could still be started late, or is being worked on
+    // and not yet saved
+    const status = now < occurrence.endAt + MATCH_WINDOW_MS ? 'upcoming' : 'missed';
+    return { ...occurrence, status, sessionId: null };
+  });
+}
+
+/**
+ * Planned-vs-completed over a range. Upcoming occurrences aren't counted.
+ * @param {Array} blocks
+ * @param {Array} sessions
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @param {number} now - ms
+ * @returns {{ planned: number, kept: number, missed: number, rate: number|null }}
+ */
+export function planAdherence(blocks, sessions, fromMs, toMs, now) {
+  const matched = matchOccurrences(allOccurrencesBetween(blocks, fromMs, toMs), sessions, now);
+  const kept = matched.filter(o => o.status === 'kept').length;
+  const missed = matched.filter(o => o.status === 'missed').length;
+  const planned = kept + missed;
+  return { planned, kept, missed, rate: planned > 0 ? kept / planned : null };
+}
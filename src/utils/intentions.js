@@ -0,0 +1,70 @@
+// src/utils/intentions.js - Session intentions and whether they were met
+//
+// Before a session starts the user can set an intention — one line on what
+// they mean to get done. It's saved on the session as `intention`, and the
+// rating screen asks how it went, stored as `rating.intentionAchieved`:
+// one of the INTENTION_OUTCOMES ids, or null if it wasn't answered.
+//
+// The intention is prefilled from the last "What will you do next?" answer
+// for the same activity, so a plan made at the end of one session carries
+// into the next.
+
+export const INTENTION_OUTCOMES = [
+  { id: 'yes',    label: 'Yes' },
+  { id: 'partly', label: 'Partly' },
+  { id: 'no',     label: 'No' },
+];
+
+// Same cap as the rating screen's "What did you work on?"
+export const MAX_INTENTION_LENGTH = 120;
+
+/**
+ * Trimmed, length-capped intention, or null if there's nothing to keep.
+ * @param {*} text
+ * @returns {string|null}
+ */
+export function cleanIntention(text) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim().slice(0, MAX_INTENTION_LENGTH);
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+export const isIntentionOutcome = (value) => INTENTION_OUTCOMES.some(o => o.id === value);
+
+/**
+ * The most recent non-empty nextStep for an activity.
+ * @param {Array} sessions - Stored sessions, any order
+ * @param {string} activityId
+ * @returns {string|null}
+ */
+export function lastNextStepFor(sessions, activityId) {
+  const latest = sessions
+    .filter(s => s.activity === activityId && s.rating?.reflection?.nextStep?.trim())
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+  return latest ? latest.rating.reflection.nextStep.trim() : null;
+}
+
+/**
+ * How often intentions were met. `partly` counts as half.
+ * @param {Array<{ intention, intentionAchieved }>} sessions
+ * @returns {{ withIntention: number, answered: number, achieved: number,
+ *             partly: number, missed: number, achievedRate: number }|null}
+ *   null when no session in the list had an intention that was answered
+ */
+export function intentionStats(sessions) {
+  const withIntention = sessions.filter(s => cleanIntention(s.intention));
+  const answered = withIntention.filter(s => isIntentionOutcome(s.intentionAchieved));
+  if (answered.length === 0) return null;
+
+  const count = (id) => answered.filter(s => s.intentionAchieved === id).length;
+  const achieved = count('yes');
+  const partly = count('partly');
+  return {
+    withIntention: withIntention.length,
+    answered: answered.length,
+    achieved,
+    partly,
+    missed: count('no'),
+    achievedRate: Math.round(((achieved + partly / 2) / answered.length) * 100) / 100,
+  };
+}
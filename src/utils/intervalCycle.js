@@ -0,0 +1,181 @@
+// src/utils/intervalCycle.js - Interval (Pomodoro) cycles
+//
+// A cycle is described by its intervals:
+//
+//   { id, label, focusMinutes, breakMinutes, rounds, longBreakMinutes }
+//
+// and expands into phases — focus, break, focus, break, …, focus, long break:
+//
+//   4 × (50 + 10), long break 30  →  F50 B10 F50 B10 F50 B10 F50 L30
+//
+// Phases chain on absolute time: each one ends exactly `minutes` after the
+// previous end, not after whenever the app noticed it. That is what lets the
+// OS-scheduled notifications for every phase be queued up front, and lets a
+// restored session work out the current phase from nothing but the stored
+// phaseIndex + endTime and the clock.
+
+export const PHASE_TYPES = {
+  FOCUS: 'focus',
+  BREAK: 'break',
+  LONG_BREAK: 'long_break',
+};
+
+export const INTERVAL_PRESETS = [
+  { id: 'pomodoro', label: 'Pomodoro', focusMinutes: 25, breakMinutes: 5, rounds: 4, longBreakMinutes: 15 },
+  { id: 'deep', label: 'Deep cycles', focusMinutes: 50, breakMinutes: 10, rounds: 4, longBreakMinutes: 30 },
+  { id: 'ultradian', label: 'Ultradian', focusMinutes: 90, breakMinutes: 20, rounds: 2, longBreakMinutes: 30 },
+];
+
+// 15-second phases for trying transitions out in development
+export const DEV_INTERVAL_PRESET = {
+  id: 'dev', label: 'DEV', focusMinutes: 0.25, breakMinutes: 0.25, rounds: 2, longBreakMinutes: 0.25,
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const isPositive = (value) => typeof value === 'number' && value > 0 && Number.isFinite(value);
+
+/**
+ * Sanity-check stored or route-param intervals.
+ * @param {Object|null|undefined} intervals
+ * @returns {Object|null} The intervals, or null if they can't describe a cycle
+ */
+export function normalizeIntervals(intervals) {
+  if (!intervals) return null;
+  const { focusMinutes, breakMinutes, rounds, longBreakMinutes = 0 } = intervals;
+  if (!isPositive(focusMinutes) || !isPositive(breakMinutes)) return null;
+  if (!Number.isInteger(rounds) || rounds < 1) return null;
+
+  return {
+    id: intervals.id ?? null,
+    label: intervals.label ?? '',
+    focusMinutes,
+    breakMinutes,
+    rounds,
+    longBreakMinutes: isPositive(longBreakMinutes) ? longBreakMinutes : 0,
+  };
+}
+
+/**
+ * Expand intervals into the ordered list of phases.
+ * @param {Object} intervals
+ * @returns {Array<{ type: string, minutes: number, round: number }>}
+ */
+export function buildPhases(intervals) {
+  const { focusMinutes, breakMinutes, rounds, longBreakMinutes } = normalizeIntervals(intervals);
+  const phases = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    phases.push({ type: PHASE_TYPES.FOCUS, minutes: focusMinutes, round });
+    if (round < rounds) {
+      phases.push({ type: PHASE_TYPES.BREAK, minutes: breakMinutes, round });
+    }
+  }
+  if (longBreakMinutes > 0) {
+    phases.push({ type: PHASE_TYPES.LONG_BREAK, minutes: longBreakMinutes, round: rounds });
+  }
+  return phases;
+}
+
+/**
+ * Minutes of focus in a whole cycle — what gets saved as the session duration.
+ * @param {Object} intervals
+ * @returns {number}
+ */
+export const focusMinutesOf = (intervals) => intervals.focusMinutes * intervals.rounds;
+
+export const phaseDurationMs = (phase) => phase.minutes * MINUTE_MS;
+
+/**
+ * When the cycle as a whole ends, given the current phase's end.
+ * @param {Array} phases
+ * @param {number} phaseIndex
+ * @param {number} endTime - ms, end of phases[phaseIndex]
+ * @returns {number} ms
+ */
+export function cycleEndTime(phases, phaseIndex, endTime) {
+  return phases
+    .slice(phaseIndex + 1)
+    .reduce((end, phase) => end + phaseDurationMs(phase), endTime);
+}
+
+/**
+ * End times of the current phase and every phase after it.
+ * @param {Array} phases
+ * @param {number} phaseIndex
+ * @param {number} endTime - ms, end of phases[phaseIndex]
+ * @returns {Array<{ index: number, endTime: number }>}
+ */
+export function remainingPhaseEnds(phases, phaseIndex, endTime) {
+  const ends = [{ index: phaseIndex, endTime }];
+  for (let index = phaseIndex + 1; index < phases.length; index++) {
+    ends.push({ index, endTime: ends[ends.length - 1].endTime + phaseDurationMs(phases[index]) });
+  }
+  return ends;
+}
+
+/**
+ * Focus time put in so far — finished focus phases plus the elapsed part of
+ * the current one, if it is a focus phase. Breaks don't count.
+ * @param {Array} phases
+ * @param {number} phaseIndex
+ * @param {number} remainingMs - Left in phases[phaseIndex]
+ * @returns {number} ms
+ */
+export function focusMsSoFar(phases, phaseIndex, remainingMs) {
+  const finished = phases
+    .slice(0, phaseIndex)
+    .filter(phase => phase.type === PHASE_TYPES.FOCUS)
+    .reduce((sum, phase) => sum + phaseDurationMs(phase), 0);
+  const current = phases[phaseIndex];
+  return current.type === PHASE_TYPES.FOCUS
+    ? finished + Math.max(0, phaseDurationMs(current) - remainingMs)
+    : finished;
+}
+
+/**
+ * Move past every phase that has ended by `now`.
+ * @param {Array} phases
+ * @param {number} phaseIndex
+ * @param {number} endTime - ms, end of phases[phaseIndex]
+ * @param {number} now - ms
+ * @returns {{ phaseIndex: number, endTime: number, completed: boolean }}
+ *   completed — the last phase has ended too (endTime is then the cycle's end)
+ */
+export function advanceCycle(phases, phaseIndex, endTime, now) {
+  let index = phaseIndex;
+  let end = endTime;
+  while (end <= now && index < phases.length - 1) {
+    index++;
+    end += phaseDurationMs(phases[index]);
+  }
+  return { phaseIndex: index, endTime: end, completed: end <= now };
+}
+
+/**
+ * Short label for the session screen, e.g. "Focus 2 of 4" or "Break".
+ * @param {Object} phase
+ * @param {number} rounds
+ * @returns {string}
+ */
+export function describePhase(phase, rounds) {
+  switch (phase.type) {
+    case PHASE_TYPES.FOCUS:
+      return `Focus ${phase.round} of ${rounds}`;
+    case PHASE_TYPES.LONG_BREAK:
+      return 'Long break';
+    default:
+      return 'Break';
+  }
+}
+
+/**
+ * Compact summary for pickers, e.g. "4 × (25 + 5) · 15 min long break".
+ * @param {Object} intervals
+ * @returns {string}
+ */
+export function formatIntervals(intervals) {
+  const { focusMinutes, breakMinutes, rounds, longBreakMinutes } = normalizeIntervals(intervals);
+  const summary = `${rounds} × (${focusMinutes} + ${breakMinutes})`;
+  return longBreakMinutes > 0 ? `${summary} · ${longBreakMinutes} min long break` : summary;
+}
@@ -0,0 +1,103 @@
+// src/utils/manualSessions.js - Sessions logged after the fact
+//
+// Deep work done away from the phone can be logged with a date, start time,
+// duration and activity. The saved session looks like any other, plus
+// `manual: true`, so it syncs the same way and Metrics can leave it out.
+//
+// A stored session's `timestamp` is when it ended and `duration` is the
+// minutes focused, so its span is taken as the `duration` minutes before
+// `timestamp`. A logged session may not overlap any existing span.
+
+// A longer "session" is a workday, not a deep work block
+export const MAX_MANUAL_MINUTES = 8 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * When a stored session ran.
+ * @param {{ timestamp: number, duration: number }} session
+ * @returns {{ start: number, end: number }} ms
+ */
+export const sessionSpan = (session) => ({
+  start: session.timestamp - session.duration * MINUTE_MS,
+  end: session.timestamp,
+});
+
+/**
+ * When a logged session ran, from its local date and start time.
+ * @param {{ date: string, time: string, duration: number }} entry - 'YYYY-MM-DD', 'HH:MM', minutes
+ * @returns {{ start: number, end: number }} ms
+ */
+export function manualSessionSpan({ date, time, duration }) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const start = new Date(year, month - 1, day, hours, minutes).getTime();
+  return { start, end: start + duration * MINUTE_MS };
+}
+
+/**
+ * The first stored session that overlaps a span. Touching ends don't count.
+ * @param {Array} sessions - Flat list of stored sessions
+ * @param {{ start: number, end: number }} span
+ * @returns {Object|null}
+ */
+export function findOverlap(sessions, { start, end }) {
+  return sessions.find(session => {
+    const other = sessionSpan(session);
+    return other.start < end && start < other.end;
+  }) ?? null;
+}
+
+const formatClock = (ms) => {
+  const date = new Date(ms);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+/**
+ * Why a span can't be stored — the stored session it overlaps — or null.
+ * @param {Array} sessions - Flat list of stored sessions
+ * @param {{ start: number, end: number }} span
+ * @returns {string|null}
+ */
+export function overlapError(sessions, span) {
+  const overlap = findOverlap(sessions, span);
+  if (!overlap) return null;
+  const other = sessionSpan(overlap);
+  return `It overlaps a session from ${formatClock(other.start)} to ${formatClock(other.end)} on ${overlap.date}.`;
+}
+
+/**
+ * Why a logged session can't be saved, or null if it can.
+ * @param {{ date, time, duration, activity }} entry
+ * @param {Array} sessions - Flat list of stored sessions
+ * @param {number} now - ms
+ * @returns {string|null}
+ */
+export function validateManualSession(entry, sessions, now) {
+  if (!entry.activity) return 'Pick an activity.';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date ?? '') || !/^\d{2}:\d{2}$/.test(entry.time ?? '')) {
+    return 'Pick a date and start time.';
+  }
+  if (!Number.isFinite(entry.duration) || entry.duration < 1 || entry.duration > MAX_MANUAL_MINUTES) {
+    return `Duration must be between 1 and ${MAX_MANUAL_MINUTES} minutes.`;
+  }
+
+  const span = manualSessionSpan(entry);
+  if (span.end > now) return "That session hasn't finished yet.";
+
+  return overlapError(sessions, span);
+}
+
+/**
+ * A date-keyed sessions map without logged sessions, for Metrics.
+ * @param {Object} sessionsByDate - { 'YYYY-MM-DD': Session[] }
+ * @returns {Object}
+ */
+export function withoutManual(sessionsByDate) {
+  const filtered = {};
+  Object.entries(sessionsByDate).forEach(([date, daySessions]) => {
+    const kept = daySessions.filter(s => !s.manual);
+    if (kept.length > 0) filtered[date] = kept;
+  });
+  return filtered;
+}
@@ -0,0 +1,75 @@
+// src/utils/parkingLot.js - Thoughts parked during a session
+//
+// A stray thought mid-session can be written down without pausing. Each one
+// is an entry, oldest first:
+//
+//   { text, atMs }
+//
+// atMs is how far into the session (ms since its start) it was written. The
+// list lives on the active session record while the session runs and is
+// saved on the session as `parked`. The rating screen uses it to prefill
+// "What distracted you?", and any item the user wants to deal with later is
+// carried into the next session as a to-do (services/parkingLotService).
+//
+// Functions return a new array rather than changing the one passed in.
+
+export const MAX_PARKED_LENGTH = 120;
+
+// Past this the session is more parking than focus
+export const MAX_PARKED_ITEMS = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Trimmed, length-capped thought, or null if there's nothing to keep.
+ * @param {*} text
+ * @returns {string|null}
+ */
+export function cleanParkedText(text) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim().slice(0, MAX_PARKED_LENGTH);
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Drop malformed entries from a stored or synced list.
+ * @param {Array|null|undefined} parked
+ * @returns {Array}
+ */
+export function normalizeParked(parked) {
+  if (!Array.isArray(parked)) return [];
+  return parked
+    .filter(entry => entry && cleanParkedText(entry.text) && Number.isFinite(entry.atMs))
+    .map(entry => ({ text: cleanParkedText(entry.text), atMs: Math.max(0, entry.atMs) }))
+    .slice(0, MAX_PARKED_ITEMS);
+}
+
+/**
+ * Add a thought. Blank text or a full list changes nothing.
+ * @param {Array} parked
+ * @param {string} text
+ * @param {number} atMs - ms since the session started
+ * @returns {Array}
+ */
+export function parkThought(parked, text, atMs) {
+  const clean = cleanParkedText(text);
+  if (!clean || parked.length >= MAX_PARKED_ITEMS) return parked;
+  return [...parked, { text: clean, atMs: Math.max(0, atMs) }];
+}
+
+/**
+ * "3 min in" / "under a minute in".
+ * @param {number} atMs
+ * @returns {string}
+ */
+export function formatParkedAt(atMs) {
+  if (atMs < MINUTE_MS) return 'under a minute in';
+  return `${Math.floor(atMs / MINUTE_MS)} min in`;
+}
+
+/**
+ * Starting text for the rating screen's distractions prompt.
+ * @param {Array} parked
+ * @returns {string}
+ */
+export const distractionsPrefill = (parked) => parked.map(entry => entry.text).join('; ');
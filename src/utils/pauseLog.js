@@ -0,0 +1,114 @@
+// src/utils/pauseLog.js - Pause timeline for a session
+//
+// Every pause is one entry, oldest first:
+//
+//   { pausedAt, resumedAt, reason }
+//
+// resumedAt is null while the pause is still going, and reason is one of the
+// PAUSE_REASONS labels, whatever the user typed, or null if they didn't say.
+// The log lives on the active session record while the session runs and is
+// attached to the saved session, closed off at the moment it ended.
+//
+// Functions return a new array rather than changing the one passed in, so the
+// log can be held in a ref and persisted as-is.
+
+export const PAUSE_REASONS = ['Break', 'Interrupted', 'Call or message', 'Got distracted'];
+
+// Typed reasons are free text; keep them to a line
+export const MAX_REASON_LENGTH = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+const isTime = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Drop malformed entries from a stored or synced log.
+ * @param {Array|null|undefined} pauses
+ * @returns {Array}
+ */
+export function normalizePauses(pauses) {
+  if (!Array.isArray(pauses)) return [];
+  return pauses
+    .filter(entry => entry && isTime(entry.pausedAt))
+    .map(entry => ({
+      pausedAt: entry.pausedAt,
+      resumedAt: isTime(entry.resumedAt) && entry.resumedAt >= entry.pausedAt ? entry.resumedAt : null,
+      reason: cleanReason(entry.reason),
+    }));
+}
+
+/**
+ * Trimmed, length-capped reason, or null if there's nothing to keep.
+ * @param {*} reason
+ * @returns {string|null}
+ */
+export function cleanReason(reason) {
+  if (typeof reason !== 'string') return null;
+  const trimmed = reason.trim().slice(0, MAX_REASON_LENGTH);
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Open a new pause. Does nothing if one is already open.
+ * @param {Array} pauses
+ * @param {number} at - ms
+ * @returns {Array}
+ */
+export function startPause(pauses, at) {
+  if (isPauseOpen(pauses)) return pauses;
+  return [...pauses, { pausedAt: at, resumedAt: null, reason: null }];
+}
+
+/**
+ * Close the open pause, if any.
+ * @param {Array} pauses
+ * @param {number} at - ms
+ * @returns {Array}
+ */
+export function endPause(pauses, at) {
+  if (!isPauseOpen(pauses)) return pauses;
+  const last = pauses[pauses.length - 1];
+  return [...pauses.slice(0, -1), { ...last, resumedAt: Math.max(at, last.pausedAt) }];
+}
+
+/**
+ * Set (or clear) the reason on the most recent pause.
+ * @param {Array} pauses
+ * @param {string|null} reason
+ * @returns {Array}
+ */
+export function setLatestPauseReason(pauses, reason) {
+  if (pauses.length === 0) return pauses;
+  const last = pauses[pauses.length - 1];
+  return [...pauses.slice(0, -1), { ...last, reason: cleanReason(reason) }];
+}
+
+export const isPauseOpen = (pauses) =>
+  pauses.length > 0 && pauses[pauses.length - 1].resumedAt == null;
+
+/**
+ * Length of one pause; an open pause counts up to `now`.
+ * @param {Object} entry
+ * @param {number} now - ms
+ * @returns {number} ms
+ */
+export const pauseLengthMs = (entry, now) => (entry.resumedAt ?? now) - entry.pausedAt;
+
+/**
+ * Total time spent paused.
+ * @param {Array} pauses
+ * @param {number} now - ms, for a pause still open
+ * @returns {number} ms
+ */
+export const totalPausedMs = (pauses, now) =>
+  pauses.reduce((sum, entry) => sum + pauseLengthMs(entry, now), 0);
+
+/**
+ * "3 min" / "45 s" for a single pause.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatPauseLength(ms) {
+  if (ms < MINUTE_MS) return `${Math.max(0, Math.round(ms / 1000))} s`;
+  return `${Math.round(ms / MINUTE_MS)} min`;
+}
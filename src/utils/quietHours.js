@@ -0,0 +1,149 @@
+// src/utils/quietHours.js - Quiet hours and "in a session" suppression
+//
+// Stored as notificationPreferences.quietHours:
+//
+//   {
+//     enabled,                // quiet windows on/off
+//     days: [window|null],    // index = weekday, 0 = Sunday
+//     suppressDuringSession,  // hold reminders while a session is running
+//   }
+//   window = { start: 'HH:mm', end: 'HH:mm' }
+//
+// A window belongs to the day it starts on. When end <= start it runs past
+// midnight into the next day (22:00–07:00); start === end is the whole day.
+//
+// One policy for every scheduler, local and server (functions/quietHours.js
+// mirrors it):
+//   - Reminders (streak risk, re-engagement, daily reminder, weekly summary)
+//     that land in a quiet window are deferred to the window's end if that is
+//     still the same local day, otherwise dropped. While a session is running
+//     they are dropped — the user is already focusing.
+//   - The session-end notification answers something the user started, so
+//     it is never held back; inside a quiet window it arrives silently.
+
+export const QUIET_KINDS = {
+  REMINDER: 'reminder',
+  SESSION_END: 'session_end',
+};
+
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  days: Array.from({ length: 7 }, () => ({ start: '22:00', end: '07:00' })),
+  suppressDuringSession: true,
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Fill in and sanity-check a stored quietHours value.
+ * @param {Object|undefined} quietHours
+ * @returns {Object} A complete quietHours object
+ */
+export function normalizeQuietHours(quietHours) {
+  const days = Array.from({ length: 7 }, (_, weekday) => {
+    const window = quietHours?.days?.[weekday];
+    if (window === null) return null;
+    return TIME_PATTERN.test(window?.start) && TIME_PATTERN.test(window?.end)
+      ? { start: window.start, end: window.end }
+      : { ...DEFAULT_QUIET_HOURS.days[weekday] };
+  });
+
+  return {
+    enabled: typeof quietHours?.enabled === 'boolean'
+      ? quietHours.enabled
+      : DEFAULT_QUIET_HOURS.enabled,
+    days,
+    suppressDuringSession: typeof quietHours?.suppressDuringSession === 'boolean'
+      ? quietHours.suppressDuringSession
+      : DEFAULT_QUIET_HOURS.suppressDuringSession,
+  };
+}
+
+/**
+ * The quiet window covering a local moment, if any.
+ * @param {Object} quietHours - Normalized quietHours
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} minuteOfDay - 0–1439
+ * @returns {{ endsInDays: number, endMinute: number }|null} When it ends,
+ *   relative to the given day
+ */
+export function quietWindowAt(quietHours, weekday, minuteOfDay) {
+  if (!quietHours.enabled) return null;
+
+  const today = quietHours.days[weekday];
+  if (today) {
+    const start = toMinutes(today.start);
+    const end = toMinutes(today.end);
+    if (end > start && minuteOfDay >= start && minuteOfDay < end) {
+      return { endsInDays: 0, endMinute: end };
+    }
+    if (end <= start && minuteOfDay >= start) {
+      return { endsInDays: 1, endMinute: end };
+    }
+  }
+
+  // Yesterday's overnight window spilling into this morning
+  const yesterday = quietHours.days[(weekday + 6) % 7];
+  if (yesterday) {
+    const start = toMinutes(yesterday.start);
+    const end = toMinutes(yesterday.end);
+    if (end <= start && minuteOfDay < end) {
+      return { endsInDays: 0, endMinute: end };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply the policy above to one local moment.
+ * @param {Object|undefined} quietHours - As stored; normalized here
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} minuteOfDay - 0–1439
+ * @param {{ kind: string, inSession?: boolean }} context
+ * @returns {{ action: 'send'|'defer'|'drop', silent?: boolean,
+ *   deferToMinute?: number, reason?: string }}
+ */
+export function resolveQuietDelivery(quietHours, weekday, minuteOfDay, { kind, inSession = false }) {
+  const settings = normalizeQuietHours(quietHours);
+  const window = quietWindowAt(settings, weekday, minuteOfDay);
+
+  if (kind === QUIET_KINDS.SESSION_END) {
+    return { action: 'send', silent: Boolean(window) };
+  }
+
+  if (inSession && settings.suppressDuringSession) {
+    return { action: 'drop', reason: 'inSession' };
+  }
+  if (!window) return { action: 'send' };
+
+  if (window.endsInDays === 0) {
+    return { action: 'defer', deferToMinute: window.endMinute, reason: 'quietHours' };
+  }
+  return { action: 'drop', reason: 'quietHours' };
+}
+
+/**
+ * resolveQuietDelivery for a moment in the device's time zone.
+ * @param {Object|undefined} quietHours
+ * @param {Date} fireAt - When the notification would be delivered
+ * @param {{ kind: string, inSession?: boolean }} context
+ * @returns {{ action: 'send'|'defer'|'drop', at: Date, silent: boolean,
+ *   reason?: string }} `at` is when to deliver instead (for 'defer')
+ */
+export function resolveQuietDeliveryAt(quietHours, fireAt, context) {
+  const minuteOfDay = fireAt.getHours() * 60 + fireAt.getMinutes();
+  const decision = resolveQuietDelivery(quietHours, fireAt.getDay(), minuteOfDay, context);
+
+  let at = fireAt;
+  if (decision.action === 'defer') {
+    at = new Date(fireAt);
+    at.setHours(Math.floor(decision.deferToMinute / 60), decision.deferToMinute % 60, 0, 0);
+  }
+  return { ...decision, at, silent: Boolean(decision.silent) };
+}
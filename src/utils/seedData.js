@@ -5,7 +5,8 @@
 
 import { deepWorkStore } from '../services/deepWorkStore';
 import { saveSessionToFirestore } from '../services/firestoreSessionService';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import SessionRepository from '../services/database/SessionRepository';
+import { toLocalDateString, addDaysToDateString } from './dateHelpers';
 
 // ─── Activity definitions ────────────────────────────────────────────────────
 
@@ -128,13 +129,12 @@ export async function seedData() {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const allSessions = {};
     let totalSessions = 0;
     let totalMinutes  = 0;
     let daysWithData  = 0;
-    const firestoreBatch = []; // collect for Firestore sync after AsyncStorage write
+    const firestoreBatch = []; // collect for Firestore sync after the SQLite write
 
-    console.log(`📅 Generating 120 days ending ${today.toISOString().split('T')[0]}\n`);
+    console.log(`📅 Generating 120 days ending ${toLocalDateString(today)}\n`);
 
     for (let daysAgo = 119; daysAgo >= 0; daysAgo--) {
       const date = new Date(today);
@@ -146,8 +146,7 @@ export async function seedData() {
       if (numSessions === 0) continue;
 
       daysWithData++;
-      const dateStr = date.toISOString().split('T')[0];
-      if (!allSessions[dateStr]) allSessions[dateStr] = [];
+      const dateStr = toLocalDateString(date);
 
       for (let i = 0; i < numSessions; i++) {
         const activityId = pick(
@@ -185,7 +184,6 @@ export async function seedData() {
           },
         };
 
-        allSessions[dateStr].push(session);
         firestoreBatch.push(session);
         totalSessions++;
         totalMinutes += duration;
@@ -196,14 +194,13 @@ export async function seedData() {
       }
     }
 
-    // Step 3 — Write to AsyncStorage in one shot
-    console.log('\n💾 Writing to AsyncStorage...');
-    await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify(allSessions));
+    // Step 3 — Write to SQLite in one transaction
+    console.log('\n💾 Writing to SQLite...');
+    await SessionRepository.insertMany(firestoreBatch);
 
     // Verify
-    const raw = await AsyncStorage.getItem('@deep_work_sessions');
-    const verified = JSON.parse(raw);
-    console.log(`✅ Verified: ${Object.keys(verified).length} dates in AsyncStorage`);
+    const stored = await SessionRepository.count();
+    console.log(`✅ Verified: ${stored} sessions in SQLite`);
 
     // Step 4 — Sync to Firestore (fire-and-forget batched; failures are non-critical)
     console.log(`\n🔄 Syncing ${firestoreBatch.length} sessions to Firestore...`);
@@ -217,8 +214,8 @@ export async function seedData() {
     console.log(`✅ Firestore: ${firestoreOk}/${firestoreBatch.length} saved`);
 
     const dateRange = {
-      start: new Date(today.getTime() - 119 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      end:   today.toISOString().split('T')[0],
+      start: addDaysToDateString(toLocalDateString(today), -119),
+      end:   toLocalDateString(today),
     };
 
     console.log('\n✅ Seed complete!');
@@ -254,9 +251,6 @@ export async function clearSeedData() {
     throw new Error('clearSessions returned false');
   } catch (error) {
     console.error('❌ Clear failed:', error);
-    // Fallback: direct AsyncStorage wipe
-    await AsyncStorage.setItem('@deep_work_sessions', JSON.stringify({}));
-    console.log('✅ Cleared via fallback');
-    return { success: true };
+    throw error;
   }
 }
@@ -0,0 +1,139 @@
+// src/utils/sessionPresets.js - Named session presets
+//
+// A preset is a saved session setup the user launches in one tap:
+//
+//   { id, name, activity,
+//     duration,          // minutes for a single countdown or a cycle's focus total; null for a stopwatch
+//     intervals,         // interval cycle (utils/intervalCycle) or null
+//     stopwatch,         // { checkpointMinutes } for an open-ended session, or null
+//     musicChoice, focusLockEnabled,
+//     pinned,            // shown on HomeScreen
+//     createdAt }
+//
+// The stored list is in the user's order; HomeScreen shows the pinned ones in
+// that same order. Functions return a new array rather than changing the one
+// passed in.
+
+import { formatIntervals, focusMinutesOf } from './intervalCycle';
+
+export const MAX_PRESET_NAME_LENGTH = 40;
+
+// Enough for a row on HomeScreen without scrolling forever
+export const MAX_PINNED_PRESETS = 6;
+
+const MUSIC_LABELS = {
+  'none': 'No music',
+  'white-noise': 'White noise',
+  'lofi': 'Lo-fi',
+};
+
+/**
+ * Trimmed, length-capped preset name, or null if there's nothing left.
+ * @param {*} name
+ * @returns {string|null}
+ */
+export function cleanPresetName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().slice(0, MAX_PRESET_NAME_LENGTH);
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Preset fields from a session config — the last-session record, or
+ * HomeScreen's current selection.
+ * @param {Object} config
+ * @returns {Object} preset without id, name or pinned
+ */
+export function presetFromConfig(config) {
+  const intervals = config.intervals ?? null;
+  const stopwatch = config.stopwatch ?? null;
+  return {
+    activity: config.activity,
+    duration: stopwatch ? null
+      : intervals ? focusMinutesOf(intervals)
+      : parseFloat(config.duration),
+    intervals,
+    stopwatch,
+    musicChoice: config.musicChoice || 'none',
+    focusLockEnabled: !!config.focusLockEnabled,
+  };
+}
+
+/**
+ * DeepWorkSession route params for a preset (focus lock still subject to
+ * the device and the caller's gates).
+ * @param {Object} preset
+ * @returns {Object}
+ */
+export const presetSessionParams = (preset) => ({
+  duration: preset.stopwatch ? null : String(preset.duration),
+  activity: preset.activity,
+  musicChoice: preset.musicChoice,
+  focusLockEnabled: !!preset.focusLockEnabled,
+  intervals: preset.intervals ?? null,
+  stopwatch: preset.stopwatch ?? null,
+});
+
+/**
+ * The session length a premium gate looks at: a cycle's focus phases, a
+ * single countdown's duration, nothing for a stopwatch.
+ * @param {Object} preset
+ * @returns {number}
+ */
+export const presetLongestFocus = (preset) =>
+  preset.stopwatch ? 0
+    : preset.intervals ? preset.intervals.focusMinutes
+    : preset.duration;
+
+/**
+ * "90 min" / "2 × (50 + 10)" / "Open-ended".
+ * @param {Object} preset
+ * @returns {string}
+ */
+export const describePresetLength = (preset) =>
+  preset.stopwatch ? 'Open-ended'
+    : preset.intervals ? formatIntervals(preset.intervals)
+    : `${preset.duration} min`;
+
+/**
+ * "90 min · Lo-fi · Focus lock".
+ * @param {Object} preset
+ * @returns {string}
+ */
+export function describePreset(preset) {
+  const parts = [describePresetLength(preset), MUSIC_LABELS[preset.musicChoice] ?? MUSIC_LABELS.none];
+  if (preset.focusLockEnabled) parts.push('Focus lock');
+  return parts.join(' · ');
+}
+
+/**
+ * Move a preset one place up (-1) or down (+1). Moving past either end
+ * changes nothing.
+ * @param {Array} presets
+ * @param {string} id
+ * @param {number} offset
+ * @returns {Array}
+ */
+export function movePreset(presets, id, offset) {
+  const from = presets.findIndex(p => p.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= presets.length) return presets;
+  const next = [...presets];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+/**
+ * Pin or unpin a preset. Pinning past MAX_PINNED_PRESETS changes nothing.
+ * @param {Array} presets
+ * @param {string} id
+ * @param {boolean} pinned
+ * @returns {Array}
+ */
+export function setPinned(presets, id, pinned) {
+  if (pinned && pinnedPresets(presets).length >= MAX_PINNED_PRESETS) return presets;
+  return presets.map(p => (p.id === id ? { ...p, pinned } : p));
+}
+
+export const pinnedPresets = (presets) => presets.filter(p => p.pinned);
@@ -0,0 +1,87 @@
+// src/utils/stopwatch.js - Open-ended (count-up) sessions
+//
+// A stopwatch session runs until the user finishes it. Under the hood it is
+// still a countdown — from STOPWATCH_MAX_MS, the longest a stopwatch may run
+// before it stops itself — so useSessionTimer, pause/resume and restore all
+// work unchanged, and elapsed = STOPWATCH_MAX_MS - timeLeft.
+//
+// The active session record keeps the real start time plus the time spent
+// paused, so elapsed time can always be rebuilt from the clock:
+//
+//   elapsed = now - startTime - pausedMs
+//
+// Checkpoints are soft nudges every `checkpointMinutes` of elapsed time —
+// a silent notification, never an end.
+
+export const STOPWATCH_MAX_MINUTES = 12 * 60;
+export const STOPWATCH_MAX_MS = STOPWATCH_MAX_MINUTES * 60 * 1000;
+
+// null = no nudges
+export const CHECKPOINT_OPTIONS = [null, 25, 50, 90];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Elapsed focus time, rebuilt from the persisted start time.
+ * @param {{ startTime: number, pausedMs?: number }} record
+ * @param {number} now - ms
+ * @returns {number} ms, clamped to [0, STOPWATCH_MAX_MS]
+ */
+export function stopwatchElapsedMs({ startTime, pausedMs = 0 }, now) {
+  return Math.min(STOPWATCH_MAX_MS, Math.max(0, now - startTime - pausedMs));
+}
+
+/**
+ * The endTime a running stopwatch counts down to.
+ * @param {{ startTime: number, pausedMs?: number }} record
+ * @returns {number} ms
+ */
+export const stopwatchEndTime = ({ startTime, pausedMs = 0 }) =>
+  startTime + pausedMs + STOPWATCH_MAX_MS;
+
+/**
+ * Elapsed ms as the minutes saved on the session, to the second.
+ * @param {number} elapsedMs
+ * @returns {number}
+ */
+export const elapsedMinutes = (elapsedMs) => Math.round(elapsedMs / 1000) / 60;
+
+/**
+ * The next checkpoints still ahead, as elapsed-time marks.
+ * @param {number} elapsedMs - Elapsed so far
+ * @param {number|null} checkpointMinutes
+ * @param {number} limit - At most this many
+ * @returns {number[]} ms of elapsed time, ascending
+ */
+export function upcomingCheckpoints(elapsedMs, checkpointMinutes, limit) {
+  if (!checkpointMinutes) return [];
+  const every = checkpointMinutes * MINUTE_MS;
+  const marks = [];
+  for (let mark = (Math.floor(elapsedMs / every) + 1) * every;
+    mark < STOPWATCH_MAX_MS && marks.length < limit;
+    mark += every) {
+    marks.push(mark);
+  }
+  return marks;
+}
+
+/**
+ * How many checkpoints have been passed.
+ * @param {number} elapsedMs
+ * @param {number|null} checkpointMinutes
+ * @returns {number}
+ */
+export const checkpointsPassed = (elapsedMs, checkpointMinutes) =>
+  checkpointMinutes ? Math.floor(elapsedMs / (checkpointMinutes * MINUTE_MS)) : 0;
+
+/**
+ * "1 h 15 min" / "45 min" for elapsed time.
+ * @param {number} elapsedMs
+ * @returns {string}
+ */
+export function formatElapsed(elapsedMs) {
+  const totalMinutes = Math.floor(elapsedMs / MINUTE_MS);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+}
@@ -0,0 +1,97 @@
+// storageValidators.js - Shape checks for persisted sessions and settings
+//
+// Shared by deepWorkStore (on every write and on backup import) and
+// localMigrationService (on migrated data), which cannot import each other
+// without a require cycle.
+
+/**
+ * Validate an individual session object
+ */
+export const isValidSession = (session) => {
+  return (
+    session &&
+    typeof session.activity === 'string' &&
+    typeof session.duration === 'number' &&
+    typeof session.musicChoice === 'string' &&
+    (!session.notes || typeof session.notes === 'string') && // Make notes optional but must be string if present
+    session.duration > 0
+  );
+};
+
+/**
+ * Validate a date-keyed sessions object ({ 'YYYY-MM-DD': Session[] })
+ */
+export const isValidStorage = (sessions) => {
+  if (!sessions || typeof sessions !== 'object') return false;
+
+  return Object.entries(sessions).every(([date, daySessions]) => {
+    return (
+      // Validate date format (YYYY-MM-DD)
+      /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+      // Validate sessions array
+      Array.isArray(daySessions) &&
+      daySessions.every(isValidSession)
+    );
+  });
+};
+
+/**
+ * Validate the settings structure, including reminder frequency
+ * ('none' | 'daily' | 'weekly')
+ */
+export const isValidSettings = (settings) => {
+  return (
+    settings &&
+    Array.isArray(settings.activities) &&
+    settings.activities.every(activity =>
+      activity.id &&
+      activity.name &&
+      activity.color
+    ) &&
+    Array.isArray(settings.durations) &&
+    settings.durations.every(duration =>
+      typeof duration === 'number' &&
+      duration > 0
+    ) &&
+    typeof settings.reminderFrequency === 'string' &&
+    ['none', 'daily', 'weekly'].includes(settings.reminderFrequency)
+  );
+};
+
+// Goal kinds an activity can carry as `activity.goal = { type, target }`.
+// goalService defines how each one is measured.
+export const GOAL_TYPES = ['weekly_hours', 'daily_sessions', 'monthly_minutes'];
+
+/**
+ * Validate an activity goal. Not part of isValidSettings — a bad goal is
+ * ignored rather than resetting all settings to defaults.
+ */
+export const isValidGoal = (goal) => {
+  return (
+    goal &&
+    GOAL_TYPES.includes(goal.type) &&
+    typeof goal.target === 'number' &&
+    Number.isFinite(goal.target) &&
+    goal.target > 0
+  );
+};
+
+// JSON backups written by exportService and read by deepWorkStore.importBackup
+export const BACKUP_FORMAT = 'deepwork-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Validate the envelope of a parsed backup file. Individual sessions and the
+ * settings inside are checked separately so one bad record doesn't sink the
+ * whole import.
+ */
+export const isValidBackup = (backup) => {
+  return (
+    backup &&
+    typeof backup === 'object' &&
+    backup.format === BACKUP_FORMAT &&
+    typeof backup.version === 'number' &&
+    backup.version <= BACKUP_VERSION &&
+    Array.isArray(backup.sessions)
+  );
+};
@@ -0,0 +1,101 @@
+import {
+  toLocalDateString,
+  addDaysToDateString,
+  getDayOfWeek,
+  getUserTimeZone,
+} from './dateHelpers';
+
+// [description, UTC instant, zone, expected local date]
+const BUCKET_CASES = [
+  // US spring forward — 2026-03-08 02:00 EST → 03:00 EDT
+  ['NY evening before spring forward', '2026-03-08T04:30:00Z', 'America/New_York', '2026-03-07'],
+  ['NY 01:59 EST on spring-forward day', '2026-03-08T06:59:59Z', 'America/New_York', '2026-03-08'],
+  ['NY 23:59 EDT on spring-forward day', '2026-03-09T03:59:00Z', 'America/New_York', '2026-03-08'],
+  ['NY midnight after spring forward', '2026-03-09T04:00:00Z', 'America/New_York', '2026-03-09'],
+
+  // US fall back — 2026-11-01 02:00 EDT → 01:00 EST, 01:30 happens twice
+  ['NY first 01:30 (EDT) on fall-back day', '2026-11-01T05:30:00Z', 'America/New_York', '2026-11-01'],
+  ['NY second 01:30 (EST) on fall-back day', '2026-11-01T06:30:00Z', 'America/New_York', '2026-11-01'],
+  ['NY 23:59 EST on fall-back day', '2026-11-02T04:59:00Z', 'America/New_York', '2026-11-01'],
+  ['NY midnight after fall back', '2026-11-02T05:00:00Z', 'America/New_York', '2026-11-02'],
+
+  // Evening session west of UTC — the original bug
+  ['LA 21:00 PST is still today', '2026-01-15T05:00:00Z', 'America/Los_Angeles', '2026-01-14'],
+
+  // UK spring forward — 2026-03-29 01:00 GMT → 02:00 BST
+  ['London 23:30 GMT before spring forward', '2026-03-28T23:30:00Z', 'Europe/London', '2026-03-28'],
+  ['London 00:30 BST after spring forward', '2026-03-29T23:30:00Z', 'Europe/London', '2026-03-30'],
+
+  // Southern hemisphere fall back — 2026-04-05 03:00 AEDT → 02:00 AEST
+  ['Sydney 00:30 AEDT on fall-back day', '2026-04-04T13:30:00Z', 'Australia/Sydney', '2026-04-05'],
+  ['Sydney 23:30 AEST on fall-back day', '2026-04-05T13:30:00Z', 'Australia/Sydney', '2026-04-05'],
+
+  // Early morning east of UTC, half-hour offset
+  ['Kolkata 23:59 IST', '2026-01-01T18:29:00Z', 'Asia/Kolkata', '2026-01-01'],
+  ['Kolkata 00:00 IST', '2026-01-01T18:30:00Z', 'Asia/Kolkata', '2026-01-02'],
+];
+
+// [start, days, expected]
+const ADD_DAYS_CASES = [
+  ['2026-03-07', 1, '2026-03-08'],
+  ['2026-03-08', 1, '2026-03-09'],
+  ['2026-11-02', -1, '2026-11-01'],
+  ['2026-11-01', -1, '2026-10-31'],
+  ['2026-03-02', -7, '2026-02-23'],
+  ['2024-02-28', 1, '2024-02-29'],
+  ['2026-12-31', 1, '2027-01-01'],
+];
+
+export function testDateHelpers() {
+  console.log('\n🧪 ===== DATE HELPERS TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (label, actual, expected) => {
+    if (actual === expected) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${expected}, got ${actual}`);
+    }
+  };
+
+  // Bucketing across DST transitions
+  BUCKET_CASES.forEach(([label, iso, zone, expected]) => {
+    check(label, toLocalDateString(Date.parse(iso), zone), expected);
+  });
+
+  // Calendar arithmetic — a 23h or 25h day is still one day
+  ADD_DAYS_CASES.forEach(([start, days, expected]) => {
+    check(`${start} ${days > 0 ? '+' : ''}${days}d`, addDaysToDateString(start, days), expected);
+  });
+
+  // A streak stepping back day by day crosses DST without skipping a date
+  const streakDays = [];
+  for (let day = '2026-03-10'; day >= '2026-03-06'; day = addDaysToDateString(day, -1)) {
+    streakDays.push(day);
+  }
+  check('streak walk across spring forward', streakDays.join(','),
+    '2026-03-10,2026-03-09,2026-03-08,2026-03-07,2026-03-06');
+
+  check('DST Sunday is a Sunday', getDayOfWeek('2026-03-08'), 0);
+  check('Monday after fall back', getDayOfWeek('2026-11-02'), 1);
+
+  // Device-zone default agrees with the explicit zone, hour by hour through
+  // both 2026 US transitions (whatever zone this device is in)
+  const zone = getUserTimeZone();
+  const mismatches = [];
+  ['2026-03-07T00:00:00Z', '2026-10-31T00:00:00Z'].forEach((from) => {
+    for (let h = 0; h < 72; h++) {
+      const ts = Date.parse(from) + h * 60 * 60 * 1000;
+      if (toLocalDateString(ts) !== toLocalDateString(ts, zone)) {
+        mismatches.push(new Date(ts).toISOString());
+      }
+    }
+  });
+  check(`device default matches ${zone}`, mismatches.join(',') || 'none', 'none');
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Date helpers: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
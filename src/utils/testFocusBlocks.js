@@ -0,0 +1,85 @@
+import {
+  occurrencesBetween,
+  matchOccurrences,
+  planAdherence,
+  lastStartedDate,
+  describeRepeat,
+  repeatDaysFor,
+  repeatOptionOf,
+  startOf,
+} from './focusBlocks';
+
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+
+// Monday 2026-07-13 … Sunday 2026-07-19, local time
+const MONDAY = startOf('2026-07-13', '00:00');
+const WEEKDAYS_9AM = {
+  id: 'b1', activity: 'writing', duration: 50, date: '2026-07-13', time: '09:00',
+  repeat: [1, 2, 3, 4, 5], until: null,
+};
+const ONE_OFF = {
+  id: 'b2', activity: 'reading', duration: 30, date: '2026-07-15', time: '18:30', repeat: null, until: null,
+};
+
+// A stored session: saved (timestamp) when it ended
+const session = (id, activity, startedAt, minutes, extra = {}) =>
+  ({ id, activity, duration: minutes, timestamp: startedAt + minutes * MIN, ...extra });
+
+export function testFocusBlocks() {
+  console.log('\n🧪 ===== FOCUS BLOCKS TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const week = occurrencesBetween(WEEKDAYS_9AM, MONDAY, MONDAY + 7 * DAY);
+  check('every weekday skips the weekend', week.map(o => o.date),
+    ['2026-07-13', '2026-07-14', '2026-07-15', '2026-07-16', '2026-07-17']);
+  check('occurrences start at the local time', week[0].startAt, startOf('2026-07-13', '09:00'));
+  check('a one-off happens once',
+    occurrencesBetween(ONE_OFF, MONDAY, MONDAY + 14 * DAY).map(o => o.key), ['b2@2026-07-15']);
+  check('an ended block stops repeating',
+    occurrencesBetween({ ...WEEKDAYS_9AM, until: '2026-07-14' }, MONDAY, MONDAY + 7 * DAY).length, 2);
+
+  check('weekly repeats on the block\'s own day', repeatDaysFor('weekly', '2026-07-15'), [3]);
+  check('repeat days map back to their option', repeatOptionOf(WEEKDAYS_9AM), 'weekdays');
+  check('describe a weekday block', describeRepeat(WEEKDAYS_9AM), 'Every weekday at 09:00');
+  check('describe custom days Monday first', describeRepeat({ ...WEEKDAYS_9AM, repeat: [0, 3] }), 'Wed, Sun at 09:00');
+
+  // Wednesday 12:00: Mon kept from the notification, Tue kept by starting
+  // from Home 10 min late, Wed missed; Thu and Fri still to come
+  const now = startOf('2026-07-15', '12:00');
+  const sessions = [
+    session('s1', 'writing', startOf('2026-07-13', '09:02'), 50, { focusBlock: 'b1@2026-07-13' }),
+    session('s2', 'writing', startOf('2026-07-14', '09:10'), 45),
+    session('s3', 'reading', startOf('2026-07-15', '09:00'), 50),
+  ];
+  const matched = matchOccurrences(week, sessions, now);
+  check('kept, missed and upcoming', matched.map(o => o.status),
+    ['kept', 'kept', 'missed', 'upcoming', 'upcoming']);
+  check('another activity at the same time doesn\'t keep it', matched[2].sessionId, null);
+
+  check('a block being worked on isn\'t missed yet',
+    matchOccurrences(week, [], startOf('2026-07-13', '09:40'))[0].status, 'upcoming');
+
+  check('adherence counts only decided occurrences',
+    planAdherence([WEEKDAYS_9AM, ONE_OFF], sessions, MONDAY, MONDAY + 7 * DAY, now),
+    { planned: 3, kept: 2, missed: 1, rate: 2 / 3 });
+
+  check('ending keeps history up to the last started day', lastStartedDate(WEEKDAYS_9AM, now), '2026-07-15');
+  check('a block that never started has no history', lastStartedDate(ONE_OFF, now), null);
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Focus blocks: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
@@ -0,0 +1,61 @@
+import {
+  cleanIntention,
+  lastNextStepFor,
+  intentionStats,
+  MAX_INTENTION_LENGTH,
+} from './intentions';
+
+const reflected = (activity, timestamp, nextStep) => ({
+  activity,
+  timestamp,
+  rating: { reflection: { workedOn: 'x', nextStep } },
+});
+
+export function testIntentions() {
+  console.log('\n🧪 ===== INTENTIONS TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  check('intentions are trimmed', cleanIntention('  finish chapter 3 '), 'finish chapter 3');
+  check('a blank intention is none', cleanIntention('  '), null);
+  check('long intentions are capped', cleanIntention('x'.repeat(200)).length, MAX_INTENTION_LENGTH);
+
+  const sessions = [
+    reflected('writing', 100, 'outline part 2'),
+    reflected('writing', 300, 'edit intro'),
+    reflected('coding', 400, 'fix login bug'),
+    reflected('writing', 500, '   '),
+    { activity: 'writing', timestamp: 600 }, // skipped the rating
+  ];
+  check('prefill is the latest next step for the activity', lastNextStepFor(sessions, 'writing'), 'edit intro');
+  check('no next step for an activity is null', lastNextStepFor(sessions, 'reading'), null);
+
+  check('no answered intentions is null', intentionStats([
+    { intention: 'a', intentionAchieved: null },
+    { intention: null, intentionAchieved: 'yes' },
+  ]), null);
+
+  check('partly counts as half', intentionStats([
+    { intention: 'a', intentionAchieved: 'yes' },
+    { intention: 'b', intentionAchieved: 'partly' },
+    { intention: 'c', intentionAchieved: 'no' },
+    { intention: 'd', intentionAchieved: 'yes' },
+    { intention: 'e', intentionAchieved: null },
+    { intention: null, intentionAchieved: null },
+  ]), { withIntention: 5, answered: 4, achieved: 2, partly: 1, missed: 1, achievedRate: 0.63 });
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Intentions: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
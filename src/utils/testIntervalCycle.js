@@ -0,0 +1,76 @@
+import {
+  PHASE_TYPES,
+  buildPhases,
+  advanceCycle,
+  cycleEndTime,
+  remainingPhaseEnds,
+  focusMinutesOf,
+  focusMsSoFar,
+} from './intervalCycle';
+
+const MIN = 60 * 1000;
+const DEEP = { focusMinutes: 50, breakMinutes: 10, rounds: 4, longBreakMinutes: 30 };
+const PHASES = buildPhases(DEEP);
+const START = Date.UTC(2026, 6, 15, 9, 0);
+
+// Phase ends for DEEP starting at START, in minutes: 50 60 110 120 170 180 230 260
+// [description, phaseIndex, endTime, now, expected { phaseIndex, endTime, completed }]
+const ADVANCE_CASES = [
+  ['still in the first focus', 0, START + 50 * MIN, START + 20 * MIN, [0, 50, false]],
+  ['first focus just ended → first break', 0, START + 50 * MIN, START + 50 * MIN, [1, 60, false]],
+  ['killed during focus 1, back in focus 2', 0, START + 50 * MIN, START + 75 * MIN, [2, 110, false]],
+  ['killed for two hours, back in break 3', 0, START + 50 * MIN, START + 175 * MIN, [5, 180, false]],
+  ['back during the long break', 2, START + 110 * MIN, START + 240 * MIN, [7, 260, false]],
+  ['whole cycle ended while away', 0, START + 50 * MIN, START + 300 * MIN, [7, 260, true]],
+];
+
+export function testIntervalCycle() {
+  console.log('\n🧪 ===== INTERVAL CYCLE TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, ok, detail) => {
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: ${detail}`);
+    }
+  };
+
+  const types = PHASES.map(p => p.type[0]).join('');
+  check('4 rounds expand to F B F B F B F L', types === 'fbfbfbfl', `got ${types}`);
+  check('short breaks only between rounds', PHASES.filter(p => p.type === PHASE_TYPES.BREAK).length === 3,
+    JSON.stringify(PHASES));
+
+  const noLong = buildPhases({ ...DEEP, longBreakMinutes: 0 });
+  check('no long break ends on the last focus', noLong[noLong.length - 1].type === PHASE_TYPES.FOCUS,
+    JSON.stringify(noLong));
+
+  check('focus minutes count focus phases only', focusMinutesOf(DEEP) === 200, `got ${focusMinutesOf(DEEP)}`);
+
+  const end = cycleEndTime(PHASES, 0, START + 50 * MIN);
+  check('cycle ends after every remaining phase', end === START + 260 * MIN, `got ${(end - START) / MIN} min`);
+
+  const ends = remainingPhaseEnds(PHASES, 5, START + 180 * MIN).map(e => (e.endTime - START) / MIN);
+  check('remaining phase ends chain on the current end', ends.join() === '180,230,260', `got ${ends.join()}`);
+
+  const midFocus = focusMsSoFar(PHASES, 2, 20 * MIN) / MIN;
+  check('finishing early mid-focus counts the focused part', midFocus === 80, `got ${midFocus} min`);
+  const inBreak = focusMsSoFar(PHASES, 3, 5 * MIN) / MIN;
+  check('breaks add no focus time', inBreak === 100, `got ${inBreak} min`);
+
+  ADVANCE_CASES.forEach(([label, phaseIndex, endTime, now, [expIndex, expEnd, expDone]]) => {
+    const result = advanceCycle(PHASES, phaseIndex, endTime, now);
+    const ok = result.phaseIndex === expIndex
+      && result.endTime === START + expEnd * MIN
+      && result.completed === expDone;
+    check(label, ok, `expected phase ${expIndex} ending +${expEnd} min (completed ${expDone}), got ` +
+      `phase ${result.phaseIndex} ending +${(result.endTime - START) / MIN} min (completed ${result.completed})`);
+  });
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Interval cycle: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
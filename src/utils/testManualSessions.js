@@ -0,0 +1,71 @@
+import {
+  manualSessionSpan,
+  findOverlap,
+  overlapError,
+  sessionSpan,
+  validateManualSession,
+  withoutManual,
+  MAX_MANUAL_MINUTES,
+} from './manualSessions';
+
+const at = (date, time) => manualSessionSpan({ date, time, duration: 0 }).start;
+
+// A stored session ending at `end` after `duration` minutes
+const stored = (date, end, duration) => ({ date, timestamp: at(date, end), duration });
+
+export function testManualSessions() {
+  console.log('\n🧪 ===== MANUAL SESSIONS TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  const span = manualSessionSpan({ date: '2025-03-10', time: '09:30', duration: 90 });
+  check('span runs from the local start time', span.end - span.start, 90 * 60 * 1000);
+  check('span starts on the chosen day', new Date(span.start).getHours(), 9);
+
+  const existing = [stored('2025-03-10', '11:00', 60)]; // 10:00–11:00
+  check('overlapping the end is found',
+    findOverlap(existing, manualSessionSpan({ date: '2025-03-10', time: '10:30', duration: 60 })), existing[0]);
+  check('touching ends do not overlap',
+    findOverlap(existing, manualSessionSpan({ date: '2025-03-10', time: '09:00', duration: 60 })), null);
+  check('a span containing the session overlaps',
+    findOverlap(existing, manualSessionSpan({ date: '2025-03-10', time: '08:00', duration: 240 })), existing[0]);
+
+  // An edit lengthening 11:30–12:00 to start at 10:30
+  const lengthened = stored('2025-03-10', '12:00', 90);
+  check('a lengthened session reports what it overlaps', overlapError(existing, sessionSpan(lengthened)),
+    'It overlaps a session from 10:00 to 11:00 on 2025-03-10.');
+  check('a session that still fits is fine', overlapError(existing, sessionSpan(stored('2025-03-10', '12:00', 60))), null);
+
+  const now = at('2025-03-12', '12:00');
+  const entry = { date: '2025-03-10', time: '09:00', duration: 60, activity: 'writing' };
+  check('a clean entry is valid', validateManualSession(entry, existing, now), null);
+  check('an activity is required', validateManualSession({ ...entry, activity: null }, existing, now), 'Pick an activity.');
+  check('too long is rejected', validateManualSession({ ...entry, duration: MAX_MANUAL_MINUTES + 1 }, existing, now),
+    `Duration must be between 1 and ${MAX_MANUAL_MINUTES} minutes.`);
+  check('a session still running is rejected',
+    validateManualSession({ ...entry, date: '2025-03-12', time: '11:30' }, existing, now),
+    "That session hasn't finished yet.");
+  check('an overlap is rejected with its times',
+    validateManualSession({ ...entry, time: '10:15' }, existing, now),
+    'It overlaps a session from 10:00 to 11:00 on 2025-03-10.');
+
+  check('hiding logged sessions drops empty days', withoutManual({
+    '2025-03-10': [{ id: 'a' }, { id: 'b', manual: true }],
+    '2025-03-11': [{ id: 'c', manual: true }],
+  }), { '2025-03-10': [{ id: 'a' }] });
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Manual sessions: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
@@ -0,0 +1,54 @@
+import {
+  normalizeParked,
+  parkThought,
+  formatParkedAt,
+  distractionsPrefill,
+  MAX_PARKED_ITEMS,
+  MAX_PARKED_LENGTH,
+} from './parkingLot';
+
+export function testParkingLot() {
+  console.log('\n🧪 ===== PARKING LOT TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  let parked = parkThought([], '  email Sam ', 90 * 1000);
+  parked = parkThought(parked, 'book dentist', 12 * 60 * 1000);
+  check('thoughts are trimmed and kept in order', parked, [
+    { text: 'email Sam', atMs: 90000 },
+    { text: 'book dentist', atMs: 720000 },
+  ]);
+  check('a blank thought changes nothing', parkThought(parked, '   ', 1000), parked);
+  check('long thoughts are capped', parkThought([], 'x'.repeat(200), 0)[0].text.length, MAX_PARKED_LENGTH);
+
+  const full = Array.from({ length: MAX_PARKED_ITEMS }, (_, i) => ({ text: `t${i}`, atMs: i }));
+  check('a full list changes nothing', parkThought(full, 'one more', 99), full);
+
+  check('malformed entries are dropped', normalizeParked([
+    { text: 'ok', atMs: 5 },
+    { text: '  ', atMs: 5 },
+    { text: 'no time' },
+    null,
+  ]), [{ text: 'ok', atMs: 5 }]);
+  check('a missing list is empty', normalizeParked(undefined), []);
+
+  check('under a minute', formatParkedAt(45 * 1000), 'under a minute in');
+  check('whole minutes in', formatParkedAt(12.8 * 60 * 1000), '12 min in');
+
+  check('prefill joins the thoughts', distractionsPrefill(parked), 'email Sam; book dentist');
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Parking lot: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
@@ -0,0 +1,58 @@
+import {
+  normalizePauses,
+  startPause,
+  endPause,
+  setLatestPauseReason,
+  isPauseOpen,
+  totalPausedMs,
+  formatPauseLength,
+  MAX_REASON_LENGTH,
+} from './pauseLog';
+
+const MIN = 60 * 1000;
+const START = Date.UTC(2026, 6, 15, 9, 0);
+
+export function testPauseLog() {
+  console.log('\n🧪 ===== PAUSE LOG TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  // Pause, give a reason, resume, pause again and leave it open
+  let pauses = startPause([], START + 10 * MIN);
+  check('a pause opens', isPauseOpen(pauses), true);
+  check('a second pause while open is ignored', startPause(pauses, START + 11 * MIN).length, 1);
+  pauses = setLatestPauseReason(pauses, '  Call or message ');
+  pauses = endPause(pauses, START + 14 * MIN);
+  check('resume closes the pause and keeps the reason', pauses,
+    [{ pausedAt: START + 10 * MIN, resumedAt: START + 14 * MIN, reason: 'Call or message' }]);
+  check('resume without an open pause changes nothing', endPause(pauses, START + 20 * MIN), pauses);
+
+  pauses = startPause(pauses, START + 30 * MIN);
+  check('an open pause counts up to now', totalPausedMs(pauses, START + 32 * MIN) / MIN, 6);
+  check('a blank reason is cleared', setLatestPauseReason(pauses, '   ')[1].reason, null);
+  check('a typed reason is capped',
+    setLatestPauseReason(pauses, 'x'.repeat(100))[1].reason.length, MAX_REASON_LENGTH);
+
+  check('synced logs drop malformed entries',
+    normalizePauses([null, { pausedAt: 'soon' }, { pausedAt: START, resumedAt: START - 1, reason: 7 }]),
+    [{ pausedAt: START, resumedAt: null, reason: null }]);
+  check('no log is an empty log', normalizePauses(undefined), []);
+
+  check('short pauses in seconds', formatPauseLength(45 * 1000), '45 s');
+  check('longer pauses in minutes', formatPauseLength(4.6 * MIN), '5 min');
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Pause log: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
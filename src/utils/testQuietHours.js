@@ -0,0 +1,78 @@
+import { resolveQuietDelivery, QUIET_KINDS } from './quietHours';
+
+const minute = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Weeknights 22:00–07:00, a Saturday lie-in until 10:00, no window on Sunday
+const QUIET = {
+  enabled: true,
+  days: [
+    null,
+    { start: '22:00', end: '07:00' },
+    { start: '22:00', end: '07:00' },
+    { start: '22:00', end: '07:00' },
+    { start: '22:00', end: '07:00' },
+    { start: '22:00', end: '10:00' },
+    { start: '13:00', end: '14:30' },
+  ],
+  suppressDuringSession: true,
+};
+
+const SUN = 0, MON = 1, TUE = 2, SAT = 6;
+
+// [description, quietHours, weekday, local time, context, expected action, expected defer time]
+const CASES = [
+  ['reminder outside any window', QUIET, TUE, '12:00', {}, 'send'],
+  ['reminder late evening → dropped (window ends tomorrow)', QUIET, TUE, '22:30', {}, 'drop'],
+  ['reminder early morning → deferred to window end', QUIET, TUE, '06:15', {}, 'defer', '07:00'],
+  ['window end is not quiet', QUIET, TUE, '07:00', {}, 'send'],
+  ['Friday night window reaches into Saturday', QUIET, SAT, '09:59', {}, 'defer', '10:00'],
+  ['same-day window on Saturday afternoon', QUIET, SAT, '13:30', {}, 'defer', '14:30'],
+  ['Saturday window is same-day, so Sunday morning is free', QUIET, SUN, '08:00', {}, 'send'],
+  ['Sunday has no window of its own', QUIET, SUN, '23:00', {}, 'send'],
+  ['Sunday off means Monday morning is free', QUIET, MON, '06:00', {}, 'send'],
+  ['disabled quiet hours never hold', { ...QUIET, enabled: false }, TUE, '23:00', {}, 'send'],
+  ['missing settings never hold', undefined, TUE, '23:00', {}, 'send'],
+  ['in a session → dropped', QUIET, TUE, '12:00', { inSession: true }, 'drop'],
+  ['in a session without suppression', { ...QUIET, suppressDuringSession: false }, TUE, '12:00', { inSession: true }, 'send'],
+  ['session end is never held', QUIET, TUE, '23:00', { kind: QUIET_KINDS.SESSION_END, inSession: true }, 'send'],
+  ['whole-day window (start = end)', { ...QUIET, days: QUIET.days.map(() => ({ start: '08:00', end: '08:00' })) }, TUE, '12:00', {}, 'drop'],
+];
+
+export function testQuietHours() {
+  console.log('\n🧪 ===== QUIET HOURS TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  CASES.forEach(([label, quietHours, weekday, time, context, expectedAction, expectedDefer]) => {
+    const decision = resolveQuietDelivery(quietHours, weekday, minute(time), {
+      kind: QUIET_KINDS.REMINDER,
+      ...context,
+    });
+    const deferOk = expectedDefer == null || decision.deferToMinute === minute(expectedDefer);
+
+    if (decision.action === expectedAction && deferOk) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${expectedAction}${expectedDefer ? ` until ${expectedDefer}` : ''}, got ${JSON.stringify(decision)}`);
+    }
+  });
+
+  // Session end inside a window is delivered silently
+  const silent = resolveQuietDelivery(QUIET, TUE, minute('23:00'), { kind: QUIET_KINDS.SESSION_END });
+  if (silent.silent === true) {
+    passed++;
+    console.log('✅ PASS session end inside a window is silent');
+  } else {
+    failed++;
+    console.log(`❌ FAIL session end inside a window is silent: got ${JSON.stringify(silent)}`);
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Quiet hours: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
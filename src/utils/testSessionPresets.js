@@ -0,0 +1,77 @@
+import {
+  cleanPresetName,
+  presetFromConfig,
+  presetSessionParams,
+  presetLongestFocus,
+  describePreset,
+  movePreset,
+  setPinned,
+  pinnedPresets,
+  MAX_PRESET_NAME_LENGTH,
+  MAX_PINNED_PRESETS,
+} from './sessionPresets';
+
+const CYCLE = { focusMinutes: 50, breakMinutes: 10, rounds: 2, longBreakMinutes: 0 };
+
+const preset = (id, extra = {}) => ({
+  id,
+  name: id,
+  activity: 'writing',
+  duration: 90,
+  intervals: null,
+  stopwatch: null,
+  musicChoice: 'lofi',
+  focusLockEnabled: true,
+  pinned: false,
+  ...extra,
+});
+
+export function testSessionPresets() {
+  console.log('\n🧪 ===== SESSION PRESETS TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  check('names are trimmed', cleanPresetName('  Morning writing '), 'Morning writing');
+  check('a blank name is no name', cleanPresetName('   '), null);
+  check('long names are capped', cleanPresetName('x'.repeat(80)).length, MAX_PRESET_NAME_LENGTH);
+
+  // From the last-session record, where duration is a string
+  check('a single countdown keeps its minutes',
+    presetFromConfig({ activity: 'writing', duration: '90', musicChoice: 'lofi', focusLockEnabled: true }),
+    { activity: 'writing', duration: 90, intervals: null, stopwatch: null, musicChoice: 'lofi', focusLockEnabled: true });
+  check('a cycle stores its focus total', presetFromConfig({ activity: 'a', intervals: CYCLE }).duration, 100);
+  check('a stopwatch has no duration',
+    presetFromConfig({ activity: 'a', duration: '', stopwatch: { checkpointMinutes: 50 } }).duration, null);
+
+  check('launch params match what HomeScreen sends',
+    presetSessionParams(preset('p')),
+    { duration: '90', activity: 'writing', musicChoice: 'lofi', focusLockEnabled: true, intervals: null, stopwatch: null });
+  check('the premium gate looks at a cycle\'s focus phases',
+    presetLongestFocus(preset('p', { duration: 100, intervals: CYCLE })), 50);
+
+  check('description', describePreset(preset('p')), '90 min · Lo-fi · Focus lock');
+
+  const list = [preset('a'), preset('b'), preset('c')];
+  check('move down', movePreset(list, 'a', 1).map(p => p.id).join(''), 'bac');
+  check('move up past the top changes nothing', movePreset(list, 'a', -1), list);
+
+  const full = Array.from({ length: MAX_PINNED_PRESETS + 1 }, (_, i) => preset(`p${i}`, { pinned: i < MAX_PINNED_PRESETS }));
+  check('pinning past the limit changes nothing', setPinned(full, `p${MAX_PINNED_PRESETS}`, true), full);
+  check('pinned presets keep the list order',
+    pinnedPresets(setPinned(setPinned(list, 'c', true), 'a', true)).map(p => p.id).join(''), 'ac');
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Session presets: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}
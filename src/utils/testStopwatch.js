@@ -0,0 +1,58 @@
+import {
+  STOPWATCH_MAX_MS,
+  stopwatchElapsedMs,
+  stopwatchEndTime,
+  elapsedMinutes,
+  upcomingCheckpoints,
+  checkpointsPassed,
+  formatElapsed,
+} from './stopwatch';
+
+const MIN = 60 * 1000;
+const START = Date.UTC(2026, 6, 15, 9, 0);
+
+export function testStopwatch() {
+  console.log('\n🧪 ===== STOPWATCH TEST =====\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (label, actual, expected) => {
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      passed++;
+      console.log(`✅ PASS ${label}`);
+    } else {
+      failed++;
+      console.log(`❌ FAIL ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+
+  // Restore after an app kill: only the start time and pauses are known
+  check('elapsed from start time', stopwatchElapsedMs({ startTime: START }, START + 42 * MIN), 42 * MIN);
+  check('paused time is not focus time',
+    stopwatchElapsedMs({ startTime: START, pausedMs: 10 * MIN }, START + 42 * MIN), 32 * MIN);
+  check('elapsed stops at the cap',
+    stopwatchElapsedMs({ startTime: START }, START + STOPWATCH_MAX_MS + MIN), STOPWATCH_MAX_MS);
+
+  // The countdown the timer runs agrees with the start-time arithmetic
+  const record = { startTime: START, pausedMs: 5 * MIN };
+  const now = START + 65 * MIN;
+  check('countdown and start time give the same elapsed',
+    STOPWATCH_MAX_MS - (stopwatchEndTime(record) - now), stopwatchElapsedMs(record, now));
+
+  check('saved minutes keep seconds', elapsedMinutes(90 * 1000), 1.5);
+
+  check('next checkpoints after 60 min, every 25',
+    upcomingCheckpoints(60 * MIN, 25, 3).map(ms => ms / MIN), [75, 100, 125]);
+  check('a checkpoint exactly now is already passed',
+    upcomingCheckpoints(50 * MIN, 25, 1).map(ms => ms / MIN), [75]);
+  check('no checkpoints without an interval', upcomingCheckpoints(0, null, 3), []);
+  check('checkpoints passed', checkpointsPassed(51 * MIN, 25), 2);
+
+  check('format under an hour', formatElapsed(45 * MIN + 30 * 1000), '45 min');
+  check('format over an hour', formatElapsed(75 * MIN), '1 h 15 min');
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} Stopwatch: ${passed} passed, ${failed} failed\n`);
+  return { passed, failed };
+}